@@ -3,6 +3,7 @@ import { loadModel, isModelLoaded } from './model-loader.js';
 import { getPersona, getRandomPersona, getPersonaTemplate } from './personas.js';
 import { getConfig } from '../utils/storage.js';
 import { DEFAULT_CONFIG } from '../utils/config.js';
+import { getEffectiveSettings } from '../utils/site-overrides.js';
 
 let messageCache = [];
 const MAX_CACHE_SIZE = 10;
@@ -122,7 +123,9 @@ function addToCache(message) {
  */
 export async function generateMessage(domain, timeSpent) {
   const config = await getConfig();
-  const enabledPersonas = config.enabledPersonas || DEFAULT_CONFIG.enabledPersonas;
+  // A site can have its own set of personas
+  const { values } = await getEffectiveSettings(domain);
+  const enabledPersonas = values.enabledPersonas || DEFAULT_CONFIG.enabledPersonas;
   const personaWeights = config.personaWeights || DEFAULT_CONFIG.personaWeights;
   const useAI = config.aiEnabled !== false && config.useLocalAI !== false;
   
@@ -3,11 +3,31 @@ import { getConfig, setStorageValue } from '../utils/storage.js';
 import { STORAGE_KEYS, DEFAULT_CONFIG } from '../utils/config.js';
 import { personalizeEmail, generateVariants, generateSubjectLines } from '../ai/email-personalizer.js';
 import { parseEmail, extractFirstName, extractCompanyFromEmail } from '../utils/email-parser.js';
+import { getTodayStats, getTrackingState } from './time-tracker.js';
+import { initTrackingOrchestrator, recordIntervention, reportPageTitle, runExclusive } from './tracking-orchestrator.js';
+import { getDayEntries, setTimeEntry, deleteTimeEntry, getCorrectionLog } from '../utils/time-corrections.js';
+import { recomputeStreaks } from '../utils/goals.js';
+import { initSync, runSync, getSyncStatus } from '../utils/sync.js';
+import { isTrackedSite } from '../utils/site-matcher.js';
+import { getInterventionTarget } from '../utils/analytics.js';
+import { generateMessage } from '../ai/message-generator.js';
+import { getEffectiveSettings } from '../utils/site-overrides.js';
+import { explainUrl } from '../utils/url-explainer.js';
+import { allowPageTemporarily } from '../utils/page-rules.js';
+import { runMigrations } from '../utils/migrations.js';
 
 const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
 
+// Start time tracking for the active tab
+initTrackingOrchestrator();
+
+// Share settings and totals with the user's other devices, if enabled
+initSync();
+
 // Initialize on install
 browserAPI.runtime.onInstalled.addListener(async (details) => {
+  await runMigrations();
+  
   if (details.reason === 'install') {
     // Initialize default config
     const config = await getConfig();
@@ -91,6 +111,88 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
           safeSendResponse({ history });
           break;
         
+        case 'getTodayStats':
+          const stats = await getTodayStats();
+          safeSendResponse({ stats });
+          break;
+        
+        case 'getTrackingState':
+          safeSendResponse({ state: getTrackingState() });
+          break;
+        
+        case 'popupAcknowledged':
+          // User chose to get back to work, which ends the current visit
+          await recordIntervention(message.domain);
+          safeSendResponse({ success: true });
+          break;
+        
+        case 'getTimeEntries':
+          const entries = await runExclusive(() => getDayEntries(message.dateKey));
+          safeSendResponse({ entries });
+          break;
+        
+        case 'setTimeEntry':
+          const added = await runExclusive(async () => {
+            const entry = await setTimeEntry(message.dateKey, message.domain, message.timeSpent, message.note);
+            await recomputeStreaks();
+            return entry;
+          });
+          safeSendResponse({ success: true, correction: added });
+          break;
+        
+        case 'deleteTimeEntry':
+          const removed = await runExclusive(async () => {
+            const entry = await deleteTimeEntry(message.dateKey, message.domain, message.note);
+            await recomputeStreaks();
+            return entry;
+          });
+          safeSendResponse({ success: true, correction: removed });
+          break;
+        
+        case 'getCorrectionLog':
+          const corrections = await getCorrectionLog(message.limit || 0);
+          safeSendResponse({ corrections });
+          break;
+        
+        case 'getSyncStatus':
+          safeSendResponse({ status: await getSyncStatus() });
+          break;
+        
+        case 'syncNow':
+          safeSendResponse({ status: await runSync() });
+          break;
+        
+        case 'generateMessage':
+          safeSendResponse(await generateMessage(message.domain, message.timeSpent));
+          break;
+        
+        case 'getSiteSettings':
+          safeSendResponse({ settings: await getEffectiveSettings(message.domain) });
+          break;
+        
+        case 'getInterventionTarget':
+          const targetSite = await isTrackedSite(message.url);
+          safeSendResponse({ target: targetSite ? await getInterventionTarget(targetSite) : null });
+          break;
+        
+        case 'explainUrl':
+          safeSendResponse({ trace: await explainUrl(message.url, message.title ?? null) });
+          break;
+        
+        case 'pageTitleChanged':
+          // Only pages report titles, for the tab they run in
+          if (sender.tab) {
+            await reportPageTitle(sender.tab.id, message.url, message.title);
+          }
+          safeSendResponse({ success: true });
+          break;
+        
+        case 'allowPageTemporarily':
+          // Time on the page so far still counts; the rule stops what follows
+          const allowance = await runExclusive(() => allowPageTemporarily(message.url, message.minutes));
+          safeSendResponse({ success: true, rule: allowance });
+          break;
+        
         default:
           safeSendResponse({ error: 'Unknown action' });
       }
@@ -1,11 +1,59 @@
 // Core time tracking logic
-import { getTimeData, saveTimeData, getConfig } from '../utils/storage.js';
-import { DEFAULT_CONFIG } from '../utils/config.js';
+import {
+  getTimeData,
+  saveTimeData,
+  getConfig,
+  getAwayData,
+  saveAwayData,
+  getHourlyData,
+  saveHourlyData,
+  getBucketData,
+  saveBucketData,
+  getMediaData,
+  saveMediaData,
+  getStorageValue,
+  setStorageValue
+} from '../utils/storage.js';
+import { DEFAULT_CONFIG, STORAGE_KEYS } from '../utils/config.js';
+import { getDateKeySettings, toDateKey, getTodayKey, shiftDateKey, splitByHour } from '../utils/date-keys.js';
+import { appendVisit, pruneVisitLog, VisitEndReason, VISIT_LOG_RETENTION_DAYS } from '../utils/visit-log.js';
+import { applyRetention } from '../utils/retention.js';
+import { getSuggestionDomain, recordBrowsingActivity } from '../utils/site-suggestions.js';
+import { getSyncedTime } from '../utils/sync.js';
 
+const MAX_AWAY_GAPS_PER_DAY = 50;
+
+/**
+ * How long the flush alarm period is. The state heartbeat is refreshed
+ * this often, which bounds how stale `lastSeen` can be while the browser runs.
+ */
+export const FLUSH_INTERVAL_MINUTES = 1;
+
+/**
+ * Longest heartbeat gap still treated as a worker suspension. Anything
+ * longer means the browser was closed (or the machine slept), so the open
+ * session is only credited up to the last heartbeat.
+ */
+const MAX_SUSPEND_GAP = 5 * FLUSH_INTERVAL_MINUTES * 60 * 1000;
+
+// In-memory tracking state. Mirrored to storage by persistTrackingState()
+// because MV3 service workers are killed after ~30 seconds without events.
 let activeTab = null;
 let startTime = null;
 let currentDomain = null;
-let trackingInterval = null;
+let currentBucket = null;
+let idleState = 'active';
+let awaySince = null;
+let awayDomain = null;
+// A visit spans several saved segments (the flush alarm splits them)
+let visitStart = null;
+let visitPath = null;
+// Audible tracked tab counted while nothing is tracked in the foreground:
+// { tabId, domain, start, weight }
+let mediaSession = null;
+// Foreground time on an untracked site, tallied only for site suggestions:
+// { domain, start, counted } where `counted` means its visit was recorded
+let browsingSession = null;
 
 /**
  * Format time duration in milliseconds to human-readable string
@@ -26,77 +74,251 @@ export function formatTime(ms) {
   }
 }
 
-/**
- * Get today's date key (YYYY-MM-DD)
- * @returns {string}
- */
-function getTodayKey() {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
-}
-
 /**
  * Initialize time tracking for a domain
  * @param {string} domain - Domain name
+ * @param {string} path - URL path the visit started on
+ * @param {string} switchReason - Why the previous visit ends, if any
+ * @param {string|null} bucket - Sub-path bucket id within the domain
  */
-async function startTracking(domain) {
+async function startTracking(domain, path = '/', switchReason = VisitEndReason.TAB_SWITCH, bucket = null) {
   if (currentDomain === domain && startTime !== null) {
-    return; // Already tracking this domain
+    if (currentBucket === bucket) {
+      return; // Already tracking this domain
+    }
+    // Moving between buckets of one site continues the same visit
+    await stopTracking(Date.now(), null);
   }
   
   // Stop previous tracking if any
   if (currentDomain && startTime) {
-    await stopTracking();
+    await stopTracking(Date.now(), switchReason);
   }
   
+  // Foreground time replaces background media so nothing is counted twice
+  await stopMediaTracking();
+  
   currentDomain = domain;
+  currentBucket = bucket;
   startTime = Date.now();
+  if (visitStart === null) {
+    visitStart = startTime;
+    visitPath = path;
+  }
+  await persistTrackingState();
   
   console.log(`Started tracking: ${domain}`);
 }
 
 /**
- * Stop tracking and save accumulated time
+ * Add a span of time to a domain's daily, hourly and breakdown stores
+ * @param {string} domain
+ * @param {number} start - Span start timestamp
+ * @param {number} end - Span end timestamp
+ * @param {Object} settings - From getDateKeySettings()
+ * @param {Object} options - { bucket, weight, backgroundMedia }
+ * @returns {Promise<Object>} - The updated timeData
  */
-async function stopTracking() {
-  if (!currentDomain || !startTime) {
-    return;
-  }
-  
-  const elapsed = Date.now() - startTime;
-  const todayKey = getTodayKey();
+async function recordTimeSpan(domain, start, end, settings, options = {}) {
+  const { bucket = null, weight = 1, backgroundMedia = false } = options;
   
   // Load existing time data
   const timeData = await getTimeData();
+  const hourlyData = await getHourlyData();
+  const bucketData = bucket ? await getBucketData() : null;
+  const mediaData = backgroundMedia ? await getMediaData() : null;
   
-  if (!timeData[todayKey]) {
-    timeData[todayKey] = {};
+  // Split at hour boundaries so sessions spanning midnight or the
+  // rollover hour land on the right day and hour
+  for (const chunk of splitByHour(start, end, settings)) {
+    const duration = Math.round(chunk.duration * weight);
+    
+    if (!timeData[chunk.dateKey]) {
+      timeData[chunk.dateKey] = {};
+    }
+    timeData[chunk.dateKey][domain] = (timeData[chunk.dateKey][domain] || 0) + duration;
+    
+    if (!hourlyData[chunk.dateKey]) {
+      hourlyData[chunk.dateKey] = {};
+    }
+    if (!hourlyData[chunk.dateKey][chunk.hour]) {
+      hourlyData[chunk.dateKey][chunk.hour] = {};
+    }
+    const hourBucket = hourlyData[chunk.dateKey][chunk.hour];
+    hourBucket[domain] = (hourBucket[domain] || 0) + duration;
+    
+    // Bucket and media time are breakdowns of the domain total, not
+    // in addition to it
+    if (bucketData) {
+      if (!bucketData[chunk.dateKey]) {
+        bucketData[chunk.dateKey] = {};
+      }
+      if (!bucketData[chunk.dateKey][domain]) {
+        bucketData[chunk.dateKey][domain] = {};
+      }
+      const domainBuckets = bucketData[chunk.dateKey][domain];
+      domainBuckets[bucket] = (domainBuckets[bucket] || 0) + duration;
+    }
+    
+    if (mediaData) {
+      if (!mediaData[chunk.dateKey]) {
+        mediaData[chunk.dateKey] = {};
+      }
+      mediaData[chunk.dateKey][domain] = (mediaData[chunk.dateKey][domain] || 0) + duration;
+    }
+  }
+  
+  // Save updated data
+  await saveTimeData(timeData);
+  await saveHourlyData(hourlyData);
+  if (bucketData) {
+    await saveBucketData(bucketData);
+  }
+  if (mediaData) {
+    await saveMediaData(mediaData);
   }
   
-  if (!timeData[todayKey][currentDomain]) {
-    timeData[todayKey][currentDomain] = 0;
+  return timeData;
+}
+
+/**
+ * Stop tracking and save accumulated time
+ * @param {number} endTime - When the session actually ended (defaults to now)
+ * @param {string|null} endReason - Why the visit ended; null keeps the
+ *   visit open (periodic flush)
+ */
+async function stopTracking(endTime = Date.now(), endReason = VisitEndReason.TAB_SWITCH) {
+  if (!currentDomain || !startTime) {
+    return;
   }
   
-  // Add elapsed time
-  timeData[todayKey][currentDomain] += elapsed;
+  const elapsed = Math.max(0, endTime - startTime);
+  const settings = await getDateKeySettings();
+  // Day the session ended, for the running total returned below
+  const todayKey = toDateKey(Math.max(startTime, endTime - 1), settings);
   
-  // Save updated data
-  await saveTimeData(timeData);
+  const timeData = await recordTimeSpan(currentDomain, startTime, startTime + elapsed, settings, {
+    bucket: currentBucket
+  });
   
   console.log(`Stopped tracking: ${currentDomain}, added ${formatTime(elapsed)}`);
   
   // Reset tracking state
   const domain = currentDomain;
+  
+  if (endReason !== null && visitStart !== null) {
+    const visitEnd = Math.max(visitStart, startTime + elapsed);
+    await appendVisit(toDateKey(visitStart, settings), {
+      domain,
+      path: visitPath,
+      start: visitStart,
+      end: visitEnd,
+      reason: endReason
+    });
+    visitStart = null;
+    visitPath = null;
+  }
+  
   currentDomain = null;
+  currentBucket = null;
   startTime = null;
+  await persistTrackingState();
   
   return {
     domain: domain,
     timeSpent: elapsed,
-    totalToday: timeData[todayKey][domain]
+    totalToday: (timeData[todayKey] && timeData[todayKey][domain]) || 0
   };
 }
 
+/**
+ * Save the open background media session
+ * @param {number} endTime - When playback stopped counting (defaults to now)
+ * @returns {Promise<void>}
+ */
+async function stopMediaTracking(endTime = Date.now()) {
+  if (!mediaSession) {
+    return;
+  }
+  
+  const { domain, start, weight } = mediaSession;
+  mediaSession = null;
+  
+  if (endTime > start) {
+    const settings = await getDateKeySettings();
+    await recordTimeSpan(domain, start, endTime, settings, { weight, backgroundMedia: true });
+    console.log(`Stopped background media: ${domain}, added ${formatTime((endTime - start) * weight)}`);
+  }
+  
+  await persistTrackingState();
+}
+
+/**
+ * Start tallying an untracked page for site suggestions. Moving around
+ * the same site continues the session.
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function startBrowsingSession(url) {
+  const domain = getSuggestionDomain(url);
+  if (browsingSession && browsingSession.domain === domain) {
+    return;
+  }
+  
+  await stopBrowsingSession();
+  if (domain) {
+    browsingSession = { domain, start: Date.now(), counted: false };
+  }
+}
+
+/**
+ * Save the open untracked session to the suggestion tally
+ * @param {number} endTime - When it stopped counting (defaults to now)
+ * @returns {Promise<void>}
+ */
+async function stopBrowsingSession(endTime = Date.now()) {
+  if (!browsingSession) {
+    return;
+  }
+  
+  const { domain, start, counted } = browsingSession;
+  browsingSession = null;
+  
+  if (endTime > start) {
+    const dateKey = toDateKey(start, await getDateKeySettings());
+    await recordBrowsingActivity(dateKey, domain, endTime - start, counted ? 0 : 1);
+  }
+}
+
+/**
+ * Start, switch or stop counting an audible tracked tab. Background media
+ * only counts while no foreground session runs and the screen isn't
+ * locked, so time is never counted twice.
+ * @param {Object|null} candidate - { tabId, url } of an audible tracked tab
+ * @param {number} weight - Fraction of media time counted (0 disables)
+ * @returns {Promise<void>}
+ */
+export async function updateBackgroundMedia(candidate, weight) {
+  const foregroundCounting = currentDomain !== null && startTime !== null;
+  
+  if (!candidate || weight <= 0 || foregroundCounting || idleState === 'locked') {
+    await stopMediaTracking();
+    return;
+  }
+  
+  const domain = new URL(candidate.url).hostname.replace(/^www\./, '');
+  if (mediaSession && mediaSession.tabId === candidate.tabId &&
+      mediaSession.domain === domain && mediaSession.weight === weight) {
+    return; // Already counting this tab
+  }
+  
+  await stopMediaTracking();
+  mediaSession = { tabId: candidate.tabId, domain, start: Date.now(), weight };
+  await persistTrackingState();
+  
+  console.log(`Started background media: ${domain}`);
+}
+
 /**
  * Get time spent on a domain today
  * @param {string} domain - Domain name
@@ -104,19 +326,19 @@ async function stopTracking() {
  */
 export async function getTimeSpentToday(domain) {
   const timeData = await getTimeData();
-  const todayKey = getTodayKey();
+  const todayKey = await getTodayKey();
   
-  if (!timeData[todayKey] || !timeData[todayKey][domain]) {
-    return 0;
-  }
+  const stored = (timeData[todayKey] && timeData[todayKey][domain]) || 0;
   
   // Add current session time if tracking
   let currentSession = 0;
   if (currentDomain === domain && startTime) {
     currentSession = Date.now() - startTime;
+  } else if (mediaSession && mediaSession.domain === domain) {
+    currentSession = Math.round((Date.now() - mediaSession.start) * mediaSession.weight);
   }
   
-  return timeData[todayKey][domain] + currentSession;
+  return stored + currentSession;
 }
 
 /**
@@ -125,7 +347,7 @@ export async function getTimeSpentToday(domain) {
  */
 export async function getTotalTimeToday() {
   const timeData = await getTimeData();
-  const todayKey = getTodayKey();
+  const todayKey = await getTodayKey();
   
   if (!timeData[todayKey]) {
     return 0;
@@ -145,30 +367,68 @@ export async function getTotalTimeToday() {
 }
 
 /**
- * Get all domains tracked today
- * @returns {Promise<Array>} - Array of {domain, timeSpent} objects
+ * Get all domains tracked today, on this device and on synced ones, so the
+ * totals match analytics and goals
+ * @returns {Promise<Array>} - Array of {domain, timeSpent, otherDevices}
+ *   objects; `otherDevices` is the part of timeSpent synced from other
+ *   devices (buckets and background media are this device's only)
  */
 export async function getTodayStats() {
   const timeData = await getTimeData();
-  const todayKey = getTodayKey();
+  const bucketData = await getBucketData();
+  const mediaData = await getMediaData();
+  const todayKey = await getTodayKey();
   
-  if (!timeData[todayKey]) {
-    return [];
+  const todayData = { ...(timeData[todayKey] || {}) };
+  const todayBuckets = bucketData[todayKey] || {};
+  const todayMedia = mediaData[todayKey] || {};
+  const todaySynced = (await getSyncedTime())[todayKey] || {};
+  
+  for (const domain in todaySynced) {
+    todayData[domain] = (todayData[domain] || 0) + todaySynced[domain];
   }
   
+  // Include a domain whose first session today hasn't been saved yet
+  if (currentDomain && startTime && !(currentDomain in todayData)) {
+    todayData[currentDomain] = 0;
+  }
+  if (mediaSession && !(mediaSession.domain in todayData)) {
+    todayData[mediaSession.domain] = 0;
+  }
+  const openMediaTime = mediaSession
+    ? Math.round((Date.now() - mediaSession.start) * mediaSession.weight)
+    : 0;
+  
   const stats = [];
-  for (const domain in timeData[todayKey]) {
-    let timeSpent = timeData[todayKey][domain];
+  for (const domain in todayData) {
+    let timeSpent = todayData[domain];
     
     // Add current session if tracking this domain
     if (currentDomain === domain && startTime) {
       timeSpent += Date.now() - startTime;
     }
     
+    // Part of timeSpent that came from audible background tabs
+    let backgroundMedia = todayMedia[domain] || 0;
+    if (mediaSession && mediaSession.domain === domain) {
+      timeSpent += openMediaTime;
+      backgroundMedia += openMediaTime;
+    }
+    
+    const buckets = { ...(todayBuckets[domain] || {}) };
+    if (currentDomain === domain && currentBucket && startTime) {
+      buckets[currentBucket] = (buckets[currentBucket] || 0) + Date.now() - startTime;
+    }
+    
     stats.push({
       domain: domain,
       timeSpent: timeSpent,
-      formatted: formatTime(timeSpent)
+      formatted: formatTime(timeSpent),
+      otherDevices: todaySynced[domain] || 0,
+      backgroundMedia: backgroundMedia,
+      buckets: Object.entries(buckets)
+        .map(([bucket, bucketTime]) => ({ bucket, timeSpent: bucketTime, formatted: formatTime(bucketTime) }))
+        .sort((a, b) => b.timeSpent - a.timeSpent)
     });
   }
   
@@ -183,34 +443,31 @@ export async function getTodayStats() {
  * @param {number} tabId - Tab ID
  * @param {string} url - Tab URL
  * @param {boolean} isTracked - Whether the site is tracked
+ * @param {string|null} bucket - Sub-path bucket id the URL falls into
  */
-export async function updateActiveTab(tabId, url, isTracked) {
-  activeTab = { tabId, url, isTracked };
+export async function updateActiveTab(tabId, url, isTracked, bucket = null) {
+  const reason = activeTab && activeTab.tabId === tabId
+    ? VisitEndReason.NAVIGATION
+    : VisitEndReason.TAB_SWITCH;
+  
+  activeTab = { tabId, url, isTracked, bucket };
+  
+  // Remember the tab but don't count time while the user is away
+  if (idleState !== 'active') {
+    return;
+  }
   
   if (isTracked) {
-    const domain = new URL(url).hostname.replace(/^www\./, '');
-    await startTracking(domain);
-    
-    // Start periodic save interval
-    if (!trackingInterval) {
-      trackingInterval = setInterval(async () => {
-        if (currentDomain && startTime) {
-          // Save current progress every minute
-          const elapsed = Date.now() - startTime;
-          if (elapsed >= 60000) { // Every minute
-            await stopTracking();
-            await startTracking(currentDomain);
-          }
-        }
-      }, 60000);
-    }
+    const urlObj = new URL(url);
+    const domain = urlObj.hostname.replace(/^www\./, '');
+    await stopBrowsingSession();
+    await startTracking(domain, urlObj.pathname, reason, bucket);
   } else {
-    await stopTracking();
-    if (trackingInterval) {
-      clearInterval(trackingInterval);
-      trackingInterval = null;
-    }
+    await stopTracking(Date.now(), reason);
+    await startBrowsingSession(url);
   }
+  
+  await persistTrackingState();
 }
 
 /**
@@ -218,44 +475,253 @@ export async function updateActiveTab(tabId, url, isTracked) {
  * @param {number} tabId - Tab ID
  * @param {string} url - New URL
  * @param {boolean} isTracked - Whether the site is tracked
+ * @param {string|null} bucket - Sub-path bucket id the URL falls into
  */
-export async function handleTabUpdate(tabId, url, isTracked) {
+export async function handleTabUpdate(tabId, url, isTracked, bucket = null) {
   if (activeTab && activeTab.tabId === tabId) {
-    await updateActiveTab(tabId, url, isTracked);
+    await updateActiveTab(tabId, url, isTracked, bucket);
   }
 }
 
 /**
  * Handle tab close or switch
+ * @param {string} reason - Why the visit ended (VisitEndReason)
  */
-export async function handleTabInactive() {
-  await stopTracking();
+export async function handleTabInactive(reason = VisitEndReason.TAB_SWITCH) {
+  await stopTracking(Date.now(), reason);
+  await stopBrowsingSession();
   activeTab = null;
-  if (trackingInterval) {
-    clearInterval(trackingInterval);
-    trackingInterval = null;
+  await persistTrackingState();
+}
+
+/**
+ * End the current visit because the user acted on an intervention.
+ * Tracking continues as a new visit if they stay on the site.
+ * @param {string} domain - Domain the intervention was shown on
+ * @returns {Promise<void>}
+ */
+export async function handleIntervention(domain) {
+  if (currentDomain !== domain || !startTime) {
+    return;
+  }
+  
+  await stopTracking(Date.now(), VisitEndReason.INTERVENTION);
+  
+  if (activeTab && activeTab.isTracked && idleState === 'active') {
+    await startTracking(domain, new URL(activeTab.url).pathname, VisitEndReason.TAB_SWITCH, activeTab.bucket);
   }
 }
 
 /**
- * Reset daily data (called at midnight)
+ * Save the in-progress session so far (called from the flush alarm)
+ * @returns {Promise<void>}
  */
-export async function resetDailyData() {
-  const timeData = await getTimeData();
-  const todayKey = getTodayKey();
+export async function flushTracking() {
+  if (currentDomain && startTime) {
+    const domain = currentDomain;
+    const bucket = currentBucket;
+    await stopTracking(Date.now(), null);
+    await startTracking(domain, visitPath, VisitEndReason.TAB_SWITCH, bucket);
+  } else if (idleState !== 'active') {
+    // Keep the heartbeat fresh so a long away period isn't mistaken
+    // for the browser being closed
+    await persistTrackingState();
+  }
+  
+  if (mediaSession) {
+    const session = mediaSession;
+    const now = Date.now();
+    await stopMediaTracking(now);
+    mediaSession = { ...session, start: now };
+    await persistTrackingState();
+  }
+  
+  if (browsingSession) {
+    const session = browsingSession;
+    const now = Date.now();
+    await stopBrowsingSession(now);
+    browsingSession = { ...session, start: now, counted: true };
+    await persistTrackingState();
+  }
+}
+
+/**
+ * Persist the in-memory tracking state
+ * @returns {Promise<void>}
+ */
+async function persistTrackingState() {
+  await setStorageValue(STORAGE_KEYS.TRACKING_STATE, {
+    activeTab,
+    currentDomain,
+    currentBucket,
+    startTime,
+    idleState,
+    awaySince,
+    awayDomain,
+    visitStart,
+    visitPath,
+    mediaSession,
+    browsingSession,
+    lastSeen: Date.now()
+  });
+}
+
+/**
+ * Restore tracking state after the service worker was restarted.
+ * A short gap since the last heartbeat means the worker was only
+ * suspended, so the open session simply continues. A long gap means
+ * the browser was closed, so the session is closed at the last heartbeat.
+ * @returns {Promise<Object>} - What was done with the previous session
+ */
+export async function restoreTrackingState() {
+  const saved = await getStorageValue(STORAGE_KEYS.TRACKING_STATE);
+  
+  if (!saved || !saved.lastSeen) {
+    return { restored: false };
+  }
+  
+  const now = Date.now();
+  const gap = now - saved.lastSeen;
+  
+  if (gap <= MAX_SUSPEND_GAP) {
+    activeTab = saved.activeTab;
+    currentDomain = saved.currentDomain;
+    currentBucket = saved.currentBucket || null;
+    startTime = saved.startTime;
+    idleState = saved.idleState || 'active';
+    awaySince = saved.awaySince;
+    awayDomain = saved.awayDomain;
+    visitStart = saved.visitStart || saved.startTime || null;
+    visitPath = saved.visitPath || null;
+    mediaSession = saved.mediaSession || null;
+    browsingSession = saved.browsingSession || null;
+    await persistTrackingState();
+    
+    return { restored: true, resumed: currentDomain !== null, gap };
+  }
+  
+  // Browser was closed: credit the session only up to the last heartbeat
+  let recovered = null;
+  if (saved.currentDomain && saved.startTime) {
+    currentDomain = saved.currentDomain;
+    currentBucket = saved.currentBucket || null;
+    startTime = saved.startTime;
+    visitStart = saved.visitStart || saved.startTime;
+    visitPath = saved.visitPath || null;
+    recovered = await stopTracking(Math.max(saved.startTime, saved.lastSeen), VisitEndReason.BROWSER_EXIT);
+  }
+  
+  if (saved.mediaSession) {
+    mediaSession = saved.mediaSession;
+    await stopMediaTracking(Math.max(saved.mediaSession.start, saved.lastSeen));
+  }
+  
+  if (saved.browsingSession) {
+    browsingSession = saved.browsingSession;
+    await stopBrowsingSession(Math.max(saved.browsingSession.start, saved.lastSeen));
+  }
+  
+  if (saved.idleState && saved.idleState !== 'active') {
+    await recordAwayGap(saved.awaySince, saved.lastSeen, saved.idleState, saved.awayDomain);
+  }
   
-  // Keep only last 30 days of data
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - 30);
-  const cutoffKey = cutoffDate.toISOString().split('T')[0];
+  activeTab = null;
+  currentDomain = null;
+  startTime = null;
+  idleState = 'active';
+  awaySince = null;
+  awayDomain = null;
+  await persistTrackingState();
   
-  for (const dateKey in timeData) {
-    if (dateKey < cutoffKey) {
-      delete timeData[dateKey];
+  return { restored: true, resumed: false, gap, recovered };
+}
+
+/**
+ * Pause or resume tracking when the system idle state changes
+ * @param {string} state - 'active', 'idle' or 'locked'
+ * @param {number} idleThresholdMs - Inactivity required before 'idle' is reported
+ */
+export async function handleIdleStateChange(state, idleThresholdMs = 0) {
+  if (state === 'active') {
+    if (idleState !== 'active') {
+      await recordAwayGap(awaySince, Date.now(), idleState, awayDomain);
     }
+    idleState = 'active';
+    awaySince = null;
+    awayDomain = null;
+    await persistTrackingState();
+    return;
   }
   
-  await saveTimeData(timeData);
+  // Already away (e.g. idle -> locked); keep the original start
+  if (idleState !== 'active') {
+    idleState = state;
+    await persistTrackingState();
+    return;
+  }
+  
+  // 'idle' fires only after the threshold has passed, so the user
+  // actually left that long ago
+  const lastActive = state === 'idle' ? Date.now() - idleThresholdMs : Date.now();
+  const awayStart = startTime ? Math.max(startTime, lastActive) : lastActive;
+  
+  idleState = state;
+  awaySince = awayStart;
+  awayDomain = currentDomain;
+  
+  await stopTracking(awayStart, VisitEndReason.IDLE);
+  if (browsingSession) {
+    await stopBrowsingSession(Math.max(browsingSession.start, lastActive));
+  }
+  await persistTrackingState();
+}
+
+/**
+ * Record a period the user was away from the computer
+ * @param {number} start - Timestamp the user went idle
+ * @param {number} end - Timestamp the user returned
+ * @param {string} state - 'idle' or 'locked'
+ * @param {string|null} domain - Tracked domain that was open, if any
+ */
+async function recordAwayGap(start, end, state, domain) {
+  if (!start || end <= start) {
+    return;
+  }
+  
+  const duration = end - start;
+  const dateKey = toDateKey(start, await getDateKeySettings());
+  const awayData = await getAwayData();
+  
+  if (!awayData[dateKey]) {
+    awayData[dateKey] = { total: 0, idle: 0, locked: 0, byDomain: {}, gaps: [] };
+  }
+  
+  const day = awayData[dateKey];
+  day.total += duration;
+  day[state] = (day[state] || 0) + duration;
+  
+  if (domain) {
+    day.byDomain[domain] = (day.byDomain[domain] || 0) + duration;
+  }
+  
+  day.gaps.push({ start, end, state, domain });
+  if (day.gaps.length > MAX_AWAY_GAPS_PER_DAY) {
+    day.gaps.splice(0, day.gaps.length - MAX_AWAY_GAPS_PER_DAY);
+  }
+  
+  await saveAwayData(awayData);
+  
+  console.log(`Away for ${formatTime(duration)} (${state})`);
+}
+
+/**
+ * Compact old tracking data into rollups and drop expired detail
+ * @returns {Promise<Object>} - What was compacted (see applyRetention)
+ */
+export async function resetDailyData() {
+  const todayKey = await getTodayKey();
+  await pruneVisitLog(shiftDateKey(todayKey, -VISIT_LOG_RETENTION_DAYS));
+  return applyRetention();
 }
 
 /**
@@ -266,8 +732,11 @@ export function getTrackingState() {
   return {
     activeTab: activeTab,
     currentDomain: currentDomain,
+    currentBucket: currentBucket,
     startTime: startTime,
-    isTracking: currentDomain !== null && startTime !== null
+    idleState: idleState,
+    isTracking: currentDomain !== null && startTime !== null,
+    backgroundMedia: mediaSession ? { tabId: mediaSession.tabId, domain: mediaSession.domain } : null
   };
 }
 
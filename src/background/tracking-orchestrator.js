@@ -0,0 +1,538 @@
+// Connects browser tab/window events to the time tracker
+import {
+  updateActiveTab,
+  handleTabUpdate,
+  handleTabInactive,
+  handleIdleStateChange,
+  handleIntervention,
+  updateBackgroundMedia,
+  flushTracking,
+  resetDailyData,
+  restoreTrackingState,
+  getTrackingState,
+  FLUSH_INTERVAL_MINUTES
+} from './time-tracker.js';
+import { refreshSites } from '../utils/site-matcher.js';
+import { explainUrl } from '../utils/url-explainer.js';
+import { PAGE_RULES_KEY, removeExpiredRules } from '../utils/page-rules.js';
+import { shouldBlockTracking, SCHEDULER_KEY } from '../utils/scheduler.js';
+import { getConfig } from '../utils/storage.js';
+import { STORAGE_KEYS, DEFAULT_CONFIG, BackgroundMediaPolicy } from '../utils/config.js';
+import { VisitEndReason } from '../utils/visit-log.js';
+import { CATEGORIES_KEY } from '../utils/categories.js';
+
+// chrome.idle rejects detection intervals below 15 seconds
+const MIN_IDLE_THRESHOLD = 15;
+const FLUSH_ALARM = 'timeTrackerFlush';
+const RETENTION_ALARM = 'dataRetention';
+// Compaction only moves whole days, so a few runs a day is plenty
+const RETENTION_INTERVAL_MINUTES = 6 * 60;
+
+const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
+
+// Tab events arrive faster than storage writes complete, so every tracker
+// update is chained onto this promise to keep them strictly ordered.
+let updateQueue = Promise.resolve();
+let idleDetectionEnabled = DEFAULT_CONFIG.idleDetectionEnabled;
+let idleThresholdMs = DEFAULT_CONFIG.idleThreshold * 1000;
+let mediaWeight = 1;
+// Whether a block_tracking schedule was active at the last check
+let trackingBlocked = false;
+// Titles reported by pages, by tab id: { url, title }. Lost when the
+// worker sleeps, in which case the tab's own title is used.
+const pageTitles = new Map();
+
+/**
+ * Queue a tracker update behind any pending ones
+ * @param {Function} task - Async function to run
+ * @returns {Promise<void>}
+ */
+function enqueue(task) {
+  updateQueue = updateQueue.then(task).catch((error) => {
+    console.error('Error updating time tracking:', error);
+  });
+  return updateQueue;
+}
+
+/**
+ * Run a task behind pending tracker updates, after saving the open
+ * session, and hand back its result. For edits to stored time, which
+ * must not race a session being written.
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Resolves or rejects with the task's outcome
+ */
+export function runExclusive(task) {
+  const result = updateQueue.then(async () => {
+    await flushTracking();
+    return task();
+  });
+  // The caller handles the task's error; the queue just moves on
+  updateQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check if a URL points to a regular web page
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Decide whether a URL should be counted, and under which bucket. Goes
+ * through explainUrl() so the "why is this tracked" trace can never
+ * disagree with what is actually counted.
+ * @param {string} url
+ * @param {string|null} title - Document title, for title rules
+ * @returns {Promise<Object>} - { isTracked, bucket } (bucket id or null)
+ */
+export async function evaluateUrl(url, title = null) {
+  if (!isWebUrl(url)) {
+    return { isTracked: false, bucket: null };
+  }
+
+  const { isTracked, bucket } = await explainUrl(url, title);
+  return { isTracked, bucket };
+}
+
+/**
+ * Get the best known title of a tab's page: the one the page reported,
+ * if it is for the same URL, or else the tab's
+ * @param {Object} tab
+ * @returns {string|null}
+ */
+function getPageTitle(tab) {
+  const reported = pageTitles.get(tab.id);
+  if (reported && reported.url === tab.url) {
+    return reported.title;
+  }
+  return typeof tab.title === 'string' ? tab.title : null;
+}
+
+/**
+ * Promisified tabs.get
+ * @param {number} tabId
+ * @returns {Promise<Object|null>}
+ */
+function getTab(tabId) {
+  return new Promise((resolve) => {
+    browserAPI.tabs.get(tabId, (tab) => {
+      if (browserAPI.runtime.lastError) {
+        resolve(null);
+      } else {
+        resolve(tab);
+      }
+    });
+  });
+}
+
+/**
+ * Promisified tabs.query for the active tab of a window
+ * @param {Object} query
+ * @returns {Promise<Object|null>}
+ */
+function queryActiveTab(query) {
+  return new Promise((resolve) => {
+    browserAPI.tabs.query({ active: true, ...query }, (tabs) => {
+      if (browserAPI.runtime.lastError || !tabs || tabs.length === 0) {
+        resolve(null);
+      } else {
+        resolve(tabs[0]);
+      }
+    });
+  });
+}
+
+/**
+ * Start or stop tracking for a tab that just became the active one
+ * @param {Object|null} tab
+ * @returns {Promise<void>}
+ */
+async function trackTab(tab) {
+  if (!tab || !isWebUrl(tab.url)) {
+    await handleTabInactive();
+    return;
+  }
+
+  const { isTracked, bucket } = await evaluateUrl(tab.url, getPageTitle(tab));
+  await updateActiveTab(tab.id, tab.url, isTracked, bucket);
+}
+
+/**
+ * Re-evaluate the active tab of the focused window
+ * @returns {Promise<void>}
+ */
+export function syncActiveTab() {
+  return enqueue(async () => {
+    const tab = await queryActiveTab({ lastFocusedWindow: true });
+    await trackTab(tab);
+  });
+}
+
+/**
+ * Promisified tabs.query for tabs currently playing sound
+ * @returns {Promise<Array>}
+ */
+function queryAudibleTabs() {
+  return new Promise((resolve) => {
+    browserAPI.tabs.query({ audible: true }, (tabs) => {
+      resolve(browserAPI.runtime.lastError || !tabs ? [] : tabs);
+    });
+  });
+}
+
+/**
+ * Re-evaluate which audible tracked tab, if any, counts as background media
+ * @returns {Promise<void>}
+ */
+export function syncBackgroundMedia() {
+  return enqueue(async () => {
+    let candidate = null;
+
+    if (mediaWeight > 0) {
+      const { backgroundMedia } = getTrackingState();
+      const tabs = await queryAudibleTabs();
+
+      // Stick with the tab already being counted when several play at once
+      const currentTabId = backgroundMedia ? backgroundMedia.tabId : null;
+      tabs.sort((a, b) => (b.id === currentTabId) - (a.id === currentTabId));
+
+      for (const tab of tabs) {
+        const { isTracked } = await evaluateUrl(tab.url, getPageTitle(tab));
+        if (isTracked) {
+          candidate = { tabId: tab.id, url: tab.url };
+          break;
+        }
+      }
+    }
+
+    await updateBackgroundMedia(candidate, mediaWeight);
+  });
+}
+
+/**
+ * Handle tab activation
+ * @param {Object} activeInfo - { tabId, windowId }
+ */
+function onTabActivated(activeInfo) {
+  enqueue(async () => {
+    const tab = await getTab(activeInfo.tabId);
+    await trackTab(tab);
+  });
+  syncBackgroundMedia();
+}
+
+/**
+ * Handle URL changes within a tab
+ * @param {number} tabId
+ * @param {Object} changeInfo
+ * @param {Object} tab
+ */
+function onTabUpdated(tabId, changeInfo, tab) {
+  // Playback started/stopped, or a playing tab navigated
+  if ('audible' in changeInfo || (changeInfo.url && tab.audible)) {
+    syncBackgroundMedia();
+  }
+
+  if (!changeInfo.url || !tab.active) {
+    return;
+  }
+
+  enqueue(async () => {
+    const { activeTab } = getTrackingState();
+
+    // The active tab may not be known yet (e.g. right after startup)
+    if (!activeTab) {
+      await trackTab(tab);
+      return;
+    }
+
+    const { isTracked, bucket } = await evaluateUrl(changeInfo.url, getPageTitle({ ...tab, url: changeInfo.url }));
+    await handleTabUpdate(tabId, changeInfo.url, isTracked, bucket);
+  });
+  syncBackgroundMedia();
+}
+
+/**
+ * Handle window focus changes, including the browser losing focus entirely
+ * @param {number} windowId
+ */
+function onWindowFocusChanged(windowId) {
+  enqueue(async () => {
+    if (windowId === browserAPI.windows.WINDOW_ID_NONE) {
+      await handleTabInactive(VisitEndReason.WINDOW_BLUR);
+      return;
+    }
+
+    const tab = await queryActiveTab({ windowId });
+    await trackTab(tab);
+  });
+  syncBackgroundMedia();
+}
+
+/**
+ * Handle tab close
+ * @param {number} tabId
+ */
+function onTabRemoved(tabId) {
+  pageTitles.delete(tabId);
+  enqueue(async () => {
+    const { activeTab } = getTrackingState();
+    if (activeTab && activeTab.tabId === tabId) {
+      await handleTabInactive(VisitEndReason.CLOSE);
+    }
+  });
+  syncBackgroundMedia();
+}
+
+/**
+ * Take a title reported by a page. Single-page apps change the title
+ * without a navigation, so when the page is the one being tracked it is
+ * evaluated again; the visit is only split if the outcome changes.
+ * @param {number} tabId
+ * @param {string} url - URL the title belongs to
+ * @param {string} title
+ * @returns {Promise<void>}
+ */
+export function reportPageTitle(tabId, url, title) {
+  const previous = pageTitles.get(tabId);
+  pageTitles.set(tabId, { url, title: String(title) });
+  if (previous && previous.url === url && previous.title === title) {
+    return Promise.resolve();
+  }
+
+  return enqueue(async () => {
+    const { activeTab } = getTrackingState();
+    if (!activeTab || activeTab.tabId !== tabId || activeTab.url !== url) {
+      return;
+    }
+
+    const { isTracked, bucket } = await evaluateUrl(url, String(title));
+    if (isTracked !== activeTab.isTracked || bucket !== activeTab.bucket) {
+      await handleTabUpdate(tabId, url, isTracked, bucket);
+    }
+  }).then(() => {
+    // A video playing in the background can be affected too
+    syncBackgroundMedia();
+  });
+}
+
+/**
+ * Record that the user acted on an intervention for a domain
+ * @param {string} domain
+ * @returns {Promise<void>}
+ */
+export function recordIntervention(domain) {
+  return enqueue(async () => {
+    await handleIntervention(domain);
+  });
+}
+
+/**
+ * Re-evaluate the open tab when a block_tracking schedule starts or ends,
+ * since no tab event fires at that moment
+ * @returns {Promise<void>}
+ */
+function syncTrackingSchedule() {
+  return enqueue(async () => {
+    const blocked = await shouldBlockTracking();
+    if (blocked === trackingBlocked) {
+      return;
+    }
+    trackingBlocked = blocked;
+
+    const { activeTab } = getTrackingState();
+    if (activeTab) {
+      await trackTab(await getTab(activeTab.tabId));
+    }
+  }).then(() => {
+    syncBackgroundMedia();
+  });
+}
+
+/**
+ * Remove temporary page rules that have run out. Removing them changes
+ * the stored rules, which re-evaluates the open tab.
+ * @returns {Promise<void>}
+ */
+function expirePageRules() {
+  return enqueue(async () => {
+    await removeExpiredRules();
+  });
+}
+
+/**
+ * Periodically save the open session; alarms wake a suspended worker
+ * where setInterval would not
+ * @param {Object} alarm
+ */
+function onAlarm(alarm) {
+  if (alarm.name === FLUSH_ALARM) {
+    enqueue(async () => {
+      await flushTracking();
+    });
+    syncTrackingSchedule();
+    expirePageRules();
+  } else if (alarm.name === RETENTION_ALARM) {
+    // Queued so compaction never interleaves with a session being saved
+    enqueue(async () => {
+      const result = await resetDailyData();
+      if (result.days > 0 || result.weeks > 0 || result.months > 0) {
+        console.log(`Compacted tracking data: ${result.days} day(s) to weekly, ${result.weeks} week(s) to monthly, ${result.months} month(s) expired`);
+      }
+    });
+  }
+}
+
+/**
+ * Handle the system going idle, locking, or becoming active again
+ * @param {string} state - 'active', 'idle' or 'locked'
+ */
+function onIdleStateChanged(state) {
+  if (!idleDetectionEnabled && state !== 'active') {
+    return;
+  }
+
+  enqueue(async () => {
+    await handleIdleStateChange(state, idleThresholdMs);
+  }).then(() => {
+    if (state === 'active') {
+      syncActiveTab();
+    }
+    // Media keeps counting while idle (watching isn't typing) but not locked
+    syncBackgroundMedia();
+  });
+}
+
+/**
+ * Apply the idle threshold from the saved config
+ * @returns {Promise<void>}
+ */
+async function configureIdleDetection() {
+  if (!browserAPI.idle) {
+    return;
+  }
+
+  const config = await getConfig();
+  const thresholdSeconds = Math.max(
+    MIN_IDLE_THRESHOLD,
+    config.idleThreshold || DEFAULT_CONFIG.idleThreshold
+  );
+
+  idleDetectionEnabled = config.idleDetectionEnabled !== false;
+  idleThresholdMs = thresholdSeconds * 1000;
+  browserAPI.idle.setDetectionInterval(thresholdSeconds);
+
+  // Turning detection off while away must not leave tracking paused
+  if (!idleDetectionEnabled && getTrackingState().idleState !== 'active') {
+    onIdleStateChanged('active');
+  }
+}
+
+/**
+ * Apply the background media policy from the saved config
+ * @returns {Promise<void>}
+ */
+async function configureBackgroundMedia() {
+  const config = await getConfig();
+  const policy = config.backgroundMediaPolicy || DEFAULT_CONFIG.backgroundMediaPolicy;
+
+  if (policy === BackgroundMediaPolicy.IGNORE) {
+    mediaWeight = 0;
+  } else if (policy === BackgroundMediaPolicy.WEIGHTED) {
+    const percent = config.backgroundMediaWeight ?? DEFAULT_CONFIG.backgroundMediaWeight;
+    mediaWeight = Math.min(100, Math.max(0, percent)) / 100;
+  } else {
+    mediaWeight = 1;
+  }
+
+  await syncBackgroundMedia();
+}
+
+/**
+ * React to settings or site changes made in another context
+ * @param {Object} changes
+ * @param {string} areaName
+ */
+function onStorageChanged(changes, areaName) {
+  if (areaName !== 'local') {
+    return;
+  }
+
+  if (changes[STORAGE_KEYS.CONFIG]) {
+    configureIdleDetection().catch((error) => {
+      console.error('Error configuring idle detection:', error);
+    });
+    configureBackgroundMedia().catch((error) => {
+      console.error('Error configuring background media:', error);
+    });
+  }
+
+  if (changes[SCHEDULER_KEY]) {
+    syncTrackingSchedule();
+  }
+
+  if (changes[PAGE_RULES_KEY]) {
+    syncActiveTab();
+    syncBackgroundMedia();
+  }
+
+  if (changes[STORAGE_KEYS.USER_SITES] || changes[CATEGORIES_KEY]) {
+    enqueue(async () => {
+      await refreshSites();
+    }).then(() => {
+      syncActiveTab();
+      syncBackgroundMedia();
+    });
+  }
+}
+
+/**
+ * Create an alarm unless it already exists. Alarms outlive the worker, and
+ * re-creating one on every wake-up would keep pushing it into the future.
+ * @param {string} name
+ * @param {Object} alarmInfo
+ */
+function ensureAlarm(name, alarmInfo) {
+  browserAPI.alarms.get(name, (existing) => {
+    if (!existing) {
+      browserAPI.alarms.create(name, alarmInfo);
+    }
+  });
+}
+
+/**
+ * Register all tab/window listeners and pick up the current tab
+ */
+export function initTrackingOrchestrator() {
+  // Must be queued before any event so handlers see the restored session
+  enqueue(async () => {
+    const result = await restoreTrackingState();
+    if (result.restored && !result.resumed && result.recovered) {
+      console.log(`Closed session left open when the browser exited (${result.recovered.domain})`);
+    }
+  });
+
+  browserAPI.tabs.onActivated.addListener(onTabActivated);
+  browserAPI.tabs.onUpdated.addListener(onTabUpdated);
+  browserAPI.tabs.onRemoved.addListener(onTabRemoved);
+  browserAPI.windows.onFocusChanged.addListener(onWindowFocusChanged);
+  browserAPI.storage.onChanged.addListener(onStorageChanged);
+  browserAPI.alarms.onAlarm.addListener(onAlarm);
+  ensureAlarm(FLUSH_ALARM, { periodInMinutes: FLUSH_INTERVAL_MINUTES });
+  ensureAlarm(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: RETENTION_INTERVAL_MINUTES });
+
+  if (browserAPI.idle) {
+    browserAPI.idle.onStateChanged.addListener(onIdleStateChanged);
+    configureIdleDetection().catch((error) => {
+      console.error('Error configuring idle detection:', error);
+    });
+  }
+
+  syncActiveTab();
+  configureBackgroundMedia().catch((error) => {
+    console.error('Error configuring background media:', error);
+  });
+}
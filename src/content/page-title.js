@@ -0,0 +1,116 @@
+// Reports the page title to the service worker for page rules that match
+// on titles. Single-page apps (YouTube, Reddit) change the title without
+// reloading, so the title is watched rather than read once.
+//
+// This runs on every web page, so it reads the rules straight from storage
+// instead of bundling the rule engine (page-rules.js) for one check.
+
+const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
+
+// Must match PAGE_RULES_KEY and RuleField.TITLE in page-rules.js
+const PAGE_RULES_KEY = 'pageRules';
+const TITLE_FIELD = 'title';
+
+// Titles often change several times while a page settles
+const REPORT_DELAY_MS = 500;
+
+let enabled = false;
+let observer = null;
+let reportTimer = null;
+let lastReported = null;
+
+/**
+ * Send the current title, unless it was the last one sent for this URL
+ */
+function reportTitle() {
+  reportTimer = null;
+  const report = { url: window.location.href, title: document.title };
+  if (lastReported && lastReported.url === report.url && lastReported.title === report.title) {
+    return;
+  }
+  lastReported = report;
+
+  browserAPI.runtime.sendMessage({ action: 'pageTitleChanged', ...report }, () => {
+    // The worker may be restarting; the next change reports again
+    if (browserAPI.runtime.lastError) {
+      lastReported = null;
+    }
+  });
+}
+
+/**
+ * Report the title shortly, once it has stopped changing
+ */
+function scheduleReport() {
+  if (reportTimer) {
+    clearTimeout(reportTimer);
+  }
+  reportTimer = setTimeout(reportTitle, REPORT_DELAY_MS);
+}
+
+/**
+ * Start or stop watching the title
+ * @param {boolean} watch
+ */
+function setWatching(watch) {
+  if (watch === enabled) {
+    return;
+  }
+  enabled = watch;
+
+  if (watch) {
+    // The <title> element itself can be replaced, so watch all of <head>
+    observer = new MutationObserver(scheduleReport);
+    observer.observe(document.head || document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+    scheduleReport();
+  } else {
+    observer.disconnect();
+    observer = null;
+    lastReported = null;
+  }
+}
+
+/**
+ * Check if any rule in effect matches on page titles, as hasTitleRules()
+ * in page-rules.js does
+ * @param {Object} config - Stored page rules, if any
+ * @returns {boolean}
+ */
+function needsTitles(config) {
+  const now = Date.now();
+  return !!(config && config.enabled && Array.isArray(config.rules)) && config.rules.some(rule =>
+    rule.enabled && rule.field === TITLE_FIELD && (rule.expiresAt == null || rule.expiresAt > now));
+}
+
+/**
+ * Watch the title only while some page rule needs it
+ * @returns {Promise<void>}
+ */
+async function configure() {
+  const result = await new Promise((resolve, reject) => {
+    browserAPI.storage.local.get([PAGE_RULES_KEY], (items) => {
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else {
+        resolve(items);
+      }
+    });
+  });
+  setWatching(needsTitles(result[PAGE_RULES_KEY]));
+}
+
+browserAPI.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[PAGE_RULES_KEY]) {
+    configure().catch((error) => {
+      console.error('Error reading page rules:', error);
+    });
+  }
+});
+
+configure().catch((error) => {
+  console.error('Error reading page rules:', error);
+});
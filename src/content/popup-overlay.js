@@ -63,6 +63,48 @@ async function getConfig() {
   });
 }
 
+/**
+ * Get the intervention settings in effect for a site
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object>} - Effective values (see getEffectiveSettings)
+ */
+async function getSiteSettings(domain) {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage({
+      action: 'getSiteSettings',
+      domain: domain
+    }, (response) => {
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else {
+        resolve((response.settings && response.settings.values) || {});
+      }
+    });
+  });
+}
+
+/**
+ * Ask what an intervention on this page is about: the site, or its whole
+ * category
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>} - See getInterventionTarget, null when the
+ *   page's category has interventions switched off
+ */
+async function getInterventionTarget(url) {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage({
+      action: 'getInterventionTarget',
+      url: url
+    }, (response) => {
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else {
+        resolve(response.target || null);
+      }
+    });
+  });
+}
+
 /**
  * Snooze popups for a duration
  * @param {number} duration - Duration in milliseconds
@@ -76,6 +118,29 @@ async function snoozePopups(duration) {
   });
 }
 
+/**
+ * Stop tracking the current page for a while
+ * @param {number} minutes
+ * @returns {Promise<Object>} - The temporary page rule
+ */
+async function allowPage(minutes) {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage({
+      action: 'allowPageTemporarily',
+      url: window.location.href,
+      minutes: minutes
+    }, (response) => {
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else if (!response || response.error) {
+        reject(new Error((response && response.error) || 'No response'));
+      } else {
+        resolve(response.rule);
+      }
+    });
+  });
+}
+
 /**
  * Create and show popup overlay
  * @param {string} domain - Domain name
@@ -88,6 +153,21 @@ export async function showPopup(domain, timeSpent) {
   }
   
   try {
+    // The site may be set to notifications only, or to no interventions
+    const settings = await getSiteSettings(domain);
+    if (settings.interventionType && settings.interventionType !== 'popup') {
+      return;
+    }
+    
+    // The category may want no nudges, or one about its total instead
+    const target = await getInterventionTarget(window.location.href);
+    if (!target) {
+      return;
+    }
+    const stats = target.scope === 'category'
+      ? `${formatTime(target.timeSpent)} on ${target.name} today${target.limit > 0 ? ` (limit ${formatTime(target.limit)})` : ''}`
+      : `${formatTime(timeSpent)} on ${domain}`;
+    
     // Generate message via background script
     const messageData = await requestMessage(domain, timeSpent);
     
@@ -96,6 +176,7 @@ export async function showPopup(domain, timeSpent) {
     const duration = (config.popupDuration || 30000);
     const position = config.popupPosition || 'top-right';
     const snoozeDuration = config.snoozeDuration || 5 * 60 * 1000;
+    const allowMinutes = Math.floor((config.allowPageDuration || 30 * 60 * 1000) / 60000);
     
     // Create popup element
     const popup = document.createElement('div');
@@ -122,7 +203,7 @@ export async function showPopup(domain, timeSpent) {
         <div class="shame-clock-popup-body">
           <p class="shame-clock-popup-message">${escapeHtml(messageData.message || 'You\'ve been here a while. Time to refocus!')}</p>
           <div class="shame-clock-popup-stats">
-            <span class="shame-clock-popup-time">⏱️ ${formatTime(timeSpent)} on ${escapeHtml(domain)}</span>
+            <span class="shame-clock-popup-time">⏱️ ${escapeHtml(stats)}</span>
           </div>
         </div>
         <div class="shame-clock-popup-footer">
@@ -136,6 +217,9 @@ export async function showPopup(domain, timeSpent) {
             Dismiss
           </button>
         </div>
+        <button class="shame-clock-popup-allow" data-action="allow" title="Stops tracking this page only. It's logged on your dashboard.">
+          This page is work: allow it for ${allowMinutes} min
+        </button>
         <div class="shame-clock-popup-timer">
           <div class="shame-clock-popup-timer-bar" style="animation-duration: ${duration}ms;"></div>
         </div>
@@ -161,6 +245,7 @@ export async function showPopup(domain, timeSpent) {
     const productiveBtn = popup.querySelector('[data-action="productive"]');
     const snoozeBtn = popup.querySelector('[data-action="snooze"]');
     const dismissBtn = popup.querySelector('[data-action="dismiss"]');
+    const allowBtn = popup.querySelector('[data-action="allow"]');
     
     closeBtn.addEventListener('click', () => {
       removePopup();
@@ -197,6 +282,18 @@ export async function showPopup(domain, timeSpent) {
       });
     });
     
+    allowBtn.addEventListener('click', async () => {
+      allowBtn.disabled = true;
+      try {
+        await allowPage(allowMinutes);
+        removePopup();
+      } catch (error) {
+        console.error('Error allowing page:', error);
+        allowBtn.disabled = false;
+        allowBtn.textContent = 'Couldn\'t allow this page';
+      }
+    });
+    
     // Close on escape key
     const escapeHandler = (e) => {
       if (e.key === 'Escape') {
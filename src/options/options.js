@@ -5,15 +5,72 @@ import {
   getUserSites, 
   saveUserSites,
   getTimeData,
+  getAwayData,
   clearStorage,
   setStorageValue,
   getStorageValue
 } from '../utils/storage.js';
 import { DEFAULT_CONFIG, STORAGE_KEYS } from '../utils/config.js';
 import { getAllPersonas } from '../ai/personas.js';
-import { refreshSites } from '../utils/site-matcher.js';
+import { refreshSites, getAllTrackedSites, parseSiteEntry, getSiteEntryError, normalizeUserSite } from '../utils/site-matcher.js';
 import { addTooltip, createHelpIcon, showSuccess, showError, showLoading, hideLoading, createEmptyState } from '../utils/ui-helpers.js';
 import { getAllPresets, applyPreset, detectPreset, PresetType } from '../utils/presets.js';
+import { getTodayKey, shiftDateKey, dateKeyToDate, getWallClock, isValidTimeZone, getSystemTimeZone } from '../utils/date-keys.js';
+import { getProductivityScore, getCategoryBreakdown, getAllowanceSummary, TimePeriod } from '../utils/analytics.js';
+import {
+  getCategoryConfig,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  assignSiteCategory,
+  InterventionScope,
+  CATEGORIES_KEY
+} from '../utils/categories.js';
+import { parseBlocklist, importBlocklist, exportBlocklist, BlocklistFormat } from '../utils/blocklist.js';
+import { getSiteOverrides, setSiteOverride, clearSiteOverride, getEffectiveSettings, SettingSource } from '../utils/site-overrides.js';
+import { getRetentionPolicy } from '../utils/retention.js';
+import {
+  getSiteSuggestions,
+  getSuggestionPreferences,
+  setSuggestionsEnabled,
+  dismissSuggestion,
+  snoozeSuggestion,
+  hasHistoryAccess,
+  SuggestionReason,
+  SNOOZE_DAYS
+} from '../utils/site-suggestions.js';
+import { describeTrace } from '../utils/url-explainer.js';
+import {
+  getPageRules,
+  savePageRules,
+  addPageRule,
+  updatePageRule,
+  deletePageRule,
+  exportRules,
+  importRules,
+  compareRules,
+  findRuleConflicts,
+  isRuleExpired,
+  RuleType,
+  RuleField,
+  MatchType
+} from '../utils/page-rules.js';
+import {
+  getSchedulerConfig,
+  addSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleTimeZone,
+  ScheduleAction
+} from '../utils/scheduler.js';
+import { describeRecurrence, getRecurrenceError, getNextOccurrenceDate } from '../utils/recurrence.js';
+import { getWeekSimulation, describeSegment, TimelineSource } from '../utils/schedule-simulator.js';
+import {
+  parseCalendar,
+  importCalendarSchedules,
+  getCalendarMappings,
+  EventStatus
+} from '../utils/ics-import.js';
 
 // Browser API abstraction - ensure it's always available
 function getBrowserAPI() {
@@ -31,6 +88,11 @@ const browserAPI = getBrowserAPI();
 
 let defaultSites = [];
 let userSites = [];
+let categoryConfig = { categories: [], assignments: {} };
+let blocklistPreview = null;
+let calendarText = null;
+let calendarPreview = null;
+let simulatedWeek = null;
 let personas = [];
 let currentOnboardingStep = 0;
 const totalOnboardingSteps = 5;
@@ -76,9 +138,12 @@ async function init() {
   await checkOnboarding();
   setupEventListeners();
   renderDashboard();
+  renderCorrections();
   renderSites();
   renderPersonas();
   renderSettings();
+  renderOverrides();
+  renderPageRules();
   renderGoals();
   renderSchedule();
   renderFocusStats();
@@ -164,6 +229,9 @@ async function loadData() {
   // Load user sites
   userSites = await getUserSites();
   
+  // Load categories
+  categoryConfig = await getCategoryConfig();
+  
   // Load personas
   personas = await getAllPersonas();
   
@@ -201,6 +269,88 @@ function setupEventListeners() {
     showStatus('Dashboard refreshed', 'success');
   });
   
+  // Per-site overrides
+  document.getElementById('override-site').addEventListener('change', (e) => renderOverrideForm(e.target.value));
+  document.getElementById('save-override-btn').addEventListener('click', saveOverride);
+  document.getElementById('clear-override-btn').addEventListener('click', clearOverride);
+  
+  // Blocklist import/export
+  document.getElementById('blocklist-file-btn').addEventListener('click', () => {
+    document.getElementById('blocklist-file-input').click();
+  });
+  document.getElementById('blocklist-file-input').addEventListener('change', loadBlocklistFile);
+  document.getElementById('blocklist-preview-btn').addEventListener('click', previewBlocklist);
+  document.getElementById('blocklist-import-btn').addEventListener('click', importBlocklistEntries);
+  document.getElementById('export-blocklist-btn').addEventListener('click', exportSiteList);
+  
+  // Site suggestions
+  document.getElementById('suggestions-enabled').addEventListener('change', (e) => toggleSuggestions(e.target.checked));
+  document.getElementById('suggestions-history').addEventListener('change', (e) => toggleHistoryAccess(e.target.checked));
+  
+  // Page rules
+  document.getElementById('page-rules-enabled').addEventListener('change', async (e) => {
+    const config = await getPageRules();
+    await savePageRules({ ...config, enabled: e.target.checked });
+    renderPageRules();
+  });
+  document.getElementById('add-rule-btn').addEventListener('click', addRule);
+  document.getElementById('new-rule-field').addEventListener('change', updateRuleFormHints);
+  document.getElementById('new-rule-match').addEventListener('change', updateRuleFormHints);
+  document.getElementById('export-rules-btn').addEventListener('click', exportPageRules);
+  document.getElementById('import-rules-btn').addEventListener('click', () => {
+    document.getElementById('import-rules-input').click();
+  });
+  document.getElementById('import-rules-input').addEventListener('change', importPageRules);
+  
+  // Week preview
+  document.getElementById('sim-prev-week').addEventListener('click', () => renderWeekPreview(-7));
+  document.getElementById('sim-next-week').addEventListener('click', () => renderWeekPreview(7));
+  document.getElementById('schedule-sim-grid').addEventListener('click', (e) => {
+    const block = e.target.closest('button[data-day]');
+    if (block) showSimulatedSegment(Number(block.dataset.day), Number(block.dataset.segment));
+  });
+  
+  // Schedule timezone
+  document.getElementById('follow-system-timezone').addEventListener('change', updateTimezoneHint);
+  document.getElementById('schedule-timezone').addEventListener('input', updateTimezoneHint);
+  
+  // Custom schedules and calendar import
+  document.getElementById('add-schedule-btn').addEventListener('click', addCustomSchedule);
+  ['new-schedule-action', 'new-schedule-repeat', 'new-schedule-date', 'new-schedule-rrule'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateScheduleFormHints);
+  });
+  document.getElementById('add-calendar-mapping-btn').addEventListener('click', () => {
+    renderCalendarMappings([...readCalendarMappings(), { keyword: '', action: ScheduleAction.DISABLE_POPUPS, thresholdMultiplier: 1 }]);
+  });
+  document.getElementById('calendar-file-btn').addEventListener('click', () => {
+    document.getElementById('calendar-file-input').click();
+  });
+  document.getElementById('calendar-file-input').addEventListener('change', loadCalendarFile);
+  document.getElementById('calendar-import-btn').addEventListener('click', importCalendarEvents);
+  
+  // URL tester
+  document.getElementById('test-url-btn').addEventListener('click', testUrl);
+  document.getElementById('test-url-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      testUrl();
+    }
+  });
+  
+  // Categories
+  document.getElementById('add-category-btn').addEventListener('click', addCategory);
+  document.getElementById('new-category-name').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      addCategory();
+    }
+  });
+  
+  // Time corrections
+  document.getElementById('correction-date').addEventListener('change', renderCorrections);
+  document.getElementById('save-correction-btn').addEventListener('click', saveCorrection);
+  
+  // Sync
+  document.getElementById('sync-now-btn').addEventListener('click', syncNow);
+  
   // Reset button
   document.getElementById('reset-btn').addEventListener('click', resetToDefaults);
   
@@ -242,6 +392,15 @@ function setupEventListeners() {
   document.getElementById('goal-type').addEventListener('change', (e) => {
     const siteRow = document.getElementById('goal-site-row');
     siteRow.style.display = e.target.value === 'site_limit' ? 'flex' : 'none';
+    document.getElementById('goal-category-row').style.display = e.target.value === 'category_limit' ? 'flex' : 'none';
+    
+    // Score goals are a minimum score, not a time limit
+    const isScore = e.target.value === 'productivity_score';
+    const targetInput = document.getElementById('goal-target');
+    document.getElementById('goal-target-label').textContent = isScore ? 'Minimum Score (0-100)' : 'Time Limit (minutes)';
+    targetInput.min = isScore ? 1 : 5;
+    targetInput.max = isScore ? 100 : 480;
+    targetInput.value = isScore ? 70 : 60;
   });
   
   document.getElementById('add-goal-btn').addEventListener('click', addGoal);
@@ -314,6 +473,8 @@ function switchTab(tabName) {
     updateFocusSessionUI();
   } else if (tabName === 'schedule') {
     renderSchedule();
+  } else if (tabName === 'privacy') {
+    renderSyncStatus();
   }
 }
 
@@ -345,14 +506,13 @@ function formatTimeShort(ms) {
 // Get weekly stats
 async function getWeeklyStats() {
   const timeData = await getTimeData();
-  const today = new Date();
+  const todayKey = await getTodayKey();
   const weeklyStats = [];
   
   // Get last 7 days
   for (let i = 6; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateKey = date.toISOString().split('T')[0];
+    const dateKey = shiftDateKey(todayKey, -i);
+    const date = dateKeyToDate(dateKey);
     
     const dayData = timeData[dateKey] || {};
     let totalTime = 0;
@@ -367,6 +527,7 @@ async function getWeeklyStats() {
       dateKey: dateKey,
       date: dateKey,
       dateObj: date,
+      isToday: dateKey === todayKey,
       totalTime: totalTime,
       siteCount: siteCount,
       formatted: formatTimeShort(totalTime)
@@ -376,6 +537,133 @@ async function getWeeklyStats() {
   return weeklyStats;
 }
 
+// Bucket display names keyed by domain, then bucket id
+async function getBucketNames() {
+  const names = {};
+  for (const site of await getAllTrackedSites()) {
+    for (const bucket of site.buckets || []) {
+      if (!names[site.domain]) {
+        names[site.domain] = {};
+      }
+      names[site.domain][bucket.id] = bucket.name;
+    }
+  }
+  return names;
+}
+
+// Per-bucket and background media breakdown shown under a dashboard site
+function renderBucketBreakdown(stat, bucketNames) {
+  const buckets = stat.buckets || [];
+  const parts = [];
+  
+  if (buckets.length > 0) {
+    const names = bucketNames[stat.domain] || {};
+    const bucketTotal = buckets.reduce((sum, b) => sum + b.timeSpent, 0);
+    const other = stat.timeSpent - (stat.otherDevices || 0) - bucketTotal;
+    
+    parts.push(...buckets.map(b => `
+      <span class="dashboard-bucket">${escapeHtml(names[b.bucket] || b.bucket)} <strong>${formatTimeShort(b.timeSpent)}</strong></span>
+    `));
+    if (other >= 60000) {
+      parts.push(`<span class="dashboard-bucket">Other <strong>${formatTimeShort(other)}</strong></span>`);
+    }
+  }
+  
+  // Synced time has no bucket or media detail, so it gets a part of its own
+  if (stat.otherDevices >= 60000) {
+    parts.push(`<span class="dashboard-bucket">Other devices <strong>${formatTimeShort(stat.otherDevices)}</strong></span>`);
+  }
+  
+  // Included in the site total above, shown so it isn't mistaken for focus time
+  if (stat.backgroundMedia >= 60000) {
+    parts.push(`<span class="dashboard-bucket">Background media <strong>${formatTimeShort(stat.backgroundMedia)}</strong></span>`);
+  }
+  
+  return parts.length > 0 ? `<div class="dashboard-item-buckets">${parts.join('')}</div>` : '';
+}
+
+// Today's productivity score and productive/neutral/distracting split
+async function renderProductivitySummary() {
+  const summary = document.getElementById('dashboard-productivity');
+  const productivity = await getProductivityScore(TimePeriod.TODAY);
+  const total = productivity.productive + productivity.neutral + productivity.distracting;
+  
+  if (total === 0) {
+    summary.style.display = 'none';
+    return;
+  }
+  
+  summary.style.display = 'flex';
+  document.getElementById('dashboard-productivity-score').textContent = productivity.formatted.score;
+  document.getElementById('dashboard-productive-bar').style.width = `${(productivity.productive / total) * 100}%`;
+  document.getElementById('dashboard-neutral-bar').style.width = `${(productivity.neutral / total) * 100}%`;
+  document.getElementById('dashboard-distracting-bar').style.width = `${(productivity.distracting / total) * 100}%`;
+  document.getElementById('dashboard-productivity-legend').textContent =
+    `Productive ${formatTimeShort(productivity.productive)} · Neutral ${formatTimeShort(productivity.neutral)} · Distracting ${formatTimeShort(productivity.distracting)}`;
+}
+
+// Today's time per site category
+async function renderCategoryBreakdown() {
+  const list = document.getElementById('dashboard-categories');
+  const breakdown = await getCategoryBreakdown(TimePeriod.TODAY);
+  
+  if (breakdown.categories.length === 0) {
+    list.innerHTML = '<p class="empty-hint">No activity tracked yet today.</p>';
+    return;
+  }
+  
+  list.innerHTML = breakdown.categories.map(category => `
+    <div class="category-breakdown-item ${category.enabled ? '' : 'disabled'}">
+      <span class="category-swatch" style="background: ${escapeHtml(category.color)}"></span>
+      <span class="category-breakdown-name">${escapeHtml(category.name)}</span>
+      <div class="category-breakdown-bar">
+        <div class="category-breakdown-fill" style="width: ${category.percentage}%; background: ${escapeHtml(category.color)}"></div>
+      </div>
+      <span class="category-breakdown-time">${formatTimeShort(category.totalTime)}</span>
+    </div>
+  `).join('');
+}
+
+// Render the temporary allowances of the last 30 days
+async function renderAllowanceSummary() {
+  const container = document.getElementById('dashboard-allowances');
+  const summary = await getAllowanceSummary(TimePeriod.LAST_30_DAYS);
+  
+  if (summary.count === 0) {
+    container.innerHTML = '<p class="empty-hint">No pages allowed in the last 30 days.</p>';
+    return;
+  }
+  
+  const busiest = summary.busiestDay && summary.busiestDay.count > 1
+    ? ` · Most in a day: ${summary.busiestDay.count} (${dateKeyToDate(summary.busiestDay.dateKey).toLocaleDateString([], { month: 'short', day: 'numeric' })})`
+    : '';
+  
+  container.innerHTML = `
+    <p class="allowance-totals">
+      ${summary.count} allowance${summary.count === 1 ? '' : 's'} · ${formatTimeShort(summary.minutes * 60000)} off the clock
+      ${summary.running > 0 ? ` · ${summary.running} running now` : ''}${busiest}
+    </p>
+    <div class="category-breakdown">
+      ${summary.byDomain.slice(0, 5).map(entry => `
+        <div class="category-breakdown-item">
+          <span class="category-breakdown-name">${escapeHtml(entry.domain)}</span>
+          <span class="allowance-count">${entry.count}×</span>
+          <span class="category-breakdown-time">${formatTimeShort(entry.minutes * 60000)}</span>
+        </div>
+      `).join('')}
+    </div>
+    <ul class="allowance-recent">
+      ${summary.recent.map(entry => `
+        <li>
+          <span class="allowance-page" title="${escapeHtml(entry.pattern)}">${escapeHtml(entry.pattern)}</span>
+          <span class="allowance-when">${new Date(entry.grantedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+            · ${Math.round((entry.expiresAt - entry.grantedAt) / 60000)} min${entry.endedAt !== null && entry.endedAt < entry.expiresAt ? ', ended early' : ''}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
 // Render dashboard
 async function renderDashboard() {
   try {
@@ -432,6 +720,21 @@ async function renderDashboard() {
       topSiteEl.textContent = '—';
     }
     
+    await renderProductivitySummary();
+    await renderCategoryBreakdown();
+    await renderAllowanceSummary();
+    
+    // Idle/locked time is kept out of the site totals above
+    const awayData = await getAwayData();
+    const awayToday = awayData[await getTodayKey()];
+    const awayEl = document.getElementById('dashboard-away-time');
+    if (awayToday && awayToday.total > 0) {
+      awayEl.textContent = `Away from the keyboard: ${formatTimeShort(awayToday.total)} (not counted above)`;
+      awayEl.style.display = 'block';
+    } else {
+      awayEl.style.display = 'none';
+    }
+    
     // Render sites list
     if (stats.length === 0) {
       const emptyState = createEmptyState({
@@ -446,6 +749,7 @@ async function renderDashboard() {
       sitesList.innerHTML = '';
       sitesList.appendChild(emptyState);
     } else {
+      const bucketNames = await getBucketNames();
       sitesList.innerHTML = stats.map((stat, index) => {
         const percentage = totalTimeMs > 0 ? Math.round((stat.timeSpent / totalTimeMs) * 100) : 0;
         const faviconUrl = `https://www.google.com/s2/favicons?domain=${stat.domain}&sz=32`;
@@ -458,6 +762,7 @@ async function renderDashboard() {
               <div class="dashboard-item-bar">
                 <div class="dashboard-item-progress" style="width: ${percentage}%"></div>
               </div>
+              ${renderBucketBreakdown(stat, bucketNames)}
             </div>
             <div class="dashboard-item-time">${stat.formatted}</div>
           </div>
@@ -496,10 +801,8 @@ async function renderDashboard() {
             const dayName = day.dateObj.toLocaleDateString('en-US', { weekday: 'short' });
             const dayNum = day.dateObj.getDate();
             const height = maxTime > 0 ? Math.round((day.totalTime / maxTime) * 100) : 0;
-            const isToday = day.dateKey === new Date().toISOString().split('T')[0];
-            
             return `
-              <div class="weekly-day ${isToday ? 'today' : ''}">
+              <div class="weekly-day ${day.isToday ? 'today' : ''}">
                 <div class="weekly-bar-container">
                   <div class="weekly-bar" style="height: ${Math.max(height, 2)}%">
                     <span class="weekly-bar-value">${day.formatted}</span>
@@ -536,6 +839,158 @@ async function renderDashboard() {
   }
 }
 
+// Render the time entries of the picked day and the correction history
+async function renderCorrections() {
+  const api = getBrowserAPI();
+  if (!api || !api.runtime) {
+    return;
+  }
+  
+  const dateInput = document.getElementById('correction-date');
+  const todayKey = await getTodayKey();
+  const { dailyDays } = getRetentionPolicy(await getConfig());
+  
+  // Rolled-up days no longer have day-by-day data to correct
+  dateInput.max = todayKey;
+  dateInput.min = dailyDays > 0 ? shiftDateKey(todayKey, -dailyDays) : '';
+  if (!dateInput.value) {
+    dateInput.value = todayKey;
+  }
+  const dateKey = dateInput.value;
+  
+  try {
+    const [entriesResponse, logResponse] = await Promise.all([
+      api.runtime.sendMessage({ action: 'getTimeEntries', dateKey }),
+      api.runtime.sendMessage({ action: 'getCorrectionLog', limit: 20 })
+    ]);
+    
+    const entries = entriesResponse.entries || [];
+    const entriesList = document.getElementById('correction-entries');
+    
+    if (entries.length === 0) {
+      entriesList.innerHTML = '<p class="correction-empty">No time recorded on this day.</p>';
+    } else {
+      entriesList.innerHTML = entries.map(entry => `
+        <div class="correction-item">
+          <span class="correction-item-domain">${escapeHtml(entry.domain)}</span>
+          <span class="correction-item-time">${formatTimeShort(entry.timeSpent)}${entry.otherDevices > 0 ? ` <span class="correction-item-synced">+ ${formatTimeShort(entry.otherDevices)} on other devices</span>` : ''}</span>
+          <button class="btn btn-secondary edit-entry-btn" data-domain="${escapeHtml(entry.domain)}" data-minutes="${Math.round(entry.timeSpent / 60000)}">Edit</button>
+          <button class="btn-remove delete-entry-btn" data-domain="${escapeHtml(entry.domain)}">Delete</button>
+        </div>
+      `).join('');
+    }
+    
+    entriesList.querySelectorAll('.edit-entry-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        document.getElementById('correction-domain').value = e.currentTarget.dataset.domain;
+        document.getElementById('correction-minutes').value = e.currentTarget.dataset.minutes;
+        document.getElementById('correction-minutes').focus();
+      });
+    });
+    
+    entriesList.querySelectorAll('.delete-entry-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        deleteCorrectionEntry(dateKey, e.currentTarget.dataset.domain);
+      });
+    });
+    
+    const corrections = logResponse.corrections || [];
+    const logList = document.getElementById('correction-log');
+    
+    if (corrections.length === 0) {
+      logList.innerHTML = '<p class="correction-empty">No corrections yet.</p>';
+    } else {
+      logList.innerHTML = corrections.map(entry => {
+        const day = dateKeyToDate(entry.dateKey).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        const change = entry.action === 'add'
+          ? `added ${formatTimeShort(entry.newValue)}`
+          : entry.action === 'delete'
+            ? `removed ${formatTimeShort(entry.previousValue)}`
+            : `${formatTimeShort(entry.previousValue)} → ${formatTimeShort(entry.newValue)}`;
+        
+        return `
+          <div>
+            ${day} · <strong>${escapeHtml(entry.domain)}</strong> ${change}
+            ${entry.note ? `<span class="correction-log-note">“${escapeHtml(entry.note)}”</span>` : ''}
+          </div>
+        `;
+      }).join('');
+    }
+  } catch (error) {
+    console.error('Error rendering time corrections:', error);
+  }
+}
+
+// Add or change the time of a domain on the picked day
+async function saveCorrection() {
+  const dateKey = document.getElementById('correction-date').value;
+  const domain = document.getElementById('correction-domain').value.trim();
+  const minutes = parseInt(document.getElementById('correction-minutes').value);
+  const note = document.getElementById('correction-note').value.trim();
+  
+  if (!domain) {
+    showStatus('Enter a domain', 'error');
+    return;
+  }
+  if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+    showStatus('Minutes must be between 1 and 1440', 'error');
+    return;
+  }
+  
+  const api = getBrowserAPI();
+  if (!api || !api.runtime) {
+    showStatus('Browser API not available', 'error');
+    return;
+  }
+  
+  const response = await api.runtime.sendMessage({
+    action: 'setTimeEntry',
+    dateKey,
+    domain,
+    timeSpent: minutes * 60 * 1000,
+    note
+  });
+  
+  if (response.error) {
+    showStatus(response.error, 'error');
+    return;
+  }
+  
+  document.getElementById('correction-domain').value = '';
+  document.getElementById('correction-minutes').value = '';
+  document.getElementById('correction-note').value = '';
+  
+  renderCorrections();
+  renderDashboard();
+  showStatus('Time saved', 'success');
+}
+
+// Remove all time of a domain on a day
+async function deleteCorrectionEntry(dateKey, domain) {
+  if (!confirm(`Remove all time on ${domain} for this day?`)) {
+    return;
+  }
+  
+  const api = getBrowserAPI();
+  if (!api || !api.runtime) {
+    showStatus('Browser API not available', 'error');
+    return;
+  }
+  
+  const note = document.getElementById('correction-note').value.trim();
+  const response = await api.runtime.sendMessage({ action: 'deleteTimeEntry', dateKey, domain, note });
+  
+  if (response.error) {
+    showStatus(response.error, 'error');
+    return;
+  }
+  
+  document.getElementById('correction-note').value = '';
+  renderCorrections();
+  renderDashboard();
+  showStatus('Time removed', 'success');
+}
+
 // Render goals
 async function renderGoals() {
   try {
@@ -552,14 +1007,30 @@ async function renderGoals() {
     const siteSelect = document.getElementById('goal-site');
     siteSelect.innerHTML = '<option value="">Select a site...</option>';
     
-    const allSites = [...defaultSites.filter(s => s.enabled), ...userSites.map(s => ({ domain: s, name: s }))];
+    const allSites = (await getAllTrackedSites()).filter(s => s.enabled);
     allSites.forEach(site => {
       const option = document.createElement('option');
       option.value = site.domain;
       option.textContent = site.name || site.domain;
       siteSelect.appendChild(option);
+      
+      // Buckets can have their own limit, e.g. YouTube Shorts
+      (site.buckets || []).forEach(bucket => {
+        const bucketOption = document.createElement('option');
+        bucketOption.value = site.domain;
+        bucketOption.dataset.bucket = bucket.id;
+        bucketOption.textContent = `${site.name || site.domain} › ${bucket.name}`;
+        siteSelect.appendChild(bucketOption);
+      });
     });
     
+    // Populate category dropdown for category goals
+    const categorySelect = document.getElementById('goal-category');
+    categorySelect.innerHTML = '<option value="">Select a category...</option>' +
+      categoryConfig.categories.map(category =>
+        `<option value="${escapeHtml(category.id)}">${escapeHtml(category.name)}</option>`
+      ).join('');
+    
     if (goalsData.goals.length === 0) {
       goalsList.innerHTML = `
         <div class="empty-state">
@@ -587,7 +1058,9 @@ async function renderGoals() {
           <div class="goal-item-header">
             <div class="goal-item-info">
               <h4>${escapeHtml(goal.name)}</h4>
-              <p>${goal.domain ? escapeHtml(goal.domain) : 'All tracked sites'} • ${goal.target} min ${goal.type === 'weekly_limit' ? '/ week' : '/ day'}</p>
+              <p>${goal.type === 'productivity_score'
+                ? `Score of at least ${goal.target} / day`
+                : `${describeGoalTarget(goal)} • ${goal.target} min ${goal.type === 'weekly_limit' ? '/ week' : '/ day'}`}</p>
             </div>
             <button class="btn-icon delete-goal-btn" data-goal-id="${goal.id}" title="Delete goal">
               <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -627,19 +1100,39 @@ async function renderGoals() {
   }
 }
 
+// What a time limit goal counts, for the goal list
+function describeGoalTarget(goal) {
+  if (goal.category) {
+    const category = categoryConfig.categories.find(c => c.id === goal.category);
+    return `Category: ${escapeHtml(category ? category.name : goal.category)}`;
+  }
+  if (goal.domain) {
+    return escapeHtml(goal.domain + (goal.bucket ? ' › ' + goal.bucket : ''));
+  }
+  return 'All distracting sites';
+}
+
 // Add goal
 async function addGoal() {
   const type = document.getElementById('goal-type').value;
   const target = parseInt(document.getElementById('goal-target').value);
   const name = document.getElementById('goal-name').value.trim();
-  const site = document.getElementById('goal-site').value;
+  const siteSelect = document.getElementById('goal-site');
+  const site = siteSelect.value;
+  const bucket = siteSelect.selectedOptions[0]?.dataset.bucket || null;
+  const category = document.getElementById('goal-category').value;
   
   if (!name) {
     showStatus('Please enter a goal name', 'error');
     return;
   }
   
-  if (target < 5 || target > 480) {
+  if (type === 'productivity_score') {
+    if (!(target >= 1 && target <= 100)) {
+      showStatus('Score must be between 1 and 100', 'error');
+      return;
+    }
+  } else if (target < 5 || target > 480) {
     showStatus('Target must be between 5 and 480 minutes', 'error');
     return;
   }
@@ -649,6 +1142,11 @@ async function addGoal() {
     return;
   }
   
+  if (type === 'category_limit' && !category) {
+    showStatus('Please select a category', 'error');
+    return;
+  }
+  
   try {
     const api = getBrowserAPI();
     if (!api || !api.runtime) {
@@ -661,7 +1159,9 @@ async function addGoal() {
         type,
         target,
         name,
-        domain: type === 'site_limit' ? site : null
+        domain: type === 'site_limit' ? site : null,
+        bucket: type === 'site_limit' ? bucket : null,
+        category: type === 'category_limit' ? category : null
       }
     });
     
@@ -680,18 +1180,7 @@ async function addGoal() {
 // Render schedule settings
 async function renderSchedule() {
   try {
-    const schedulerConfig = await getStorageValue('schedulerConfig');
-    const config = schedulerConfig || {
-      quickSettings: {
-        quietHoursEnabled: false,
-        quietHoursStart: '22:00',
-        quietHoursEnd: '08:00',
-        workHoursEnabled: false,
-        workHoursStart: '09:00',
-        workHoursEnd: '17:00',
-        weekendMode: false
-      }
-    };
+    const config = await getSchedulerConfig();
     
     document.getElementById('quiet-hours-enabled').checked = config.quickSettings.quietHoursEnabled;
     document.getElementById('quiet-hours-start').value = config.quickSettings.quietHoursStart;
@@ -700,11 +1189,402 @@ async function renderSchedule() {
     document.getElementById('work-hours-start').value = config.quickSettings.workHoursStart;
     document.getElementById('work-hours-end').value = config.quickSettings.workHoursEnd;
     document.getElementById('weekend-mode').checked = config.quickSettings.weekendMode;
+    
+    document.getElementById('follow-system-timezone').checked = config.followSystemTimezone !== false;
+    document.getElementById('schedule-timezone').value = getScheduleTimeZone(config);
+    const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    document.getElementById('timezone-options').innerHTML = timeZones.map(zone => `<option value="${zone}">`).join('');
+    updateTimezoneHint();
+    
+    await renderCustomSchedules();
+    renderCalendarMappings(await getCalendarMappings());
   } catch (error) {
     console.error('Error rendering schedule:', error);
   }
 }
 
+// Show the time in the chosen timezone; its input only matters when not
+// following the system
+function updateTimezoneHint() {
+  const follow = document.getElementById('follow-system-timezone').checked;
+  const input = document.getElementById('schedule-timezone');
+  const hint = document.getElementById('schedule-timezone-hint');
+  input.disabled = follow;
+  
+  const zone = follow ? getSystemTimeZone() : input.value.trim();
+  if (!follow && !isValidTimeZone(zone)) {
+    hint.textContent = 'Unknown timezone; pick one from the list, e.g. Europe/Berlin.';
+    return;
+  }
+  const { minutes } = getWallClock(Date.now(), zone);
+  const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  hint.textContent = follow
+    ? `Following this computer (${zone}), where it is ${time}.`
+    : `Schedules run on ${zone} time; it is ${time} there.`;
+}
+
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Say what a schedule does, e.g. 'Thresholds ×0.5'
+function describeScheduleAction(schedule) {
+  if (schedule.action === ScheduleAction.ADJUST_THRESHOLD) {
+    return `Thresholds ×${schedule.thresholdMultiplier}`;
+  }
+  return schedule.action === ScheduleAction.BLOCK_TRACKING ? 'Tracking paused' : 'No popups';
+}
+
+// Say when a schedule happens, e.g. 'Mon, Fri · 09:00–11:00'
+function describeScheduleTimes(schedule) {
+  const repeats = schedule.recurrence
+    ? describeRecurrence(schedule.recurrence)
+    : [1, 2, 3, 4, 5, 6, 0].filter(day => schedule.days.includes(day)).map(day => SCHEDULE_DAY_NAMES[day]).join(', ') || 'No days';
+  const multiDay = schedule.duration > 24 * 60
+    ? ` (${Math.round(schedule.duration / 60 / 24 * 10) / 10} days)`
+    : '';
+  return `${repeats} · ${schedule.startTime}–${schedule.endTime}${multiDay}`;
+}
+
+// Render the custom schedules with their next date, and the week
+// preview they feed
+async function renderCustomSchedules() {
+  renderWeekPreview();
+  const config = await getSchedulerConfig();
+  const { schedules } = config;
+  const list = document.getElementById('custom-schedule-list');
+  
+  if (schedules.length === 0) {
+    list.innerHTML = '<p class="empty-hint">No custom schedules yet.</p>';
+    return;
+  }
+  
+  const today = getWallClock(Date.now(), getScheduleTimeZone(config)).dateKey;
+  list.innerHTML = schedules.map(schedule => {
+    const next = schedule.recurrence ? getNextOccurrenceDate(schedule.recurrence, today) : null;
+    const nextText = next
+      ? `Next: ${dateKeyToDate(next).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}`
+      : 'No dates left';
+    return `
+      <div class="site-item" data-schedule-id="${escapeHtml(schedule.id)}">
+        <div class="site-item-info">
+          <span class="site-item-name">${escapeHtml(schedule.name)}</span>
+          <span class="site-item-domain">
+            ${escapeHtml(describeScheduleAction(schedule))} · ${escapeHtml(describeScheduleTimes(schedule))}${schedule.calendarUid ? ' · From calendar' : ''}
+          </span>
+          ${schedule.recurrence ? `<span class="schedule-next ${next ? '' : 'over'}">${nextText}</span>` : ''}
+        </div>
+        <div class="site-item-actions">
+          ${next ? '<button class="btn-link" data-action="skip" title="Skip the next date only">Skip next</button>' : ''}
+          <label class="toggle-modern">
+            <input type="checkbox" data-field="enabled" ${schedule.enabled ? 'checked' : ''}>
+            <span class="toggle-switch-modern"></span>
+          </label>
+          <button class="btn-remove" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('[data-schedule-id]').forEach(item => {
+    const scheduleId = item.dataset.scheduleId;
+    const schedule = schedules.find(s => s.id === scheduleId);
+    item.querySelector('[data-field="enabled"]').addEventListener('change', (e) => {
+      saveScheduleChange(scheduleId, { enabled: e.target.checked }, e.target.checked ? 'Schedule on' : 'Schedule off');
+    });
+    item.querySelector('[data-action="skip"]')?.addEventListener('click', () => {
+      const next = getNextOccurrenceDate(schedule.recurrence, today);
+      saveScheduleChange(scheduleId, {
+        recurrence: { ...schedule.recurrence, exdates: [...schedule.recurrence.exdates, next] }
+      }, `Skipping ${dateKeyToDate(next).toLocaleDateString([], { month: 'short', day: 'numeric' })}`);
+    });
+    item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+      await deleteSchedule(scheduleId);
+      renderCustomSchedules();
+      showStatus('Schedule deleted', 'success');
+    });
+  });
+}
+
+// Apply an edit made in the schedule list
+async function saveScheduleChange(scheduleId, updates, message) {
+  try {
+    await updateSchedule(scheduleId, updates);
+    showStatus(message, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+  renderCustomSchedules();
+}
+
+// Colour a simulated segment by its strongest effect
+function getSegmentClass(segment) {
+  if (segment.trackingBlocked) return 'sim-paused';
+  if (segment.popupsSuppressed) return 'sim-silent';
+  if (segment.multiplier < 1) return 'sim-strict';
+  if (segment.multiplier > 1) return 'sim-lenient';
+  return 'sim-normal';
+}
+
+// 'HH:MM' of a moment on the schedule clock
+function formatScheduleTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: simulatedWeek.timeZone
+  });
+}
+
+// Render the week preview grid; `shift` moves it by that many days
+async function renderWeekPreview(shift = 0) {
+  try {
+    const config = await getSchedulerConfig();
+    const timeZone = getScheduleTimeZone(config);
+    const today = getWallClock(Date.now(), timeZone);
+    const weekStart = simulatedWeek
+      ? shiftDateKey(simulatedWeek.weekStart, shift)
+      : shiftDateKey(today.dateKey, -((today.weekday + 6) % 7));
+    simulatedWeek = { weekStart, timeZone, schedules: config.schedules, days: await getWeekSimulation(weekStart) };
+    
+    const { days } = simulatedWeek;
+    const formatDay = (key, options) => dateKeyToDate(key).toLocaleDateString([], options);
+    document.getElementById('sim-week-label').textContent =
+      `${formatDay(days[0].dateKey, { month: 'short', day: 'numeric' })} – ${formatDay(days[6].dateKey, { month: 'short', day: 'numeric' })} (${timeZone})`;
+    
+    const header = days.map(day => `
+      <div class="schedule-sim-day-name${day.dateKey === today.dateKey ? ' today' : ''}">${formatDay(day.dateKey, { weekday: 'short', day: 'numeric' })}</div>
+    `).join('');
+    const columns = days.map((day, dayIndex) => `
+      <div class="schedule-sim-day">
+        ${day.timeline.map((segment, index) => `
+          <button class="${getSegmentClass(segment)}" data-day="${dayIndex}" data-segment="${index}" style="flex-grow: ${segment.end - segment.start}"
+            title="${formatScheduleTime(segment.start)}–${formatScheduleTime(segment.end)}: ${escapeHtml(describeSegment(segment))}"></button>
+        `).join('')}
+      </div>
+    `).join('');
+    
+    document.getElementById('schedule-sim-grid').innerHTML = `
+      <div></div>${header}
+      <div class="schedule-sim-hours"><span>00:00</span><span>06:00</span><span>12:00</span><span>18:00</span><span>24:00</span></div>
+      ${columns}
+    `;
+    document.getElementById('schedule-sim-detail').textContent = 'Click a block for details.';
+  } catch (error) {
+    console.error('Error rendering week preview:', error);
+  }
+}
+
+// Explain one block of the week preview
+function showSimulatedSegment(dayIndex, segmentIndex) {
+  const day = simulatedWeek.days[dayIndex];
+  const segment = day.timeline[segmentIndex];
+  
+  document.querySelectorAll('#schedule-sim-grid button.selected').forEach(block => block.classList.remove('selected'));
+  document.querySelector(`#schedule-sim-grid button[data-day="${dayIndex}"][data-segment="${segmentIndex}"]`).classList.add('selected');
+  
+  const sources = segment.sources.map(source => {
+    if (source.type === TimelineSource.SCHEDULE) {
+      const schedule = simulatedWeek.schedules.find(item => item.id === source.id);
+      return `${source.name} (${describeScheduleAction(schedule)})`;
+    }
+    if (source.type === TimelineSource.QUIET_HOURS) return 'Quiet hours (no popups)';
+    return source.type === TimelineSource.WORK_HOURS ? 'Work hours (stricter)' : 'Weekend mode (more lenient)';
+  });
+  const when = `${dateKeyToDate(day.dateKey).toLocaleDateString([], { weekday: 'long' })} ${formatScheduleTime(segment.start)}–${formatScheduleTime(segment.end)}`;
+  document.getElementById('schedule-sim-detail').textContent = sources.length > 0
+    ? `${when}: ${describeSegment(segment)}, from ${sources.join(', ')}`
+    : `${when}: ${describeSegment(segment)}; nothing is scheduled`;
+}
+
+// Read the recurrence the schedule form describes; without a date it
+// starts today
+function getScheduleFormRecurrence() {
+  const repeat = document.getElementById('new-schedule-repeat').value;
+  if (repeat === 'weekly') {
+    return null;
+  }
+  return {
+    dtstart: document.getElementById('new-schedule-date').value || getWallClock(Date.now()).dateKey,
+    rrule: repeat === 'rule' ? document.getElementById('new-schedule-rrule').value.trim() : null
+  };
+}
+
+// Show the inputs the chosen repeat needs and describe the rule as typed
+function updateScheduleFormHints() {
+  const repeat = document.getElementById('new-schedule-repeat').value;
+  document.getElementById('new-schedule-multiplier').style.display =
+    document.getElementById('new-schedule-action').value === ScheduleAction.ADJUST_THRESHOLD ? '' : 'none';
+  document.getElementById('new-schedule-days').style.display = repeat === 'weekly' ? '' : 'none';
+  document.getElementById('new-schedule-date').style.display = repeat === 'weekly' ? 'none' : '';
+  document.getElementById('new-schedule-rrule').style.display = repeat === 'rule' ? '' : 'none';
+  
+  const preview = document.getElementById('new-schedule-preview');
+  const recurrence = getScheduleFormRecurrence();
+  if (!recurrence || (repeat === 'rule' && !recurrence.rrule)) {
+    preview.style.display = 'none';
+    return;
+  }
+  
+  const error = getRecurrenceError(recurrence);
+  preview.textContent = error ? `⚠ ${error}` : describeRecurrence(recurrence);
+  preview.style.display = '';
+}
+
+// Add a custom schedule from the form
+async function addCustomSchedule() {
+  const name = document.getElementById('new-schedule-name');
+  const action = document.getElementById('new-schedule-action').value;
+  const startTime = document.getElementById('new-schedule-start').value;
+  const endTime = document.getElementById('new-schedule-end').value;
+  const recurrence = getScheduleFormRecurrence();
+  const days = [...document.querySelectorAll('#new-schedule-days input:checked')].map(input => parseInt(input.value));
+  
+  if (!name.value.trim()) {
+    showStatus('Give the schedule a name', 'error');
+    return;
+  }
+  if (!recurrence && days.length === 0) {
+    showStatus('Pick at least one day', 'error');
+    return;
+  }
+  if (recurrence && recurrence.rrule === '') {
+    showStatus('Enter a rule, or pick one from the suggestions', 'error');
+    return;
+  }
+  
+  try {
+    await addSchedule({
+      name: name.value.trim(),
+      action,
+      thresholdMultiplier: action === ScheduleAction.ADJUST_THRESHOLD
+        ? parseFloat(document.getElementById('new-schedule-multiplier').value) || 1
+        : 1,
+      startTime,
+      endTime,
+      ...(recurrence ? { days: [], recurrence } : { days })
+    });
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  name.value = '';
+  document.getElementById('new-schedule-rrule').value = '';
+  updateScheduleFormHints();
+  renderCustomSchedules();
+  showStatus('Schedule added', 'success');
+}
+
+// Render the title-to-action mappings of the calendar importer
+function renderCalendarMappings(mappings) {
+  const actionOptions = action => [
+    [ScheduleAction.DISABLE_POPUPS, 'no popups'],
+    [ScheduleAction.ADJUST_THRESHOLD, 'change thresholds'],
+    [ScheduleAction.BLOCK_TRACKING, 'pause tracking']
+  ].map(([value, label]) => `<option value="${value}" ${value === action ? 'selected' : ''}>${label}</option>`).join('');
+  
+  const container = document.getElementById('calendar-mappings');
+  container.innerHTML = mappings.map(mapping => `
+    <div class="calendar-mapping">
+      <span>Events titled with</span>
+      <input type="text" class="input-modern" data-field="keyword" value="${escapeHtml(mapping.keyword || '')}" placeholder="anything">
+      <span>become</span>
+      <select class="input-modern" data-field="action">${actionOptions(mapping.action)}</select>
+      <input type="number" class="input-modern schedule-multiplier" data-field="thresholdMultiplier" value="${Number(mapping.thresholdMultiplier) || 1}" min="0.1" max="5" step="0.1" title="Threshold multiplier (below 1 is stricter)" style="${mapping.action === ScheduleAction.ADJUST_THRESHOLD ? '' : 'display: none;'}">
+      <button class="btn-remove" data-action="remove">Remove</button>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('.calendar-mapping').forEach((row, index) => {
+    row.querySelector('[data-field="action"]').addEventListener('change', (e) => {
+      row.querySelector('[data-field="thresholdMultiplier"]').style.display =
+        e.target.value === ScheduleAction.ADJUST_THRESHOLD ? '' : 'none';
+      previewCalendar();
+    });
+    row.querySelectorAll('input').forEach(input => input.addEventListener('change', previewCalendar));
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      renderCalendarMappings(readCalendarMappings().filter((_, i) => i !== index));
+      previewCalendar();
+    });
+  });
+}
+
+// Read the mappings as currently entered
+function readCalendarMappings() {
+  return [...document.querySelectorAll('#calendar-mappings .calendar-mapping')].map(row => ({
+    keyword: row.querySelector('[data-field="keyword"]').value.trim(),
+    action: row.querySelector('[data-field="action"]').value,
+    thresholdMultiplier: parseFloat(row.querySelector('[data-field="thresholdMultiplier"]').value) || 1
+  }));
+}
+
+// Read an .ics file and preview it
+async function loadCalendarFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  calendarText = await file.text();
+  e.target.value = '';
+  previewCalendar();
+}
+
+// Show what importing the loaded calendar would do, event by event
+async function previewCalendar() {
+  if (!calendarText) return;
+  
+  const preview = document.getElementById('calendar-preview');
+  const config = await getSchedulerConfig();
+  try {
+    calendarPreview = parseCalendar(calendarText, readCalendarMappings(), config.schedules, getScheduleTimeZone(config));
+  } catch (error) {
+    calendarText = null;
+    calendarPreview = null;
+    preview.style.display = 'none';
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  const { calendarName, counts, entries } = calendarPreview;
+  document.getElementById('calendar-summary').textContent =
+    `${calendarName ? `${calendarName}: ` : ''}${counts[EventStatus.NEW]} new, ${counts[EventStatus.UPDATE]} to update, ` +
+    `${counts[EventStatus.SKIPPED]} skipped, ${counts[EventStatus.INVALID]} unreadable`;
+  
+  // Importable events first; skipped ones are mostly other meetings
+  const order = [EventStatus.NEW, EventStatus.UPDATE, EventStatus.INVALID, EventStatus.SKIPPED];
+  const shown = [...entries].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status)).slice(0, 500);
+  const statusNames = { [EventStatus.NEW]: 'New', [EventStatus.UPDATE]: 'Update' };
+  document.getElementById('calendar-entries').innerHTML = shown.map(entry => `
+    <div class="blocklist-entry ${entry.status}">
+      <span class="blocklist-entry-line">${entry.line}</span>
+      <span class="blocklist-entry-site">${escapeHtml(entry.summary)}</span>
+      <span class="blocklist-entry-status">${escapeHtml(entry.schedule
+        ? `${statusNames[entry.status]}: ${describeScheduleAction(entry.schedule)}, ${describeScheduleTimes(entry.schedule)}`
+        : entry.reason)}</span>
+    </div>
+  `).join('') + (entries.length > shown.length
+    ? `<div class="blocklist-entry"><span class="blocklist-entry-status">…and ${entries.length - shown.length} more</span></div>`
+    : '');
+  
+  const total = counts[EventStatus.NEW] + counts[EventStatus.UPDATE];
+  const importBtn = document.getElementById('calendar-import-btn');
+  importBtn.disabled = total === 0;
+  importBtn.textContent = total === 1 ? 'Import 1 event' : `Import ${total} events`;
+  preview.style.display = 'block';
+}
+
+// Add or update the schedules of the previewed calendar
+async function importCalendarEvents() {
+  if (!calendarPreview) return;
+  
+  try {
+    const changed = await importCalendarSchedules(calendarPreview.entries, readCalendarMappings());
+    calendarText = null;
+    calendarPreview = null;
+    document.getElementById('calendar-preview').style.display = 'none';
+    renderCustomSchedules();
+    showStatus(`Imported ${changed} event${changed === 1 ? '' : 's'} as schedules`, 'success');
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    showStatus('Failed to import: ' + error.message, 'error');
+  }
+}
+
 // Render focus stats
 async function renderFocusStats() {
   try {
@@ -809,23 +1689,29 @@ async function pauseFocusSession() {
 // Render sites
 async function renderSites() {
   const defaultList = document.getElementById('default-sites-list');
+  const productiveList = document.getElementById('productive-sites-list');
   const userList = document.getElementById('user-sites-list');
   
-  // Render default sites
-  defaultList.innerHTML = defaultSites.map(site => `
+  const renderDefaultSite = site => `
     <div class="site-item">
       <div class="site-item-info">
         <span class="site-item-name">${escapeHtml(site.name)}</span>
-        <span class="site-item-domain">${escapeHtml(site.domain)}</span>
+        <span class="site-item-domain">${escapeHtml(site.domain)}${site.productivity === 'neutral' ? ' · neutral' : ''}</span>
       </div>
       <div class="site-item-actions">
+        ${renderCategorySelect(site.domain, site.category)}
         <label class="toggle-modern">
           <input type="checkbox" data-site="${escapeHtml(site.domain)}" ${site.enabled ? 'checked' : ''}>
           <span class="toggle-switch-modern"></span>
         </label>
       </div>
     </div>
-  `).join('');
+  `;
+  
+  // Render default sites, distractions first
+  const isDistraction = site => !site.productivity || site.productivity === 'distracting';
+  defaultList.innerHTML = defaultSites.filter(isDistraction).map(renderDefaultSite).join('');
+  productiveList.innerHTML = defaultSites.filter(site => !isDistraction(site)).map(renderDefaultSite).join('');
   
   // Render user sites
   if (userSites.length === 0) {
@@ -835,17 +1721,22 @@ async function renderSites() {
       <div class="site-item">
         <div class="site-item-info">
           <span class="site-item-name">${escapeHtml(site)}</span>
-          <span class="site-item-domain">User domain</span>
+          <span class="site-item-domain">${site.includes('/') ? 'Path bucket' : 'User domain'}</span>
         </div>
         <div class="site-item-actions">
+          ${parseSiteEntry(site).path ? '' : renderCategorySelect(site, defaultSites.find(d => d.domain === site)?.category || 'user_defined')}
           <button class="btn-remove" data-site="${escapeHtml(site)}">Remove</button>
         </div>
       </div>
     `).join('');
   }
   
+  renderCategories();
+  renderBlocklistCategoryOptions();
+  renderSuggestions();
+  
   // Add event listeners
-  defaultList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+  [...defaultList.querySelectorAll('input[type="checkbox"]'), ...productiveList.querySelectorAll('input[type="checkbox"]')].forEach(checkbox => {
     checkbox.addEventListener('change', (e) => {
       const domain = e.target.dataset.site;
       const site = defaultSites.find(s => s.domain === domain);
@@ -861,6 +1752,261 @@ async function renderSites() {
       removeUserSite(site);
     });
   });
+  
+  document.querySelectorAll('#sites-tab .site-category-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      setSiteCategory(e.target.dataset.site, e.target.value, e.target.dataset.bundled);
+    });
+  });
+}
+
+// Category picker for a site; `bundled` is the category it has by default
+function renderCategorySelect(domain, bundled) {
+  const current = categoryConfig.assignments[domain] || bundled;
+  return `
+    <select class="site-category-select" data-site="${escapeHtml(domain)}" data-bundled="${escapeHtml(bundled)}" title="Category">
+      ${categoryConfig.categories.map(category => `
+        <option value="${escapeHtml(category.id)}" ${category.id === current ? 'selected' : ''}>${escapeHtml(category.name)}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+// Move a site into a category; picking its bundled one clears the override
+async function setSiteCategory(domain, categoryId, bundled) {
+  try {
+    await assignSiteCategory(domain, categoryId === bundled ? null : categoryId);
+    categoryConfig = await getCategoryConfig();
+    await refreshSites();
+    showStatus('Category updated', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+// Render the category list with its switches and limits
+function renderCategories() {
+  const list = document.getElementById('categories-list');
+  const assigned = {};
+  for (const site of defaultSites) {
+    const id = categoryConfig.assignments[site.domain] || site.category;
+    assigned[id] = (assigned[id] || 0) + 1;
+  }
+  for (const entry of userSites) {
+    const { domain, path } = parseSiteEntry(entry);
+    if (!path && !defaultSites.some(site => site.domain === domain)) {
+      const id = categoryConfig.assignments[domain] || 'user_defined';
+      assigned[id] = (assigned[id] || 0) + 1;
+    }
+  }
+  
+  list.innerHTML = categoryConfig.categories.map(category => `
+    <div class="category-item ${category.enabled ? '' : 'disabled'}" data-category-id="${escapeHtml(category.id)}">
+      <input type="color" class="category-color-input" data-field="color" value="${escapeHtml(category.color)}" title="Color">
+      <input type="text" class="input-modern category-name-input" data-field="name" value="${escapeHtml(category.name)}" maxlength="40">
+      <span class="category-site-count">${assigned[category.id] || 0} sites</span>
+      <select class="input-modern category-scope-select" data-field="interventions" title="Interventions">
+        <option value="${InterventionScope.SITE}" ${category.interventions === InterventionScope.SITE ? 'selected' : ''}>Nudge per site</option>
+        <option value="${InterventionScope.CATEGORY}" ${category.interventions === InterventionScope.CATEGORY ? 'selected' : ''}>Nudge per category</option>
+        <option value="${InterventionScope.OFF}" ${category.interventions === InterventionScope.OFF ? 'selected' : ''}>No nudges</option>
+      </select>
+      <input type="number" class="input-modern category-limit-input" data-field="dailyLimit" min="0" max="1440" value="${category.dailyLimit}" title="Daily limit in minutes (0 = none)">
+      <label class="toggle-modern" title="Track sites in this category">
+        <input type="checkbox" data-field="enabled" ${category.enabled ? 'checked' : ''}>
+        <span class="toggle-switch-modern"></span>
+      </label>
+      ${category.builtIn ? '' : `<button class="btn-remove" data-action="delete">Delete</button>`}
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.category-item').forEach(item => {
+    const categoryId = item.dataset.categoryId;
+    item.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const field = input.dataset.field;
+        let value = input.value;
+        if (field === 'enabled') value = input.checked;
+        if (field === 'dailyLimit') value = parseInt(input.value) || 0;
+        saveCategoryChange(categoryId, { [field]: value });
+      });
+    });
+    item.querySelector('[data-action="delete"]')?.addEventListener('click', () => {
+      removeCategory(categoryId);
+    });
+  });
+}
+
+// Category choices of the list importer and exporter
+function renderBlocklistCategoryOptions() {
+  const options = categoryConfig.categories.map(category =>
+    `<option value="${escapeHtml(category.id)}">${escapeHtml(category.name)}</option>`
+  ).join('');
+  
+  const importSelect = document.getElementById('blocklist-category');
+  const importValue = importSelect.value;
+  importSelect.innerHTML = '<option value="">Import into My Sites</option>' + options;
+  importSelect.value = categoryConfig.categories.some(c => c.id === importValue) ? importValue : '';
+  
+  const exportSelect = document.getElementById('export-blocklist-category');
+  const exportValue = exportSelect.value;
+  exportSelect.innerHTML = '<option value="">All tracked sites</option>' + options;
+  exportSelect.value = categoryConfig.categories.some(c => c.id === exportValue) ? exportValue : '';
+}
+
+// Read a list file into the import box and preview it
+async function loadBlocklistFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  document.getElementById('blocklist-input').value = await file.text();
+  e.target.value = '';
+  previewBlocklist();
+}
+
+// Show what an import would do, line by line
+function previewBlocklist() {
+  const text = document.getElementById('blocklist-input').value;
+  const format = document.getElementById('blocklist-format').value || null;
+  const preview = document.getElementById('blocklist-preview');
+  
+  if (!text.trim()) {
+    showStatus('Paste a list or load a file first', 'error');
+    return;
+  }
+  
+  const existing = [...userSites, ...defaultSites.filter(site => site.enabled).map(site => site.domain)];
+  blocklistPreview = parseBlocklist(text, format, existing);
+  const { counts, entries } = blocklistPreview;
+  
+  const formatNames = {
+    [BlocklistFormat.HOSTS]: 'hosts file',
+    [BlocklistFormat.ADBLOCK]: 'uBlock/AdGuard filters',
+    [BlocklistFormat.PLAIN]: 'plain list'
+  };
+  document.getElementById('blocklist-summary').textContent =
+    `Read as ${formatNames[blocklistPreview.format]}: ${counts.new} new, ${counts.duplicate} duplicate, ` +
+    `${counts.existing} already monitored, ${counts.invalid} invalid`;
+  
+  // Long lists only show their first rows; the counts cover everything
+  const shown = entries.slice(0, 500);
+  const statusNames = { new: 'New', duplicate: 'Duplicate', existing: 'Already monitored', invalid: 'Invalid' };
+  document.getElementById('blocklist-entries').innerHTML = shown.map(entry => `
+    <div class="blocklist-entry ${entry.status}">
+      <span class="blocklist-entry-line">${entry.line}</span>
+      <span class="blocklist-entry-site">${escapeHtml(entry.site || entry.text)}</span>
+      <span class="blocklist-entry-status">${escapeHtml(entry.reason || statusNames[entry.status])}</span>
+    </div>
+  `).join('') + (entries.length > shown.length
+    ? `<div class="blocklist-entry"><span class="blocklist-entry-status">…and ${entries.length - shown.length} more</span></div>`
+    : '');
+  
+  const importBtn = document.getElementById('blocklist-import-btn');
+  importBtn.disabled = counts.new === 0;
+  importBtn.textContent = counts.new === 1 ? 'Import 1 site' : `Import ${counts.new} sites`;
+  preview.style.display = 'block';
+}
+
+// Add the new sites of the previewed list
+async function importBlocklistEntries() {
+  if (!blocklistPreview) return;
+  
+  try {
+    const category = document.getElementById('blocklist-category').value || null;
+    const added = await importBlocklist(blocklistPreview.entries, category);
+    
+    userSites = await getUserSites();
+    categoryConfig = await getCategoryConfig();
+    await refreshSites();
+    
+    blocklistPreview = null;
+    document.getElementById('blocklist-input').value = '';
+    document.getElementById('blocklist-preview').style.display = 'none';
+    renderSites();
+    showStatus(`Imported ${added} site${added === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error importing list:', error);
+    showStatus('Failed to import: ' + error.message, 'error');
+  }
+}
+
+// Download the tracked sites, or one category of them, as a list
+async function exportSiteList() {
+  const format = document.getElementById('export-blocklist-format').value;
+  const category = document.getElementById('export-blocklist-category').value;
+  
+  const entries = [];
+  for (const site of await getAllTrackedSites()) {
+    if (!site.enabled || (category && site.category !== category)) continue;
+    entries.push(site.domain);
+    (site.buckets || [])
+      .filter(bucket => bucket.userAdded)
+      .forEach(bucket => entries.push(site.domain + bucket.pathPrefix));
+  }
+  
+  if (entries.length === 0) {
+    showStatus('No sites to export', 'error');
+    return;
+  }
+  
+  const { text, skipped } = exportBlocklist(entries, format);
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `shame-clock-sites-${Date.now()}.txt`;
+  a.click();
+  URL.revokeObjectURL(url);
+  
+  showStatus(skipped.length > 0
+    ? `Exported; ${skipped.length} path or regex entries don't fit this format and were left out`
+    : 'Exported list', 'success');
+}
+
+// Apply an edit made in the category list
+async function saveCategoryChange(categoryId, updates) {
+  try {
+    await updateCategory(categoryId, updates);
+    showStatus('Category saved', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+  categoryConfig = await getCategoryConfig();
+  await refreshSites();
+  renderSites();
+  renderGoals();
+}
+
+// Add category
+async function addCategory() {
+  const input = document.getElementById('new-category-name');
+  const color = document.getElementById('new-category-color').value;
+  
+  try {
+    await createCategory({ name: input.value, color });
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  input.value = '';
+  categoryConfig = await getCategoryConfig();
+  renderSites();
+  renderGoals();
+  showStatus('Category added', 'success');
+}
+
+// Delete a custom category; its sites go back to their default category
+async function removeCategory(categoryId) {
+  if (!confirm('Delete this category? Its sites go back to their default category.')) {
+    return;
+  }
+  
+  await deleteCategory(categoryId);
+  categoryConfig = await getCategoryConfig();
+  await refreshSites();
+  renderSites();
+  renderGoals();
+  showStatus('Category deleted', 'success');
 }
 
 // Render personas
@@ -904,11 +2050,20 @@ function addSettingsHelp() {
     'popup-duration': 'How long the reminder popup stays visible (in seconds). Longer = more persistent.',
     'popup-cooldown': 'Minutes between consecutive reminders on the same site. Prevents popup spam.',
     'snooze-duration': 'When you snooze a popup, how long before it can appear again (in minutes).',
+    'allow-page-duration': 'For a tutorial or lecture that belongs on a tracked site. The page is tracked again once the time is up, and every allowance is listed on the dashboard.',
     'ai-enabled': 'Use AI to generate unique, personalized messages. If disabled, uses template messages.',
+    'sync-enabled': 'Uses the browser\'s own sync storage, which is limited to about 100 KB. Each device shares its last 14 days of totals; older history stays on the device that tracked it.',
+    'idle-detection-enabled': 'Stop counting time while you are away from the computer or the screen is locked. Away time is shown separately on the dashboard.',
+    'idle-threshold': 'How long without keyboard or mouse activity before you are considered away. Minimum 15 seconds.',
+    'background-media-policy': 'A tracked site playing audio in a background tab (e.g. a show while you work) is counted only while no tracked tab is in front, so time is never counted twice. It is labelled as background media in reports.',
+    'background-media-weight': 'With partial counting, this percentage of background playback time is added to the site.',
     'quiet-hours-enabled': 'No popups during these hours. Perfect for sleep time!',
     'work-hours-enabled': 'Stricter tracking during work hours. Lower thresholds = more reminders.',
     'weekend-mode': 'Be more lenient on weekends. Allows more browsing time before reminders.',
-    'data-retention': 'How long to keep your tracking data. Older data is automatically deleted.',
+    'day-start-hour': 'Statistics, goals and streaks roll over to a new day at this hour in your timezone instead of at midnight.',
+    'data-retention': 'How long to keep full day-by-day detail. Older days are compacted into weekly totals per site.',
+    'weekly-rollup-weeks': 'How long to keep weekly totals before compacting them into monthly totals.',
+    'monthly-rollup-months': 'How long to keep monthly totals. Older months are deleted.',
     'pomodoro-focus': 'Default focus session duration. Classic Pomodoro is 25 minutes.',
     'pomodoro-short-break': 'Break duration between focus sessions.',
     'pomodoro-long-break': 'Longer break after completing 4 focus sessions.'
@@ -965,6 +2120,7 @@ async function renderPresets() {
           showSuccess(`${getAllPresets().find(p => p.type === presetType).name} applied!`);
           renderPresets();
           renderSettings();
+          renderOverrides();
         } catch (error) {
           console.error('Error applying preset:', error);
           showError('Failed to apply preset');
@@ -985,7 +2141,13 @@ async function renderSettings() {
   document.getElementById('popup-duration').value = Math.floor((config.popupDuration || DEFAULT_CONFIG.popupDuration) / 1000);
   document.getElementById('popup-cooldown').value = Math.floor((config.popupCooldown || DEFAULT_CONFIG.popupCooldown) / 60000);
   document.getElementById('snooze-duration').value = Math.floor((config.snoozeDuration || DEFAULT_CONFIG.snoozeDuration) / 60000);
+  document.getElementById('allow-page-duration').value = Math.floor((config.allowPageDuration || DEFAULT_CONFIG.allowPageDuration) / 60000);
   document.getElementById('ai-enabled').checked = config.aiEnabled !== false;
+  document.getElementById('idle-detection-enabled').checked = config.idleDetectionEnabled !== false;
+  document.getElementById('idle-threshold').value = config.idleThreshold || DEFAULT_CONFIG.idleThreshold;
+  document.getElementById('background-media-policy').value = config.backgroundMediaPolicy || DEFAULT_CONFIG.backgroundMediaPolicy;
+  document.getElementById('background-media-weight').value = config.backgroundMediaWeight ?? DEFAULT_CONFIG.backgroundMediaWeight;
+  document.getElementById('day-start-hour').value = String(config.dayStartHour ?? DEFAULT_CONFIG.dayStartHour);
   
   // Add help tooltips
   setTimeout(() => addSettingsHelp(), 100);
@@ -993,8 +2155,17 @@ async function renderSettings() {
   // Data retention
   const dataRetention = document.getElementById('data-retention');
   if (dataRetention) {
-    dataRetention.value = config.dataRetentionDays || 30;
+    dataRetention.value = String(config.dataRetentionDays ?? DEFAULT_CONFIG.dataRetentionDays);
+  }
+  const weeklyRollup = document.getElementById('weekly-rollup-weeks');
+  if (weeklyRollup) {
+    weeklyRollup.value = String(config.weeklyRollupWeeks ?? DEFAULT_CONFIG.weeklyRollupWeeks);
+  }
+  const monthlyRollup = document.getElementById('monthly-rollup-months');
+  if (monthlyRollup) {
+    monthlyRollup.value = String(config.monthlyRollupMonths ?? DEFAULT_CONFIG.monthlyRollupMonths);
   }
+  document.getElementById('sync-enabled').checked = config.syncEnabled === true;
   
   // Pomodoro settings
   const focusState = await getStorageValue('focusSessions');
@@ -1005,19 +2176,109 @@ async function renderSettings() {
   }
 }
 
+// Render the site picker and the list of sites with overrides
+async function renderOverrides() {
+  const select = document.getElementById('override-site');
+  const selected = select.value;
+  const overrides = await getSiteOverrides();
+  const sites = (await getAllTrackedSites()).filter(site => site.enabled);
+  
+  select.innerHTML = sites.map(site => `
+    <option value="${escapeHtml(site.domain)}">${escapeHtml(site.name || site.domain)}${overrides[site.domain] ? ' •' : ''}</option>
+  `).join('');
+  if (sites.some(site => site.domain === selected)) {
+    select.value = selected;
+  }
+  
+  const overridden = Object.keys(overrides);
+  document.getElementById('override-list').innerHTML = overridden.length === 0
+    ? '<p class="empty-hint">No site has its own settings yet.</p>'
+    : overridden.map(domain => `<button class="btn btn-secondary override-chip" data-site="${escapeHtml(domain)}">${escapeHtml(domain)}</button>`).join('');
+  document.querySelectorAll('.override-chip').forEach(chip => {
+    chip.addEventListener('click', (e) => {
+      select.value = e.target.dataset.site;
+      renderOverrideForm(e.target.dataset.site);
+    });
+  });
+  
+  if (select.value) {
+    await renderOverrideForm(select.value);
+  }
+}
+
+// Fill the override form for a site; empty fields show the inherited value
+async function renderOverrideForm(domain) {
+  const override = (await getSiteOverrides())[domain] || {};
+  const effective = await getEffectiveSettings(domain);
+  const { values, sources } = effective;
+  
+  document.getElementById('override-type').value = override.interventionType || '';
+  
+  const ownPersonas = override.enabledPersonas || [];
+  document.getElementById('override-personas').innerHTML = personas.map(persona => `
+    <label class="override-persona">
+      <input type="checkbox" data-persona="${escapeHtml(persona.id)}" ${ownPersonas.includes(persona.id) ? 'checked' : ''}>
+      ${escapeHtml(persona.name)}
+    </label>
+  `).join('') + '<span class="unit">None ticked = global personas</span>';
+  
+  // What applies right now, and where each value comes from
+  const personaNames = ids => ids.map(id => (personas.find(p => p.id === id) || { name: id }).name).join(', ');
+  const source = value => value === SettingSource.SITE
+    ? '<span class="override-source site">site</span>'
+    : '<span class="override-source">global</span>';
+  
+  document.getElementById('override-effective').innerHTML = `
+    <strong>In effect now</strong>${effective.preset ? ` (on top of the ${escapeHtml(effective.preset)} preset)` : ''}<br>
+    Intervention: ${escapeHtml(values.interventionType)} ${source(sources.interventionType)}<br>
+    Personas: ${escapeHtml(personaNames(values.enabledPersonas || []))} ${source(sources.enabledPersonas)}
+  `;
+}
+
+// Save the override form for the picked site
+async function saveOverride() {
+  const domain = document.getElementById('override-site').value;
+  if (!domain) return;
+  
+  const override = {
+    interventionType: document.getElementById('override-type').value || null
+  };
+  
+  const ownPersonas = [...document.querySelectorAll('#override-personas input:checked')].map(input => input.dataset.persona);
+  override.enabledPersonas = ownPersonas.length > 0 ? ownPersonas : null;
+  
+  try {
+    await setSiteOverride(domain, override);
+    await renderOverrides();
+    showStatus(`Saved settings for ${domain}`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+// Drop the picked site's override
+async function clearOverride() {
+  const domain = document.getElementById('override-site').value;
+  if (!domain) return;
+  
+  await clearSiteOverride(domain);
+  await renderOverrides();
+  showStatus(`${domain} follows the global settings again`, 'success');
+}
+
 // Add user site
 async function addUserSite() {
   const input = document.getElementById('new-site-input');
-  const site = input.value.trim().toLowerCase();
+  const site = normalizeUserSite(input.value);
   
   if (!site) {
     showStatus('Enter a domain', 'error');
     return;
   }
   
-  // Simple domain validation
-  if (!site.includes('.') || site.length < 4) {
-    showStatus('Invalid domain', 'error');
+  const entryError = getSiteEntryError(site);
+  if (entryError) {
+    showStatus(entryError, 'error');
     return;
   }
   
@@ -1044,8 +2305,343 @@ async function removeUserSite(site) {
   showStatus('Removed domain', 'success');
 }
 
+// Render the page rules in precedence order with their warnings
+async function renderPageRules() {
+  const config = await getPageRules();
+  const list = document.getElementById('page-rules-list');
+  document.getElementById('page-rules-enabled').checked = !!config.enabled;
+  
+  if (config.rules.length === 0) {
+    list.innerHTML = '<p class="empty-hint">No page rules yet. Every page of a monitored site counts.</p>';
+    return;
+  }
+  
+  const warnings = findRuleConflicts(config.rules);
+  const matchNames = {
+    [MatchType.EXACT]: 'is',
+    [MatchType.STARTS_WITH]: 'starts with',
+    [MatchType.CONTAINS]: 'contains',
+    [MatchType.GLOB]: 'matches pattern',
+    [MatchType.REGEX]: 'matches regex'
+  };
+  const fieldName = rule => (rule.field === RuleField.TITLE ? 'title'
+    : rule.field === RuleField.QUERY ? `?${escapeHtml(rule.param || '')}= value` : 'URL');
+  
+  list.innerHTML = [...config.rules].sort(compareRules).map(rule => `
+    <div class="site-item" data-rule-id="${escapeHtml(rule.id)}">
+      <div class="site-item-info">
+        <span class="site-item-name">
+          ${rule.type === RuleType.WHITELIST ? 'Don\'t count' : 'Only count'} pages whose ${fieldName(rule)}
+          ${matchNames[rule.matchType] || escapeHtml(rule.matchType)} "${escapeHtml(rule.pattern)}"
+        </span>
+        <span class="site-item-domain">${rule.domain ? `On ${escapeHtml(rule.domain)} and its subdomains` : 'On every site'}${rule.description ? ` · ${escapeHtml(rule.description)}` : ''}</span>
+        ${rule.expiresAt ? `
+          <span class="page-rule-expiry ${isRuleExpired(rule) ? 'expired' : ''}">
+            ${isRuleExpired(rule) ? 'Expired, about to be removed' : `Temporary: removed ${formatExpiry(rule.expiresAt)}`}
+          </span>
+        ` : ''}
+        ${warnings.filter(w => w.ruleId === rule.id).map(w => `
+          <span class="page-rule-warning ${w.warning}">⚠ ${escapeHtml(w.message)}</span>
+        `).join('')}
+      </div>
+      <div class="site-item-actions">
+        <input type="number" class="input-modern page-rule-priority" data-field="priority" value="${Number(rule.priority) || 0}" min="-1000" max="1000" title="Priority">
+        <label class="toggle-modern">
+          <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}>
+          <span class="toggle-switch-modern"></span>
+        </label>
+        <button class="btn-remove" data-action="delete">Delete</button>
+      </div>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('[data-rule-id]').forEach(item => {
+    const ruleId = item.dataset.ruleId;
+    item.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = input.dataset.field === 'enabled' ? input.checked : parseInt(input.value) || 0;
+        saveRuleChange(ruleId, { [input.dataset.field]: value });
+      });
+    });
+    item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+      await deletePageRule(ruleId);
+      renderPageRules();
+      showStatus('Rule deleted', 'success');
+    });
+  });
+}
+
+// Say when a temporary rule runs out, e.g. 'at 14:30' or 'on Mar 3, 09:00'
+function formatExpiry(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString()
+    ? `at ${time}`
+    : `on ${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+// Apply an edit made in the rule list
+async function saveRuleChange(ruleId, updates) {
+  try {
+    await updatePageRule(ruleId, updates);
+    showStatus('Rule saved', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+  renderPageRules();
+}
+
+// Show the parameter box and a fitting example for the chosen field and match
+function updateRuleFormHints() {
+  const field = document.getElementById('new-rule-field').value;
+  const matchType = document.getElementById('new-rule-match').value;
+  document.getElementById('new-rule-param').style.display = field === RuleField.QUERY ? '' : 'none';
+  
+  const examples = {
+    [RuleField.URL]: matchType === MatchType.GLOB ? 'e.g., youtube.com/watch*' : 'e.g., /r/programming',
+    [RuleField.TITLE]: matchType === MatchType.GLOB ? 'e.g., *lecture*' : 'e.g., Lecture',
+    [RuleField.QUERY]: matchType === MatchType.GLOB ? 'e.g., PL*' : 'Value, e.g. PLx0sYbCqOb8'
+  };
+  document.getElementById('new-rule-pattern').placeholder = examples[field];
+}
+
+// Add a page rule from the form
+async function addRule() {
+  const pattern = document.getElementById('new-rule-pattern');
+  const domain = document.getElementById('new-rule-domain');
+  const priority = document.getElementById('new-rule-priority');
+  const duration = document.getElementById('new-rule-duration');
+  const field = document.getElementById('new-rule-field').value;
+  const param = document.getElementById('new-rule-param');
+  
+  try {
+    await addPageRule({
+      type: document.getElementById('new-rule-type').value,
+      field,
+      param: field === RuleField.QUERY ? param.value.trim() : null,
+      matchType: document.getElementById('new-rule-match').value,
+      pattern: pattern.value.trim(),
+      domain: domain.value.trim().toLowerCase() || null,
+      priority: parseInt(priority.value) || 0,
+      ttlMinutes: duration.value ? parseInt(duration.value) : null
+    });
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  pattern.value = '';
+  domain.value = '';
+  priority.value = '0';
+  duration.value = '';
+  param.value = '';
+  renderPageRules();
+  showStatus('Rule added', 'success');
+}
+
+// Download the page rules as JSON
+async function exportPageRules() {
+  const blob = new Blob([await exportRules()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `shame-clock-page-rules-${Date.now()}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showStatus('Exported rules', 'success');
+}
+
+// Load page rules from a file, keeping or replacing the current ones
+async function importPageRules(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = '';
+  
+  try {
+    const merge = confirm('Keep your current rules and add the imported ones? Cancel replaces them.');
+    const { config, warnings } = await importRules(await file.text(), merge);
+    renderPageRules();
+    
+    const flagged = new Set(warnings.map(w => w.ruleId)).size;
+    showStatus(flagged > 0
+      ? `Imported; ${flagged} of ${config.rules.length} rules have warnings, see the list`
+      : `Imported ${config.rules.length} rules`, flagged > 0 ? 'info' : 'success');
+  } catch (error) {
+    console.error('Error importing rules:', error);
+    showStatus('Failed to import: ' + error.message, 'error');
+  }
+}
+
+// Show why a URL would or wouldn't be tracked
+async function testUrl() {
+  const input = document.getElementById('test-url-input');
+  const result = document.getElementById('test-url-result');
+  let url = input.value.trim();
+  
+  if (!url) {
+    showStatus('Enter a URL', 'error');
+    return;
+  }
+  
+  // Accept bare domains like the site list does
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+    url = 'https://' + url;
+  }
+  
+  try {
+    // Asked of the background so the answer uses the same state as tracking
+    const title = document.getElementById('test-url-title').value.trim();
+    const response = await browserAPI.runtime.sendMessage({ action: 'explainUrl', url, title: title || null });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response');
+    }
+    
+    const { trace } = response;
+    result.innerHTML = `
+      <div class="url-trace-summary ${trace.isTracked ? 'tracked' : 'untracked'}">
+        ${trace.isTracked ? 'Tracked' : 'Not tracked'}: ${escapeHtml(trace.summary)}
+      </div>
+      ${describeTrace(trace).map(step => `
+        <div class="url-trace-step">
+          <h4>${escapeHtml(step.title)}</h4>
+          ${step.lines.map(line => `<div class="url-trace-line ${line.effect}">${escapeHtml(line.text)}</div>`).join('')}
+        </div>
+      `).join('')}
+    `;
+  } catch (error) {
+    console.error('Error testing URL:', error);
+    showStatus('Failed to test URL: ' + error.message, 'error');
+  }
+}
+
+// Render untracked sites worth tracking, with the evidence for each
+async function renderSuggestions() {
+  const list = document.getElementById('suggestion-list');
+  const preferences = await getSuggestionPreferences();
+  document.getElementById('suggestions-enabled').checked = preferences.enabled;
+  document.getElementById('suggestions-history').checked = await hasHistoryAccess();
+  
+  if (!preferences.enabled) {
+    list.innerHTML = '<p class="empty-hint">Suggestions are off.</p>';
+    return;
+  }
+  
+  let suggestions;
+  try {
+    suggestions = await getSiteSuggestions();
+  } catch (error) {
+    console.error('Error finding site suggestions:', error);
+    list.innerHTML = '<p class="empty-hint">Couldn\'t look for suggestions.</p>';
+    return;
+  }
+  
+  if (suggestions.length === 0) {
+    list.innerHTML = '<p class="empty-hint">Nothing to suggest yet. Check back after a few days of browsing.</p>';
+    return;
+  }
+  
+  const reasonNames = {
+    [SuggestionReason.DWELL]: 'Long visits',
+    [SuggestionReason.REVISITS]: 'Frequent check-ins'
+  };
+  
+  list.innerHTML = suggestions.map(suggestion => {
+    const evidence = [
+      suggestion.minutesPerDay > 0 ? `${suggestion.minutesPerDay} min/day` : null,
+      `${suggestion.visitsPerDay} visits/day`,
+      suggestion.avgVisitMinutes !== null ? `${suggestion.avgVisitMinutes} min per visit` : null,
+      `seen on ${suggestion.activeDays} days`
+    ].filter(Boolean).join(' · ');
+    
+    return `
+      <div class="site-item">
+        <div class="site-item-info">
+          <span class="site-item-name">${escapeHtml(suggestion.domain)}</span>
+          <span class="suggestion-evidence">
+            ${suggestion.reasons.map(reason => `<span class="suggestion-reason">${reasonNames[reason]}</span>`).join('')}
+            ${escapeHtml(evidence)}
+          </span>
+        </div>
+        <div class="site-item-actions">
+          <button class="btn btn-secondary" data-action="add" data-site="${escapeHtml(suggestion.domain)}">Track</button>
+          <button class="btn-remove" data-action="snooze" data-site="${escapeHtml(suggestion.domain)}">Snooze ${SNOOZE_DAYS} days</button>
+          <button class="btn-remove" data-action="dismiss" data-site="${escapeHtml(suggestion.domain)}">Dismiss</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const { action, site } = e.target.dataset;
+      if (action === 'add') addSuggestedSite(site);
+      if (action === 'snooze') hideSuggestion(site, true);
+      if (action === 'dismiss') hideSuggestion(site, false);
+    });
+  });
+}
+
+// Start tracking a suggested site
+async function addSuggestedSite(site) {
+  if (!userSites.includes(site)) {
+    userSites.push(site);
+    await saveUserSites(userSites);
+    await refreshSites();
+  }
+  
+  renderSites();
+  showStatus(`Now tracking ${site}`, 'success');
+}
+
+// Snooze or dismiss a suggestion
+async function hideSuggestion(site, snooze) {
+  if (snooze) {
+    await snoozeSuggestion(site);
+    showStatus(`Hidden for ${SNOOZE_DAYS} days`, 'success');
+  } else {
+    await dismissSuggestion(site);
+    showStatus('Won\'t be suggested again', 'success');
+  }
+  renderSuggestions();
+}
+
+// Switch learning from browsing on or off
+async function toggleSuggestions(enabled) {
+  await setSuggestionsEnabled(enabled);
+  renderSuggestions();
+  showStatus(enabled ? 'Suggestions on' : 'Suggestions off and browsing tally erased', 'success');
+}
+
+// Ask for, or give back, permission to read browser history
+async function toggleHistoryAccess(enabled) {
+  const checkbox = document.getElementById('suggestions-history');
+  const api = getBrowserAPI();
+  
+  try {
+    // Must be requested straight from the click
+    const granted = enabled
+      ? await api.permissions.request({ permissions: ['history'] })
+      : !await api.permissions.remove({ permissions: ['history'] });
+    checkbox.checked = granted;
+    if (enabled && !granted) {
+      showStatus('History access was not granted', 'error');
+    }
+  } catch (error) {
+    checkbox.checked = false;
+    showStatus('Failed to change history access: ' + error.message, 'error');
+  }
+  renderSuggestions();
+}
+
 // Save settings
 async function saveSettings() {
+  const followSystemTimezone = document.getElementById('follow-system-timezone').checked;
+  const scheduleTimeZone = document.getElementById('schedule-timezone').value.trim();
+  if (!followSystemTimezone && !isValidTimeZone(scheduleTimeZone)) {
+    showStatus('Unknown timezone; pick one from the list, e.g. Europe/Berlin', 'error');
+    return;
+  }
+  
   try {
     const saveBtn = document.getElementById('save-btn');
     const originalText = saveBtn.textContent;
@@ -1060,13 +2656,31 @@ async function saveSettings() {
     config.popupDuration = parseInt(document.getElementById('popup-duration').value) * 1000;
     config.popupCooldown = parseInt(document.getElementById('popup-cooldown').value) * 60000;
     config.snoozeDuration = parseInt(document.getElementById('snooze-duration').value) * 60000;
+    config.allowPageDuration = Math.min(240, Math.max(5, parseInt(document.getElementById('allow-page-duration').value) || 30)) * 60000;
     config.aiEnabled = document.getElementById('ai-enabled').checked;
+    config.idleDetectionEnabled = document.getElementById('idle-detection-enabled').checked;
+    config.idleThreshold = Math.max(15, parseInt(document.getElementById('idle-threshold').value) || DEFAULT_CONFIG.idleThreshold);
+    config.backgroundMediaPolicy = document.getElementById('background-media-policy').value;
+    const mediaWeight = parseInt(document.getElementById('background-media-weight').value);
+    config.backgroundMediaWeight = Number.isNaN(mediaWeight)
+      ? DEFAULT_CONFIG.backgroundMediaWeight
+      : Math.min(100, Math.max(0, mediaWeight));
+    config.dayStartHour = parseInt(document.getElementById('day-start-hour').value) || 0;
   
   // Data retention
   const dataRetention = document.getElementById('data-retention');
   if (dataRetention) {
     config.dataRetentionDays = parseInt(dataRetention.value);
   }
+  const weeklyRollup = document.getElementById('weekly-rollup-weeks');
+  if (weeklyRollup) {
+    config.weeklyRollupWeeks = parseInt(weeklyRollup.value);
+  }
+  const monthlyRollup = document.getElementById('monthly-rollup-months');
+  if (monthlyRollup) {
+    config.monthlyRollupMonths = parseInt(monthlyRollup.value);
+  }
+  config.syncEnabled = document.getElementById('sync-enabled').checked;
   
   // Persona settings - collect from checked checkboxes
   const enabledPersonas = [];
@@ -1082,6 +2696,8 @@ async function saveSettings() {
   config.enabledPersonas = enabledPersonas;
   
   await saveConfig(config);
+  renderSyncStatus();
+  renderOverrides();
   
   // Save schedule settings
   const schedulerConfig = await getStorageValue('schedulerConfig') || { quickSettings: {} };
@@ -1095,7 +2711,12 @@ async function saveSettings() {
     weekendMode: document.getElementById('weekend-mode').checked,
     workDays: [1, 2, 3, 4, 5]
   };
+  schedulerConfig.followSystemTimezone = followSystemTimezone;
+  if (!followSystemTimezone) {
+    schedulerConfig.timezone = scheduleTimeZone;
+  }
   await setStorageValue('schedulerConfig', schedulerConfig);
+  renderWeekPreview();
   
   // Save Pomodoro settings
   const focusState = await getStorageValue('focusSessions') || { settings: {} };
@@ -1135,23 +2756,96 @@ async function resetToDefaults() {
   showStatus('Reset complete', 'success');
 }
 
+// Render sync status, quota usage and known devices
+async function renderSyncStatus(status = null) {
+  const api = getBrowserAPI();
+  if (!api || !api.runtime) {
+    return;
+  }
+  
+  try {
+    if (!status) {
+      const response = await api.runtime.sendMessage({ action: 'getSyncStatus' });
+      status = response.status;
+    }
+    if (!status) {
+      return;
+    }
+    
+    const statusEl = document.getElementById('sync-status');
+    statusEl.classList.toggle('error', !!status.lastError);
+    if (!status.enabled) {
+      statusEl.textContent = 'Sync is off. Everything stays on this device.';
+    } else if (status.lastError) {
+      statusEl.textContent = `Sync problem: ${status.lastError}`;
+    } else if (status.lastPull) {
+      const when = new Date(Math.max(status.lastPull, status.lastPush || 0)).toLocaleString();
+      statusEl.textContent = `Last synced ${when}${status.pending > 0 ? ' · changes waiting to sync' : ''}`;
+    } else {
+      statusEl.textContent = 'Waiting for the first sync…';
+    }
+    
+    const usage = Math.min(100, (status.bytesInUse / status.quotaBytes) * 100);
+    document.getElementById('sync-quota-fill').style.width = `${usage}%`;
+    document.getElementById('sync-quota-text').textContent =
+      `${(status.bytesInUse / 1024).toFixed(1)} of ${Math.round(status.quotaBytes / 1024)} KB used · ${status.itemCount} of ${status.maxItems} items`;
+    
+    document.getElementById('sync-devices').innerHTML = status.devices.map(device => `
+      <div>
+        <strong>${escapeHtml(device.name || 'Unknown device')}</strong>${device.current ? ' (this device)' : ''}
+        · updated ${new Date(device.updatedAt).toLocaleString()}
+      </div>
+    `).join('');
+    
+    document.getElementById('sync-now-btn').disabled = !status.enabled;
+  } catch (error) {
+    console.error('Error rendering sync status:', error);
+  }
+}
+
+// Sync immediately
+async function syncNow() {
+  const api = getBrowserAPI();
+  if (!api || !api.runtime) {
+    showStatus('Browser API not available', 'error');
+    return;
+  }
+  
+  const response = await api.runtime.sendMessage({ action: 'syncNow' });
+  await renderSyncStatus(response.status);
+  
+  if (response.status && response.status.lastError) {
+    showStatus('Sync failed', 'error');
+  } else {
+    showStatus('Synced', 'success');
+  }
+}
+
 // Export data
 async function exportData() {
   const config = await getConfig();
   const timeData = await getTimeData();
+  const rollupData = await getStorageValue(STORAGE_KEYS.ROLLUP_DATA);
+  const corrections = await getStorageValue(STORAGE_KEYS.TIME_CORRECTIONS);
   const userSitesData = await getUserSites();
   const goalsData = await getStorageValue('userGoals');
   const schedulerConfig = await getStorageValue('schedulerConfig');
   const focusSessions = await getStorageValue('focusSessions');
+  const categories = await getStorageValue(CATEGORIES_KEY);
+  const siteOverrides = await getSiteOverrides();
   
   const exportData = {
     version: '1.0',
     config: config,
     timeData: timeData,
+    rollups: rollupData,
+    corrections: corrections,
     userSites: userSitesData,
     goals: goalsData,
     scheduler: schedulerConfig,
     focusSessions: focusSessions,
+    categories: categories,
+    siteOverrides: siteOverrides,
     exportDate: new Date().toISOString()
   };
   
@@ -1189,6 +2883,8 @@ async function importData(e) {
     if (data.goals) await setStorageValue('userGoals', data.goals);
     if (data.scheduler) await setStorageValue('schedulerConfig', data.scheduler);
     if (data.focusSessions) await setStorageValue('focusSessions', data.focusSessions);
+    if (data.categories) await setStorageValue(CATEGORIES_KEY, data.categories);
+    if (data.siteOverrides) await setStorageValue('siteOverrides', data.siteOverrides);
     
     // Merge time data
     if (data.timeData) {
@@ -1197,6 +2893,24 @@ async function importData(e) {
       await setStorageValue(STORAGE_KEYS.TIME_DATA, mergedData);
     }
     
+    // Merge rollups, keeping existing periods
+    if (data.rollups) {
+      const existingRollups = (await getStorageValue(STORAGE_KEYS.ROLLUP_DATA)) || {};
+      await setStorageValue(STORAGE_KEYS.ROLLUP_DATA, {
+        weekly: { ...(data.rollups.weekly || {}), ...(existingRollups.weekly || {}) },
+        monthly: { ...(data.rollups.monthly || {}), ...(existingRollups.monthly || {}) }
+      });
+    }
+    
+    // Merge the correction history, skipping entries already present
+    if (Array.isArray(data.corrections)) {
+      const existingCorrections = (await getStorageValue(STORAGE_KEYS.TIME_CORRECTIONS)) || [];
+      const knownIds = new Set(existingCorrections.map(entry => entry.id));
+      const merged = [...existingCorrections, ...data.corrections.filter(entry => !knownIds.has(entry.id))];
+      merged.sort((a, b) => a.at - b.at);
+      await setStorageValue(STORAGE_KEYS.TIME_CORRECTIONS, merged);
+    }
+    
     await loadData();
     renderSites();
     renderPersonas();
@@ -1227,6 +2941,7 @@ async function clearAllData() {
   renderPersonas();
   renderSettings();
   renderGoals();
+  renderPageRules();
   renderDashboard();
   showStatus('All data wiped', 'success');
 }
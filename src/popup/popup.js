@@ -1,4 +1,6 @@
 // Popup UI logic for Cold Email Warmer
+import { describeTrace } from '../utils/url-explainer.js';
+
 const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
 
 // State
@@ -248,6 +250,38 @@ async function loadHistory() {
   }
 }
 
+// Show whether the current tab is tracked, and why
+async function loadPageTrace() {
+  try {
+    const [tab] = await new Promise((resolve) => {
+      browserAPI.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs || []));
+    });
+    if (!tab || !tab.url) {
+      return;
+    }
+    
+    const response = await browserAPI.runtime.sendMessage({ action: 'explainUrl', url: tab.url, title: tab.title ?? null });
+    if (!response || !response.trace) {
+      return;
+    }
+    
+    const { trace } = response;
+    const summary = document.getElementById('page-trace-summary');
+    summary.className = `page-trace-summary ${trace.isTracked ? 'tracked' : 'untracked'}`;
+    summary.textContent = `${trace.isTracked ? 'Tracked' : 'Not tracked'}: ${trace.summary}`;
+    
+    document.getElementById('page-trace-steps').innerHTML = describeTrace(trace).map(step => `
+      <div class="page-trace-step">
+        <h3>${escapeHtml(step.title)}</h3>
+        ${step.lines.map(line => `<div class="page-trace-line ${line.effect}">${escapeHtml(line.text)}</div>`).join('')}
+      </div>
+    `).join('');
+    document.getElementById('page-section').style.display = 'block';
+  } catch (error) {
+    console.error('Error loading page trace:', error);
+  }
+}
+
 // Use history item
 window.useHistoryItem = function(id) {
   const entry = emailHistory.find(e => e.id === id);
@@ -308,4 +342,5 @@ document.getElementById('view-settings-btn').addEventListener('click', () => {
 });
 
 // Initialize
+loadPageTrace();
 loadHistory();
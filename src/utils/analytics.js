@@ -1,5 +1,19 @@
 // Enhanced analytics system
-import { getTimeData } from './storage.js';
+import { getAwayData, getHourlyData, getBucketData, getMediaData } from './storage.js';
+import { getTimeDataForRange } from './retention.js';
+import {
+  getDateKeySettings,
+  toDateKey,
+  toCalendarKey,
+  shiftDateKey,
+  shiftDateKeyMonths,
+  daysBetweenKeys,
+  getDateKeyWeekday
+} from './date-keys.js';
+import { getVisits, summarizeVisits } from './visit-log.js';
+import { classifyDomains, categorizeDomains } from './site-matcher.js';
+import { getCategories, findCategory, InterventionScope } from './categories.js';
+import { getAllowanceLog } from './page-rules.js';
 
 /**
  * Time period types
@@ -108,6 +122,69 @@ export function getDateRange(period, customStart = null, customEnd = null) {
   return { start, end };
 }
 
+/**
+ * Get the first and last date keys covered by a period. Unlike
+ * getDateRange(), this follows the user's timezone and day rollover.
+ * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
+ * @returns {Promise<Object>} - { startKey, endKey, todayKey }
+ */
+export async function getDateKeyRange(period, customStart = null, customEnd = null) {
+  const todayKey = toDateKey(Date.now(), await getDateKeySettings());
+  const weekday = getDateKeyWeekday(todayKey);
+  const monthStart = todayKey.slice(0, 8) + '01';
+  let startKey = todayKey;
+  let endKey = todayKey;
+  
+  switch (period) {
+    case TimePeriod.YESTERDAY:
+      startKey = endKey = shiftDateKey(todayKey, -1);
+      break;
+      
+    case TimePeriod.THIS_WEEK:
+      startKey = shiftDateKey(todayKey, -weekday);
+      break;
+      
+    case TimePeriod.LAST_WEEK:
+      startKey = shiftDateKey(todayKey, -weekday - 7);
+      endKey = shiftDateKey(startKey, 6);
+      break;
+      
+    case TimePeriod.THIS_MONTH:
+      startKey = monthStart;
+      break;
+      
+    case TimePeriod.LAST_MONTH:
+      startKey = shiftDateKeyMonths(monthStart, -1);
+      endKey = shiftDateKey(monthStart, -1);
+      break;
+      
+    case TimePeriod.LAST_30_DAYS:
+      startKey = shiftDateKey(todayKey, -30);
+      break;
+      
+    case TimePeriod.LAST_90_DAYS:
+      startKey = shiftDateKey(todayKey, -90);
+      break;
+      
+    case TimePeriod.THIS_YEAR:
+      startKey = todayKey.slice(0, 5) + '01-01';
+      break;
+      
+    case TimePeriod.ALL_TIME:
+      startKey = '0000-01-01';
+      break;
+      
+    case TimePeriod.CUSTOM:
+      startKey = customStart ? toCalendarKey(customStart) : todayKey;
+      endKey = customEnd ? toCalendarKey(customEnd) : todayKey;
+      break;
+  }
+  
+  return { startKey, endKey, todayKey };
+}
+
 /**
  * Get analytics for a time period
  * @param {string} period
@@ -116,11 +193,11 @@ export function getDateRange(period, customStart = null, customEnd = null) {
  * @returns {Promise<Object>}
  */
 export async function getAnalytics(period = TimePeriod.TODAY, customStart = null, customEnd = null) {
-  const timeData = await getTimeData();
+  const bucketData = await getBucketData();
+  const mediaData = await getMediaData();
   const { start, end } = getDateRange(period, customStart, customEnd);
-  
-  const startKey = start.toISOString().split('T')[0];
-  const endKey = end.toISOString().split('T')[0];
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  const timeData = await getTimeDataForRange(startKey, endKey);
   
   // Collect data for the period
   const periodData = {};
@@ -128,6 +205,7 @@ export async function getAnalytics(period = TimePeriod.TODAY, customStart = null
   let daysWithData = 0;
   const siteStats = {};
   const dailyTotals = [];
+  let backgroundMediaTime = 0;
   
   for (const dateKey in timeData) {
     if (dateKey >= startKey && dateKey <= endKey) {
@@ -140,11 +218,21 @@ export async function getAnalytics(period = TimePeriod.TODAY, customStart = null
         totalTime += time;
         
         if (!siteStats[domain]) {
-          siteStats[domain] = { domain, totalTime: 0, visits: 0, days: [] };
+          siteStats[domain] = { domain, totalTime: 0, visits: 0, days: [], buckets: {}, backgroundMedia: 0 };
         }
         siteStats[domain].totalTime += time;
         siteStats[domain].visits++;
         siteStats[domain].days.push(dateKey);
+        
+        const dayBuckets = (bucketData[dateKey] && bucketData[dateKey][domain]) || {};
+        for (const bucket in dayBuckets) {
+          siteStats[domain].buckets[bucket] = (siteStats[domain].buckets[bucket] || 0) + dayBuckets[bucket];
+        }
+        
+        // Already part of `time`; kept separately so reports can label it
+        const media = (mediaData[dateKey] && mediaData[dateKey][domain]) || 0;
+        siteStats[domain].backgroundMedia += media;
+        backgroundMediaTime += media;
       }
       
       if (dayTotal > 0) {
@@ -157,6 +245,15 @@ export async function getAnalytics(period = TimePeriod.TODAY, customStart = null
   }
   
   // Calculate statistics
+  const classes = await classifyDomains(Object.keys(siteStats));
+  const siteCategories = await categorizeDomains(Object.keys(siteStats));
+  const timeByClass = { productive: 0, neutral: 0, distracting: 0 };
+  for (const domain in siteStats) {
+    siteStats[domain].productivity = classes[domain];
+    siteStats[domain].category = siteCategories[domain];
+    timeByClass[classes[domain]] += siteStats[domain].totalTime;
+  }
+  
   const sites = Object.values(siteStats).sort((a, b) => b.totalTime - a.totalTime);
   const avgPerDay = daysWithData > 0 ? totalTime / daysWithData : 0;
   const avgPerSite = sites.length > 0 ? totalTime / sites.length : 0;
@@ -171,12 +268,16 @@ export async function getAnalytics(period = TimePeriod.TODAY, customStart = null
     ? dailyTotals.reduce((min, day) => day.total < min.total ? day : min, dailyTotals[0])
     : null;
   
+  const away = await getAwayTime(period, customStart, customEnd);
+  
   return {
     period,
     dateRange: { start: startKey, end: endKey },
     totalTime,
     daysWithData,
-    totalDays: Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1,
+    totalDays: period === TimePeriod.ALL_TIME
+      ? Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1
+      : daysBetweenKeys(startKey, endKey) + 1,
     avgPerDay,
     avgPerSite,
     siteCount: sites.length,
@@ -184,10 +285,298 @@ export async function getAnalytics(period = TimePeriod.TODAY, customStart = null
     peakDay,
     lowestDay,
     dailyTotals,
+    awayTime: away.total,
+    backgroundMediaTime,
+    timeByClass,
+    productivityScore: calculateProductivityScore(timeByClass.productive, timeByClass.distracting),
     formatted: {
       totalTime: formatDuration(totalTime),
       avgPerDay: formatDuration(avgPerDay),
-      avgPerSite: formatDuration(avgPerSite)
+      avgPerSite: formatDuration(avgPerSite),
+      awayTime: formatDuration(away.total),
+      backgroundMediaTime: formatDuration(backgroundMediaTime)
+    }
+  };
+}
+
+/**
+ * Productivity score: the share of productive time out of productive plus
+ * distracting time, 0-100. Neutral time doesn't move the score.
+ * @param {number} productive - Productive time in ms
+ * @param {number} distracting - Distracting time in ms
+ * @returns {number|null} - null when there is nothing to score
+ */
+export function calculateProductivityScore(productive, distracting) {
+  const scored = productive + distracting;
+  if (scored <= 0) {
+    return null;
+  }
+  return Math.round((productive / scored) * 100);
+}
+
+/**
+ * Get the productivity score for a period, overall and per day
+ * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
+ * @returns {Promise<Object>}
+ */
+export async function getProductivityScore(period = TimePeriod.TODAY, customStart = null, customEnd = null) {
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  const timeData = await getTimeDataForRange(startKey, endKey);
+  
+  const domains = new Set();
+  for (const dateKey in timeData) {
+    Object.keys(timeData[dateKey]).forEach(domain => domains.add(domain));
+  }
+  const classes = await classifyDomains([...domains]);
+  
+  const totals = { productive: 0, neutral: 0, distracting: 0 };
+  const daily = [];
+  
+  for (const dateKey of Object.keys(timeData).sort()) {
+    const day = { productive: 0, neutral: 0, distracting: 0 };
+    for (const domain in timeData[dateKey]) {
+      day[classes[domain]] += timeData[dateKey][domain];
+    }
+    
+    totals.productive += day.productive;
+    totals.neutral += day.neutral;
+    totals.distracting += day.distracting;
+    
+    daily.push({
+      date: dateKey,
+      ...day,
+      score: calculateProductivityScore(day.productive, day.distracting)
+    });
+  }
+  
+  const score = calculateProductivityScore(totals.productive, totals.distracting);
+  
+  return {
+    period,
+    dateRange: { start: startKey, end: endKey },
+    score,
+    ...totals,
+    daily,
+    formatted: {
+      score: score === null ? '—' : `${score}`,
+      productive: formatDuration(totals.productive),
+      neutral: formatDuration(totals.neutral),
+      distracting: formatDuration(totals.distracting)
+    }
+  };
+}
+
+/**
+ * Break time down by site category
+ * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
+ * @returns {Promise<Object>} - { totalTime, categories: [{ id, name,
+ *   color, enabled, totalTime, percentage, sites }] } longest first.
+ *   Domains no longer in the site list are grouped under id null.
+ */
+export async function getCategoryBreakdown(period = TimePeriod.TODAY, customStart = null, customEnd = null) {
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  const timeData = await getTimeDataForRange(startKey, endKey);
+  
+  const domains = new Set();
+  for (const dateKey in timeData) {
+    Object.keys(timeData[dateKey]).forEach(domain => domains.add(domain));
+  }
+  const siteCategories = await categorizeDomains([...domains]);
+  const categories = await getCategories();
+  
+  const totals = {};
+  let totalTime = 0;
+  for (const dateKey in timeData) {
+    for (const domain in timeData[dateKey]) {
+      const id = siteCategories[domain];
+      const key = id || '';
+      if (!totals[key]) {
+        const category = id
+          ? findCategory(categories, id)
+          : { id: null, name: 'Other', color: '#cbd5e1', enabled: true };
+        totals[key] = {
+          id: category.id,
+          name: category.name,
+          color: category.color,
+          enabled: category.enabled,
+          totalTime: 0,
+          sites: {}
+        };
+      }
+      const time = timeData[dateKey][domain];
+      totals[key].totalTime += time;
+      totals[key].sites[domain] = (totals[key].sites[domain] || 0) + time;
+      totalTime += time;
+    }
+  }
+  
+  const breakdown = Object.values(totals)
+    .filter(category => category.totalTime > 0)
+    .map(category => ({
+      ...category,
+      percentage: totalTime > 0 ? Math.round((category.totalTime / totalTime) * 1000) / 10 : 0,
+      formatted: formatDuration(category.totalTime)
+    }))
+    .sort((a, b) => b.totalTime - a.totalTime);
+  
+  return {
+    period,
+    dateRange: { start: startKey, end: endKey },
+    totalTime,
+    categories: breakdown
+  };
+}
+
+/**
+ * Work out what an intervention on a tracked site should be about: the
+ * site itself, or its whole category when the category is set up that way.
+ * A category's daily limit always applies to the category's total.
+ * @param {Object} site - isTrackedSite() result
+ * @returns {Promise<Object|null>} - { scope, id, name, timeSpent,
+ *   categoryTime, limit, overLimit } with times in ms (limit 0 = none), or
+ *   null when the site's category has interventions switched off
+ */
+export async function getInterventionTarget(site) {
+  const category = findCategory(await getCategories(), site.category);
+  if (category.interventions === InterventionScope.OFF) {
+    return null;
+  }
+  
+  const { startKey, endKey } = await getDateKeyRange(TimePeriod.TODAY);
+  const today = (await getTimeDataForRange(startKey, endKey))[endKey] || {};
+  
+  const siteCategories = await categorizeDomains(Object.keys(today));
+  let categoryTime = 0;
+  for (const domain in today) {
+    if (siteCategories[domain] === category.id) {
+      categoryTime += today[domain];
+    }
+  }
+  
+  const limit = category.dailyLimit * 60 * 1000;
+  const byCategory = category.interventions === InterventionScope.CATEGORY;
+  
+  return {
+    scope: byCategory ? InterventionScope.CATEGORY : InterventionScope.SITE,
+    id: byCategory ? category.id : site.domain,
+    name: byCategory ? category.name : site.name || site.domain,
+    timeSpent: byCategory ? categoryTime : today[site.domain] || 0,
+    categoryTime,
+    limit,
+    overLimit: limit > 0 && categoryTime >= limit
+  };
+}
+
+/**
+ * Summarise the temporary "allow this page" rules granted in a period, so
+ * leaning on them shows up next to the time they kept off the books
+ * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
+ * @returns {Promise<Object>} - { count, minutes, running, endedEarly,
+ *   busiestDay, byDomain: [{ domain, count, minutes }], recent } where
+ *   `minutes` is how long the allowances ran (so far, for running ones),
+ *   `busiestDay` is { dateKey, count } or null and `recent` holds the last
+ *   log entries, newest first
+ */
+export async function getAllowanceSummary(period = TimePeriod.LAST_30_DAYS, customStart = null, customEnd = null) {
+  const settings = await getDateKeySettings();
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  const now = Date.now();
+  
+  const entries = (await getAllowanceLog()).filter(entry => {
+    const dateKey = toDateKey(entry.grantedAt, settings);
+    return dateKey >= startKey && dateKey <= endKey;
+  });
+  
+  const summary = { count: entries.length, minutes: 0, running: 0, endedEarly: 0, busiestDay: null, byDomain: [], recent: [] };
+  const domains = {};
+  const days = {};
+  
+  for (const entry of entries) {
+    const end = entry.endedAt ?? Math.min(now, entry.expiresAt);
+    const minutes = Math.max(0, end - entry.grantedAt) / 60000;
+    summary.minutes += minutes;
+    
+    if (entry.endedAt === null && entry.expiresAt > now) {
+      summary.running++;
+    } else if (entry.endedAt !== null && entry.endedAt < entry.expiresAt) {
+      summary.endedEarly++;
+    }
+    
+    const domain = entry.domain || 'all sites';
+    const byDomain = domains[domain] || (domains[domain] = { domain, count: 0, minutes: 0 });
+    byDomain.count++;
+    byDomain.minutes += minutes;
+    
+    const dateKey = toDateKey(entry.grantedAt, settings);
+    days[dateKey] = (days[dateKey] || 0) + 1;
+  }
+  
+  for (const [dateKey, count] of Object.entries(days)) {
+    if (!summary.busiestDay || count > summary.busiestDay.count) {
+      summary.busiestDay = { dateKey, count };
+    }
+  }
+  
+  summary.minutes = Math.round(summary.minutes);
+  summary.byDomain = Object.values(domains)
+    .map(entry => ({ ...entry, minutes: Math.round(entry.minutes) }))
+    .sort((a, b) => b.count - a.count || b.minutes - a.minutes);
+  summary.recent = entries.slice(-10).reverse();
+  
+  return summary;
+}
+
+/**
+ * Get time the user was idle or had the screen locked. This is never
+ * included in per-domain totals.
+ * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
+ * @returns {Promise<Object>}
+ */
+export async function getAwayTime(period = TimePeriod.TODAY, customStart = null, customEnd = null) {
+  const awayData = await getAwayData();
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  
+  let total = 0;
+  let idle = 0;
+  let locked = 0;
+  const byDomain = {};
+  const daily = [];
+  
+  for (const dateKey in awayData) {
+    if (dateKey >= startKey && dateKey <= endKey) {
+      const day = awayData[dateKey];
+      total += day.total || 0;
+      idle += day.idle || 0;
+      locked += day.locked || 0;
+      
+      for (const domain in day.byDomain || {}) {
+        byDomain[domain] = (byDomain[domain] || 0) + day.byDomain[domain];
+      }
+      
+      daily.push({ date: dateKey, total: day.total || 0, gaps: (day.gaps || []).length });
+    }
+  }
+  
+  daily.sort((a, b) => a.date.localeCompare(b.date));
+  
+  return {
+    total,
+    idle,
+    locked,
+    byDomain,
+    daily,
+    formatted: {
+      total: formatDuration(total),
+      idle: formatDuration(idle),
+      locked: formatDuration(locked)
     }
   };
 }
@@ -226,21 +615,19 @@ export async function comparePeriods(period1, period2) {
  * @returns {Promise<Object>}
  */
 export async function getTrendAnalysis(days = 30) {
-  const timeData = await getTimeData();
-  const now = new Date();
+  const todayKey = toDateKey(Date.now(), await getDateKeySettings());
+  const timeData = await getTimeDataForRange(shiftDateKey(todayKey, -(days - 1)), todayKey);
   const trends = [];
   
   for (let i = days - 1; i >= 0; i--) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateKey = date.toISOString().split('T')[0];
+    const dateKey = shiftDateKey(todayKey, -i);
     
     const dayData = timeData[dateKey] || {};
     const dayTotal = Object.values(dayData).reduce((sum, t) => sum + t, 0);
     
     trends.push({
       date: dateKey,
-      dayOfWeek: date.getDay(),
+      dayOfWeek: getDateKeyWeekday(dateKey),
       total: dayTotal,
       sites: Object.keys(dayData).length
     });
@@ -279,20 +666,84 @@ export async function getTrendAnalysis(days = 30) {
 /**
  * Get time-of-day breakdown
  * @param {string} period
+ * @param {Date} customStart
+ * @param {Date} customEnd
  * @returns {Promise<Object>}
  */
-export async function getTimeOfDayBreakdown(period = TimePeriod.LAST_30_DAYS) {
-  // This would require storing more granular time data
-  // For now, return a placeholder structure
+export async function getTimeOfDayBreakdown(period = TimePeriod.LAST_30_DAYS, customStart = null, customEnd = null) {
+  const hourlyData = await getHourlyData();
+  const { startKey, endKey } = await getDateKeyRange(period, customStart, customEnd);
+  const timeData = await getTimeDataForRange(startKey, endKey);
+  
+  const hourly = Array(24).fill(0).map((_, i) => ({
+    hour: i,
+    label: `${i}:00`,
+    totalTime: 0,
+    avgTime: 0,
+    sites: {}
+  }));
+  
+  let daysWithHourlyData = 0;
+  let dailyOnlyDays = 0;
+  let dailyOnlyTime = 0;
+  
+  for (const dateKey in timeData) {
+    if (dateKey < startKey || dateKey > endKey) continue;
+    
+    const dayHours = hourlyData[dateKey];
+    if (!dayHours) {
+      // Recorded before hourly buckets existed, or already compacted into
+      // a rollup; only the day total is known
+      const dayTotal = Object.values(timeData[dateKey]).reduce((sum, t) => sum + t, 0);
+      if (dayTotal > 0) {
+        dailyOnlyDays++;
+        dailyOnlyTime += dayTotal;
+      }
+      continue;
+    }
+    
+    daysWithHourlyData++;
+    for (const hour in dayHours) {
+      const bucket = hourly[Number(hour)];
+      for (const domain in dayHours[hour]) {
+        const time = dayHours[hour][domain];
+        bucket.totalTime += time;
+        bucket.sites[domain] = (bucket.sites[domain] || 0) + time;
+      }
+    }
+  }
+  
+  for (const bucket of hourly) {
+    bucket.avgTime = daysWithHourlyData > 0 ? bucket.totalTime / daysWithHourlyData : 0;
+    const topSite = Object.entries(bucket.sites).sort((a, b) => b[1] - a[1])[0];
+    bucket.topSite = topSite ? topSite[0] : null;
+  }
+  
+  const peakHours = hourly
+    .filter(bucket => bucket.totalTime > 0)
+    .sort((a, b) => b.totalTime - a.totalTime)
+    .slice(0, 3)
+    .map(bucket => ({
+      hour: bucket.hour,
+      label: bucket.label,
+      totalTime: bucket.totalTime,
+      avgTime: bucket.avgTime,
+      formatted: formatDuration(bucket.avgTime)
+    }));
+  
   return {
-    hourly: Array(24).fill(0).map((_, i) => ({
-      hour: i,
-      label: `${i}:00`,
-      totalTime: 0,
-      avgTime: 0
-    })),
-    peakHours: [],
-    note: 'Hourly tracking requires enabling detailed time tracking in settings.'
+    period,
+    dateRange: { start: startKey, end: endKey },
+    hourly,
+    peakHours,
+    daysWithHourlyData,
+    dailyOnly: {
+      days: dailyOnlyDays,
+      totalTime: dailyOnlyTime
+    },
+    note: dailyOnlyDays > 0
+      ? `${dailyOnlyDays} day(s) in this period only have daily totals (recorded before hourly tracking, or older than the detailed retention window).`
+      : null
   };
 }
 
@@ -302,23 +753,20 @@ export async function getTimeOfDayBreakdown(period = TimePeriod.LAST_30_DAYS) {
  * @returns {Promise<Object>}
  */
 export async function getHeatmapData(months = 3) {
-  const timeData = await getTimeData();
-  const now = new Date();
-  const startDate = new Date(now);
-  startDate.setMonth(startDate.getMonth() - months);
+  const todayKey = toDateKey(Date.now(), await getDateKeySettings());
+  const startKey = shiftDateKeyMonths(todayKey, -months);
+  const timeData = await getTimeDataForRange(shiftDateKey(startKey, -6), todayKey);
   
-  const heatmap = [];
   const weeks = [];
   let currentWeek = [];
   
-  const currentDate = new Date(startDate);
   // Start from Sunday
-  currentDate.setDate(currentDate.getDate() - currentDate.getDay());
+  let dateKey = shiftDateKey(startKey, -getDateKeyWeekday(startKey));
   
-  while (currentDate <= now) {
-    const dateKey = currentDate.toISOString().split('T')[0];
+  while (dateKey <= todayKey) {
     const dayData = timeData[dateKey] || {};
     const dayTotal = Object.values(dayData).reduce((sum, t) => sum + t, 0);
+    const dayOfWeek = getDateKeyWeekday(dateKey);
     
     const intensity = getIntensityLevel(dayTotal);
     
@@ -326,15 +774,15 @@ export async function getHeatmapData(months = 3) {
       date: dateKey,
       total: dayTotal,
       intensity,
-      dayOfWeek: currentDate.getDay()
+      dayOfWeek
     });
     
-    if (currentDate.getDay() === 6) {
+    if (dayOfWeek === 6) {
       weeks.push([...currentWeek]);
       currentWeek = [];
     }
     
-    currentDate.setDate(currentDate.getDate() + 1);
+    dateKey = shiftDateKey(dateKey, 1);
   }
   
   if (currentWeek.length > 0) {
@@ -344,8 +792,8 @@ export async function getHeatmapData(months = 3) {
   return {
     weeks,
     months,
-    startDate: startDate.toISOString().split('T')[0],
-    endDate: now.toISOString().split('T')[0]
+    startDate: startKey,
+    endDate: todayKey
   };
 }
 
@@ -370,21 +818,20 @@ function getIntensityLevel(timeMs) {
  */
 export async function exportToCSV(period = TimePeriod.LAST_30_DAYS) {
   const analytics = await getAnalytics(period);
-  const timeData = await getTimeData();
-  const { start, end } = getDateRange(period);
-  
-  const startKey = start.toISOString().split('T')[0];
-  const endKey = end.toISOString().split('T')[0];
+  const { startKey, endKey } = await getDateKeyRange(period);
+  const timeData = await getTimeDataForRange(startKey, endKey);
+  const mediaData = await getMediaData();
   
   // Build CSV content
-  let csv = 'Date,Domain,Time (minutes),Time (formatted)\n';
+  let csv = 'Date,Domain,Time (minutes),Time (formatted),Background media (minutes)\n';
   
   for (const dateKey in timeData) {
     if (dateKey >= startKey && dateKey <= endKey) {
       const dayData = timeData[dateKey];
       for (const domain in dayData) {
         const minutes = Math.round(dayData[domain] / 60000);
-        csv += `${dateKey},${domain},${minutes},"${formatDuration(dayData[domain])}"\n`;
+        const media = (mediaData[dateKey] && mediaData[dateKey][domain]) || 0;
+        csv += `${dateKey},${domain},${minutes},"${formatDuration(dayData[domain])}",${Math.round(media / 60000)}\n`;
       }
     }
   }
@@ -435,7 +882,8 @@ function formatDuration(ms) {
  * @returns {Promise<Object>}
  */
 export async function getSiteInsights(domain) {
-  const timeData = await getTimeData();
+  const { todayKey } = await getDateKeyRange(TimePeriod.TODAY);
+  const timeData = await getTimeDataForRange('0000-01-01', todayKey);
   const dailyData = [];
   let totalTime = 0;
   let visitDays = 0;
@@ -456,6 +904,17 @@ export async function getSiteInsights(domain) {
   
   const avgPerVisit = visitDays > 0 ? totalTime / visitDays : 0;
   
+  // Individual visits are only kept for the visit log retention window
+  const visits = await getVisits('0000-00-00', '9999-99-99', domain);
+  const visitSummary = summarizeVisits(visits);
+  const visitsByDay = {};
+  for (const visit of visits) {
+    visitsByDay[visit.date] = (visitsByDay[visit.date] || 0) + 1;
+  }
+  for (const day of dailyData) {
+    day.visits = visitsByDay[day.date] || 0;
+  }
+  
   return {
     domain,
     totalTime,
@@ -464,9 +923,14 @@ export async function getSiteInsights(domain) {
     firstVisit,
     lastVisit,
     dailyData,
+    visitCount: visitSummary.count,
+    medianVisitLength: visitSummary.medianLength,
+    longestSession: visitSummary.longest,
     formatted: {
       totalTime: formatDuration(totalTime),
-      avgPerVisit: formatDuration(avgPerVisit)
+      avgPerVisit: formatDuration(avgPerVisit),
+      medianVisitLength: formatDuration(visitSummary.medianLength),
+      longestSession: formatDuration(visitSummary.longest ? visitSummary.longest.duration : 0)
     }
   };
 }
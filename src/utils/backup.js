@@ -10,6 +10,7 @@ import {
   saveUserSites,
   clearStorage
 } from './storage.js';
+import { CATEGORIES_KEY } from './categories.js';
 
 const BACKUP_KEY = 'backupHistory';
 const AUTO_BACKUP_KEY = 'lastAutoBackup';
@@ -43,6 +44,7 @@ export async function createBackup(name = '', isAutomatic = false) {
   const onboardingState = await getStorageValue('onboardingState');
   const goalsData = await getStorageValue('userGoals');
   const schedulerConfig = await getStorageValue('schedulerConfig');
+  const siteCategories = await getStorageValue(CATEGORIES_KEY);
   
   const backup = {
     version: BACKUP_VERSION,
@@ -55,7 +57,8 @@ export async function createBackup(name = '', isAutomatic = false) {
       userSites,
       onboardingState,
       goalsData,
-      schedulerConfig
+      schedulerConfig,
+      siteCategories
     },
     metadata: {
       totalTimeTracked: calculateTotalTime(timeData),
@@ -189,6 +192,11 @@ export async function restoreBackup(backup, options = {}) {
     restored.userSites = true;
   }
   
+  // Site categories go with the sites they are assigned to
+  if (restoreUserSites && backup.data.siteCategories) {
+    await setStorageValue(CATEGORIES_KEY, backup.data.siteCategories);
+  }
+  
   // Restore goals
   if (restoreGoals && backup.data.goalsData) {
     await setStorageValue('userGoals', backup.data.goalsData);
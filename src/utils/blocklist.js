@@ -0,0 +1,259 @@
+// Import and export site lists in hosts-file, adblock filter and plain formats
+import { getUserSites, saveUserSites } from './storage.js';
+import { parseSiteEntry, getSiteEntryError } from './site-matcher.js';
+import { assignSitesCategory } from './categories.js';
+
+// Keeps a pasted ad-server hosts file from flooding the site list
+export const MAX_IMPORT_ENTRIES = 5000;
+
+/**
+ * Supported list formats
+ */
+export const BlocklistFormat = {
+  HOSTS: 'hosts',     // '0.0.0.0 reddit.com' (/etc/hosts)
+  ADBLOCK: 'adblock', // '||reddit.com^' (uBlock Origin, AdGuard, ABP)
+  PLAIN: 'plain'      // One domain per line
+};
+
+/**
+ * What happens to a parsed line on import
+ */
+export const EntryStatus = {
+  NEW: 'new',             // Will be added
+  DUPLICATE: 'duplicate', // Appears earlier in the same list
+  EXISTING: 'existing',   // Already monitored
+  INVALID: 'invalid'      // Can't be used; `reason` says why
+};
+
+const IP_PATTERN = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f:]*:[0-9a-f:%a-z]*)$/i;
+
+// Names every hosts file maps to the local machine
+const LOCAL_HOSTNAMES = new Set([
+  'localhost',
+  'localhost.localdomain',
+  'local',
+  'broadcasthost',
+  'ip6-localhost',
+  'ip6-loopback',
+  'ip6-localnet',
+  'ip6-mcastprefix',
+  'ip6-allnodes',
+  'ip6-allrouters',
+  'ip6-allhosts',
+  '0.0.0.0'
+]);
+
+// '||domain^', '||domain/path^', with optional '$options'
+const ADBLOCK_RULE = /^\|\|([^/^$|*]+)(\/[^^$|*]*)?\^?\|?(\$.*)?$/;
+
+/**
+ * Guess the format of a list from its lines
+ * @param {string} text
+ * @returns {string} - BlocklistFormat value
+ */
+export function detectFormat(text) {
+  let hosts = 0;
+  let adblock = 0;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith('||') || line.startsWith('@@') || line.startsWith('[Adblock') ||
+        line.startsWith('!') || line.includes('##')) {
+      adblock++;
+    } else if (IP_PATTERN.test(line.split(/\s+/)[0]) && /\s/.test(line)) {
+      hosts++;
+    }
+  }
+
+  if (hosts === 0 && adblock === 0) {
+    return BlocklistFormat.PLAIN;
+  }
+  return hosts > adblock ? BlocklistFormat.HOSTS : BlocklistFormat.ADBLOCK;
+}
+
+/**
+ * Normalise a domain or URL from a list into a site entry
+ * @param {string} value
+ * @returns {string}
+ */
+function toSiteEntry(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('/')) {
+    return trimmed; // '/regex/' entries are kept as written
+  }
+
+  // 'www.' is dropped so it can't duplicate the bare domain
+  return trimmed
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Read the candidate entries of one line
+ * @param {string} line - Trimmed line
+ * @param {string} format - BlocklistFormat value
+ * @returns {Array} - [{ site }] or [{ reason }]; empty for comments and
+ *   blank lines
+ */
+function parseLine(line, format) {
+  if (!line) {
+    return [];
+  }
+
+  if (format === BlocklistFormat.HOSTS) {
+    const content = line.replace(/#.*$/, '').trim();
+    if (!content) return [];
+
+    const [address, ...hostnames] = content.split(/\s+/);
+    if (!IP_PATTERN.test(address)) {
+      return [{ reason: 'Not a hosts file line' }];
+    }
+    return hostnames
+      .filter(hostname => !LOCAL_HOSTNAMES.has(hostname.toLowerCase()))
+      .map(hostname => ({ site: toSiteEntry(hostname) }));
+  }
+
+  if (format === BlocklistFormat.ADBLOCK) {
+    if (line.startsWith('!') || line.startsWith('[')) return [];
+    if (line.startsWith('@@')) return [{ reason: 'Exception rules aren\'t supported' }];
+    if (/#[@?$%]?#/.test(line)) return [{ reason: 'Cosmetic filters aren\'t supported' }];
+
+    const match = line.match(ADBLOCK_RULE);
+    if (match) {
+      return [{ site: toSiteEntry(match[1] + (match[2] || '')) }];
+    }
+    // uBlock also accepts bare host names
+    if (/^[a-z0-9.-]+$/i.test(line)) {
+      return [{ site: toSiteEntry(line) }];
+    }
+    return [{ reason: 'Only ||domain^ rules are supported' }];
+  }
+
+  if (line.startsWith('#')) {
+    return [];
+  }
+  return [{ site: toSiteEntry(line.replace(/\s+#.*$/, '')) }];
+}
+
+/**
+ * Parse a list for preview. Nothing is saved.
+ * @param {string} text - File contents
+ * @param {string|null} format - BlocklistFormat value, or null to detect
+ * @param {Array<string>} existing - Entries already monitored
+ * @returns {Object} - { format, entries: [{ line, text, site, status,
+ *   reason }], counts: { new, duplicate, existing, invalid } }
+ */
+export function parseBlocklist(text, format = null, existing = []) {
+  const listFormat = format || detectFormat(text);
+  const known = new Set(existing);
+  const seen = new Set();
+  const entries = [];
+  const counts = { new: 0, duplicate: 0, existing: 0, invalid: 0 };
+
+  String(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+
+    for (const candidate of parseLine(line, listFormat)) {
+      const entry = { line: index + 1, text: line, site: candidate.site || null, status: EntryStatus.NEW, reason: null };
+      const error = candidate.reason || getSiteEntryError(entry.site);
+
+      if (error) {
+        entry.status = EntryStatus.INVALID;
+        entry.reason = error;
+      } else if (seen.has(entry.site)) {
+        entry.status = EntryStatus.DUPLICATE;
+      } else if (known.has(entry.site)) {
+        entry.status = EntryStatus.EXISTING;
+      } else if (counts.new >= MAX_IMPORT_ENTRIES) {
+        entry.status = EntryStatus.INVALID;
+        entry.reason = `Over the ${MAX_IMPORT_ENTRIES} entry limit`;
+      }
+
+      if (entry.site) {
+        seen.add(entry.site);
+      }
+      counts[entry.status]++;
+      entries.push(entry);
+    }
+  });
+
+  return { format: listFormat, entries, counts };
+}
+
+/**
+ * Add the new entries of a parsed list to the monitored sites
+ * @param {Array} entries - From parseBlocklist()
+ * @param {string|null} categoryId - Category for the added sites, or null
+ *   for "My Sites"
+ * @returns {Promise<number>} - Number of sites added
+ */
+export async function importBlocklist(entries, categoryId = null) {
+  const sites = await getUserSites();
+  const added = entries
+    .filter(entry => entry.status === EntryStatus.NEW && !sites.includes(entry.site))
+    .map(entry => entry.site);
+
+  if (added.length === 0) {
+    return 0;
+  }
+
+  // Assign first so the sites show up in their category right away
+  if (categoryId) {
+    const domains = added.filter(site => !parseSiteEntry(site).path);
+    await assignSitesCategory(domains, categoryId);
+  }
+  await saveUserSites([...sites, ...added]);
+
+  return added.length;
+}
+
+/**
+ * Write site entries as a list
+ * @param {Array<string>} sites - Site entries ('reddit.com',
+ *   'youtube.com/shorts', '*.example.com', '/regex/')
+ * @param {string} format - BlocklistFormat value
+ * @returns {Object} - { text, skipped } where `skipped` lists entries the
+ *   format can't express
+ */
+export function exportBlocklist(sites, format) {
+  const date = new Date().toISOString();
+  const lines = [];
+  const skipped = [];
+  const written = new Set();
+
+  if (format === BlocklistFormat.ADBLOCK) {
+    lines.push('[Adblock Plus 2.0]', '! Title: Shame Clock sites', `! Exported: ${date}`);
+  } else {
+    lines.push('# Shame Clock sites', `# Exported: ${date}`);
+  }
+
+  for (const site of sites) {
+    const { domain, path } = parseSiteEntry(site);
+    const isRegex = domain.startsWith('/');
+    const host = domain.replace(/^\*\./, '');
+    let line;
+
+    if (format === BlocklistFormat.PLAIN) {
+      line = site;
+    } else if (isRegex || (format === BlocklistFormat.HOSTS && path)) {
+      // Hosts files only name hosts; paths would widen to the whole site
+      skipped.push(site);
+      continue;
+    } else if (format === BlocklistFormat.HOSTS) {
+      line = `0.0.0.0 ${host}`;
+    } else {
+      line = `||${host}${path || ''}^`;
+    }
+
+    if (!written.has(line)) {
+      written.add(line);
+      lines.push(line);
+    }
+  }
+
+  return { text: lines.join('\n') + '\n', skipped };
+}
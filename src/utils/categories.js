@@ -0,0 +1,286 @@
+// User-defined site categories: names, colors, on/off switches and limits
+import { getStorageValue, setStorageValue } from './storage.js';
+
+export const CATEGORIES_KEY = 'siteCategories';
+
+/**
+ * Category of sites the user added without picking one
+ */
+export const USER_DEFINED_CATEGORY = 'user_defined';
+
+/**
+ * What an intervention on a site in the category is about
+ */
+export const InterventionScope = {
+  SITE: 'site',         // The site's own time (default)
+  CATEGORY: 'category', // Time across every site in the category
+  OFF: 'off'            // No interventions for sites in the category
+};
+
+// Categories used by the bundled site list. They can be renamed, recolored
+// and switched off, but not deleted.
+const BUILT_IN_CATEGORIES = [
+  { id: 'social_media', name: 'Social Media', color: '#ec4899' },
+  { id: 'entertainment', name: 'Entertainment', color: '#f97316' },
+  { id: 'gaming', name: 'Gaming', color: '#8b5cf6' },
+  { id: 'communication', name: 'Communication', color: '#0ea5e9' },
+  { id: 'development', name: 'Development', color: '#10b981' },
+  { id: 'productivity', name: 'Productivity', color: '#22c55e' },
+  { id: 'project_management', name: 'Project Management', color: '#14b8a6' },
+  { id: 'reference', name: 'Reference', color: '#64748b' },
+  { id: USER_DEFINED_CATEGORY, name: 'My Sites', color: '#6366f1' }
+];
+
+const MAX_NAME_LENGTH = 40;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/*
+ * Storage format:
+ * {
+ *   categories: [{ id, name, color, enabled, interventions, dailyLimit, builtIn }],
+ *   assignments: { [site domain]: categoryId }
+ * }
+ *   Built-ins are listed with the user's changes on top of the defaults
+ *   above; `dailyLimit` is in minutes (0 = none). `assignments` override
+ *   the bundled category of a site.
+ */
+
+/**
+ * Fill in the defaults of a category
+ * @param {Object} category
+ * @returns {Object}
+ */
+function withDefaults(category) {
+  return {
+    enabled: true,
+    interventions: InterventionScope.SITE,
+    dailyLimit: 0,
+    builtIn: false,
+    ...category
+  };
+}
+
+/**
+ * Turn a snake_case id into a readable name for categories that aren't
+ * known here (e.g. added to the bundled list later)
+ * @param {string} id
+ * @returns {string}
+ */
+function nameFromId(id) {
+  return id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Get all categories and site assignments
+ * @returns {Promise<Object>} - { categories, assignments }; categories
+ *   list built-ins first, then the user's own in creation order
+ */
+export async function getCategoryConfig() {
+  const stored = await getStorageValue(CATEGORIES_KEY) || {};
+  const storedCategories = Array.isArray(stored.categories) ? stored.categories : [];
+
+  const categories = BUILT_IN_CATEGORIES.map(builtIn => {
+    const changes = storedCategories.find(category => category.id === builtIn.id) || {};
+    return withDefaults({ ...builtIn, ...changes, builtIn: true });
+  });
+
+  for (const category of storedCategories) {
+    if (!categories.some(existing => existing.id === category.id)) {
+      categories.push(withDefaults({ ...category, builtIn: false }));
+    }
+  }
+
+  return { categories, assignments: stored.assignments || {} };
+}
+
+/**
+ * Save categories and site assignments
+ * @param {Object} config - { categories, assignments }
+ * @returns {Promise<void>}
+ */
+async function saveCategoryConfig(config) {
+  return setStorageValue(CATEGORIES_KEY, {
+    categories: config.categories,
+    assignments: config.assignments
+  });
+}
+
+/**
+ * Get all categories
+ * @returns {Promise<Array>}
+ */
+export async function getCategories() {
+  const { categories } = await getCategoryConfig();
+  return categories;
+}
+
+/**
+ * Look up a category by id, falling back to a generated one for ids that
+ * only appear in the site list
+ * @param {Array} categories
+ * @param {string} id
+ * @returns {Object}
+ */
+export function findCategory(categories, id) {
+  return categories.find(category => category.id === id) ||
+    withDefaults({ id, name: nameFromId(id || 'unknown'), color: '#94a3b8' });
+}
+
+/**
+ * Get the category a site belongs to: the user's assignment, else the
+ * bundled one, else "My Sites"
+ * @param {Object} site - Site entry with `domain` and `category`
+ * @param {Object} assignments - From getCategoryConfig()
+ * @returns {string} - Category id
+ */
+export function resolveSiteCategory(site, assignments) {
+  return assignments[site.domain] || site.category || USER_DEFINED_CATEGORY;
+}
+
+/**
+ * Check a category name and color typed by the user
+ * @param {Array} categories - Existing categories
+ * @param {Object} fields - { name?, color? }
+ * @param {string} ownId - Id of the category being edited, if any
+ */
+function validateFields(categories, fields, ownId = null) {
+  if (fields.name !== undefined) {
+    const name = String(fields.name).trim();
+    if (!name) {
+      throw new Error('Category name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Category names are at most ${MAX_NAME_LENGTH} characters`);
+    }
+    const lower = name.toLowerCase();
+    if (categories.some(category => category.id !== ownId && category.name.toLowerCase() === lower)) {
+      throw new Error(`A category named "${name}" already exists`);
+    }
+  }
+
+  if (fields.color !== undefined && !COLOR_PATTERN.test(fields.color)) {
+    throw new Error(`Invalid color: ${fields.color}`);
+  }
+
+  if (fields.interventions !== undefined &&
+      !Object.values(InterventionScope).includes(fields.interventions)) {
+    throw new Error(`Invalid intervention scope: ${fields.interventions}`);
+  }
+
+  if (fields.dailyLimit !== undefined) {
+    const limit = Number(fields.dailyLimit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > 24 * 60) {
+      throw new Error('Daily limit must be between 0 and 1440 minutes');
+    }
+  }
+}
+
+/**
+ * Create a category
+ * @param {Object} category - { name, color?, interventions?, dailyLimit? }
+ * @returns {Promise<Object>} - The new category
+ */
+export async function createCategory(category) {
+  const config = await getCategoryConfig();
+  const fields = { name: '', color: '#94a3b8', ...category };
+  validateFields(config.categories, fields);
+
+  const newCategory = withDefaults({
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+    name: String(fields.name).trim(),
+    color: fields.color.toLowerCase(),
+    interventions: fields.interventions || InterventionScope.SITE,
+    dailyLimit: Number(fields.dailyLimit || 0)
+  });
+
+  config.categories.push(newCategory);
+  await saveCategoryConfig(config);
+
+  return newCategory;
+}
+
+/**
+ * Rename, recolor, switch on/off or change the limits of a category
+ * @param {string} categoryId
+ * @param {Object} updates - { name?, color?, enabled?, interventions?, dailyLimit? }
+ * @returns {Promise<Object>} - The updated category
+ */
+export async function updateCategory(categoryId, updates) {
+  const config = await getCategoryConfig();
+  const category = config.categories.find(c => c.id === categoryId);
+  if (!category) {
+    throw new Error(`Unknown category: ${categoryId}`);
+  }
+
+  validateFields(config.categories, updates, categoryId);
+
+  if (updates.name !== undefined) category.name = String(updates.name).trim();
+  if (updates.color !== undefined) category.color = updates.color.toLowerCase();
+  if (updates.enabled !== undefined) category.enabled = !!updates.enabled;
+  if (updates.interventions !== undefined) category.interventions = updates.interventions;
+  if (updates.dailyLimit !== undefined) category.dailyLimit = Number(updates.dailyLimit);
+
+  await saveCategoryConfig(config);
+  return category;
+}
+
+/**
+ * Delete a category the user created. Its sites go back to their bundled
+ * category.
+ * @param {string} categoryId
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCategory(categoryId) {
+  const config = await getCategoryConfig();
+  const category = config.categories.find(c => c.id === categoryId);
+  if (!category) {
+    return false;
+  }
+  if (category.builtIn) {
+    throw new Error('Built-in categories can be switched off but not deleted');
+  }
+
+  config.categories = config.categories.filter(c => c.id !== categoryId);
+  for (const domain in config.assignments) {
+    if (config.assignments[domain] === categoryId) {
+      delete config.assignments[domain];
+    }
+  }
+
+  await saveCategoryConfig(config);
+  return true;
+}
+
+/**
+ * Move a site into a category
+ * @param {string} domain - Site domain or pattern as listed
+ * @param {string|null} categoryId - null to go back to the bundled category
+ * @returns {Promise<void>}
+ */
+export async function assignSiteCategory(domain, categoryId) {
+  return assignSitesCategory([domain], categoryId);
+}
+
+/**
+ * Move several sites into a category at once
+ * @param {Array<string>} domains - Site domains or patterns as listed
+ * @param {string|null} categoryId - null to go back to the bundled category
+ * @returns {Promise<void>}
+ */
+export async function assignSitesCategory(domains, categoryId) {
+  const config = await getCategoryConfig();
+
+  if (categoryId && !config.categories.some(c => c.id === categoryId)) {
+    throw new Error(`Unknown category: ${categoryId}`);
+  }
+
+  for (const domain of domains) {
+    if (categoryId) {
+      config.assignments[domain] = categoryId;
+    } else {
+      delete config.assignments[domain];
+    }
+  }
+
+  await saveCategoryConfig(config);
+}
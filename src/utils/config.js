@@ -39,9 +39,70 @@ export const DEFAULT_CONFIG = {
   userCompany: '',
   userEmail: '',
   
+  // Interventions (the Moderate preset)
+  popupEnabled: true,
+  interventionType: 'popup', // 'popup', 'notification' or 'off'
+  minTimeBeforePopup: 5 * 60 * 1000, // Time on a site before the first intervention
+  popupDuration: 30 * 1000,
+  popupCooldown: 3 * 60 * 1000,
+  snoozeDuration: 5 * 60 * 1000,
+  allowPageDuration: 30 * 60 * 1000, // "Allow this page" on the popup stops tracking the page this long
+  thresholds: { // Time on a site at which each escalation level starts
+    low: 5 * 60 * 1000,
+    medium: 15 * 60 * 1000,
+    high: 30 * 60 * 1000,
+    veryHigh: Infinity
+  },
+  intervals: { // Time between interventions at each level
+    medium: 10 * 60 * 1000,
+    high: 5 * 60 * 1000,
+    veryHigh: 3 * 60 * 1000
+  },
+  enabledPersonas: ['future_self', 'mom', 'historical_figures'],
+  personaWeights: {},
+  
   // Data retention
-  dataRetentionDays: 90,
-  autoCleanup: true
+  dataRetentionDays: 90, // Days of full daily detail (0 = keep forever)
+  weeklyRollupWeeks: 26, // Weeks of weekly totals before compacting to months (0 = never)
+  monthlyRollupMonths: 24, // Months of monthly totals to keep (0 = forever)
+  autoCleanup: true,
+  
+  // Time tracking
+  idleDetectionEnabled: true,
+  idleThreshold: 60, // Seconds without input before tracking pauses (min 15)
+  dayStartHour: 0, // Local hour when a new day starts for statistics (0-23)
+  backgroundMediaPolicy: 'full', // 'full', 'weighted' or 'ignore' for audible background tabs
+  backgroundMediaWeight: 50, // Percent of background media time counted when 'weighted'
+  
+  // Sync
+  syncEnabled: false // Share settings and time totals through the browser's sync storage
+};
+
+/**
+ * Productivity class of a tracked site. Sites without one are distractions.
+ */
+export const ProductivityClass = {
+  PRODUCTIVE: 'productive',
+  NEUTRAL: 'neutral',
+  DISTRACTING: 'distracting'
+};
+
+/**
+ * How the user is interrupted once a site's time runs over
+ */
+export const InterventionType = {
+  POPUP: 'popup',               // Overlay on the page
+  NOTIFICATION: 'notification', // System notification only
+  OFF: 'off'                    // Track silently
+};
+
+/**
+ * How audible tracked tabs that aren't focused are counted
+ */
+export const BackgroundMediaPolicy = {
+  FULL: 'full',
+  WEIGHTED: 'weighted',
+  IGNORE: 'ignore'
 };
 
 export const STORAGE_KEYS = {
@@ -50,5 +111,20 @@ export const STORAGE_KEYS = {
   RESEARCH_CACHE: 'researchCache',
   TEMPLATES: 'emailTemplates',
   FOLLOW_UP_SEQUENCES: 'followUpSequences',
-  USAGE_STATS: 'usageStats'
+  USAGE_STATS: 'usageStats',
+  TIME_DATA: 'timeData',
+  TRACKED_SITES: 'trackedSites',
+  USER_SITES: 'userSites',
+  AWAY_DATA: 'awayData',
+  TRACKING_STATE: 'trackingState',
+  HOURLY_DATA: 'hourlyData',
+  DATA_VERSION: 'dataVersion',
+  VISIT_LOG: 'visitLog',
+  BUCKET_DATA: 'bucketData',
+  ROLLUP_DATA: 'rollupData',
+  MEDIA_DATA: 'mediaData',
+  TIME_CORRECTIONS: 'timeCorrections',
+  DEVICE_ID: 'deviceId',
+  SYNC_STATE: 'syncState',
+  SYNCED_TIME: 'syncedTime'
 };
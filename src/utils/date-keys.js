@@ -0,0 +1,295 @@
+// Date keys (YYYY-MM-DD) in the user's timezone with a configurable day rollover
+import { getConfig } from './storage.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { getSchedulerConfig, getScheduleTimeZone } from './scheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Intl.DateTimeFormat is expensive to construct, keep one per timezone
+const formatterCache = new Map();
+
+/**
+ * Get the system timezone
+ * @returns {string}
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Get a cached formatter that yields wall-clock parts in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check if a timezone name is usable by Intl
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Load the settings that decide which day a moment belongs to
+ * @returns {Promise<Object>} - { timeZone, dayStartHour }
+ */
+export async function getDateKeySettings() {
+  const config = await getConfig();
+  const schedulerConfig = await getSchedulerConfig();
+
+  const timeZone = getScheduleTimeZone(schedulerConfig);
+
+  const dayStartHour = Number.isInteger(config.dayStartHour)
+    ? Math.min(23, Math.max(0, config.dayStartHour))
+    : DEFAULT_CONFIG.dayStartHour;
+
+  return { timeZone, dayStartHour };
+}
+
+/**
+ * Get the date key a moment belongs to. Moments before `dayStartHour`
+ * (local time) count toward the previous day.
+ * @param {Date|number} date - Date or timestamp
+ * @param {Object} settings - From getDateKeySettings()
+ * @returns {string}
+ */
+export function toDateKey(date, settings) {
+  return getLocalParts(date, settings).dateKey;
+}
+
+/**
+ * Get the date key plus local wall-clock time of a moment
+ * @param {Date|number} date - Date or timestamp
+ * @param {Object} settings - From getDateKeySettings()
+ * @returns {Object} - { dateKey, hour, minute, second }
+ */
+function getLocalParts(date, settings) {
+  const { timeZone, dayStartHour = 0 } = settings || {};
+  const zone = isValidTimeZone(timeZone) ? timeZone : getSystemTimeZone();
+
+  const parts = {};
+  for (const part of getFormatter(zone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  const hour = Number(parts.hour);
+  const key = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    dateKey: hour < dayStartHour ? shiftDateKey(key, -1) : key,
+    hour,
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+/**
+ * How far a timezone is ahead of UTC at a moment
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @returns {number} - Milliseconds
+ */
+function getZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    parts[part.type] = part.value;
+  }
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Find the first moment a timezone's clock reads a wall-clock time
+ * @param {string} key - Date key
+ * @param {number} minutes - Minutes since midnight; 1440 and more roll
+ *   into the following days
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Timestamp. A time the clock skips when DST starts
+ *   maps to the moment of the jump; a time it shows twice when DST ends
+ *   maps to the first pass.
+ */
+export function zonedTimeToTimestamp(key, minutes, timeZone) {
+  const wall = keyToUTC(key) + minutes * 60 * 1000;
+  // Offsets a day either side are the ones before and after any change
+  const before = getZoneOffset(wall - DAY_MS, timeZone);
+  const after = getZoneOffset(wall + DAY_MS, timeZone);
+
+  const fits = [wall - before, wall - after].filter(timestamp =>
+    getZoneOffset(timestamp, timeZone) === wall - timestamp
+  );
+  if (fits.length > 0) {
+    return Math.min(...fits);
+  }
+
+  // Skipped: the clock jumps past this time somewhere between these two
+  let low = wall - after;
+  let high = wall - before;
+  while (high - low > 60 * 1000) {
+    const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+    if (getZoneOffset(middle, timeZone) === before) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Read a timezone's clock at a moment
+ * @param {Date|number} date - Date or timestamp
+ * @param {string} timeZone - IANA timezone name; the system one when invalid
+ * @returns {Object} - { dateKey, minutes, weekday } with minutes since
+ *   midnight and weekday 0 = Sunday; no day rollover is applied
+ */
+export function getWallClock(date, timeZone) {
+  const { dateKey, hour, minute } = getLocalParts(date, { timeZone, dayStartHour: 0 });
+  return { dateKey, minutes: hour * 60 + minute, weekday: getDateKeyWeekday(dateKey) };
+}
+
+/**
+ * Split a time span at local hour boundaries
+ * @param {number} start - Start timestamp
+ * @param {number} end - End timestamp
+ * @param {Object} settings - From getDateKeySettings()
+ * @returns {Array} - [{ dateKey, hour, duration }] in chronological order
+ */
+export function splitByHour(start, end, settings) {
+  const chunks = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    const { dateKey, hour, minute, second } = getLocalParts(cursor, settings);
+    const intoHour = (minute * 60 + second) * 1000 + (cursor % 1000);
+    const chunkEnd = Math.min(end, cursor + HOUR_MS - intoHour);
+
+    chunks.push({ dateKey, hour, duration: chunkEnd - cursor });
+    cursor = chunkEnd;
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the date key for a moment using the saved settings
+ * @param {Date|number} date
+ * @returns {Promise<string>}
+ */
+export async function getDateKey(date) {
+  return toDateKey(date, await getDateKeySettings());
+}
+
+/**
+ * Get today's date key using the saved settings
+ * @returns {Promise<string>}
+ */
+export async function getTodayKey() {
+  return getDateKey(Date.now());
+}
+
+/**
+ * Get the calendar date key of a Date as the machine sees it, ignoring
+ * timezone settings and rollover (for dates picked in a date input)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toCalendarKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a date key into UTC midnight of that calendar day
+ * @param {string} key
+ * @returns {number}
+ */
+function keyToUTC(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Format UTC midnight of a calendar day as a date key
+ * @param {number} utcMs
+ * @returns {string}
+ */
+function utcToKey(utcMs) {
+  return new Date(utcMs).toISOString().split('T')[0];
+}
+
+/**
+ * Move a date key by a number of days
+ * @param {string} key
+ * @param {number} days
+ * @returns {string}
+ */
+export function shiftDateKey(key, days) {
+  return utcToKey(keyToUTC(key) + days * DAY_MS);
+}
+
+/**
+ * Move a date key by a number of months (day clamped to month length)
+ * @param {string} key
+ * @param {number} months
+ * @returns {string}
+ */
+export function shiftDateKeyMonths(key, months) {
+  const [year, month, day] = key.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return utcToKey(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+}
+
+/**
+ * Number of days from one key to another (positive if `to` is later)
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function daysBetweenKeys(from, to) {
+  return Math.round((keyToUTC(to) - keyToUTC(from)) / DAY_MS);
+}
+
+/**
+ * Day of week for a date key (0 = Sunday)
+ * @param {string} key
+ * @returns {number}
+ */
+export function getDateKeyWeekday(key) {
+  return new Date(keyToUTC(key)).getUTCDay();
+}
+
+/**
+ * Local Date at noon of a date key, for display (weekday names, day numbers)
+ * @param {string} key
+ * @returns {Date}
+ */
+export function dateKeyToDate(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
+}
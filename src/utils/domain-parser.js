@@ -0,0 +1,138 @@
+// Public-suffix-aware host name parsing (registrable domain, subdomain, suffix)
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+// Built on first use; parsing the list takes a few milliseconds
+let rules = null;
+
+/**
+ * Convert a host name to its ASCII (punycode) form, the form URL() gives
+ * @param {string} hostname
+ * @returns {string}
+ */
+function toASCII(hostname) {
+  if (/^[\x00-\x7f]*$/.test(hostname)) {
+    return hostname;
+  }
+  try {
+    return new URL(`http://${hostname}`).hostname;
+  } catch (e) {
+    return hostname;
+  }
+}
+
+/**
+ * Index the bundled list into exact, wildcard and exception rules
+ * @returns {Object} - { exact, wildcard, exception } sets of suffixes
+ */
+function getRules() {
+  if (rules) {
+    return rules;
+  }
+
+  rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+
+  for (const line of PUBLIC_SUFFIX_RULES.split('\n')) {
+    const rule = line.trim().toLowerCase();
+    if (!rule) continue;
+
+    if (rule.startsWith('!')) {
+      rules.exception.add(toASCII(rule.substring(1)));
+    } else if (rule.startsWith('*.')) {
+      rules.wildcard.add(toASCII(rule.substring(2)));
+    } else {
+      rules.exact.add(toASCII(rule));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Check if a host name is an IP address rather than a domain
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isIPAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+}
+
+/**
+ * Normalise a host name: lowercase, ASCII, no trailing dot or port
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function normalizeHostname(hostname) {
+  let host = String(hostname || '').trim().toLowerCase();
+  if (!host.startsWith('[')) {
+    host = host.replace(/:\d+$/, '');
+  }
+  return toASCII(host.replace(/\.+$/, ''));
+}
+
+/**
+ * Split a host name into subdomain, registrable domain and public suffix.
+ * Follows the publicsuffix.org algorithm: the longest matching rule wins,
+ * exception rules beat wildcards, and unlisted TLDs count as suffixes.
+ * @param {string} hostname - e.g. 'news.bbc.co.uk'
+ * @returns {Object} - { hostname, domain, subdomain, suffix }, e.g.
+ *   { hostname: 'news.bbc.co.uk', domain: 'bbc.co.uk', subdomain: 'news',
+ *   suffix: 'co.uk' }. `domain` is null when the host is itself a public
+ *   suffix; IP addresses are returned whole as `domain` with no suffix.
+ */
+export function parseDomain(hostname) {
+  const host = normalizeHostname(hostname);
+
+  if (!host || isIPAddress(host)) {
+    return { hostname: host, domain: host || null, subdomain: '', suffix: '' };
+  }
+
+  const { exact, wildcard, exception } = getRules();
+  const labels = host.split('.');
+  let suffixStart = labels.length - 1; // Default rule '*': the last label
+
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+
+    if (exception.has(candidate)) {
+      suffixStart = i + 1;
+      break;
+    }
+    if (exact.has(candidate) || (i + 1 < labels.length && wildcard.has(labels.slice(i + 1).join('.')))) {
+      suffixStart = i;
+      break;
+    }
+  }
+
+  const suffix = labels.slice(suffixStart).join('.');
+  if (suffixStart === 0) {
+    return { hostname: host, domain: null, subdomain: '', suffix };
+  }
+
+  return {
+    hostname: host,
+    domain: labels.slice(suffixStart - 1).join('.'),
+    subdomain: labels.slice(0, suffixStart - 1).join('.'),
+    suffix
+  };
+}
+
+/**
+ * Get the registrable domain of a host name ('old.reddit.com' ->
+ * 'reddit.com', 'mail.company.co.jp' -> 'company.co.jp')
+ * @param {string} hostname
+ * @returns {string|null} - null for public suffixes such as 'co.uk'
+ */
+export function getRegistrableDomain(hostname) {
+  return parseDomain(hostname).domain;
+}
+
+/**
+ * Check if a host name is a public suffix on its own (e.g. 'co.uk',
+ * 'github.io'), so it can't identify a single site
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function isPublicSuffix(hostname) {
+  const host = normalizeHostname(hostname);
+  return host !== '' && parseDomain(host).domain === null;
+}
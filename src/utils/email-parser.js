@@ -1,4 +1,6 @@
 // Email parsing utilities
+import { getRegistrableDomain } from './domain-parser.js';
+
 /**
  * Parse email address to extract name and email
  * @param {string} emailString - Email string (e.g., "John Doe <john@example.com>")
@@ -39,8 +41,9 @@ export function extractCompanyFromEmail(email) {
   const domain = email.split('@')[1];
   if (!domain) return '';
   
-  // Remove common TLDs and extract company name
-  const company = domain.split('.')[0];
+  // Drop subdomains and the public suffix ('mail.company.co.jp' -> 'company')
+  const registrable = getRegistrableDomain(domain) || domain;
+  const company = registrable.split('.')[0];
   return company.charAt(0).toUpperCase() + company.slice(1);
 }
 
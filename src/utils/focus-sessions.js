@@ -1,5 +1,6 @@
 // Focus session tracking with Pomodoro integration
 import { getStorageValue, setStorageValue } from './storage.js';
+import { getTodayKey, shiftDateKey } from './date-keys.js';
 
 const FOCUS_KEY = 'focusSessions';
 
@@ -45,7 +46,7 @@ const DEFAULT_FOCUS_STATE = {
   currentSession: null,
   sessionHistory: [],
   todayStats: {
-    date: new Date().toISOString().split('T')[0],
+    date: null, // Filled in with the current date key on load
     focusTime: 0,
     breakTime: 0,
     sessionsCompleted: 0,
@@ -64,14 +65,17 @@ const DEFAULT_FOCUS_STATE = {
  */
 export async function getFocusState() {
   const state = await getStorageValue(FOCUS_KEY);
-  const defaultState = { ...DEFAULT_FOCUS_STATE };
+  const today = await getTodayKey();
+  const defaultState = {
+    ...DEFAULT_FOCUS_STATE,
+    todayStats: { ...DEFAULT_FOCUS_STATE.todayStats, date: today }
+  };
   
   if (!state) {
     return defaultState;
   }
   
   // Reset today stats if it's a new day
-  const today = new Date().toISOString().split('T')[0];
   if (state.todayStats?.date !== today) {
     state.todayStats = {
       ...DEFAULT_FOCUS_STATE.todayStats,
@@ -203,7 +207,7 @@ export async function completeSession() {
   session.actualDuration = actualDuration;
   
   // Update today's stats
-  const today = new Date().toISOString().split('T')[0];
+  const today = await getTodayKey();
   if (state.todayStats.date !== today) {
     state.todayStats = { ...DEFAULT_FOCUS_STATE.todayStats, date: today };
   }
@@ -219,7 +223,7 @@ export async function completeSession() {
   if (session.type === SessionType.FOCUS) {
     if (state.streak.lastSessionDate === today) {
       // Already had a session today, don't increment
-    } else if (isYesterday(state.streak.lastSessionDate)) {
+    } else if (isYesterday(state.streak.lastSessionDate, today)) {
       state.streak.current++;
     } else {
       state.streak.current = 1;
@@ -343,7 +347,7 @@ export async function updatePomodoroSettings(settings) {
  */
 export async function getTodayFocusStats() {
   const state = await getFocusState();
-  const today = new Date().toISOString().split('T')[0];
+  const today = await getTodayKey();
   
   if (state.todayStats.date !== today) {
     return { ...DEFAULT_FOCUS_STATE.todayStats, date: today };
@@ -385,7 +389,7 @@ export async function recordDistractionAvoided() {
   const state = await getFocusState();
   
   if (state.currentSession?.type === SessionType.FOCUS) {
-    const today = new Date().toISOString().split('T')[0];
+    const today = await getTodayKey();
     if (state.todayStats.date === today) {
       state.todayStats.distractionsAvoided++;
       await saveFocusState(state);
@@ -458,13 +462,12 @@ function getSessionName(type) {
 /**
  * Check if date is yesterday
  * @param {string} dateStr
+ * @param {string} today - Today's date key
  * @returns {boolean}
  */
-function isYesterday(dateStr) {
+function isYesterday(dateStr, today) {
   if (!dateStr) return false;
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return dateStr === yesterday.toISOString().split('T')[0];
+  return dateStr === shiftDateKey(today, -1);
 }
 
 /**
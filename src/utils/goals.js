@@ -1,5 +1,10 @@
 // Goal setting and progress tracking system
-import { getStorageValue, setStorageValue, getTimeData } from './storage.js';
+import { getStorageValue, setStorageValue, getBucketData } from './storage.js';
+import { getAllDevicesTimeData } from './sync.js';
+import { getTodayKey, getDateKey, shiftDateKey } from './date-keys.js';
+import { classifyDomains, categorizeDomains } from './site-matcher.js';
+import { getProductivityScore, calculateProductivityScore, TimePeriod } from './analytics.js';
+import { ProductivityClass } from './config.js';
 
 const GOALS_KEY = 'userGoals';
 
@@ -9,9 +14,11 @@ const GOALS_KEY = 'userGoals';
 export const GoalType = {
   DAILY_LIMIT: 'daily_limit',      // Max time per day across all sites
   SITE_LIMIT: 'site_limit',        // Max time per day on specific site
+  CATEGORY_LIMIT: 'category_limit', // Max time per day across a site category
   WEEKLY_LIMIT: 'weekly_limit',    // Max time per week
   REDUCTION: 'reduction',          // Reduce time by X% from previous period
-  STREAK: 'streak'                 // Maintain limit for X consecutive days
+  STREAK: 'streak',                // Maintain limit for X consecutive days
+  PRODUCTIVITY_SCORE: 'productivity_score' // Reach a daily score of at least X
 };
 
 /**
@@ -56,6 +63,8 @@ export async function addGoal(goal) {
     type: goal.type || GoalType.DAILY_LIMIT,
     target: goal.target || 60, // Minutes
     domain: goal.domain || null, // null = all tracked sites
+    bucket: goal.bucket || null, // Sub-path bucket of `domain` (e.g. 'shorts')
+    category: goal.category || null, // Site category id instead of a domain
     name: goal.name || 'Daily Limit',
     enabled: true,
     createdAt: new Date().toISOString(),
@@ -104,40 +113,112 @@ export async function deleteGoal(goalId) {
   return false;
 }
 
+/**
+ * Get the time a goal counts on one day
+ * @param {Object} goal
+ * @param {Object} dayData - timeData for the day
+ * @param {Object} dayBuckets - bucketData for the day
+ * @param {Object} classes - Productivity class per domain
+ * @param {Object} categories - Category id per domain
+ * @returns {number}
+ */
+function getGoalDayTime(goal, dayData, dayBuckets, classes, categories) {
+  if (goal.category) {
+    let total = 0;
+    for (const domain in dayData) {
+      if (categories[domain] === goal.category) {
+        total += dayData[domain];
+      }
+    }
+    return total;
+  }
+  if (goal.domain && goal.bucket) {
+    const domainBuckets = dayBuckets[goal.domain] || {};
+    return domainBuckets[goal.bucket] || 0;
+  }
+  if (goal.domain) {
+    return dayData[goal.domain] || 0;
+  }
+  
+  // "All tracked sites" limits only count distractions
+  let total = 0;
+  for (const domain in dayData) {
+    if (classes[domain] === ProductivityClass.DISTRACTING) {
+      total += dayData[domain];
+    }
+  }
+  return total;
+}
+
+/**
+ * Get progress for a productivity score goal. `target` is the minimum
+ * daily score (0-100) rather than minutes.
+ * @param {Object} goal
+ * @returns {Promise<Object>}
+ */
+async function getScoreGoalProgress(goal) {
+  const { score } = await getProductivityScore(TimePeriod.TODAY);
+  const current = score === null ? 0 : score;
+  const percentage = goal.target > 0 ? Math.min(100, (current / goal.target) * 100) : 100;
+  
+  return {
+    goalId: goal.id,
+    goalName: goal.name,
+    currentScore: score,
+    targetScore: goal.target,
+    percentage: Math.round(percentage * 10) / 10,
+    remaining: Math.max(0, goal.target - current),
+    exceeded: false,
+    met: score !== null && score >= goal.target,
+    formatted: {
+      current: score === null ? '—' : `${score}`,
+      target: `${goal.target}`,
+      remaining: `${Math.max(0, goal.target - current)}`
+    }
+  };
+}
+
 /**
  * Get progress for a specific goal
  * @param {Object} goal
  * @returns {Promise<Object>}
  */
 export async function getGoalProgress(goal) {
-  const timeData = await getTimeData();
-  const today = new Date().toISOString().split('T')[0];
-  const todayData = timeData[today] || {};
+  if (goal.type === GoalType.PRODUCTIVITY_SCORE) {
+    return getScoreGoalProgress(goal);
+  }
   
-  let currentTime = 0;
+  const timeData = await getAllDevicesTimeData();
+  const bucketData = goal.bucket ? await getBucketData() : {};
+  const today = await getTodayKey();
+  const weekAgoKey = shiftDateKey(today, -7);
   
-  if (goal.type === GoalType.DAILY_LIMIT || goal.type === GoalType.REDUCTION) {
-    // Sum all tracked time for today
-    if (goal.domain) {
-      currentTime = todayData[goal.domain] || 0;
+  let classes = {};
+  let categories = {};
+  if (!goal.domain) {
+    const domains = new Set();
+    for (const dateKey in timeData) {
+      if (dateKey > weekAgoKey && dateKey <= today) {
+        Object.keys(timeData[dateKey]).forEach(domain => domains.add(domain));
+      }
+    }
+    if (goal.category) {
+      categories = await categorizeDomains([...domains]);
     } else {
-      currentTime = Object.values(todayData).reduce((sum, time) => sum + time, 0);
+      classes = await classifyDomains([...domains]);
     }
-  } else if (goal.type === GoalType.SITE_LIMIT) {
-    currentTime = todayData[goal.domain] || 0;
+  }
+  
+  let currentTime = 0;
+  
+  if (goal.type === GoalType.DAILY_LIMIT || goal.type === GoalType.REDUCTION ||
+      goal.type === GoalType.SITE_LIMIT || goal.type === GoalType.CATEGORY_LIMIT) {
+    currentTime = getGoalDayTime(goal, timeData[today] || {}, bucketData[today] || {}, classes, categories);
   } else if (goal.type === GoalType.WEEKLY_LIMIT) {
-    // Sum last 7 days
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    
+    // Sum last 7 days (including today)
     for (const dateKey in timeData) {
-      if (new Date(dateKey) >= weekAgo) {
-        const dayData = timeData[dateKey];
-        if (goal.domain) {
-          currentTime += dayData[goal.domain] || 0;
-        } else {
-          currentTime += Object.values(dayData).reduce((sum, time) => sum + time, 0);
-        }
+      if (dateKey > weekAgoKey && dateKey <= today) {
+        currentTime += getGoalDayTime(goal, timeData[dateKey], bucketData[dateKey] || {}, classes, categories);
       }
     }
   }
@@ -187,16 +268,20 @@ export async function getAllGoalProgress() {
 export async function checkGoalNotifications() {
   const goals = await getGoals();
   const notifications = [];
+  const today = await getTodayKey();
   
   for (const goal of goals.goals) {
     if (!goal.enabled) continue;
     
     const progress = await getGoalProgress(goal);
-    const notifyAt = goal.notifyAt || [50, 80, 100];
+    // A score goal is only worth mentioning once it's reached
+    const notifyAt = goal.type === GoalType.PRODUCTIVITY_SCORE
+      ? [100]
+      : goal.notifyAt || [50, 80, 100];
     
     // Check if we need to notify at any threshold
     for (const threshold of notifyAt) {
-      const notificationKey = `${goal.id}_${threshold}_${new Date().toISOString().split('T')[0]}`;
+      const notificationKey = `${goal.id}_${threshold}_${today}`;
       const alreadyNotified = goals.history.includes(notificationKey);
       
       if (!alreadyNotified && progress.percentage >= threshold) {
@@ -232,7 +317,9 @@ export async function checkGoalNotifications() {
  * @returns {string}
  */
 function getGoalNotificationMessage(goal, progress, threshold) {
-  if (threshold === 100 && progress.exceeded) {
+  if (goal.type === GoalType.PRODUCTIVITY_SCORE) {
+    return `Nice work! Your productivity score is ${progress.formatted.current}, meeting your ${goal.name} goal of ${goal.target}.`;
+  } else if (threshold === 100 && progress.exceeded) {
     return `You've exceeded your ${goal.name} goal! Time to take a break.`;
   } else if (threshold === 100) {
     return `You've reached your ${goal.name} limit of ${goal.target} minutes.`;
@@ -251,7 +338,7 @@ function getGoalNotificationMessage(goal, progress, threshold) {
  */
 export async function updateStreak(goalId, metGoal) {
   const goals = await getGoals();
-  const today = new Date().toISOString().split('T')[0];
+  const today = await getTodayKey();
   
   if (!goals.streaks[goalId]) {
     goals.streaks[goalId] = {
@@ -281,6 +368,82 @@ export async function updateStreak(goalId, metGoal) {
   return streak.current;
 }
 
+/**
+ * Check whether a goal was met on one stored day
+ * @param {Object} goal
+ * @param {Object} dayData - timeData for the day
+ * @param {Object} dayBuckets - bucketData for the day
+ * @param {Object} classes - Productivity class per domain
+ * @param {Object} categories - Category id per domain
+ * @returns {boolean}
+ */
+function wasGoalMetOnDay(goal, dayData, dayBuckets, classes, categories) {
+  if (goal.type === GoalType.PRODUCTIVITY_SCORE) {
+    let productive = 0;
+    let distracting = 0;
+    for (const domain in dayData) {
+      if (classes[domain] === ProductivityClass.PRODUCTIVE) productive += dayData[domain];
+      if (classes[domain] === ProductivityClass.DISTRACTING) distracting += dayData[domain];
+    }
+    const score = calculateProductivityScore(productive, distracting);
+    return score !== null && score >= goal.target;
+  }
+  
+  return getGoalDayTime(goal, dayData, dayBuckets, classes, categories) <= goal.target * 60 * 1000;
+}
+
+/**
+ * Rebuild the streaks of daily goals from stored time, so they follow
+ * corrections made to past days. Every finished day from the goal's
+ * creation is replayed; days that were already rolled up have no per-day
+ * detail, so for older goals the previous best is kept.
+ * @returns {Promise<Object>} - Streaks by goal id
+ */
+export async function recomputeStreaks() {
+  const goals = await getGoals();
+  const timeData = await getAllDevicesTimeData();
+  const bucketData = await getBucketData();
+  const today = await getTodayKey();
+  
+  const storedKeys = Object.keys(timeData).sort();
+  const oldestKey = storedKeys.length > 0 ? storedKeys[0] : today;
+  
+  const domains = new Set();
+  for (const dateKey in timeData) {
+    Object.keys(timeData[dateKey]).forEach(domain => domains.add(domain));
+  }
+  const classes = await classifyDomains([...domains]);
+  const categories = await categorizeDomains([...domains]);
+  
+  for (const goal of goals.goals) {
+    if (goal.type !== GoalType.DAILY_LIMIT && goal.type !== GoalType.SITE_LIMIT &&
+        goal.type !== GoalType.CATEGORY_LIMIT && goal.type !== GoalType.PRODUCTIVITY_SCORE) {
+      continue;
+    }
+    
+    const createdKey = goal.createdAt ? await getDateKey(new Date(goal.createdAt)) : oldestKey;
+    const firstKey = createdKey > oldestKey ? createdKey : oldestKey;
+    const previous = goals.streaks[goal.id] || { current: 0, best: 0 };
+    
+    let current = 0;
+    let best = 0;
+    for (let dateKey = firstKey; dateKey < today; dateKey = shiftDateKey(dateKey, 1)) {
+      const met = wasGoalMetOnDay(goal, timeData[dateKey] || {}, bucketData[dateKey] || {}, classes, categories);
+      current = met ? current + 1 : 0;
+      best = Math.max(best, current);
+    }
+    
+    goals.streaks[goal.id] = {
+      current,
+      best: firstKey > createdKey ? Math.max(best, previous.best) : best,
+      lastUpdated: today
+    };
+  }
+  
+  await saveGoals(goals);
+  return goals.streaks;
+}
+
 /**
  * Get streak for a goal
  * @param {string} goalId
@@ -0,0 +1,394 @@
+// Turn events from an iCalendar (.ics) file into schedules, e.g. every
+// "Deep Work" block becomes a stricter-threshold schedule. The file is
+// read locally; nothing is fetched.
+import { getSchedulerConfig, saveSchedulerConfig, createSchedule, ScheduleAction } from './scheduler.js';
+import { parseRRule, parseDateValue, getRecurrenceError, getNextOccurrenceDate } from './recurrence.js';
+import { isValidTimeZone, zonedTimeToTimestamp, getWallClock, getSystemTimeZone, shiftDateKey, daysBetweenKeys } from './date-keys.js';
+
+// A catch-all mapping on a busy calendar shouldn't bury the schedule list
+export const MAX_IMPORTED_SCHEDULES = 200;
+
+/**
+ * What happens to a calendar event on import
+ */
+export const EventStatus = {
+  NEW: 'new',         // Will be added as a schedule
+  UPDATE: 'update',   // Replaces the schedule imported from it before
+  SKIPPED: 'skipped', // Not imported; `reason` says why
+  INVALID: 'invalid'  // Can't be read; `reason` says why
+};
+
+/**
+ * Mappings used until the user saves their own
+ */
+export const DEFAULT_CALENDAR_MAPPINGS = [
+  { keyword: 'Deep Work', action: ScheduleAction.ADJUST_THRESHOLD, thresholdMultiplier: 0.5 }
+];
+
+/*
+ * Mappings: [{ keyword, action, thresholdMultiplier }], tried in order.
+ * An event uses the first one whose keyword appears in its title (any
+ * case); an empty keyword matches every event. The last mappings used
+ * are kept in schedulerConfig.calendarMappings.
+ */
+
+/**
+ * Split a calendar into content lines, joining folded ones
+ * @param {string} text
+ * @returns {Array<Object>} - [{ name, params, value, line }]
+ */
+function readContentLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (/^[ \t]/.test(raw) && lines.length > 0) {
+      lines[lines.length - 1].raw += raw.slice(1);
+    } else if (raw.trim()) {
+      lines.push({ raw, line: index + 1 });
+    }
+  });
+
+  return lines.map(({ raw, line }) => {
+    // The value starts at the first ':' outside a quoted parameter
+    let quoted = false;
+    let split = -1;
+    for (let i = 0; i < raw.length && split === -1; i++) {
+      if (raw[i] === '"') quoted = !quoted;
+      else if (raw[i] === ':' && !quoted) split = i;
+    }
+    const head = split === -1 ? raw : raw.slice(0, split);
+    const [name, ...paramList] = head.split(';');
+    const params = {};
+    for (const param of paramList) {
+      const [key, ...value] = param.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    }
+    return { name: name.trim().toUpperCase(), params, value: split === -1 ? '' : raw.slice(split + 1), line };
+  });
+}
+
+/**
+ * Undo iCalendar text escaping
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? ' ' : char)).trim();
+}
+
+/**
+ * Read a DATE or DATE-TIME value as calendar day and time in the
+ * schedule timezone
+ * @param {string} value - e.g. '20250303', '20250303T090000Z'
+ * @param {Object} params - Content line parameters (TZID, VALUE)
+ * @param {string} timeZone - Timezone schedules are read in
+ * @returns {Object|null} - { dateKey, minutes, allDay, shift } where
+ *   `shift` is how many days converting the time moved it (-1, 0 or 1)
+ */
+function parseEventTime(value, params, timeZone) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const dateKey = parseDateValue(`${year}-${month}-${day}`);
+  if (!dateKey) {
+    return null;
+  }
+  if (hour === undefined) {
+    return { dateKey, minutes: 0, allDay: true, shift: 0 };
+  }
+
+  const minutes = Number(hour) * 60 + Number(minute);
+  let timestamp = null;
+  if (utc) {
+    timestamp = Date.UTC(year, month - 1, day, hour, minute);
+  } else if (isValidTimeZone(params.TZID)) {
+    timestamp = zonedTimeToTimestamp(dateKey, minutes, params.TZID);
+  }
+  if (timestamp === null) {
+    // Floating time, or a timezone name only Outlook knows: take it as is
+    return { dateKey, minutes, allDay: false, shift: 0 };
+  }
+
+  const clock = getWallClock(timestamp, timeZone);
+  return { dateKey: clock.dateKey, minutes: clock.minutes, allDay: false, shift: daysBetweenKeys(dateKey, clock.dateKey) };
+}
+
+/**
+ * Read an iCalendar DURATION such as 'PT1H30M' or 'P1D'
+ * @param {string} value
+ * @returns {number|null} - Minutes
+ */
+function parseDuration(value) {
+  const match = value.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) {
+    return null;
+  }
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => Number(part) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as 'HH:MM'
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTime(minutes) {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Collect the VEVENTs of a calendar
+ * @param {string} text
+ * @returns {Object} - { calendarName, events: [{ line, properties: { NAME: [{ params, value }] } }] }
+ */
+function readEvents(text) {
+  const events = [];
+  const stack = [];
+  let calendarName = null;
+  let current = null;
+
+  for (const entry of readContentLines(text)) {
+    if (entry.name === 'BEGIN') {
+      stack.push(entry.value.trim().toUpperCase());
+      if (stack[stack.length - 1] === 'VEVENT') {
+        current = { line: entry.line, properties: {} };
+      }
+    } else if (entry.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      // Properties of nested VALARMs don't belong to the event
+      (current.properties[entry.name] = current.properties[entry.name] || []).push(entry);
+    } else if (entry.name === 'X-WR-CALNAME' && stack.length === 1) {
+      calendarName = unescapeText(entry.value);
+    }
+  }
+
+  return { calendarName, events };
+}
+
+/**
+ * Read the dates of a list property (EXDATE, RDATE), which may repeat
+ * and hold several comma-separated values
+ * @param {Array} entries
+ * @param {string} timeZone
+ * @returns {Array<string>|null} - Date keys, or null if one can't be read
+ */
+function readDateList(entries = [], timeZone) {
+  const dates = [];
+  for (const { params, value } of entries) {
+    for (const item of value.split(',')) {
+      const time = parseEventTime(item, params, timeZone);
+      if (!time) return null;
+      dates.push(time.dateKey);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Turn one VEVENT into schedule fields
+ * @param {Object} event - From readEvents()
+ * @param {string} timeZone - Timezone schedules are read in
+ * @returns {Object} - { uid, summary, recurrenceId, schedule } or { summary, error }
+ */
+function readEvent(event, timeZone) {
+  const first = name => (event.properties[name] ? event.properties[name][0] : null);
+  const summary = first('SUMMARY') ? unescapeText(first('SUMMARY').value) : '(untitled event)';
+  const fail = error => ({ summary, error });
+
+  if (!first('DTSTART')) return fail('No start time');
+  const start = parseEventTime(first('DTSTART').value, first('DTSTART').params, timeZone);
+  if (!start) return fail(`Can't read the start time ${first('DTSTART').value}`);
+
+  const rrule = first('RRULE') ? first('RRULE').value.trim() : null;
+  if (rrule) {
+    try {
+      parseRRule(rrule);
+    } catch (error) {
+      return fail(error.message);
+    }
+  }
+
+  let duration;
+  if (first('DTEND')) {
+    const end = parseEventTime(first('DTEND').value, first('DTEND').params, timeZone);
+    if (!end) return fail(`Can't read the end time ${first('DTEND').value}`);
+    duration = daysBetweenKeys(start.dateKey, end.dateKey) * 1440 + end.minutes - start.minutes;
+  } else if (first('DURATION')) {
+    duration = parseDuration(first('DURATION').value);
+    if (duration === null) return fail(`Can't read the duration ${first('DURATION').value}`);
+  } else {
+    // RFC 5545: a start date alone lasts the day, a start time alone is a moment
+    duration = start.allDay ? 1440 : 0;
+  }
+  if (duration <= 0) return fail('Has no length');
+
+  const rdates = readDateList(event.properties.RDATE, timeZone);
+  const exdates = readDateList(event.properties.EXDATE, timeZone);
+  if (!rdates || !exdates) return fail('Has a date that can\'t be read');
+
+  // A rule repeats on the calendar's days (RFC 5545 expands it in the
+  // event's own timezone), so it starts from the date as written and each
+  // date it produces moves with the time
+  const recurrence = rrule && start.shift
+    ? { dtstart: shiftDateKey(start.dateKey, -start.shift), rrule, rdates, exdates, shift: start.shift }
+    : { dtstart: start.dateKey, rrule, rdates, exdates };
+  const error = getRecurrenceError(recurrence);
+  if (error) return fail(error);
+
+  const recurrenceId = first('RECURRENCE-ID')
+    ? parseEventTime(first('RECURRENCE-ID').value, first('RECURRENCE-ID').params, timeZone)
+    : null;
+  const status = first('STATUS') ? first('STATUS').value.trim().toUpperCase() : null;
+
+  return {
+    uid: first('UID') ? first('UID').value.trim() : null,
+    summary,
+    cancelled: status === 'CANCELLED',
+    recurrenceId: recurrenceId ? recurrenceId.dateKey : null,
+    schedule: {
+      name: summary,
+      startTime: formatTime(start.minutes),
+      endTime: formatTime(start.minutes + duration),
+      duration,
+      days: [],
+      recurrence
+    }
+  };
+}
+
+/**
+ * Find the mapping for an event title
+ * @param {string} summary
+ * @param {Array} mappings
+ * @returns {Object|null}
+ */
+function findMapping(summary, mappings) {
+  const title = summary.toLowerCase();
+  return mappings.find(mapping => title.includes(String(mapping.keyword || '').trim().toLowerCase())) || null;
+}
+
+/**
+ * Read a calendar and work out what importing it would do
+ * @param {string} text - Contents of an .ics file
+ * @param {Array} mappings - See the format above
+ * @param {Array} schedules - Current schedules, to spot re-imported events
+ * @param {string} timeZone - Timezone schedules are read in (see
+ *   getScheduleTimeZone()); event times are converted into it
+ * @param {number} now - Events with no dates left from this moment's day
+ *   are skipped
+ * @returns {Object} - { calendarName, entries: [{ line, summary, status,
+ *   reason, schedule }], counts: { [EventStatus]: n } }
+ * @throws {Error} - When the text isn't a calendar
+ */
+export function parseCalendar(text, mappings, schedules = [], timeZone = getSystemTimeZone(), now = Date.now()) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file');
+  }
+
+  const { calendarName, events } = readEvents(text);
+  const read = events.map(event => ({ line: event.line, ...readEvent(event, timeZone) }));
+  const today = getWallClock(now, timeZone).dateKey;
+  const imported = new Set(schedules.map(schedule => schedule.calendarUid).filter(Boolean));
+
+  // Moved or cancelled single occurrences (RECURRENCE-ID) come out of
+  // their series; moved ones become schedules of their own
+  for (const event of read) {
+    if (!event.recurrenceId || !event.uid) continue;
+    const series = read.find(other => other.uid === event.uid && !other.recurrenceId && other.schedule);
+    if (series) {
+      series.schedule.recurrence.exdates.push(event.recurrenceId);
+    }
+  }
+
+  const counts = { [EventStatus.NEW]: 0, [EventStatus.UPDATE]: 0, [EventStatus.SKIPPED]: 0, [EventStatus.INVALID]: 0 };
+  const seen = new Set();
+  const entries = read.map(event => {
+    const entry = { line: event.line, summary: event.summary, status: EventStatus.NEW, reason: null, schedule: null };
+    const mapping = event.schedule ? findMapping(event.summary, mappings) : null;
+    const uid = event.uid ? (event.recurrenceId ? `${event.uid}#${event.recurrenceId}` : event.uid) : null;
+
+    if (event.error) {
+      entry.status = EventStatus.INVALID;
+      entry.reason = event.error;
+    } else if (event.cancelled) {
+      entry.status = EventStatus.SKIPPED;
+      entry.reason = 'Cancelled';
+    } else if (!mapping) {
+      entry.status = EventStatus.SKIPPED;
+      entry.reason = 'No mapping matches the title';
+    } else if (uid && seen.has(uid)) {
+      entry.status = EventStatus.SKIPPED;
+      entry.reason = 'Appears earlier in the file';
+    } else if (!getNextOccurrenceDate(event.schedule.recurrence,
+        // Multi-day events that began a few days ago are still running
+        shiftDateKey(today, -Math.floor(event.schedule.duration / 1440)))) {
+      entry.status = EventStatus.SKIPPED;
+      entry.reason = 'Already over';
+    } else if (counts[EventStatus.NEW] + counts[EventStatus.UPDATE] >= MAX_IMPORTED_SCHEDULES) {
+      entry.status = EventStatus.SKIPPED;
+      entry.reason = `Only ${MAX_IMPORTED_SCHEDULES} events are imported at a time`;
+    } else {
+      entry.status = uid && imported.has(uid) ? EventStatus.UPDATE : EventStatus.NEW;
+      entry.schedule = {
+        ...event.schedule,
+        action: mapping.action,
+        thresholdMultiplier: mapping.action === ScheduleAction.ADJUST_THRESHOLD ? Number(mapping.thresholdMultiplier) || 1 : 1,
+        calendarUid: uid
+      };
+    }
+
+    if (uid) seen.add(uid);
+    counts[entry.status]++;
+    return entry;
+  });
+
+  return { calendarName, entries, counts };
+}
+
+/**
+ * Add the new and updated schedules of a previewed calendar. Updated ones
+ * keep their id and on/off state.
+ * @param {Array} entries - From parseCalendar()
+ * @param {Array} mappings - Saved for the next import
+ * @returns {Promise<number>} - Schedules added or updated
+ */
+export async function importCalendarSchedules(entries, mappings) {
+  const config = await getSchedulerConfig();
+  let changed = 0;
+
+  for (const entry of entries) {
+    if (entry.status !== EventStatus.NEW && entry.status !== EventStatus.UPDATE) continue;
+
+    const schedule = createSchedule(entry.schedule);
+    const index = schedule.calendarUid
+      ? config.schedules.findIndex(existing => existing.calendarUid === schedule.calendarUid)
+      : -1;
+    if (index === -1) {
+      config.schedules.push(schedule);
+    } else {
+      const { id, enabled } = config.schedules[index];
+      config.schedules[index] = { ...schedule, id, enabled };
+    }
+    changed++;
+  }
+
+  config.calendarMappings = mappings;
+  await saveSchedulerConfig(config);
+  return changed;
+}
+
+/**
+ * Get the mappings used for the last import
+ * @returns {Promise<Array>}
+ */
+export async function getCalendarMappings() {
+  const config = await getSchedulerConfig();
+  return Array.isArray(config.calendarMappings) ? config.calendarMappings : DEFAULT_CALENDAR_MAPPINGS;
+}
@@ -0,0 +1,50 @@
+// Storage schema migrations, run when the extension is installed or updated
+import { getStorageValue, setStorageValue } from './storage.js';
+import { STORAGE_KEYS } from './config.js';
+import { getTodayKey } from './date-keys.js';
+
+/**
+ * Current storage schema version
+ */
+export const CURRENT_DATA_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade to. Each receives the
+ * stored version info and returns the fields to merge into it.
+ */
+const MIGRATIONS = {
+  // v2: per-hour buckets are stored in `hourlyData` next to the day-level
+  // `timeData`, which keeps its { [date]: { [domain]: ms } } shape. Days
+  // before this point only have daily totals.
+  2: async () => ({
+    hourlyTrackingSince: await getTodayKey()
+  })
+};
+
+/**
+ * Get stored schema version info
+ * @returns {Promise<Object>}
+ */
+export async function getDataVersion() {
+  const info = await getStorageValue(STORAGE_KEYS.DATA_VERSION);
+  return info || { version: 1 };
+}
+
+/**
+ * Run any migrations newer than the stored schema version
+ * @returns {Promise<Object>} - Updated version info
+ */
+export async function runMigrations() {
+  let info = await getDataVersion();
+  
+  for (let version = info.version + 1; version <= CURRENT_DATA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (migrate) {
+      info = { ...info, ...(await migrate(info)), version };
+      await setStorageValue(STORAGE_KEYS.DATA_VERSION, info);
+      console.log(`Migrated storage to version ${version}`);
+    }
+  }
+  
+  return info;
+}
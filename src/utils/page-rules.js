@@ -1,7 +1,9 @@
 // Page-level whitelist/blacklist rules
 import { getStorageValue, setStorageValue } from './storage.js';
+import { getUrlPatternError, matchUrlPattern, matchTextGlob } from './url-pattern.js';
 
-const PAGE_RULES_KEY = 'pageRules';
+export const PAGE_RULES_KEY = 'pageRules';
+const ALLOWANCE_LOG_KEY = 'temporaryAllowances';
 
 /**
  * Rule types
@@ -18,9 +20,77 @@ export const MatchType = {
   EXACT: 'exact',           // Exact URL match
   CONTAINS: 'contains',     // URL contains string
   STARTS_WITH: 'starts_with', // URL starts with
+  GLOB: 'glob',             // Wildcard pattern; on URLs, see url-pattern.js
   REGEX: 'regex'            // Regex pattern
 };
 
+/**
+ * What part of the page a rule looks at
+ */
+export const RuleField = {
+  URL: 'url',     // The full URL
+  TITLE: 'title', // The document title, as reported by the page
+  QUERY: 'query'  // The values of one query parameter (`param`)
+};
+
+/**
+ * What a rule did when a URL was checked
+ */
+export const RuleOutcome = {
+  NOT_APPLICABLE: 'not_applicable', // Disabled, or for another domain
+  EXPIRED: 'expired',               // Temporary rule past its end time
+  NO_MATCH: 'no_match',             // Checked, but the URL doesn't match
+  NO_TITLE: 'no_title',             // Matches on the title, which isn't known
+  MATCHED: 'matched',               // Matched and decided the outcome
+  OUTRANKED: 'outranked'            // Matched, but a higher-ranked rule won
+};
+
+/**
+ * Problems found in a set of rules
+ */
+export const RuleWarning = {
+  INVALID: 'invalid',             // Can never match (empty pattern, bad regex)
+  DUPLICATE: 'duplicate',         // Same pages and same effect as another rule
+  CONTRADICTORY: 'contradictory', // Same pages as another rule, opposite effect
+  SHADOWED: 'shadowed'            // Every page it matches goes to a higher-ranked rule
+};
+
+// Narrower match types win over broader ones
+const MATCH_TYPE_RANK = {
+  [MatchType.EXACT]: 4,
+  [MatchType.STARTS_WITH]: 3,
+  [MatchType.GLOB]: 2,
+  [MatchType.CONTAINS]: 1,
+  [MatchType.REGEX]: 0
+};
+
+const MAX_PRIORITY = 1000;
+
+/**
+ * Longest a temporary rule may run
+ */
+export const MAX_RULE_TTL_MINUTES = 7 * 24 * 60;
+
+// Oldest entries are dropped beyond this
+const MAX_ALLOWANCE_LOG_ENTRIES = 500;
+
+/**
+ * Where a temporary allowance was granted from
+ */
+export const AllowanceSource = {
+  OVERLAY: 'overlay', // "Allow this page" on the intervention popup
+  OPTIONS: 'options'  // A temporary rule added on the options page
+};
+
+/*
+ * Storage format:
+ * temporaryAllowances: [{ ruleId, domain, pattern, source, grantedAt,
+ *   expiresAt, endedAt }]
+ *   One entry per temporary "don't track" rule, oldest first. Times are
+ *   timestamps; `endedAt` is null while the rule runs and earlier than
+ *   `expiresAt` when the rule was deleted before it ran out.
+ */
+
 /**
  * Default page rules configuration
  */
@@ -50,27 +120,28 @@ export async function savePageRules(config) {
 
 /**
  * Add a page rule
- * @param {Object} rule
+ * @param {Object} rule - May set `ttlMinutes` or `expiresAt` (timestamp)
+ *   to remove itself once that time is up
+ * @param {string} source - AllowanceSource value logged for temporary
+ *   "don't track" rules
  * @returns {Promise<Object>}
  */
-export async function addPageRule(rule) {
+export async function addPageRule(rule, source = AllowanceSource.OPTIONS) {
   const config = await getPageRules();
+  const newRule = normalizeRule(rule);
   
-  const newRule = {
-    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-    type: rule.type || RuleType.WHITELIST,
-    matchType: rule.matchType || MatchType.CONTAINS,
-    pattern: rule.pattern || '',
-    domain: rule.domain || null, // null = all domains
-    description: rule.description || '',
-    enabled: true,
-    createdAt: new Date().toISOString(),
-    ...rule
-  };
+  const error = getRuleError(newRule) || getExpiryError(newRule);
+  if (error) {
+    throw new Error(error);
+  }
   
   config.rules.push(newRule);
   await savePageRules(config);
   
+  if (newRule.expiresAt && newRule.type === RuleType.WHITELIST) {
+    await logAllowance(newRule, source);
+  }
+  
   return newRule;
 }
 
@@ -86,9 +157,25 @@ export async function updatePageRule(ruleId, updates) {
   
   if (index === -1) return null;
   
-  config.rules[index] = { ...config.rules[index], ...updates };
+  const previous = config.rules[index];
+  const updated = withExpiry({ ...previous, ...updates });
+  const expiryChanged = updated.expiresAt !== previous.expiresAt;
+  const error = getRuleError(updated) || (expiryChanged ? getExpiryError(updated) : null);
+  if (error) {
+    throw new Error(error);
+  }
+  
+  config.rules[index] = updated;
   await savePageRules(config);
   
+  // A temporary rule made permanent ends its allowance now
+  if (expiryChanged) {
+    const now = Date.now();
+    await updateAllowanceLog([updated.id], entry => (updated.expiresAt
+      ? { ...entry, expiresAt: updated.expiresAt }
+      : { ...entry, endedAt: now }));
+  }
+  
   return config.rules[index];
 }
 
@@ -104,108 +191,611 @@ export async function deletePageRule(ruleId) {
   
   if (config.rules.length !== initialLength) {
     await savePageRules(config);
+    await endAllowances([ruleId], Date.now());
     return true;
   }
   return false;
 }
 
 /**
- * Check if a URL matches a rule pattern
+ * Check if a temporary rule has run out
+ * @param {Object} rule
+ * @param {number} now - Timestamp to check against
+ * @returns {boolean} - Always false for permanent rules
+ */
+export function isRuleExpired(rule, now = Date.now()) {
+  return rule.expiresAt != null && rule.expiresAt <= now;
+}
+
+/**
+ * Remove temporary rules that have run out and close their log entries
+ * @param {number} now - Timestamp to check against
+ * @returns {Promise<Array>} - The removed rules
+ */
+export async function removeExpiredRules(now = Date.now()) {
+  const config = await getPageRules();
+  const expired = config.rules.filter(rule => isRuleExpired(rule, now));
+  
+  if (expired.length === 0) {
+    return [];
+  }
+  
+  config.rules = config.rules.filter(rule => !isRuleExpired(rule, now));
+  await savePageRules(config);
+  await endAllowances(expired.map(rule => rule.id), null);
+  
+  return expired;
+}
+
+/**
+ * Stop tracking a page for a while. The page is matched without its
+ * #fragment, so a video's timestamp link still counts as the same page.
  * @param {string} url
+ * @param {number} minutes - Up to MAX_RULE_TTL_MINUTES
+ * @param {string} source - AllowanceSource value
+ * @returns {Promise<Object>} - The temporary rule
+ * @throws {Error} - When the URL isn't a web page or the length is unusable
+ */
+export async function allowPageTemporarily(url, minutes, source = AllowanceSource.OVERLAY) {
+  // Without a usable length the rule would never expire
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_RULE_TTL_MINUTES) {
+    throw new Error('Pages can be allowed for 1 minute to 7 days');
+  }
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Only web pages can be allowed');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only web pages can be allowed');
+  }
+  
+  parsed.hash = '';
+  const domain = parsed.hostname.replace(/^www\./, '');
+  return addPageRule({
+    type: RuleType.WHITELIST,
+    matchType: MatchType.STARTS_WITH,
+    pattern: parsed.href,
+    domain,
+    description: `Allowed for ${minutes} min`,
+    // Asked for by name, so it beats any standing rule
+    priority: MAX_PRIORITY,
+    ttlMinutes: minutes
+  }, source);
+}
+
+/**
+ * Get the log of temporary allowances
+ * @returns {Promise<Array>} - See the storage format above
+ */
+export async function getAllowanceLog() {
+  return await getStorageValue(ALLOWANCE_LOG_KEY) || [];
+}
+
+/**
+ * Log a temporary "don't track" rule being granted
+ * @param {Object} rule
+ * @param {string} source - AllowanceSource value
+ * @returns {Promise<void>}
+ */
+async function logAllowance(rule, source) {
+  const log = await getAllowanceLog();
+  log.push({
+    ruleId: rule.id,
+    domain: getRuleDomain(rule),
+    pattern: rule.pattern,
+    source,
+    grantedAt: Date.now(),
+    expiresAt: rule.expiresAt,
+    endedAt: null
+  });
+  await setStorageValue(ALLOWANCE_LOG_KEY, log.slice(-MAX_ALLOWANCE_LOG_ENTRIES));
+}
+
+/**
+ * Change the running log entries of some rules
+ * @param {Array<string>} ruleIds
+ * @param {Function} update - Gets an entry, returns the new one
+ * @returns {Promise<void>}
+ */
+async function updateAllowanceLog(ruleIds, update) {
+  const log = await getAllowanceLog();
+  let changed = false;
+  
+  const updated = log.map(entry => {
+    if (entry.endedAt !== null || !ruleIds.includes(entry.ruleId)) {
+      return entry;
+    }
+    changed = true;
+    return update(entry);
+  });
+  
+  if (changed) {
+    await setStorageValue(ALLOWANCE_LOG_KEY, updated);
+  }
+}
+
+/**
+ * Close the log entries of removed rules
+ * @param {Array<string>} ruleIds
+ * @param {number|null} endedAt - When they ended, or null for their end time
+ * @returns {Promise<void>}
+ */
+async function endAllowances(ruleIds, endedAt) {
+  await updateAllowanceLog(ruleIds, entry => ({
+    ...entry,
+    endedAt: endedAt === null ? entry.expiresAt : Math.min(endedAt, entry.expiresAt)
+  }));
+}
+
+/**
+ * Fill in the defaults of a rule
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function normalizeRule(rule) {
+  return withExpiry({
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+    type: rule.type || RuleType.WHITELIST,
+    matchType: rule.matchType || MatchType.CONTAINS,
+    field: RuleField.URL,
+    param: null, // Query parameter name, for RuleField.QUERY
+    pattern: rule.pattern || '',
+    domain: rule.domain || null, // null = all domains
+    description: rule.description || '',
+    priority: 0,
+    enabled: true,
+    expiresAt: null, // null = permanent
+    createdAt: new Date().toISOString(),
+    ...rule
+  });
+}
+
+/**
+ * Turn a rule's `ttlMinutes` into an `expiresAt` timestamp
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function withExpiry(rule) {
+  const { ttlMinutes, ...rest } = rule;
+  if (ttlMinutes == null) {
+    return rest;
+  }
+  
+  return { ...rest, expiresAt: Date.now() + Number(ttlMinutes) * 60 * 1000 };
+}
+
+/**
+ * Check the end time of a rule about to be saved
+ * @param {Object} rule
+ * @returns {string|null} - What is wrong, or null
+ */
+function getExpiryError(rule) {
+  if (rule.expiresAt == null) {
+    return null;
+  }
+  if (!Number.isFinite(rule.expiresAt)) {
+    return 'The end time is not a valid time';
+  }
+  
+  const now = Date.now();
+  if (rule.expiresAt <= now) {
+    return 'The end time has already passed';
+  }
+  if (rule.expiresAt - now > MAX_RULE_TTL_MINUTES * 60 * 1000) {
+    return 'Temporary rules can last at most 7 days';
+  }
+  return null;
+}
+
+/**
+ * Check a rule for mistakes that keep it from ever working
+ * @param {Object} rule
+ * @returns {string|null} - What is wrong, or null
+ */
+export function getRuleError(rule) {
+  if (!Object.values(RuleType).includes(rule.type)) {
+    return `Unknown rule type: ${rule.type}`;
+  }
+  if (!Object.values(MatchType).includes(rule.matchType)) {
+    return `Unknown match type: ${rule.matchType}`;
+  }
+  const field = rule.field || RuleField.URL;
+  if (!Object.values(RuleField).includes(field)) {
+    return `Unknown rule field: ${field}`;
+  }
+  if (field === RuleField.QUERY && (!rule.param || !String(rule.param).trim())) {
+    return 'Query parameter name is required';
+  }
+  if (!rule.pattern || !String(rule.pattern).trim()) {
+    return 'Pattern is required';
+  }
+  if (rule.matchType === MatchType.GLOB && field === RuleField.URL) {
+    const error = getUrlPatternError(rule.pattern);
+    if (error) {
+      return error;
+    }
+  }
+  if (rule.matchType === MatchType.REGEX) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      return `Invalid regex: ${e.message}`;
+    }
+  }
+  const priority = Number(rule.priority || 0);
+  if (!Number.isInteger(priority) || Math.abs(priority) > MAX_PRIORITY) {
+    return `Priority must be a whole number between -${MAX_PRIORITY} and ${MAX_PRIORITY}`;
+  }
+  if (rule.expiresAt != null && !Number.isFinite(rule.expiresAt)) {
+    return 'Invalid end time';
+  }
+  return null;
+}
+
+/**
+ * Get the domain a rule is limited to, normalised
+ * @param {Object} rule
+ * @returns {string|null} - null for rules on every domain
+ */
+function getRuleDomain(rule) {
+  return rule.domain ? rule.domain.trim().toLowerCase().replace(/^www\./, '') : null;
+}
+
+/**
+ * Check if a rule covers a domain. A rule for 'reddit.com' also covers
+ * 'old.reddit.com', as site entries do.
  * @param {Object} rule
+ * @param {string} domain
  * @returns {boolean}
  */
-function matchesRule(url, rule) {
-  if (!rule.enabled) return false;
+function ruleAppliesTo(rule, domain) {
+  const ruleDomain = getRuleDomain(rule);
+  if (!ruleDomain) return true; // Global rule
+  const host = domain.toLowerCase();
+  return host === ruleDomain || host.endsWith('.' + ruleDomain);
+}
+
+/**
+ * Order two rules by precedence. Higher priority wins; then the narrower
+ * match type (exact > starts_with > glob > contains > regex); then the narrower
+ * domain (more labels, and any domain over all domains). On a full tie
+ * the whitelist wins, so the order rules were added in never matters.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number} - Negative when `a` ranks first
+ */
+export function compareRules(a, b) {
+  const domainLabels = rule => (getRuleDomain(rule) ? getRuleDomain(rule).split('.').length : 0);
   
-  const urlLower = url.toLowerCase();
+  return (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+    (MATCH_TYPE_RANK[b.matchType] ?? -1) - (MATCH_TYPE_RANK[a.matchType] ?? -1) ||
+    domainLabels(b) - domainLabels(a) ||
+    (a.type === RuleType.WHITELIST ? 0 : 1) - (b.type === RuleType.WHITELIST ? 0 : 1);
+}
+
+/**
+ * Check if text matches a rule pattern
+ * @param {string} text - URL, title or query value, per the rule's field
+ * @param {Object} rule
+ * @returns {Object|null} - Named URL segments of a glob ({} for other
+ *   matches), or null when the text doesn't match
+ */
+function matchText(text, rule) {
+  const textLower = text.toLowerCase();
   const patternLower = rule.pattern.toLowerCase();
   
   switch (rule.matchType) {
     case MatchType.EXACT:
-      return urlLower === patternLower;
+      return textLower === patternLower ? {} : null;
       
     case MatchType.CONTAINS:
-      return urlLower.includes(patternLower);
+      return textLower.includes(patternLower) ? {} : null;
       
     case MatchType.STARTS_WITH:
-      return urlLower.startsWith(patternLower);
+      return textLower.startsWith(patternLower) ? {} : null;
+      
+    case MatchType.GLOB:
+      if ((rule.field || RuleField.URL) === RuleField.URL) {
+        return matchUrlPattern(rule.pattern, text);
+      }
+      return matchTextGlob(rule.pattern, text) ? {} : null;
       
     case MatchType.REGEX:
       try {
         const regex = new RegExp(rule.pattern, 'i');
-        return regex.test(url);
+        return regex.test(text) ? {} : null;
       } catch (e) {
         console.error('Invalid regex pattern:', rule.pattern);
-        return false;
+        return null;
       }
       
     default:
-      return false;
+      return null;
   }
 }
 
+/**
+ * Get the text of a page a rule looks at
+ * @param {Object} page - { url, title }
+ * @param {Object} rule
+ * @returns {Array<string>|null} - Every value to try (a query parameter
+ *   can repeat), or null when the rule needs the title and it isn't known
+ */
+function getRuleTexts(page, rule) {
+  switch (rule.field || RuleField.URL) {
+    case RuleField.TITLE:
+      return page.title == null ? null : [page.title];
+      
+    case RuleField.QUERY:
+      try {
+        return new URL(page.url).searchParams.getAll(String(rule.param).trim());
+      } catch (e) {
+        return [];
+      }
+      
+    default:
+      return [page.url];
+  }
+}
+
+/**
+ * Check if a page matches a rule
+ * @param {Object} page - { url, title }
+ * @param {Object} rule
+ * @returns {Object|null|undefined} - See matchText(); undefined when the
+ *   rule needs the title and it isn't known
+ */
+function matchPage(page, rule) {
+  const texts = getRuleTexts(page, rule);
+  if (texts === null) {
+    return undefined;
+  }
+  
+  for (const text of texts) {
+    const captures = matchText(text, rule);
+    if (captures) {
+      return captures;
+    }
+  }
+  return null;
+}
+
 /**
  * Check if a URL should be tracked based on page rules
  * @param {string} url
  * @param {string} domain - The domain of the URL
+ * @param {string|null} title - Document title, if known
  * @returns {Promise<Object>}
  */
-export async function shouldTrackPage(url, domain) {
+export async function shouldTrackPage(url, domain, title = null) {
+  const { shouldTrack, reason, matchedRule } = await explainPageRules(url, domain, title);
+  return { shouldTrack, reason, matchedRule };
+}
+
+/**
+ * Check a URL against the page rules and record what each rule did.
+ * Of the rules that match, the highest ranked one decides (see
+ * compareRules()). If none matches but "only track" (blacklist) rules
+ * apply to the domain, the page isn't tracked; otherwise the default
+ * behavior decides. Title rules don't match while the title is unknown.
+ * @param {string} url
+ * @param {string} domain - The domain of the URL
+ * @param {string|null} title - Document title, if known
+ * @returns {Promise<Object>} - { enabled, defaultBehavior, shouldTrack,
+ *   reason, matchedRule, rules: [{ rule, outcome, captures }] } with every
+ *   rule in precedence order, a RuleOutcome value each, and the named URL
+ *   segments of matching glob rules in `captures` (null otherwise)
+ */
+export async function explainPageRules(url, domain, title = null) {
   const config = await getPageRules();
+  // Anything other than 'track' ignores pages no rule decides
+  const defaultBehavior = config.defaultBehavior === 'track' ? 'track' : 'ignore';
+  const ranked = [...config.rules].sort(compareRules);
+  const trace = { enabled: !!config.enabled, defaultBehavior, rules: [] };
   
-  if (!config.enabled) {
-    return { shouldTrack: true, reason: 'Page rules disabled' };
+  if (!trace.enabled) {
+    trace.rules = ranked.map(rule => ({ rule, outcome: RuleOutcome.NOT_APPLICABLE, captures: null }));
+    return { ...trace, shouldTrack: true, reason: 'Page rules disabled', matchedRule: null };
   }
   
-  // Get rules applicable to this domain
-  const applicableRules = config.rules.filter(rule => {
-    if (!rule.enabled) return false;
-    if (!rule.domain) return true; // Global rule
-    return rule.domain.toLowerCase() === domain.toLowerCase();
-  });
-  
-  // Check whitelist rules (don't track these pages)
-  const whitelistRules = applicableRules.filter(r => r.type === RuleType.WHITELIST);
-  for (const rule of whitelistRules) {
-    if (matchesRule(url, rule)) {
-      return {
-        shouldTrack: false,
-        reason: `Whitelisted by rule: ${rule.description || rule.pattern}`,
-        matchedRule: rule
-      };
+  let winner = null;
+  let onlyTrackRules = false;
+  const now = Date.now();
+  const page = { url, title };
+  for (const rule of ranked) {
+    let outcome;
+    let captures = null;
+    if (isRuleExpired(rule, now)) {
+      // Counts as gone even before removeExpiredRules() gets to it
+      outcome = RuleOutcome.EXPIRED;
+    } else if (!rule.enabled || !ruleAppliesTo(rule, domain)) {
+      outcome = RuleOutcome.NOT_APPLICABLE;
+    } else {
+      onlyTrackRules = onlyTrackRules || rule.type === RuleType.BLACKLIST;
+      captures = matchPage(page, rule);
+      if (captures === undefined) {
+        outcome = RuleOutcome.NO_TITLE;
+        captures = null;
+      } else if (!captures) {
+        outcome = RuleOutcome.NO_MATCH;
+      } else if (winner) {
+        outcome = RuleOutcome.OUTRANKED;
+      } else {
+        outcome = RuleOutcome.MATCHED;
+        winner = rule;
+      }
     }
+    trace.rules.push({ rule, outcome, captures });
   }
   
-  // Check blacklist rules (only track these pages)
-  const blacklistRules = applicableRules.filter(r => r.type === RuleType.BLACKLIST);
-  if (blacklistRules.length > 0) {
-    // If there are blacklist rules, URL must match one to be tracked
-    for (const rule of blacklistRules) {
-      if (matchesRule(url, rule)) {
-        return {
-          shouldTrack: true,
-          reason: `Matched blacklist rule: ${rule.description || rule.pattern}`,
-          matchedRule: rule
-        };
-      }
-    }
-    // No blacklist rule matched, don't track
+  if (winner && winner.type === RuleType.WHITELIST) {
     return {
+      ...trace,
       shouldTrack: false,
-      reason: 'No blacklist rule matched',
-      matchedRule: null
+      reason: `Whitelisted by rule: ${winner.description || winner.pattern}`,
+      matchedRule: winner
+    };
+  }
+  
+  if (winner) {
+    return {
+      ...trace,
+      shouldTrack: true,
+      reason: `Matched blacklist rule: ${winner.description || winner.pattern}`,
+      matchedRule: winner
     };
   }
   
+  if (onlyTrackRules) {
+    // If there are blacklist rules, URL must match one to be tracked
+    return { ...trace, shouldTrack: false, reason: 'No blacklist rule matched', matchedRule: null };
+  }
+  
   // Default behavior
   return {
-    shouldTrack: config.defaultBehavior === 'track',
+    ...trace,
+    shouldTrack: defaultBehavior === 'track',
     reason: 'Default behavior',
     matchedRule: null
   };
 }
 
+/**
+ * Check if every URL one pattern matches is also matched by another
+ * @param {Object} outer - Rule that would have to match
+ * @param {Object} inner - Rule whose matches are checked
+ * @returns {boolean} - false when it can't be told (e.g. two regexes)
+ */
+function patternCovers(outer, inner) {
+  const outerField = outer.field || RuleField.URL;
+  if (outerField !== (inner.field || RuleField.URL) ||
+      (outerField === RuleField.QUERY && String(outer.param).trim() !== String(inner.param).trim())) {
+    return false;
+  }
+  
+  const outerPattern = outer.pattern.toLowerCase();
+  const innerPattern = inner.pattern.toLowerCase();
+  
+  switch (outer.matchType) {
+    case MatchType.EXACT:
+      return inner.matchType === MatchType.EXACT && innerPattern === outerPattern;
+    case MatchType.STARTS_WITH:
+      return (inner.matchType === MatchType.EXACT || inner.matchType === MatchType.STARTS_WITH) &&
+        innerPattern.startsWith(outerPattern);
+    case MatchType.CONTAINS:
+      return inner.matchType !== MatchType.REGEX && innerPattern.includes(outerPattern);
+    case MatchType.GLOB:
+      if (inner.matchType === MatchType.GLOB) {
+        return innerPattern === outerPattern;
+      }
+      return inner.matchType === MatchType.EXACT && matchText(inner.pattern, outer) !== null;
+    case MatchType.REGEX:
+      if (inner.matchType === MatchType.REGEX) {
+        return inner.pattern === outer.pattern;
+      }
+      return inner.matchType === MatchType.EXACT && matchText(inner.pattern, outer) !== null;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check if a rule applies on every domain another one does
+ * @param {Object} outer
+ * @param {Object} inner
+ * @returns {boolean}
+ */
+function scopeCovers(outer, inner) {
+  const outerDomain = getRuleDomain(outer);
+  const innerDomain = getRuleDomain(inner);
+  if (!outerDomain) return true;
+  return !!innerDomain && ruleAppliesTo(outer, innerDomain);
+}
+
+/**
+ * Find rules that can never work, never take effect, or say the opposite
+ * of another rule about the same pages. Disabled and expired rules are
+ * left out.
+ * @param {Array} rules
+ * @returns {Array} - [{ ruleId, warning, otherRuleId, message }] with
+ *   RuleWarning values; one rule can have several
+ */
+export function findRuleConflicts(rules) {
+  const fieldLabel = rule => (rule.field === RuleField.TITLE ? 'title '
+    : rule.field === RuleField.QUERY ? `?${rule.param}= ` : '');
+  const label = rule => (rule.description ? `"${rule.description}"` : `${fieldLabel(rule)}${rule.matchType} "${rule.pattern}"`);
+  const warnings = [];
+  const usable = [];
+  const now = Date.now();
+  
+  for (const rule of rules.filter(r => r.enabled !== false && !isRuleExpired(r, now))) {
+    const error = getRuleError(rule);
+    if (error) {
+      warnings.push({ ruleId: rule.id, warning: RuleWarning.INVALID, otherRuleId: null, message: error });
+    } else {
+      usable.push(rule);
+    }
+  }
+  
+  const ranked = usable.sort(compareRules);
+  ranked.forEach((rule, index) => {
+    // Only a higher-ranked rule can take pages away from this one
+    for (const other of ranked.slice(0, index)) {
+      // A temporary rule only overrides the standing ones for a while
+      if (other.expiresAt && !rule.expiresAt) continue;
+      if (!scopeCovers(other, rule) || !patternCovers(other, rule)) continue;
+      
+      const samePages = scopeCovers(rule, other) && patternCovers(rule, other);
+      const sameEffect = other.type === rule.type;
+      
+      if (samePages && sameEffect) {
+        warnings.push({
+          ruleId: rule.id,
+          warning: RuleWarning.DUPLICATE,
+          otherRuleId: other.id,
+          message: `Duplicates ${label(other)}`
+        });
+      } else if (samePages) {
+        // Both sides are told, since either could be the mistake
+        const message = `Contradicts ${label(other)}, which wins`;
+        warnings.push({ ruleId: rule.id, warning: RuleWarning.CONTRADICTORY, otherRuleId: other.id, message });
+        warnings.push({
+          ruleId: other.id,
+          warning: RuleWarning.CONTRADICTORY,
+          otherRuleId: rule.id,
+          message: `Contradicts ${label(rule)}; this rule wins`
+        });
+      } else {
+        warnings.push({
+          ruleId: rule.id,
+          warning: RuleWarning.SHADOWED,
+          otherRuleId: other.id,
+          message: `Never takes effect: ${label(other)} matches every page this rule does and ranks higher` +
+            (sameEffect ? '' : `, so these pages are always ${other.type === RuleType.WHITELIST ? 'ignored' : 'tracked'}`)
+        });
+      }
+      break;
+    }
+  });
+  
+  return warnings;
+}
+
+/**
+ * Check if any rule in effect matches on page titles. Pages only need to
+ * report their title when one does.
+ * @param {Object} config - From getPageRules()
+ * @returns {boolean}
+ */
+export function hasTitleRules(config) {
+  const now = Date.now();
+  return !!config.enabled && config.rules.some(rule =>
+    rule.enabled && rule.field === RuleField.TITLE && !isRuleExpired(rule, now));
+}
+
 /**
  * Get rules for a specific domain
  * @param {string} domain
@@ -214,10 +804,7 @@ export async function shouldTrackPage(url, domain) {
 export async function getRulesForDomain(domain) {
   const config = await getPageRules();
   
-  return config.rules.filter(rule => {
-    if (!rule.domain) return true; // Global rules
-    return rule.domain.toLowerCase() === domain.toLowerCase();
-  });
+  return config.rules.filter(rule => ruleAppliesTo(rule, domain));
 }
 
 /**
@@ -284,6 +871,25 @@ export function getRulePresets() {
       domain: 'reddit.com',
       description: 'Don\'t track programming subreddits'
     },
+    {
+      name: 'YouTube - Lectures',
+      type: RuleType.WHITELIST,
+      field: RuleField.TITLE,
+      matchType: MatchType.CONTAINS,
+      pattern: 'lecture',
+      domain: 'youtube.com',
+      description: 'Don\'t track videos with "lecture" in the title'
+    },
+    {
+      name: 'YouTube - Playlists',
+      type: RuleType.WHITELIST,
+      field: RuleField.QUERY,
+      param: 'list',
+      matchType: MatchType.GLOB,
+      pattern: '*',
+      domain: 'youtube.com',
+      description: 'Don\'t track videos watched from a playlist'
+    },
     {
       name: 'Twitter - Lists',
       type: RuleType.WHITELIST,
@@ -303,6 +909,8 @@ export function getRulePresets() {
 export async function addPresetRule(preset) {
   return addPageRule({
     type: preset.type,
+    field: preset.field || RuleField.URL,
+    param: preset.param || null,
     matchType: preset.matchType,
     pattern: preset.pattern,
     domain: preset.domain,
@@ -323,17 +931,31 @@ export async function exportRules() {
  * Import rules from JSON
  * @param {string} json
  * @param {boolean} merge - If true, merge with existing rules
- * @returns {Promise<Object>}
+ * @returns {Promise<Object>} - { config, warnings } where `warnings` come
+ *   from findRuleConflicts() on the resulting rules
  */
 export async function importRules(json, merge = false) {
   const imported = JSON.parse(json);
-  
-  if (merge) {
-    const existing = await getPageRules();
-    imported.rules = [...existing.rules, ...imported.rules];
+  if (!imported || !Array.isArray(imported.rules)) {
+    throw new Error('Not a page rules file: "rules" list missing');
   }
   
-  await savePageRules(imported);
-  return imported;
+  const existing = merge ? await getPageRules() : { ...DEFAULT_PAGE_RULES, rules: [] };
+  const ids = new Set(existing.rules.map(rule => rule.id));
+  const rules = imported.rules.map(rule => {
+    const normalized = normalizeRule(rule);
+    // Ids must stay unique, or edits would hit the wrong rule
+    if (ids.has(normalized.id)) {
+      normalized.id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+    ids.add(normalized.id);
+    return normalized;
+  });
+  
+  const config = merge
+    ? { ...existing, rules: [...existing.rules, ...rules] }
+    : { ...DEFAULT_PAGE_RULES, ...imported, rules };
+  
+  await savePageRules(config);
+  return { config, warnings: findRuleConflicts(config.rules) };
 }
-
@@ -0,0 +1,604 @@
+// RFC 5545 recurrence (RRULE, RDATE, EXDATE) for schedules. Works on
+// calendar days; the time of day comes from the schedule itself.
+import { shiftDateKey, shiftDateKeyMonths, daysBetweenKeys, getDateKeyWeekday, toCalendarKey } from './date-keys.js';
+
+/*
+ * Recurrence format (stored on a schedule as `recurrence`):
+ * { dtstart: 'YYYY-MM-DD', rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR' | null,
+ *   rdates: ['YYYY-MM-DD'], exdates: ['YYYY-MM-DD'] }
+ * Without an rrule the schedule happens on dtstart and the rdates only.
+ * As in RFC 5545, dtstart is always the first occurrence and counts
+ * toward COUNT, and exdates don't make up for the dates they remove.
+ * Events imported from another timezone may also have `shift`: -1 or 1
+ * when their time falls on the day before or after here. dtstart and the
+ * rrule then count days as the calendar does (a Friday 23:00 UTC event
+ * repeats on Fridays) and each date they produce moves by `shift`; rdates
+ * and exdates are already days here.
+ */
+
+/**
+ * Supported RRULE frequencies
+ */
+export const Frequency = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY'
+};
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// Parts that would repeat a schedule within a day, or that we don't expand
+const UNSUPPORTED_PARTS = ['BYHOUR', 'BYMINUTE', 'BYSECOND', 'BYWEEKNO', 'BYYEARDAY'];
+
+// Stops rules that never produce a date (BYMONTHDAY=30 in February only)
+// from looping forever
+const MAX_PERIODS = 5000;
+
+// Rules are checked every minute; parse each one once
+const parsedRules = new Map();
+
+/**
+ * Parse a date as written in an RRULE (UNTIL) or an options form
+ * @param {string} value - 'YYYYMMDD', 'YYYYMMDDTHHMMSS[Z]' or 'YYYY-MM-DD'
+ * @returns {string|null} - Date key; UTC times are moved to the local day
+ */
+export function parseDateValue(value) {
+  const match = String(value || '').trim().match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (utc) {
+    return toCalendarKey(new Date(Date.UTC(year, month - 1, day, hour, minute, second || 0)));
+  }
+
+  const key = `${year}-${month}-${day}`;
+  // Reject dates like 2024-02-30, which Date.UTC would roll over
+  return shiftDateKey(key, 0) === key ? key : null;
+}
+
+/**
+ * Parse a list of numbers such as '1,15,-1'
+ * @param {string} name - Part name, for errors
+ * @param {string} value
+ * @param {number} min - Smallest allowed absolute value
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} signed - Whether negative values (counted from the end) are allowed
+ * @returns {Array<number>}
+ * @throws {Error}
+ */
+function parseNumberList(name, value, min, max, signed) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || Math.abs(number) < min || Math.abs(number) > max || (!signed && number < 0)) {
+      throw new Error(`${name} has an invalid value: ${item}`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} text - e.g. 'FREQ=MONTHLY;BYDAY=1MO', with or without 'RRULE:'
+ * @returns {Object} - { freq, interval, count, until, byDay: [{ day, nth }],
+ *   byMonthDay, byMonth, bySetPos, wkst }; unused parts are null
+ * @throws {Error} - When the rule can't be used
+ */
+export function parseRRule(text) {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (parsedRules.has(source)) {
+    return parsedRules.get(source);
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: null,
+    byMonthDay: null,
+    byMonth: null,
+    bySetPos: null,
+    wkst: 1
+  };
+  const seen = new Set();
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawName, value = ''] = part.split('=');
+    const name = rawName.trim().toUpperCase();
+    if (seen.has(name)) {
+      throw new Error(`${name} appears twice`);
+    }
+    seen.add(name);
+    if (UNSUPPORTED_PARTS.includes(name)) {
+      throw new Error(`${name} isn't supported; schedules repeat by day`);
+    }
+
+    switch (name) {
+      case 'FREQ':
+        if (!Frequency[value.toUpperCase()]) {
+          throw new Error(['HOURLY', 'MINUTELY', 'SECONDLY'].includes(value.toUpperCase())
+            ? 'Schedules can repeat at most daily'
+            : `Unknown FREQ: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        [rule.interval] = parseNumberList(name, value, 1, 1000, false);
+        break;
+      case 'COUNT':
+        [rule.count] = parseNumberList(name, value, 1, 10000, false);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue(value);
+        if (!rule.until) {
+          throw new Error(`UNTIL isn't a date: ${value}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(item => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          const nth = match && match[1] ? Number(match[1]) : 0;
+          if (!match || Math.abs(nth) > 53 || (match[1] && nth === 0)) {
+            throw new Error(`BYDAY has an invalid value: ${item}`);
+          }
+          return { day: WEEKDAY_CODES.indexOf(match[2]), nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumberList(name, value, 1, 31, true);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseNumberList(name, value, 1, 12, false);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseNumberList(name, value, 1, 366, true);
+        break;
+      case 'WKST':
+        rule.wkst = WEEKDAY_CODES.indexOf(value.toUpperCase());
+        if (rule.wkst === -1) {
+          throw new Error(`WKST has an invalid value: ${value}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown rule part: ${name}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Use either COUNT or UNTIL, not both');
+  }
+  if (rule.byDay && rule.byDay.some(({ nth }) => nth) &&
+      (rule.freq === Frequency.DAILY || rule.freq === Frequency.WEEKLY)) {
+    throw new Error('Numbered days like 1MO need FREQ=MONTHLY or YEARLY');
+  }
+
+  parsedRules.set(source, rule);
+  return rule;
+}
+
+/**
+ * Check a recurrence typed or imported by the user
+ * @param {Object} recurrence - See the format above
+ * @returns {string|null} - What is wrong, or null
+ */
+export function getRecurrenceError(recurrence) {
+  if (!recurrence || !parseDateValue(recurrence.dtstart)) {
+    return 'A start date is required';
+  }
+  if (recurrence.shift != null && ![-1, 0, 1].includes(recurrence.shift)) {
+    return 'A recurrence can only move by a day';
+  }
+  for (const key of [...(recurrence.rdates || []), ...(recurrence.exdates || [])]) {
+    if (!parseDateValue(key)) {
+      return `Not a date: ${key}`;
+    }
+  }
+  if (!recurrence.rrule) {
+    return null;
+  }
+  try {
+    const rule = parseRRule(recurrence.rrule);
+    if (rule.until && rule.until < parseDateValue(recurrence.dtstart)) {
+      return 'UNTIL is before the start date';
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Bring a recurrence into its stored form
+ * @param {Object} recurrence
+ * @returns {Object}
+ */
+export function normalizeRecurrence(recurrence) {
+  const dates = list => [...new Set((list || []).map(parseDateValue).filter(Boolean))].sort();
+  const normalized = {
+    dtstart: parseDateValue(recurrence.dtstart),
+    rrule: recurrence.rrule ? String(recurrence.rrule).trim().replace(/^RRULE:/i, '') : null,
+    rdates: dates(recurrence.rdates),
+    exdates: dates(recurrence.exdates)
+  };
+  if (recurrence.shift) {
+    normalized.shift = recurrence.shift;
+  }
+  return normalized;
+}
+
+/**
+ * Every day of a month as date keys
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {Array<string>}
+ */
+function getMonthKeys(year, month) {
+  const first = `${year}-${String(month).padStart(2, '0')}-01`;
+  const length = daysBetweenKeys(first, shiftDateKeyMonths(first, 1));
+  return Array.from({ length }, (_, i) => shiftDateKey(first, i));
+}
+
+/**
+ * Check if a date key is one of the BYMONTHDAY days (negative counts from
+ * the end of the month)
+ * @param {string} key
+ * @param {Array<number>} byMonthDay
+ * @returns {boolean}
+ */
+function matchesMonthDay(key, byMonthDay) {
+  const day = Number(key.slice(8));
+  const first = `${key.slice(0, 8)}01`;
+  const length = daysBetweenKeys(first, shiftDateKeyMonths(first, 1));
+  return byMonthDay.some(value => value === day || length + 1 + value === day);
+}
+
+/**
+ * Pick the BYDAY days out of a month or year, e.g. the first Monday or
+ * every Friday
+ * @param {Array<string>} keys - Days of the month or year, in order
+ * @param {Array} byDay - [{ day, nth }]
+ * @returns {Array<string>}
+ */
+function selectWeekdays(keys, byDay) {
+  const picked = new Set();
+  for (const { day, nth } of byDay) {
+    const matching = keys.filter(key => getDateKeyWeekday(key) === day);
+    if (nth === 0) {
+      matching.forEach(key => picked.add(key));
+    } else {
+      const key = matching[nth > 0 ? nth - 1 : matching.length + nth];
+      if (key) picked.add(key);
+    }
+  }
+  return [...picked];
+}
+
+/**
+ * Dates a rule produces within one month
+ * @param {Object} rule
+ * @param {string} dtstart
+ * @param {number} year
+ * @param {number} month
+ * @returns {Array<string>}
+ */
+function expandMonth(rule, dtstart, year, month) {
+  let keys = getMonthKeys(year, month);
+  if (rule.byMonthDay) {
+    keys = keys.filter(key => matchesMonthDay(key, rule.byMonthDay));
+    if (rule.byDay) {
+      keys = keys.filter(key => rule.byDay.some(({ day }) => day === getDateKeyWeekday(key)));
+    }
+    return keys;
+  }
+  if (rule.byDay) {
+    return selectWeekdays(keys, rule.byDay);
+  }
+  // Months without that day (the 31st) are skipped, not clamped
+  return keys.filter(key => key.slice(8) === dtstart.slice(8));
+}
+
+/**
+ * First day of the n-th period of a rule, counted from dtstart
+ * @param {Object} rule
+ * @param {string} dtstart
+ * @param {number} period
+ * @returns {string}
+ */
+function getPeriodStart(rule, dtstart, period) {
+  const steps = period * rule.interval;
+  switch (rule.freq) {
+    case Frequency.DAILY:
+      return shiftDateKey(dtstart, steps);
+    case Frequency.WEEKLY: {
+      const weekStart = shiftDateKey(dtstart, -((getDateKeyWeekday(dtstart) - rule.wkst + 7) % 7));
+      return shiftDateKey(weekStart, steps * 7);
+    }
+    case Frequency.MONTHLY:
+      return shiftDateKeyMonths(`${dtstart.slice(0, 8)}01`, steps);
+    default:
+      return `${Number(dtstart.slice(0, 4)) + steps}-01-01`;
+  }
+}
+
+/**
+ * Dates a rule produces within one period (day, week, month or year)
+ * @param {Object} rule
+ * @param {string} dtstart
+ * @param {string} start - From getPeriodStart()
+ * @returns {Array<string>} - Sorted
+ */
+function expandPeriod(rule, dtstart, start) {
+  const year = Number(start.slice(0, 4));
+  const month = Number(start.slice(5, 7));
+  let keys;
+
+  switch (rule.freq) {
+    case Frequency.DAILY:
+      keys = [start].filter(key =>
+        (!rule.byMonthDay || matchesMonthDay(key, rule.byMonthDay)) &&
+        (!rule.byDay || rule.byDay.some(({ day }) => day === getDateKeyWeekday(key)))
+      );
+      break;
+    case Frequency.WEEKLY: {
+      const days = rule.byDay ? rule.byDay.map(({ day }) => day) : [getDateKeyWeekday(dtstart)];
+      keys = Array.from({ length: 7 }, (_, i) => shiftDateKey(start, i))
+        .filter(key => days.includes(getDateKeyWeekday(key)));
+      break;
+    }
+    case Frequency.MONTHLY:
+      keys = expandMonth(rule, dtstart, year, month);
+      break;
+    default:
+      if (rule.byDay && !rule.byMonth && !rule.byMonthDay) {
+        // 'FREQ=YEARLY;BYDAY=20MO' counts through the whole year
+        const yearKeys = Array.from({ length: 12 }, (_, i) => getMonthKeys(year, i + 1)).flat();
+        keys = selectWeekdays(yearKeys, rule.byDay);
+      } else {
+        const months = rule.byMonth || (rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [Number(dtstart.slice(5, 7))]);
+        keys = months.flatMap(m => expandMonth(rule, dtstart, year, m));
+      }
+  }
+
+  if (rule.byMonth) {
+    keys = keys.filter(key => rule.byMonth.includes(Number(key.slice(5, 7))));
+  }
+  keys = [...new Set(keys)].sort();
+
+  if (rule.bySetPos) {
+    const all = keys;
+    keys = rule.bySetPos
+      .map(position => all[position > 0 ? position - 1 : all.length + position])
+      .filter(Boolean);
+    keys = [...new Set(keys)].sort();
+  }
+
+  return keys;
+}
+
+/**
+ * Dates an RRULE produces, in order, from dtstart (which always comes
+ * first) until COUNT or UNTIL runs out
+ * @param {Object} rule - From parseRRule()
+ * @param {string} dtstart
+ * @param {string} from - Rules without COUNT skip periods before this day
+ * @yields {string}
+ */
+function* generateRuleDates(rule, dtstart, from) {
+  let emitted = 0;
+  let period = 0;
+
+  if (!rule.count && from > dtstart) {
+    // Nothing before `from` is needed, so jump close to it
+    const steps = rule.freq === Frequency.DAILY ? daysBetweenKeys(dtstart, from)
+      : rule.freq === Frequency.WEEKLY ? Math.floor(daysBetweenKeys(getPeriodStart(rule, dtstart, 0), from) / 7)
+        : rule.freq === Frequency.MONTHLY
+          ? (Number(from.slice(0, 4)) - Number(dtstart.slice(0, 4))) * 12 + Number(from.slice(5, 7)) - Number(dtstart.slice(5, 7))
+          : Number(from.slice(0, 4)) - Number(dtstart.slice(0, 4));
+    period = Math.max(0, Math.floor(steps / rule.interval));
+  } else {
+    emitted++;
+    yield dtstart;
+  }
+
+  for (let i = 0; i < MAX_PERIODS; i++, period++) {
+    for (const key of expandPeriod(rule, dtstart, getPeriodStart(rule, dtstart, period))) {
+      if (key <= dtstart) continue;
+      if ((rule.until && key > rule.until) || (rule.count && emitted >= rule.count)) {
+        return;
+      }
+      emitted++;
+      yield key;
+    }
+  }
+}
+
+/**
+ * Move every date of a sequence by some days
+ * @param {Iterator<string>} dates
+ * @param {number} shift
+ * @yields {string}
+ */
+function* shiftDates(dates, shift) {
+  for (const key of dates) {
+    yield shift ? shiftDateKey(key, shift) : key;
+  }
+}
+
+/**
+ * Every date of a recurrence on or after a day, in order
+ * @param {Object} recurrence - See the format above
+ * @param {string} from - Date key
+ * @yields {string}
+ */
+function* iterateOccurrences(recurrence, from) {
+  const { dtstart, rrule, rdates = [], exdates = [], shift = 0 } = recurrence;
+  const excluded = new Set(exdates);
+  const extra = [...rdates].filter(key => key >= from).sort();
+  const ruleDates = shiftDates(
+    rrule ? generateRuleDates(parseRRule(rrule), dtstart, shiftDateKey(from, -shift)) : [dtstart][Symbol.iterator](),
+    shift
+  );
+
+  let next = ruleDates.next();
+  let last = null;
+  while (!next.done || extra.length > 0) {
+    let key;
+    if (next.done || (extra.length > 0 && extra[0] <= next.value)) {
+      key = extra.shift();
+    } else {
+      key = next.value;
+      next = ruleDates.next();
+    }
+    if (key >= from && key !== last && !excluded.has(key)) {
+      last = key;
+      yield key;
+    }
+  }
+}
+
+/**
+ * List the dates of a recurrence within a range
+ * @param {Object} recurrence - See the format above
+ * @param {string} from - First day (date key), inclusive
+ * @param {string} to - Last day (date key), inclusive
+ * @returns {Array<string>}
+ */
+export function getOccurrenceDates(recurrence, from, to) {
+  const dates = [];
+  for (const key of iterateOccurrences(recurrence, from)) {
+    if (key > to) break;
+    dates.push(key);
+  }
+  return dates;
+}
+
+/**
+ * Check if a recurrence happens on a day
+ * @param {Object} recurrence
+ * @param {string} key - Date key
+ * @returns {boolean}
+ */
+export function isOccurrenceDate(recurrence, key) {
+  return getOccurrenceDates(recurrence, key, key).length > 0;
+}
+
+/**
+ * Find the next date of a recurrence
+ * @param {Object} recurrence
+ * @param {string} from - Date key to search from, inclusive
+ * @returns {string|null} - null when it doesn't happen again
+ */
+export function getNextOccurrenceDate(recurrence, from) {
+  const next = iterateOccurrences(recurrence, from).next();
+  return next.done ? null : next.value;
+}
+
+/**
+ * Format a date key for reading, e.g. 'Mar 3, 2025'
+ * @param {string} key
+ * @returns {string}
+ */
+function formatDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1].slice(0, 3)} ${day}, ${year}`;
+}
+
+/**
+ * Join words into 'a, b and c'
+ * @param {Array<string>} words
+ * @returns {string}
+ */
+function joinWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+}
+
+/**
+ * Name a position counted from the start or the end, e.g. 'second last'
+ * @param {number} nth
+ * @returns {string}
+ */
+function describeOrdinal(nth) {
+  const word = ORDINALS[Math.abs(nth) - 1] || `${Math.abs(nth)}th`;
+  if (nth > 0) return word;
+  return nth === -1 ? 'last' : `${word} last`;
+}
+
+/**
+ * Describe a recurrence in words, e.g. 'Every 2 weeks on Friday' or
+ * 'Monthly on the first Monday'
+ * @param {Object} recurrence - See the format above
+ * @returns {string}
+ */
+export function describeRecurrence(recurrence) {
+  const { dtstart, rrule, rdates = [], exdates = [] } = recurrence;
+  if (!rrule) {
+    return `Once on ${formatDateKey(shiftDateKey(dtstart, recurrence.shift || 0))}` +
+      (rdates.length ? ` and ${rdates.length} more date${rdates.length === 1 ? '' : 's'}` : '');
+  }
+
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch (error) {
+    return `Invalid rule: ${error.message}`;
+  }
+
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+  let text = rule.interval === 1
+    ? adverbs[rule.freq]
+    : `Every ${rule.interval === 2 ? 'other' : rule.interval} ${units[rule.freq]}${rule.interval > 2 ? 's' : ''}`;
+
+  const weekdays = rule.byDay && rule.byDay.length === 5 &&
+    rule.byDay.every(({ day, nth }) => !nth && day >= 1 && day <= 5);
+  if (weekdays) {
+    text += ' on weekdays';
+  } else if (rule.byDay) {
+    const days = rule.byDay.map(({ day, nth }) =>
+      nth ? `the ${describeOrdinal(nth)} ${WEEKDAY_NAMES[day]}` : WEEKDAY_NAMES[day]);
+    text += ` on ${joinWords(days)}`;
+  } else if (rule.freq === Frequency.WEEKLY) {
+    text += ` on ${WEEKDAY_NAMES[getDateKeyWeekday(dtstart)]}`;
+  }
+  if (rule.byMonthDay) {
+    const days = rule.byMonthDay.map(day => (day === -1 ? 'the last day' : day < 0 ? `the ${describeOrdinal(day)} day` : `day ${day}`));
+    text += `${rule.byDay ? ' falling on' : ' on'} ${joinWords(days)}`;
+  } else if (!rule.byDay && (rule.freq === Frequency.MONTHLY || rule.freq === Frequency.YEARLY)) {
+    text += ` on day ${Number(dtstart.slice(8))}`;
+  }
+  if (rule.byMonth) {
+    text += ` in ${joinWords(rule.byMonth.map(month => MONTH_NAMES[month - 1]))}`;
+  } else if (rule.freq === Frequency.YEARLY && !rule.byDay && !rule.byMonthDay) {
+    text += ` of ${MONTH_NAMES[Number(dtstart.slice(5, 7)) - 1]}`;
+  }
+  if (rule.bySetPos) {
+    text += `, only the ${joinWords(rule.bySetPos.map(describeOrdinal))} of those`;
+  }
+
+  text += `, from ${formatDateKey(dtstart)}`;
+  if (rule.count) {
+    text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  } else if (rule.until) {
+    text += ` until ${formatDateKey(rule.until)}`;
+  }
+  if (rdates.length) {
+    text += `, plus ${rdates.length} extra date${rdates.length === 1 ? '' : 's'}`;
+  }
+  if (exdates.length) {
+    text += `, skipping ${exdates.length} date${exdates.length === 1 ? '' : 's'}`;
+  }
+  if (recurrence.shift) {
+    text += ` (as the calendar counts days; here each falls on the day ${recurrence.shift > 0 ? 'after' : 'before'})`;
+  }
+  return text;
+}
@@ -0,0 +1,276 @@
+// Tiered data retention: daily detail, then weekly and monthly rollups
+import {
+  getConfig,
+  getTimeData,
+  saveTimeData,
+  getHourlyData,
+  saveHourlyData,
+  getBucketData,
+  saveBucketData,
+  getMediaData,
+  saveMediaData,
+  getAwayData,
+  saveAwayData,
+  getStorageValue,
+  setStorageValue
+} from './storage.js';
+import { DEFAULT_CONFIG, STORAGE_KEYS } from './config.js';
+import {
+  getTodayKey,
+  shiftDateKey,
+  shiftDateKeyMonths,
+  daysBetweenKeys,
+  getDateKeyWeekday
+} from './date-keys.js';
+import { getAllDevicesTimeData, takeSyncedTimeBefore } from './sync.js';
+
+/*
+ * Storage format:
+ * {
+ *   weekly:  { '2025-01-06': rollup },  // keyed by the Monday of the week
+ *   monthly: { '2025-01': rollup }
+ * }
+ * rollup = { from, to, days, sites: { [domain]: ms } }
+ *   from/to - first and last date key folded in
+ *   days    - number of days that had data
+ */
+
+/**
+ * Get the rollup store
+ * @returns {Promise<Object>}
+ */
+export async function getRollupData() {
+  const data = await getStorageValue(STORAGE_KEYS.ROLLUP_DATA);
+  return {
+    weekly: {},
+    monthly: {},
+    ...(data || {})
+  };
+}
+
+/**
+ * Save the rollup store
+ * @param {Object} data
+ * @returns {Promise<void>}
+ */
+export async function saveRollupData(data) {
+  return setStorageValue(STORAGE_KEYS.ROLLUP_DATA, data);
+}
+
+/**
+ * Read the retention settings from config. 0 means "keep forever" for
+ * every tier.
+ * @param {Object} config
+ * @returns {Object} - { dailyDays, weeklyWeeks, monthlyMonths }
+ */
+export function getRetentionPolicy(config) {
+  const read = (value, fallback) => Number.isInteger(value) && value >= 0 ? value : fallback;
+
+  return {
+    dailyDays: read(config.dataRetentionDays, DEFAULT_CONFIG.dataRetentionDays),
+    weeklyWeeks: read(config.weeklyRollupWeeks, DEFAULT_CONFIG.weeklyRollupWeeks),
+    monthlyMonths: read(config.monthlyRollupMonths, DEFAULT_CONFIG.monthlyRollupMonths)
+  };
+}
+
+/**
+ * Get the Monday that starts the week of a date key
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function getWeekKey(dateKey) {
+  return shiftDateKey(dateKey, -((getDateKeyWeekday(dateKey) + 6) % 7));
+}
+
+/**
+ * Fold per-domain times into a rollup entry, creating it if needed
+ * @param {Object} tier - weekly or monthly map
+ * @param {string} key - Period key
+ * @param {Object} source - { from, to, days, sites }
+ */
+function addToRollup(tier, key, source) {
+  if (!tier[key]) {
+    tier[key] = { from: source.from, to: source.to, days: 0, sites: {} };
+  }
+
+  const rollup = tier[key];
+  if (source.from < rollup.from) rollup.from = source.from;
+  if (source.to > rollup.to) rollup.to = source.to;
+  rollup.days += source.days;
+
+  for (const domain in source.sites) {
+    rollup.sites[domain] = (rollup.sites[domain] || 0) + source.sites[domain];
+  }
+}
+
+/**
+ * Delete entries keyed by date before a cutoff
+ * @param {Object} data - Map keyed by date key
+ * @param {string} cutoffKey
+ * @returns {boolean} - Whether anything was removed
+ */
+function pruneBefore(data, cutoffKey) {
+  let changed = false;
+  for (const dateKey in data) {
+    if (dateKey < cutoffKey) {
+      delete data[dateKey];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Compact old data according to the retention settings:
+ * days older than `dataRetentionDays` are folded into weekly rollups,
+ * weeks older than `weeklyRollupWeeks` into monthly rollups, and months
+ * older than `monthlyRollupMonths` are deleted. Days synced from other
+ * devices are folded the same way. Hourly, bucket, media and away detail
+ * has no rollup and is dropped with the daily tier.
+ * @returns {Promise<Object>} - Counts of what was compacted
+ */
+export async function applyRetention() {
+  const config = await getConfig();
+  const result = { days: 0, weeks: 0, months: 0, syncedDays: 0 };
+
+  if (config.autoCleanup === false) {
+    return result;
+  }
+
+  const policy = getRetentionPolicy(config);
+  const todayKey = await getTodayKey();
+  const rollups = await getRollupData();
+
+  if (policy.dailyDays > 0) {
+    const dailyCutoff = shiftDateKey(todayKey, -policy.dailyDays);
+    const timeData = await getTimeData();
+    const foldedKeys = new Set();
+
+    for (const dateKey in timeData) {
+      if (dateKey >= dailyCutoff) continue;
+
+      const sites = timeData[dateKey];
+      const hasData = Object.values(sites).some(time => time > 0);
+      addToRollup(rollups.weekly, getWeekKey(dateKey), {
+        from: dateKey,
+        to: dateKey,
+        days: hasData ? 1 : 0,
+        sites
+      });
+      delete timeData[dateKey];
+      foldedKeys.add(dateKey);
+      result.days++;
+    }
+
+    if (result.days > 0) {
+      await saveTimeData(timeData);
+    }
+
+    // Other devices' days join the same weekly rollups
+    const syncedDays = await takeSyncedTimeBefore(dailyCutoff);
+    for (const dateKey in syncedDays) {
+      addToRollup(rollups.weekly, getWeekKey(dateKey), {
+        from: dateKey,
+        to: dateKey,
+        days: foldedKeys.has(dateKey) ? 0 : 1,
+        sites: syncedDays[dateKey]
+      });
+      result.syncedDays++;
+    }
+
+    const hourlyData = await getHourlyData();
+    if (pruneBefore(hourlyData, dailyCutoff)) {
+      await saveHourlyData(hourlyData);
+    }
+
+    const bucketData = await getBucketData();
+    if (pruneBefore(bucketData, dailyCutoff)) {
+      await saveBucketData(bucketData);
+    }
+
+    const mediaData = await getMediaData();
+    if (pruneBefore(mediaData, dailyCutoff)) {
+      await saveMediaData(mediaData);
+    }
+
+    const awayData = await getAwayData();
+    if (pruneBefore(awayData, dailyCutoff)) {
+      await saveAwayData(awayData);
+    }
+  }
+
+  if (policy.weeklyWeeks > 0) {
+    const weeklyCutoff = shiftDateKey(todayKey, -policy.weeklyWeeks * 7);
+
+    for (const weekKey in rollups.weekly) {
+      const week = rollups.weekly[weekKey];
+      if (week.to >= weeklyCutoff) continue;
+
+      // A week spanning two months goes to the month it started in
+      addToRollup(rollups.monthly, week.from.slice(0, 7), week);
+      delete rollups.weekly[weekKey];
+      result.weeks++;
+    }
+  }
+
+  if (policy.monthlyMonths > 0) {
+    const monthlyCutoff = shiftDateKeyMonths(todayKey.slice(0, 8) + '01', -policy.monthlyMonths);
+
+    for (const monthKey in rollups.monthly) {
+      if (rollups.monthly[monthKey].to < monthlyCutoff) {
+        delete rollups.monthly[monthKey];
+        result.months++;
+      }
+    }
+  }
+
+  if (result.days > 0 || result.weeks > 0 || result.months > 0 || result.syncedDays > 0) {
+    await saveRollupData(rollups);
+  }
+
+  return result;
+}
+
+/**
+ * Get per-day, per-domain time for a range of date keys, reading from
+ * whichever tier holds each day and adding time from synced devices. Days
+ * that only survive in a rollup get the rollup's time spread evenly over
+ * the days it covers, so totals are exact but the per-day split inside a
+ * rolled-up period is an estimate.
+ * @param {string} startKey - First date key (inclusive)
+ * @param {string} endKey - Last date key (inclusive)
+ * @returns {Promise<Object>} - { [dateKey]: { [domain]: ms } }
+ */
+export async function getTimeDataForRange(startKey, endKey) {
+  const timeData = await getAllDevicesTimeData();
+  const rollups = await getRollupData();
+  const result = {};
+
+  for (const dateKey in timeData) {
+    if (dateKey >= startKey && dateKey <= endKey) {
+      result[dateKey] = { ...timeData[dateKey] };
+    }
+  }
+
+  const periods = [...Object.values(rollups.weekly), ...Object.values(rollups.monthly)];
+
+  for (const rollup of periods) {
+    if (rollup.to < startKey || rollup.from > endKey) continue;
+
+    const span = daysBetweenKeys(rollup.from, rollup.to) + 1;
+    const lastKey = rollup.to < endKey ? rollup.to : endKey;
+    let dateKey = rollup.from > startKey ? rollup.from : startKey;
+
+    while (dateKey <= lastKey) {
+      if (!result[dateKey]) {
+        result[dateKey] = {};
+      }
+      for (const domain in rollup.sites) {
+        result[dateKey][domain] = (result[dateKey][domain] || 0) + Math.round(rollup.sites[domain] / span);
+      }
+      dateKey = shiftDateKey(dateKey, 1);
+    }
+  }
+
+  return result;
+}
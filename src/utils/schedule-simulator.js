@@ -0,0 +1,205 @@
+// Previews what the schedules add up to over a stretch of time: when popups
+// are off, when tracking pauses and which threshold multiplier applies
+import {
+  getSchedulerConfig,
+  getScheduleState,
+  getScheduleTimeZone,
+  getScheduleDuration,
+  toMinutes
+} from './scheduler.js';
+import { getWallClock, zonedTimeToTimestamp, shiftDateKey } from './date-keys.js';
+
+/**
+ * What put a stretch of the timeline in its state
+ */
+export const TimelineSource = {
+  QUIET_HOURS: 'quiet_hours', // Quick setting: popups off
+  WORK_HOURS: 'work_hours',   // Quick setting: stricter thresholds
+  WEEKEND: 'weekend',         // Weekend mode: more lenient thresholds
+  SCHEDULE: 'schedule'        // A custom schedule
+};
+
+// A year of simulated time is plenty for a preview
+const MAX_SIMULATION_DAYS = 366;
+
+const DAY_MINUTES = 24 * 60;
+
+/*
+ * Timeline format (from simulateSchedules):
+ * [{ start, end, popupsSuppressed, trackingBlocked, multiplier,
+ *    sources: [{ type, name, id?, action? }] }]
+ * Segments are in order, cover the whole range without gaps, and two
+ * neighbours always differ in their state or in their sources.
+ */
+
+/**
+ * List the moments in a range where the schedules could change state:
+ * midnights (for weekends) and every start and end of a quick setting or
+ * custom schedule, whether or not it happens that day
+ * @param {Object} config - Scheduler configuration
+ * @param {number} from
+ * @param {number} to
+ * @param {string} timeZone
+ * @returns {Array<number>} - Sorted timestamps strictly inside the range
+ */
+function getChangeMoments(config, from, to, timeZone) {
+  const quick = config.quickSettings;
+  const times = [];
+  if (quick.quietHoursEnabled) {
+    times.push({ startTime: quick.quietHoursStart, endTime: quick.quietHoursEnd });
+  }
+  if (quick.workHoursEnabled) {
+    times.push({ startTime: quick.workHoursStart, endTime: quick.workHoursEnd });
+  }
+  times.push(...config.schedules.filter(schedule => schedule.enabled));
+  const ranges = [{ start: 0, duration: 0 }, ...times.map(range => ({
+    start: toMinutes(range.startTime),
+    duration: getScheduleDuration(range)
+  }))];
+
+  // Occurrences that started before the range may end inside it
+  const longest = Math.max(...ranges.map(range => range.start + range.duration));
+  const lastDay = getWallClock(to, timeZone).dateKey;
+  let day = shiftDateKey(getWallClock(from, timeZone).dateKey, -Math.ceil(longest / DAY_MINUTES));
+
+  const moments = new Set();
+  for (; day <= lastDay; day = shiftDateKey(day, 1)) {
+    for (const { start, duration } of ranges) {
+      moments.add(zonedTimeToTimestamp(day, start, timeZone));
+      moments.add(zonedTimeToTimestamp(day, start + duration, timeZone));
+    }
+  }
+
+  return [...moments].filter(moment => moment > from && moment < to).sort((a, b) => a - b);
+}
+
+/**
+ * Say which settings and schedules produced a state
+ * @param {Object} config - Scheduler configuration
+ * @param {Object} state - From getScheduleState()
+ * @returns {Array} - [{ type, name, id?, action? }]
+ */
+function getStateSources(config, state) {
+  const sources = [];
+  if (state.quietHours) {
+    sources.push({ type: TimelineSource.QUIET_HOURS, name: 'Quiet hours' });
+  }
+  if (state.workHours) {
+    sources.push({ type: TimelineSource.WORK_HOURS, name: 'Work hours' });
+  }
+  if (config.enabled && config.quickSettings.weekendMode && state.weekend) {
+    sources.push({ type: TimelineSource.WEEKEND, name: 'Weekend mode' });
+  }
+  state.active.forEach(schedule => {
+    sources.push({ type: TimelineSource.SCHEDULE, name: schedule.name, id: schedule.id, action: schedule.action });
+  });
+  return sources;
+}
+
+/**
+ * Key two segments can be merged on
+ * @param {Object} segment
+ * @returns {string}
+ */
+function getSegmentKey(segment) {
+  const sources = segment.sources.map(source => source.id || source.type).join(',');
+  return `${segment.popupsSuppressed}|${segment.trackingBlocked}|${segment.multiplier}|${sources}`;
+}
+
+/**
+ * Work out what the schedules do over a range, as getScheduleState() would
+ * at every moment of it
+ * @param {Object} config - Scheduler configuration
+ * @param {number} from - Start timestamp
+ * @param {number} to - End timestamp (exclusive)
+ * @returns {Array} - Timeline segments (see the format above)
+ * @throws {Error} - When the range is empty or longer than a year
+ */
+export function simulateSchedules(config, from, to) {
+  if (!(to > from)) {
+    throw new Error('The range must end after it starts');
+  }
+  if (to - from > MAX_SIMULATION_DAYS * DAY_MINUTES * 60 * 1000) {
+    throw new Error(`Ranges can be at most ${MAX_SIMULATION_DAYS} days long`);
+  }
+
+  const timeZone = getScheduleTimeZone(config);
+  const starts = [from, ...getChangeMoments(config, from, to, timeZone)];
+  const timeline = [];
+
+  starts.forEach((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1] : to;
+    const state = getScheduleState(config, start);
+    const segment = {
+      start,
+      end,
+      popupsSuppressed: state.popupsSuppressed,
+      trackingBlocked: state.trackingBlocked,
+      multiplier: state.multiplier,
+      sources: getStateSources(config, state)
+    };
+
+    const previous = timeline[timeline.length - 1];
+    if (previous && getSegmentKey(previous) === getSegmentKey(segment)) {
+      previous.end = end;
+    } else {
+      timeline.push(segment);
+    }
+  });
+
+  return timeline;
+}
+
+/**
+ * Simulate the saved schedules over a range
+ * @param {number} from - Start timestamp
+ * @param {number} to - End timestamp (exclusive)
+ * @returns {Promise<Array>} - Timeline segments
+ * @throws {Error} - When the range is empty or longer than a year
+ */
+export async function getScheduleTimeline(from, to) {
+  return simulateSchedules(await getSchedulerConfig(), from, to);
+}
+
+/**
+ * Simulate the saved schedules day by day over a week, as the options
+ * page shows them
+ * @param {string} weekStart - Date key of the first day
+ * @returns {Promise<Array>} - [{ dateKey, start, end, timeline }], seven
+ *   days in the schedule timezone (23 or 25 hours long on DST changes)
+ */
+export async function getWeekSimulation(weekStart) {
+  const config = await getSchedulerConfig();
+  const timeZone = getScheduleTimeZone(config);
+
+  return Array.from({ length: 7 }, (_, index) => {
+    const dateKey = shiftDateKey(weekStart, index);
+    const start = zonedTimeToTimestamp(dateKey, 0, timeZone);
+    const end = zonedTimeToTimestamp(dateKey, DAY_MINUTES, timeZone);
+    return { dateKey, start, end, timeline: simulateSchedules(config, start, end) };
+  });
+}
+
+/**
+ * Describe the effect of a timeline segment
+ * @param {Object} segment
+ * @returns {string} - e.g. 'Popups off · thresholds ×0.5'
+ */
+export function describeSegment(segment) {
+  const parts = [];
+  if (segment.trackingBlocked) {
+    parts.push('Tracking paused');
+  }
+  if (segment.popupsSuppressed) {
+    parts.push('Popups off');
+  }
+  if (segment.multiplier !== 1) {
+    parts.push(`thresholds ×${Number(segment.multiplier.toFixed(2))}`);
+  }
+  if (parts.length === 0) {
+    return 'Normal';
+  }
+  parts[0] = parts[0][0].toUpperCase() + parts[0].slice(1);
+  return parts.join(' · ');
+}
+
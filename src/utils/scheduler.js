@@ -1,7 +1,16 @@
 // Advanced scheduling system
 import { getStorageValue, setStorageValue } from './storage.js';
+import {
+  getWallClock,
+  zonedTimeToTimestamp,
+  shiftDateKey,
+  getDateKeyWeekday,
+  getSystemTimeZone,
+  isValidTimeZone
+} from './date-keys.js';
+import { getRecurrenceError, normalizeRecurrence, isOccurrenceDate } from './recurrence.js';
 
-const SCHEDULER_KEY = 'schedulerConfig';
+export const SCHEDULER_KEY = 'schedulerConfig';
 
 /**
  * Schedule types
@@ -13,6 +22,15 @@ export const ScheduleType = {
   CUSTOM: 'custom'                 // Custom schedules
 };
 
+/**
+ * What a custom schedule does while it is active
+ */
+export const ScheduleAction = {
+  DISABLE_POPUPS: 'disable_popups',     // No intervention popups
+  ADJUST_THRESHOLD: 'adjust_threshold', // Scale thresholds by thresholdMultiplier
+  BLOCK_TRACKING: 'block_tracking'      // Don't count time at all
+};
+
 /**
  * Days of week
  */
@@ -31,7 +49,8 @@ export const DaysOfWeek = {
  */
 const DEFAULT_SCHEDULER_CONFIG = {
   enabled: true,
-  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  followSystemTimezone: true, // Read schedules on the system clock, wherever it is
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, // Used when not following
   schedules: [],
   quickSettings: {
     quietHoursEnabled: false,
@@ -46,13 +65,31 @@ const DEFAULT_SCHEDULER_CONFIG = {
   }
 };
 
+// Work hours halve the thresholds
+const WORK_HOURS_MULTIPLIER = 0.5;
+
+/*
+ * Schedule times are wall-clock times in getScheduleTimeZone().
+ * Custom schedules happen on `days` between startTime and endTime, or,
+ * when they have a `recurrence` (see recurrence.js), on the dates it
+ * produces, starting at startTime and lasting `duration` minutes (derived
+ * from endTime when missing, so it may run past midnight). Schedules
+ * imported from a calendar keep the event's UID in `calendarUid`.
+ */
+
 /**
  * Get scheduler configuration
  * @returns {Promise<Object>}
  */
 export async function getSchedulerConfig() {
-  const config = await getStorageValue(SCHEDULER_KEY);
-  return config || { ...DEFAULT_SCHEDULER_CONFIG };
+  const config = await getStorageValue(SCHEDULER_KEY) || {};
+  // Older saves from the options page only hold quickSettings
+  return {
+    ...DEFAULT_SCHEDULER_CONFIG,
+    ...config,
+    schedules: Array.isArray(config.schedules) ? config.schedules : [],
+    quickSettings: { ...DEFAULT_SCHEDULER_CONFIG.quickSettings, ...config.quickSettings }
+  };
 }
 
 /**
@@ -65,13 +102,35 @@ export async function saveSchedulerConfig(config) {
 }
 
 /**
- * Add a new schedule
+ * Check a schedule before it is saved
  * @param {Object} schedule
- * @returns {Promise<Object>}
+ * @returns {string|null} - What is wrong, or null
  */
-export async function addSchedule(schedule) {
-  const config = await getSchedulerConfig();
-  
+export function getScheduleError(schedule) {
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!time.test(schedule.startTime) || !time.test(schedule.endTime)) {
+    return 'Times must look like 09:30';
+  }
+  if (!Object.values(ScheduleAction).includes(schedule.action)) {
+    return `Unknown action: ${schedule.action}`;
+  }
+  if (schedule.duration !== undefined && schedule.duration !== null &&
+      !(Number.isFinite(schedule.duration) && schedule.duration > 0)) {
+    return 'The duration must be a positive number of minutes';
+  }
+  if (schedule.recurrence) {
+    return getRecurrenceError(schedule.recurrence);
+  }
+  return null;
+}
+
+/**
+ * Build a complete schedule with an id from the given fields
+ * @param {Object} schedule
+ * @returns {Object}
+ * @throws {Error} - When getScheduleError() finds a problem
+ */
+export function createSchedule(schedule) {
   const newSchedule = {
     id: Date.now().toString(36) + Math.random().toString(36).substr(2),
     type: schedule.type || ScheduleType.CUSTOM,
@@ -80,12 +139,33 @@ export async function addSchedule(schedule) {
     startTime: schedule.startTime || '09:00',
     endTime: schedule.endTime || '17:00',
     days: schedule.days || [1, 2, 3, 4, 5],
-    action: schedule.action || 'disable_popups', // or 'adjust_threshold', 'block_tracking'
+    action: schedule.action || ScheduleAction.DISABLE_POPUPS,
     thresholdMultiplier: schedule.thresholdMultiplier || 1,
     createdAt: new Date().toISOString(),
     ...schedule
   };
   
+  const error = getScheduleError(newSchedule);
+  if (error) {
+    throw new Error(error);
+  }
+  if (newSchedule.recurrence) {
+    newSchedule.recurrence = normalizeRecurrence(newSchedule.recurrence);
+  }
+  
+  return newSchedule;
+}
+
+/**
+ * Add a new schedule
+ * @param {Object} schedule
+ * @returns {Promise<Object>}
+ * @throws {Error} - When the schedule is invalid
+ */
+export async function addSchedule(schedule) {
+  const config = await getSchedulerConfig();
+  const newSchedule = createSchedule(schedule);
+  
   config.schedules.push(newSchedule);
   await saveSchedulerConfig(config);
   
@@ -97,6 +177,7 @@ export async function addSchedule(schedule) {
  * @param {string} scheduleId
  * @param {Object} updates
  * @returns {Promise<Object|null>}
+ * @throws {Error} - When the updated schedule is invalid
  */
 export async function updateSchedule(scheduleId, updates) {
   const config = await getSchedulerConfig();
@@ -104,7 +185,16 @@ export async function updateSchedule(scheduleId, updates) {
   
   if (index === -1) return null;
   
-  config.schedules[index] = { ...config.schedules[index], ...updates };
+  const updated = { ...config.schedules[index], ...updates };
+  const error = getScheduleError(updated);
+  if (error) {
+    throw new Error(error);
+  }
+  if (updated.recurrence) {
+    updated.recurrence = normalizeRecurrence(updated.recurrence);
+  }
+  
+  config.schedules[index] = updated;
   await saveSchedulerConfig(config);
   
   return config.schedules[index];
@@ -128,54 +218,103 @@ export async function deleteSchedule(scheduleId) {
 }
 
 /**
- * Check if current time is within quiet hours
- * @returns {Promise<boolean>}
+ * Get the timezone schedules are read in
+ * @param {Object} config - Scheduler configuration
+ * @returns {string} - The system timezone while following it (the
+ *   default) or when the saved one is unknown, else the saved one
  */
-export async function isQuietHours() {
-  const config = await getSchedulerConfig();
-  
-  if (!config.enabled || !config.quickSettings.quietHoursEnabled) {
-    return false;
+export function getScheduleTimeZone(config) {
+  if (config && config.followSystemTimezone === false && isValidTimeZone(config.timezone)) {
+    return config.timezone;
   }
-  
-  return isWithinTimeRange(
-    config.quickSettings.quietHoursStart,
-    config.quickSettings.quietHoursEnd
-  );
+  return getSystemTimeZone();
 }
 
 /**
- * Check if current time is within work hours
- * @returns {Promise<boolean>}
+ * Work out what the schedules do at a moment
+ * @param {Object} config - Scheduler configuration
+ * @param {number} timestamp
+ * @returns {Object} - { quietHours, workHours, weekend, multiplier,
+ *   popupsSuppressed, trackingBlocked, active } where `active` lists the
+ *   enabled custom schedules running at that moment. Everything but
+ *   `weekend` is off while the scheduler is.
  */
-export async function isWorkHours() {
-  const config = await getSchedulerConfig();
+export function getScheduleState(config, timestamp) {
+  const timeZone = getScheduleTimeZone(config);
+  const state = {
+    quietHours: false,
+    workHours: false,
+    weekend: isWeekend(timestamp, timeZone),
+    multiplier: 1,
+    popupsSuppressed: false,
+    trackingBlocked: false,
+    active: []
+  };
+  
+  if (!config.enabled) {
+    return state;
+  }
+  
+  const quick = config.quickSettings;
+  state.quietHours = !!quick.quietHoursEnabled && isTimeRangeRunning(
+    quick.quietHoursStart, quick.quietHoursEnd, timestamp, timeZone, () => true
+  );
+  state.workHours = !!quick.workHoursEnabled && isTimeRangeRunning(
+    quick.workHoursStart, quick.workHoursEnd, timestamp, timeZone,
+    day => quick.workDays.includes(getDateKeyWeekday(day))
+  );
+  state.active = config.schedules.filter(schedule =>
+    schedule.enabled && isScheduleRunning(schedule, timestamp, timeZone)
+  );
   
-  if (!config.enabled || !config.quickSettings.workHoursEnabled) {
-    return false;
+  // Check weekend mode
+  if (quick.weekendMode && state.weekend) {
+    state.multiplier *= quick.weekendMultiplier;
   }
   
-  const now = new Date();
-  const dayOfWeek = now.getDay();
+  // Check work hours (stricter)
+  if (state.workHours) {
+    state.multiplier *= WORK_HOURS_MULTIPLIER;
+  }
   
-  // Check if it's a work day
-  if (!config.quickSettings.workDays.includes(dayOfWeek)) {
-    return false;
+  for (const schedule of state.active) {
+    if (schedule.action === ScheduleAction.ADJUST_THRESHOLD) {
+      state.multiplier *= schedule.thresholdMultiplier;
+    }
   }
   
-  return isWithinTimeRange(
-    config.quickSettings.workHoursStart,
-    config.quickSettings.workHoursEnd
-  );
+  state.popupsSuppressed = state.quietHours ||
+    state.active.some(schedule => schedule.action === ScheduleAction.DISABLE_POPUPS);
+  state.trackingBlocked = state.active.some(schedule => schedule.action === ScheduleAction.BLOCK_TRACKING);
+  
+  return state;
+}
+
+/**
+ * Check if current time is within quiet hours
+ * @returns {Promise<boolean>}
+ */
+export async function isQuietHours() {
+  return getScheduleState(await getSchedulerConfig(), Date.now()).quietHours;
+}
+
+/**
+ * Check if current time is within work hours
+ * @returns {Promise<boolean>}
+ */
+export async function isWorkHours() {
+  return getScheduleState(await getSchedulerConfig(), Date.now()).workHours;
 }
 
 /**
- * Check if today is a weekend
+ * Check if a moment falls on a weekend
+ * @param {number} timestamp - Defaults to now
+ * @param {string} timeZone - Defaults to the system timezone
  * @returns {boolean}
  */
-export function isWeekend() {
-  const dayOfWeek = new Date().getDay();
-  return dayOfWeek === 0 || dayOfWeek === 6;
+export function isWeekend(timestamp = Date.now(), timeZone = getSystemTimeZone()) {
+  const { weekday } = getWallClock(timestamp, timeZone);
+  return weekday === 0 || weekday === 6;
 }
 
 /**
@@ -183,34 +322,7 @@ export function isWeekend() {
  * @returns {Promise<number>}
  */
 export async function getCurrentThresholdMultiplier() {
-  const config = await getSchedulerConfig();
-  
-  if (!config.enabled) {
-    return 1;
-  }
-  
-  let multiplier = 1;
-  
-  // Check weekend mode
-  if (config.quickSettings.weekendMode && isWeekend()) {
-    multiplier *= config.quickSettings.weekendMultiplier;
-  }
-  
-  // Check work hours (stricter)
-  if (await isWorkHours()) {
-    multiplier *= 0.5; // More strict during work hours
-  }
-  
-  // Check custom schedules
-  for (const schedule of config.schedules) {
-    if (schedule.enabled && await isScheduleActive(schedule)) {
-      if (schedule.action === 'adjust_threshold') {
-        multiplier *= schedule.thresholdMultiplier;
-      }
-    }
-  }
-  
-  return multiplier;
+  return getScheduleState(await getSchedulerConfig(), Date.now()).multiplier;
 }
 
 /**
@@ -218,27 +330,7 @@ export async function getCurrentThresholdMultiplier() {
  * @returns {Promise<boolean>}
  */
 export async function shouldSuppressPopups() {
-  const config = await getSchedulerConfig();
-  
-  if (!config.enabled) {
-    return false;
-  }
-  
-  // Check quiet hours
-  if (await isQuietHours()) {
-    return true;
-  }
-  
-  // Check custom schedules with disable_popups action
-  for (const schedule of config.schedules) {
-    if (schedule.enabled && schedule.action === 'disable_popups') {
-      if (await isScheduleActive(schedule)) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
+  return getScheduleState(await getSchedulerConfig(), Date.now()).popupsSuppressed;
 }
 
 /**
@@ -246,64 +338,133 @@ export async function shouldSuppressPopups() {
  * @returns {Promise<boolean>}
  */
 export async function shouldBlockTracking() {
+  const { blocking } = await getTrackingBlockers();
+  return blocking.length > 0;
+}
+
+/**
+ * Get the block_tracking schedules and which of them apply right now
+ * @returns {Promise<Object>} - { enabled, schedules, blocking } where
+ *   `schedules` lists every enabled block_tracking schedule and
+ *   `blocking` the ones active now (empty when the scheduler is off)
+ */
+export async function getTrackingBlockers() {
   const config = await getSchedulerConfig();
+  const schedules = config.schedules.filter(schedule =>
+    schedule.enabled && schedule.action === ScheduleAction.BLOCK_TRACKING
+  );
   
   if (!config.enabled) {
-    return false;
+    return { enabled: false, schedules, blocking: [] };
   }
   
-  // Check custom schedules with block_tracking action
-  for (const schedule of config.schedules) {
-    if (schedule.enabled && schedule.action === 'block_tracking') {
-      if (await isScheduleActive(schedule)) {
-        return true;
-      }
-    }
-  }
+  const { active } = getScheduleState(config, Date.now());
+  const blocking = schedules.filter(schedule => active.includes(schedule));
   
-  return false;
+  return { enabled: true, schedules, blocking };
 }
 
 /**
- * Check if a schedule is currently active
+ * Check if a schedule is active at a moment
  * @param {Object} schedule
+ * @param {number} timestamp - Defaults to now
  * @returns {Promise<boolean>}
  */
-export async function isScheduleActive(schedule) {
-  const now = new Date();
-  const dayOfWeek = now.getDay();
-  
-  // Check if today is in the schedule's days
-  if (!schedule.days.includes(dayOfWeek)) {
-    return false;
+export async function isScheduleActive(schedule, timestamp = Date.now()) {
+  const timeZone = getScheduleTimeZone(await getSchedulerConfig());
+  return isScheduleRunning(schedule, timestamp, timeZone);
+}
+
+/**
+ * Check if an occurrence of a custom schedule covers a moment. An
+ * occurrence belongs to the day it starts on, so a Friday 22:00-02:00
+ * schedule runs into Saturday morning.
+ * @param {Object} schedule
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isScheduleRunning(schedule, timestamp, timeZone) {
+  const startsOn = schedule.recurrence
+    ? day => isOccurrenceDate(schedule.recurrence, day)
+    : day => schedule.days.includes(getDateKeyWeekday(day));
+  return isOccurrenceRunning(toMinutes(schedule.startTime), getScheduleDuration(schedule), timestamp, timeZone, startsOn);
+}
+
+/**
+ * Length of one occurrence of a schedule
+ * @param {Object} schedule
+ * @returns {number} - Minutes; an endTime before startTime means the next
+ *   day, an endTime equal to it an empty range
+ */
+export function getScheduleDuration(schedule) {
+  if (Number.isFinite(schedule.duration) && schedule.duration > 0) {
+    return schedule.duration;
   }
-  
-  // Check if current time is within the schedule's time range
-  return isWithinTimeRange(schedule.startTime, schedule.endTime);
+  return getRangeLength(schedule.startTime, schedule.endTime);
 }
 
 /**
- * Check if current time is within a time range
+ * Minutes from a start time to an end time, past midnight if needed
  * @param {string} startTime - Format: "HH:MM"
  * @param {string} endTime - Format: "HH:MM"
+ * @returns {number}
+ */
+function getRangeLength(startTime, endTime) {
+  const minutes = toMinutes(endTime) - toMinutes(startTime);
+  return minutes < 0 ? minutes + 24 * 60 : minutes;
+}
+
+/**
+ * Minutes since midnight of a time
+ * @param {string} time - Format: "HH:MM"
+ * @returns {number}
+ */
+export function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Check if a daily time range covers a moment
+ * @param {string} startTime - Format: "HH:MM"
+ * @param {string} endTime - Format: "HH:MM"; before startTime means the
+ *   range ends the next day (e.g., 22:00 to 08:00)
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @param {Function} startsOn - (dateKey) => whether the range starts that day
  * @returns {boolean}
  */
-function isWithinTimeRange(startTime, endTime) {
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  
-  const [startHour, startMin] = startTime.split(':').map(Number);
-  const [endHour, endMin] = endTime.split(':').map(Number);
-  
-  const startMinutes = startHour * 60 + startMin;
-  const endMinutes = endHour * 60 + endMin;
+function isTimeRangeRunning(startTime, endTime, timestamp, timeZone, startsOn) {
+  return isOccurrenceRunning(toMinutes(startTime), getRangeLength(startTime, endTime), timestamp, timeZone, startsOn);
+}
+
+/**
+ * Check if something that starts at a wall-clock time on some days covers
+ * a moment. Start and end are read off the timezone's clock, so a 22:00
+ * to 08:00 range ends at 08:00 even on the night DST starts or ends.
+ * @param {number} start - Minutes since midnight
+ * @param {number} duration - Minutes, measured on the clock
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @param {Function} startsOn - (dateKey) => whether it starts that day
+ * @returns {boolean}
+ */
+function isOccurrenceRunning(start, duration, timestamp, timeZone, startsOn) {
+  const { dateKey } = getWallClock(timestamp, timeZone);
   
-  // Handle overnight ranges (e.g., 22:00 to 08:00)
-  if (startMinutes > endMinutes) {
-    return currentMinutes >= startMinutes || currentMinutes < endMinutes;
+  // Occurrences that started on an earlier day may still be running
+  for (let daysAgo = 0; daysAgo * 24 * 60 < start + duration; daysAgo++) {
+    const day = shiftDateKey(dateKey, -daysAgo);
+    if (!startsOn(day)) continue;
+    
+    const from = zonedTimeToTimestamp(day, start, timeZone);
+    const to = zonedTimeToTimestamp(day, start + duration, timeZone);
+    if (timestamp >= from && timestamp < to) {
+      return true;
+    }
   }
-  
-  return currentMinutes >= startMinutes && currentMinutes < endMinutes;
+  return false;
 }
 
 /**
@@ -312,19 +473,20 @@ function isWithinTimeRange(startTime, endTime) {
  */
 export async function getNextScheduleChange() {
   const config = await getSchedulerConfig();
-  const now = new Date();
+  const now = Date.now();
+  const timeZone = getScheduleTimeZone(config);
   let nextChange = null;
   let nextAction = null;
   
   // Check quiet hours
-  if (config.quickSettings.quietHoursEnabled) {
-    const quietStart = getNextOccurrence(config.quickSettings.quietHoursStart);
-    const quietEnd = getNextOccurrence(config.quickSettings.quietHoursEnd);
-    
-    if (!nextChange || quietStart < nextChange) {
-      nextChange = quietStart;
-      nextAction = await isQuietHours() ? 'quiet_hours_end' : 'quiet_hours_start';
-    }
+  if (config.enabled && config.quickSettings.quietHoursEnabled) {
+    const quiet = getScheduleState(config, now).quietHours;
+    nextChange = getNextOccurrence(
+      quiet ? config.quickSettings.quietHoursEnd : config.quickSettings.quietHoursStart,
+      now,
+      timeZone
+    );
+    nextAction = quiet ? 'quiet_hours_end' : 'quiet_hours_start';
   }
   
   return nextChange ? { time: nextChange, action: nextAction } : null;
@@ -333,20 +495,19 @@ export async function getNextScheduleChange() {
 /**
  * Get next occurrence of a time
  * @param {string} timeStr - Format: "HH:MM"
+ * @param {number} timestamp - Search after this moment
+ * @param {string} timeZone
  * @returns {Date}
  */
-function getNextOccurrence(timeStr) {
-  const [hour, min] = timeStr.split(':').map(Number);
-  const now = new Date();
-  const next = new Date();
+function getNextOccurrence(timeStr, timestamp, timeZone) {
+  const { dateKey } = getWallClock(timestamp, timeZone);
+  let next = zonedTimeToTimestamp(dateKey, toMinutes(timeStr), timeZone);
   
-  next.setHours(hour, min, 0, 0);
-  
-  if (next <= now) {
-    next.setDate(next.getDate() + 1);
+  for (let days = 1; next <= timestamp; days++) {
+    next = zonedTimeToTimestamp(shiftDateKey(dateKey, days), toMinutes(timeStr), timeZone);
   }
   
-  return next;
+  return new Date(next);
 }
 
 /**
@@ -366,17 +527,17 @@ export async function updateQuickSettings(quickSettings) {
  */
 export async function getScheduleSummary() {
   const config = await getSchedulerConfig();
+  const state = getScheduleState(config, Date.now());
   
   return {
     enabled: config.enabled,
-    quietHoursActive: await isQuietHours(),
-    workHoursActive: await isWorkHours(),
-    isWeekend: isWeekend(),
-    currentMultiplier: await getCurrentThresholdMultiplier(),
-    popupsSuppressed: await shouldSuppressPopups(),
-    trackingBlocked: await shouldBlockTracking(),
+    quietHoursActive: state.quietHours,
+    workHoursActive: state.workHours,
+    isWeekend: state.weekend,
+    currentMultiplier: state.multiplier,
+    popupsSuppressed: state.popupsSuppressed,
+    trackingBlocked: state.trackingBlocked,
     activeSchedules: config.schedules.filter(s => s.enabled).length,
     totalSchedules: config.schedules.length
   };
 }
-
@@ -0,0 +1,224 @@
+// Precompiled lookup index for site patterns
+import { parseDomain, normalizeHostname, isPublicSuffix } from './domain-parser.js';
+
+// Patterns made only of host name characters; anything else must be an
+// explicit /regex/ to be used
+const HOSTNAME_PATTERN = /^[^\s/\\*+?()[\]{}|^$]+$/;
+
+// '/pattern/' or '/pattern/flags'
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * How a compiled pattern matches a host name
+ */
+export const PatternKind = {
+  EXACT: 'exact',   // The host itself only (bare public suffixes)
+  SUFFIX: 'suffix', // The host and all its subdomains ('reddit.com', '*.reddit.com')
+  REGEX: 'regex'    // Explicit '/regex/' tested against the host name
+};
+
+/**
+ * Check if a site pattern is an explicit '/regex/', whose case matters
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isRegexPattern(pattern) {
+  return typeof pattern === 'string' && REGEX_PATTERN.test(pattern.trim());
+}
+
+/**
+ * Compile a site pattern once
+ * @param {string} pattern - 'reddit.com', '*.example.com' or '/^regex$/'
+ * @returns {Object|null} - { kind, host } or { kind, regex }; null if the
+ *   pattern can never match
+ */
+export function compilePattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+
+  const trimmed = pattern.trim();
+  const regexMatch = trimmed.match(REGEX_PATTERN);
+  if (regexMatch) {
+    try {
+      // Stateful flags would make repeated test() calls unreliable
+      const flags = regexMatch[2].replace(/[gy]/g, '');
+      return { kind: PatternKind.REGEX, regex: new RegExp(regexMatch[1], flags) };
+    } catch (e) {
+      console.warn('Ignoring invalid site regex:', pattern);
+      return null;
+    }
+  }
+
+  const normalized = trimmed.toLowerCase().replace(/^www\./, '');
+
+  // Wildcard support (e.g., *.example.com)
+  if (normalized.startsWith('*.')) {
+    const host = normalizeHostname(normalized.substring(2));
+    return HOSTNAME_PATTERN.test(host) ? { kind: PatternKind.SUFFIX, host } : null;
+  }
+
+  if (!HOSTNAME_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  // A bare public suffix such as 'co.uk' would swallow every site under it
+  const host = normalizeHostname(normalized);
+  return { kind: isPublicSuffix(host) ? PatternKind.EXACT : PatternKind.SUFFIX, host };
+}
+
+/**
+ * Add a site position to a map of sorted position lists
+ * @param {Map} map
+ * @param {string} key
+ * @param {number} position
+ */
+function addPosition(map, key, position) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(position);
+}
+
+/**
+ * Build a lookup index over site entries. Positions in `sites` decide
+ * precedence: when several patterns match, the earliest entry wins, the
+ * same result a linear scan in list order would give.
+ *
+ * - exact:       host -> positions (bare public suffixes)
+ * - registrable: registrable domain -> positions of suffix patterns on
+ *                exactly that domain ('reddit.com'), the common case
+ * - trie:        reversed-label trie for deeper suffix patterns
+ *                ('docs.google.com', '*.github.io')
+ * - regexes:     explicitly flagged regex patterns, compiled once
+ *
+ * @param {Array} sites - Site entries (objects with `domain` or
+ *   `pattern`, or plain pattern strings)
+ * @returns {Object} - Index for findInSiteIndex()
+ */
+export function buildSiteIndex(sites) {
+  const index = {
+    sites,
+    exact: new Map(),
+    registrable: new Map(),
+    trie: { children: new Map(), positions: [] },
+    regexes: []
+  };
+
+  sites.forEach((site, position) => {
+    const pattern = site.domain || site.pattern || site;
+    const compiled = compilePattern(pattern);
+    if (!compiled) return;
+
+    if (compiled.kind === PatternKind.REGEX) {
+      index.regexes.push({ regex: compiled.regex, position });
+    } else if (compiled.kind === PatternKind.EXACT) {
+      addPosition(index.exact, compiled.host, position);
+    } else if (parseDomain(compiled.host).domain === compiled.host) {
+      addPosition(index.registrable, compiled.host, position);
+    } else {
+      let node = index.trie;
+      for (const label of compiled.host.split('.').reverse()) {
+        if (!node.children.has(label)) {
+          node.children.set(label, { children: new Map(), positions: [] });
+        }
+        node = node.children.get(label);
+      }
+      node.positions.push(position);
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Find the first site in an index whose pattern matches a host name
+ * @param {Object} index - From buildSiteIndex()
+ * @param {string} domain - Host name to look up
+ * @param {Function} accept - Filter on site entries (e.g. enabled only)
+ * @returns {Object|null} - Matching site entry
+ */
+export function findInSiteIndex(index, domain, accept = () => true) {
+  const host = normalizeHostname(domain);
+  let best = Infinity;
+
+  const consider = (positions) => {
+    if (!positions) return;
+    // Positions are in ascending order, so the first accepted one is the
+    // earliest candidate from this list
+    for (const position of positions) {
+      if (position >= best) return;
+      if (accept(index.sites[position])) {
+        best = position;
+        return;
+      }
+    }
+  };
+
+  consider(index.exact.get(host));
+
+  const registrable = parseDomain(host).domain;
+  if (registrable) {
+    consider(index.registrable.get(registrable));
+  }
+
+  let node = index.trie;
+  const labels = host.split('.');
+  for (let i = labels.length - 1; i >= 0 && node; i--) {
+    node = node.children.get(labels[i]);
+    if (node) {
+      consider(node.positions);
+    }
+  }
+
+  for (const { regex, position } of index.regexes) {
+    if (position >= best) break;
+    if (regex.test(host) && accept(index.sites[position])) {
+      best = position;
+    }
+  }
+
+  return best === Infinity ? null : index.sites[best];
+}
+
+/**
+ * Find every site in an index whose pattern matches a host name, for
+ * explaining a lookup. Unlike findInSiteIndex() nothing is skipped, so
+ * entries the lookup passed over show up too.
+ * @param {Object} index - From buildSiteIndex()
+ * @param {string} domain - Host name to look up
+ * @returns {Array} - [{ site, position, kind }] in precedence order
+ */
+export function findAllInSiteIndex(index, domain) {
+  const host = normalizeHostname(domain);
+  const matches = [];
+  const add = (positions, kind) => {
+    for (const position of positions || []) {
+      matches.push({ site: index.sites[position], position, kind });
+    }
+  };
+
+  add(index.exact.get(host), PatternKind.EXACT);
+
+  const registrable = parseDomain(host).domain;
+  if (registrable) {
+    add(index.registrable.get(registrable), PatternKind.SUFFIX);
+  }
+
+  let node = index.trie;
+  const labels = host.split('.');
+  for (let i = labels.length - 1; i >= 0 && node; i--) {
+    node = node.children.get(labels[i]);
+    if (node) {
+      add(node.positions, PatternKind.SUFFIX);
+    }
+  }
+
+  for (const { regex, position } of index.regexes) {
+    if (regex.test(host)) {
+      add([position], PatternKind.REGEX);
+    }
+  }
+
+  return matches.sort((a, b) => a.position - b.position);
+}
@@ -1,9 +1,24 @@
 // Site matching and URL detection logic
 import { getTrackedSites, getUserSites, saveUserSites } from './storage.js';
+import { ProductivityClass } from './config.js';
+import { parseDomain, isPublicSuffix } from './domain-parser.js';
+import { buildSiteIndex, findInSiteIndex, findAllInSiteIndex, compilePattern, isRegexPattern } from './site-index.js';
+import { getCategoryConfig, findCategory, resolveSiteCategory, USER_DEFINED_CATEGORY } from './categories.js';
 
 let defaultSites = [];
 let userSites = [];
 let allSites = [];
+let siteIndex = buildSiteIndex([]);
+
+/**
+ * What the lookup did with a site entry whose pattern matches a host
+ */
+export const MatchStatus = {
+  USED: 'used',                 // The entry the page is counted under
+  SITE_OFF: 'site_off',         // Matches, but the site is switched off
+  CATEGORY_OFF: 'category_off', // Matches, but its category is switched off
+  SHADOWED: 'shadowed'          // Matches, but an earlier entry won
+};
 
 /**
  * Load default sites from JSON file
@@ -36,60 +51,126 @@ async function loadUserSites() {
 /**
  * Extract domain from URL
  * @param {string} url - Full URL
- * @returns {string} - Domain name
+ * @returns {string} - Host name without a leading 'www.' label
  */
 export function extractDomain(url) {
+  let hostname;
   try {
-    const urlObj = new URL(url);
-    return urlObj.hostname.replace(/^www\./, '').toLowerCase();
+    hostname = new URL(url).hostname;
   } catch (error) {
     // If URL parsing fails, try simple extraction
-    const match = url.match(/(?:https?:\/\/)?(?:www\.)?([^\/]+)/);
-    return match ? match[1].toLowerCase() : url.toLowerCase();
+    const match = url.match(/(?:https?:\/\/)?([^\/?#]+)/);
+    hostname = match ? match[1] : url;
   }
+  
+  // Only strip 'www' when it is a subdomain label, not part of the
+  // registrable domain (e.g. 'www.ck')
+  const { hostname: host, subdomain } = parseDomain(hostname);
+  return subdomain === 'www' || subdomain.startsWith('www.') ? host.substring(4) : host;
 }
 
 /**
- * Check if a domain matches a pattern
- * @param {string} domain - Domain to check
- * @param {string} pattern - Pattern to match (supports wildcards)
+ * Split the host of a URL into registrable domain, subdomain and suffix
+ * @param {string} url - Full URL
+ * @returns {Object} - See parseDomain()
+ */
+export function extractDomainParts(url) {
+  return parseDomain(extractDomain(url));
+}
+
+/**
+ * Check if a bucket declaration matches a URL path
+ * Buckets use either `pathPrefix` ('/shorts' matches '/shorts' and
+ * '/shorts/abc') or `urlPattern` (regex tested against path + query).
+ * @param {Object} bucket - { id, name, pathPrefix?, urlPattern? }
+ * @param {string} pathname
+ * @param {string} search
  * @returns {boolean}
  */
-function matchesPattern(domain, pattern) {
-  const normalizedPattern = pattern.toLowerCase().replace(/^www\./, '');
-  const normalizedDomain = domain.toLowerCase();
-  
-  // Exact match
-  if (normalizedPattern === normalizedDomain) {
-    return true;
+function matchesBucket(bucket, pathname, search) {
+  if (bucket.pathPrefix) {
+    const prefix = bucket.pathPrefix.replace(/\/+$/, '').toLowerCase();
+    const path = pathname.toLowerCase();
+    return path === prefix || path.startsWith(prefix + '/');
   }
   
-  // Wildcard support (e.g., *.example.com)
-  if (normalizedPattern.startsWith('*.')) {
-    const baseDomain = normalizedPattern.substring(2);
-    return normalizedDomain === baseDomain || normalizedDomain.endsWith('.' + baseDomain);
+  if (bucket.urlPattern) {
+    try {
+      return new RegExp(bucket.urlPattern, 'i').test(pathname + search);
+    } catch (e) {
+      return false;
+    }
   }
   
-  // Subdomain match (e.g., example.com matches www.example.com)
-  if (normalizedDomain.endsWith('.' + normalizedPattern)) {
-    return true;
+  return false;
+}
+
+/**
+ * Find the sub-path bucket a URL falls into
+ * @param {Array} buckets - Bucket declarations of a tracked site
+ * @param {string} url - Full URL
+ * @returns {Object|null} - Matching bucket or null (time counts only
+ *   toward the domain)
+ */
+export function findBucket(buckets, url) {
+  if (!Array.isArray(buckets) || buckets.length === 0) {
+    return null;
   }
   
-  // Regex pattern support
+  let urlObj;
   try {
-    const regex = new RegExp(normalizedPattern);
-    return regex.test(normalizedDomain);
-  } catch (e) {
-    // Not a valid regex, ignore
+    urlObj = new URL(url);
+  } catch (error) {
+    return null;
   }
   
-  return false;
+  return buckets.find(bucket => matchesBucket(bucket, urlObj.pathname, urlObj.search)) || null;
+}
+
+/**
+ * Split a user site entry such as 'youtube.com/shorts' into its domain
+ * and path. Entries wrapped in slashes are regex patterns.
+ * @param {string} entry
+ * @returns {Object} - { domain, path } (path is null for plain domains)
+ */
+export function parseSiteEntry(entry) {
+  // '/regex/' entries match host names and never carry a path
+  if (entry.startsWith('/')) {
+    return { domain: entry, path: null };
+  }
+  
+  const slash = entry.indexOf('/');
+  if (slash === -1) {
+    return { domain: entry, path: null };
+  }
+  
+  const path = entry.substring(slash).replace(/\/+$/, '');
+  return { domain: entry.substring(0, slash), path: path || null };
+}
+
+/**
+ * Check a site entry typed or imported by the user
+ * @param {string} entry - e.g. 'reddit.com', 'youtube.com/shorts', '/regex/'
+ * @returns {string|null} - Why the entry can't be used, or null if it can
+ */
+export function getSiteEntryError(entry) {
+  const { domain } = parseSiteEntry(entry);
+  if (!entry.includes('.') || entry.length < 4 || !compilePattern(domain)) {
+    return 'Invalid domain';
+  }
+  
+  if (isPublicSuffix(domain)) {
+    return 'That is a domain ending like co.uk, not a site';
+  }
+  
+  return null;
 }
 
 /**
  * Check if a URL matches any tracked site
  * @param {string} url - URL to check
- * @returns {Object|null} - Matched site object or null
+ * @returns {Object|null} - Matched site object or null. Includes `bucket`
+ *   when the URL falls into one of the site's sub-path buckets.
  */
 export async function isTrackedSite(url) {
   // Load sites if not already loaded
@@ -98,27 +179,141 @@ export async function isTrackedSite(url) {
   }
   
   const domain = extractDomain(url);
+  const site = findSiteEntry(domain);
   
-  // Check against all sites
-  for (const site of allSites) {
-    if (!site.enabled) continue;
-    
-    const sitePattern = site.domain || site.pattern || site;
-    
-    if (typeof sitePattern === 'string') {
-      if (matchesPattern(domain, sitePattern)) {
-        return {
-          domain: domain,
-          pattern: sitePattern,
-          name: site.name || sitePattern,
-          category: site.category || 'unknown',
-          ...site
-        };
-      }
+  if (!site) {
+    return null;
+  }
+  
+  const sitePattern = site.domain || site.pattern || site;
+  return {
+    domain: domain,
+    pattern: sitePattern,
+    name: site.name || sitePattern,
+    category: site.category || 'unknown',
+    ...site,
+    bucket: findBucket(site.buckets, url)
+  };
+}
+
+/**
+ * Explain which site entries match a URL and which one it is counted under
+ * @param {string} url
+ * @returns {Promise<Object>} - { host, site, candidates: [{ pattern,
+ *   name, kind, position, source, category, status }] } where `site` is
+ *   the isTrackedSite() result and `source` is 'default' or 'user'
+ */
+export async function explainSiteMatch(url) {
+  if (allSites.length === 0) {
+    await refreshSites();
+  }
+  
+  const host = extractDomain(url);
+  const site = await isTrackedSite(url);
+  let used = false;
+  
+  const candidates = findAllInSiteIndex(siteIndex, host).map(({ site: entry, position, kind }) => {
+    let status;
+    if (entry.enabled && !used) {
+      status = MatchStatus.USED;
+      used = true;
+    } else if (entry.enabled) {
+      status = MatchStatus.SHADOWED;
+    } else {
+      status = entry.siteEnabled === false ? MatchStatus.SITE_OFF : MatchStatus.CATEGORY_OFF;
     }
+    
+    return {
+      pattern: entry.domain || entry.pattern || entry,
+      name: entry.name || entry.domain,
+      kind,
+      position,
+      source: entry.userAdded ? 'user' : 'default',
+      category: entry.category || null,
+      status
+    };
+  });
+  
+  return { host, site, candidates };
+}
+
+/**
+ * Find the first site entry whose pattern matches a domain
+ * @param {string} domain
+ * @param {boolean} includeDisabled - Also consider switched-off sites
+ * @returns {Object|null}
+ */
+function findSiteEntry(domain, includeDisabled = false) {
+  return findInSiteIndex(siteIndex, domain, site => includeDisabled || site.enabled);
+}
+
+/**
+ * Get the productivity class of a site entry
+ * @param {Object} site - Site entry or isTrackedSite() result
+ * @returns {string} - ProductivityClass value
+ */
+export function getSiteProductivity(site) {
+  const values = Object.values(ProductivityClass);
+  return site && values.includes(site.productivity)
+    ? site.productivity
+    : ProductivityClass.DISTRACTING;
+}
+
+/**
+ * Classify tracked domains by productivity
+ * @param {Array<string>} domains - Domains as stored in timeData
+ * @returns {Promise<Object>} - { [domain]: ProductivityClass value }
+ */
+export async function classifyDomains(domains) {
+  if (allSites.length === 0) {
+    await refreshSites();
   }
   
-  return null;
+  const classes = {};
+  
+  for (const domain of domains) {
+    // Switched-off sites keep their class for past data. Domains no longer
+    // in the list were tracked back when only distractions were, so they
+    // keep counting as distractions.
+    classes[domain] = getSiteProductivity(findSiteEntry(domain, true));
+  }
+  
+  return classes;
+}
+
+/**
+ * Get the category of tracked domains
+ * @param {Array<string>} domains - Domains as stored in timeData
+ * @returns {Promise<Object>} - { [domain]: category id, or null for
+ *   domains no longer in the list }
+ */
+export async function categorizeDomains(domains) {
+  if (allSites.length === 0) {
+    await refreshSites();
+  }
+  
+  const categories = {};
+  
+  for (const domain of domains) {
+    // Switched-off sites and categories keep their category for past data
+    const site = findSiteEntry(domain, true);
+    categories[domain] = site ? site.category : null;
+  }
+  
+  return categories;
+}
+
+/**
+ * Check if a host is covered by any site entry, including switched-off ones
+ * @param {string} domain - Host name
+ * @returns {Promise<boolean>}
+ */
+export async function isListedDomain(domain) {
+  if (allSites.length === 0) {
+    await refreshSites();
+  }
+
+  return findSiteEntry(domain, true) !== null;
 }
 
 /**
@@ -127,22 +322,80 @@ export async function isTrackedSite(url) {
 export async function refreshSites() {
   defaultSites = await loadDefaultSites();
   userSites = await loadUserSites();
+  const { categories, assignments } = await getCategoryConfig();
+  
+  // User entries with a path ('youtube.com/shorts') declare a bucket on
+  // that domain rather than a separate site
+  const userDomains = [];
+  const userBuckets = {};
+  for (const entry of userSites) {
+    const { domain, path } = parseSiteEntry(entry);
+    if (!userDomains.includes(domain)) {
+      userDomains.push(domain);
+    }
+    if (path) {
+      if (!userBuckets[domain]) {
+        userBuckets[domain] = [];
+      }
+      userBuckets[domain].push({ id: path, name: path, pathPrefix: path, userAdded: true });
+    }
+  }
+  
+  // User buckets take precedence over the bundled ones
+  const withUserBuckets = (site, domain) => {
+    if (!userBuckets[domain]) {
+      return site;
+    }
+    return { ...site, buckets: [...userBuckets[domain], ...(site.buckets || [])] };
+  };
+  
+  const defaultDomains = defaultSites
+    .filter(site => site.enabled)
+    .map(site => site.domain);
   
   // Combine default and user sites
   allSites = [
-    ...defaultSites,
-    ...userSites.map(site => ({
-      domain: site,
-      name: site,
-      category: 'user_defined',
-      enabled: true,
-      userAdded: true
-    }))
+    ...defaultSites.map(site => withUserBuckets(site, site.domain)),
+    ...userDomains
+      .filter(domain => !defaultDomains.includes(domain))
+      .map(domain => withUserBuckets({
+        domain,
+        name: domain,
+        category: USER_DEFINED_CATEGORY,
+        enabled: true,
+        userAdded: true
+      }, domain))
   ];
   
+  // Sites follow the user's category choices; switching a category off
+  // switches off every site in it
+  allSites = allSites.map(site => {
+    const category = resolveSiteCategory(site, assignments);
+    return {
+      ...site,
+      category,
+      siteEnabled: site.enabled,
+      enabled: site.enabled && findCategory(categories, category).enabled
+    };
+  });
+  
+  // Compiled once per change to the list, not on every lookup
+  siteIndex = buildSiteIndex(allSites);
+  
   return allSites;
 }
 
+/**
+ * Bring a user site into its stored form: lowercased, except for
+ * '/regex/' entries, where case changes the meaning (\D, [A-Z])
+ * @param {string} sitePattern
+ * @returns {string}
+ */
+export function normalizeUserSite(sitePattern) {
+  const trimmed = sitePattern.trim();
+  return isRegexPattern(trimmed) ? trimmed : trimmed.toLowerCase();
+}
+
 /**
  * Add a user site
  * @param {string} sitePattern - Site domain or pattern
@@ -150,7 +403,7 @@ export async function refreshSites() {
  */
 export async function addUserSite(sitePattern) {
   const sites = await getUserSites();
-  const normalized = sitePattern.toLowerCase().trim();
+  const normalized = normalizeUserSite(sitePattern);
   
   if (!sites.includes(normalized)) {
     sites.push(normalized);
@@ -166,7 +419,7 @@ export async function addUserSite(sitePattern) {
  */
 export async function removeUserSite(sitePattern) {
   const sites = await getUserSites();
-  const normalized = sitePattern.toLowerCase().trim();
+  const normalized = normalizeUserSite(sitePattern);
   const filtered = sites.filter(s => s !== normalized);
   await saveUserSites(filtered);
   await refreshSites();
@@ -0,0 +1,131 @@
+// Per-site overrides of intervention personas and style
+import { getConfig, getStorageValue, setStorageValue } from './storage.js';
+import { DEFAULT_CONFIG, InterventionType } from './config.js';
+import { detectPreset } from './presets.js';
+import { isTrackedSite } from './site-matcher.js';
+
+const SITE_OVERRIDES_KEY = 'siteOverrides';
+
+/**
+ * Where an effective value comes from
+ */
+export const SettingSource = {
+  SITE: 'site',    // The site's override, used as is
+  GLOBAL: 'global' // The active preset/settings
+};
+
+/*
+ * Storage format:
+ * { [site domain]: { enabledPersonas?, interventionType? } }
+ *   Anything left out follows the global settings. Timing isn't
+ *   overridable: nothing reads per-site times when deciding to intervene.
+ */
+
+/**
+ * Get all site overrides
+ * @returns {Promise<Object>} - Overrides by site domain
+ */
+export async function getSiteOverrides() {
+  return await getStorageValue(SITE_OVERRIDES_KEY) || {};
+}
+
+/**
+ * Check an override and drop the fields it leaves to the global settings
+ * @param {Object} override
+ * @returns {Object}
+ */
+function normalizeOverride(override) {
+  const clean = {};
+
+  if (override.enabledPersonas != null) {
+    if (!Array.isArray(override.enabledPersonas) || override.enabledPersonas.length === 0) {
+      throw new Error('Choose at least one persona');
+    }
+    clean.enabledPersonas = override.enabledPersonas.map(String);
+  }
+
+  if (override.interventionType != null) {
+    if (!Object.values(InterventionType).includes(override.interventionType)) {
+      throw new Error(`Invalid intervention type: ${override.interventionType}`);
+    }
+    clean.interventionType = override.interventionType;
+  }
+
+  return clean;
+}
+
+/**
+ * Save the override of a site, replacing any previous one. An override
+ * with nothing in it removes the entry.
+ * @param {string} domain - Site domain as listed
+ * @param {Object} override
+ * @returns {Promise<Object>} - The stored override
+ */
+export async function setSiteOverride(domain, override) {
+  const clean = normalizeOverride(override || {});
+  const overrides = await getSiteOverrides();
+
+  if (Object.keys(clean).length === 0) {
+    delete overrides[domain];
+  } else {
+    overrides[domain] = clean;
+  }
+
+  await setStorageValue(SITE_OVERRIDES_KEY, overrides);
+  return clean;
+}
+
+/**
+ * Remove the override of a site
+ * @param {string} domain
+ * @returns {Promise<void>}
+ */
+export async function clearSiteOverride(domain) {
+  const overrides = await getSiteOverrides();
+  delete overrides[domain];
+  await setStorageValue(SITE_OVERRIDES_KEY, overrides);
+}
+
+/**
+ * Get the settings that apply to a site: the site's override on top of the
+ * global settings (the active preset)
+ * @param {string} domain - Site domain or a host tracked under it
+ * @param {Object} overrides - Overrides to use instead of the stored ones
+ * @returns {Promise<Object>} - { domain, values, sources, preset } where
+ *   `sources` mirrors the overridable `values` with SettingSource values
+ */
+export async function getEffectiveSettings(domain, overrides = null) {
+  const config = { ...DEFAULT_CONFIG, ...await getConfig() };
+  const allOverrides = overrides || await getSiteOverrides();
+
+  // Hosts resolve to the site entry they're tracked under
+  let key = domain;
+  if (!allOverrides[key]) {
+    const site = await isTrackedSite(domain);
+    key = site ? site.domain : domain;
+  }
+  const override = allOverrides[key] || {};
+
+  const pick = (siteValue, globalValue) => (siteValue != null
+    ? [siteValue, SettingSource.SITE]
+    : [globalValue, SettingSource.GLOBAL]);
+
+  const values = {};
+  const sources = {};
+
+  const globalType = config.popupEnabled === false ? InterventionType.OFF : config.interventionType;
+  [values.interventionType, sources.interventionType] = pick(override.interventionType, globalType);
+  [values.enabledPersonas, sources.enabledPersonas] = pick(override.enabledPersonas, config.enabledPersonas);
+
+  // Not overridable per site
+  values.popupDuration = config.popupDuration;
+  values.popupCooldown = config.popupCooldown;
+  values.snoozeDuration = config.snoozeDuration;
+
+  return {
+    domain: key,
+    values,
+    sources,
+    preset: detectPreset(config)
+  };
+}
@@ -0,0 +1,340 @@
+// "You might want to track this" suggestions from local browsing behaviour.
+// Everything here is read from and written to this device only.
+import { getStorageValue, setStorageValue, removeStorageValue } from './storage.js';
+import { getDateKeySettings, toDateKey, shiftDateKey } from './date-keys.js';
+import { parseDomain } from './domain-parser.js';
+import { isListedDomain } from './site-matcher.js';
+
+const ACTIVITY_KEY = 'browsingActivity';
+const SUGGESTIONS_KEY = 'siteSuggestions';
+
+const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
+
+/**
+ * Days of untracked browsing looked at for suggestions
+ */
+export const SUGGESTION_WINDOW_DAYS = 14;
+
+/**
+ * How long "Snooze" hides a suggestion
+ */
+export const SNOOZE_DAYS = 7;
+
+// A pasted link farm or crawler tab shouldn't grow the tally without bound
+const MAX_DOMAINS_PER_DAY = 200;
+// History items read per scan; each one costs a getVisits() call
+const MAX_HISTORY_ITEMS = 1000;
+const MAX_SUGGESTIONS = 10;
+
+// A site is suggested when, per day it was used, it gets...
+const MIN_MINUTES_PER_DAY = 20;  // ...this much foreground time, or
+const MIN_VISITS_PER_DAY = 8;    // ...this many visits,
+const MAX_SHORT_VISIT_MINUTES = 3; // ...that are mostly this short
+// ...on at least this many days, so a one-off binge isn't suggested
+const MIN_ACTIVE_DAYS = 2;
+
+/**
+ * Why a site is suggested
+ */
+export const SuggestionReason = {
+  DWELL: 'dwell',      // Long daily time in the foreground
+  REVISITS: 'revisits' // Many short visits a day
+};
+
+/**
+ * Where the evidence for a suggestion comes from
+ */
+export const EvidenceSource = {
+  ACTIVITY: 'activity', // Foreground time tallied by the tracker
+  HISTORY: 'history'    // chrome.history, if the user granted it
+};
+
+/*
+ * Storage format:
+ * browsingActivity: { [date key]: { [registrable domain]: [ms, visits] } }
+ *   Only sites nobody asked to track; kept for SUGGESTION_WINDOW_DAYS.
+ * siteSuggestions: { enabled, dismissed: [domain], snoozed: { [domain]: until } }
+ */
+
+/**
+ * Get the suggestion preferences
+ * @returns {Promise<Object>} - { enabled, dismissed, snoozed }
+ */
+export async function getSuggestionPreferences() {
+  const stored = await getStorageValue(SUGGESTIONS_KEY) || {};
+  return {
+    enabled: stored.enabled !== false,
+    dismissed: Array.isArray(stored.dismissed) ? stored.dismissed : [],
+    snoozed: stored.snoozed || {}
+  };
+}
+
+/**
+ * Save the suggestion preferences
+ * @param {Object} preferences
+ * @returns {Promise<void>}
+ */
+async function saveSuggestionPreferences(preferences) {
+  return setStorageValue(SUGGESTIONS_KEY, preferences);
+}
+
+/**
+ * Switch learning from browsing on or off. Switching off also forgets
+ * what was tallied so far.
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export async function setSuggestionsEnabled(enabled) {
+  const preferences = await getSuggestionPreferences();
+  preferences.enabled = !!enabled;
+  await saveSuggestionPreferences(preferences);
+
+  if (!enabled) {
+    await removeStorageValue(ACTIVITY_KEY);
+  }
+}
+
+/**
+ * Never suggest a site again
+ * @param {string} domain
+ * @returns {Promise<void>}
+ */
+export async function dismissSuggestion(domain) {
+  const preferences = await getSuggestionPreferences();
+  if (!preferences.dismissed.includes(domain)) {
+    preferences.dismissed.push(domain);
+  }
+  delete preferences.snoozed[domain];
+  await saveSuggestionPreferences(preferences);
+}
+
+/**
+ * Hide a suggestion for a while
+ * @param {string} domain
+ * @param {number} days
+ * @returns {Promise<number>} - When it may be suggested again
+ */
+export async function snoozeSuggestion(domain, days = SNOOZE_DAYS) {
+  const preferences = await getSuggestionPreferences();
+  const until = Date.now() + days * 24 * 60 * 60 * 1000;
+  preferences.snoozed[domain] = until;
+  await saveSuggestionPreferences(preferences);
+  return until;
+}
+
+/**
+ * Get the domain a URL is tallied under: its registrable domain, so
+ * 'old.reddit.com' and 'www.reddit.com' count together
+ * @param {string} url
+ * @returns {string|null} - null for non-web pages, IP addresses and
+ *   local host names, which make poor suggestions
+ */
+export function getSuggestionDomain(url) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    hostname = parsed.hostname;
+  } catch (e) {
+    return null;
+  }
+
+  const { domain, suffix } = parseDomain(hostname);
+  return domain && suffix && domain.includes('.') ? domain : null;
+}
+
+/**
+ * Add foreground time on an untracked site to the local tally
+ * @param {string} dateKey - Day the time was spent on
+ * @param {string} domain - From getSuggestionDomain()
+ * @param {number} ms - Foreground time
+ * @param {number} visits - Visits started (0 when continuing one)
+ * @returns {Promise<void>}
+ */
+export async function recordBrowsingActivity(dateKey, domain, ms, visits) {
+  if (!domain || (ms <= 0 && visits <= 0)) {
+    return;
+  }
+
+  const preferences = await getSuggestionPreferences();
+  if (!preferences.enabled) {
+    return;
+  }
+
+  const activity = await getStorageValue(ACTIVITY_KEY) || {};
+  const oldest = shiftDateKey(dateKey, -SUGGESTION_WINDOW_DAYS);
+  for (const key of Object.keys(activity)) {
+    if (key < oldest) {
+      delete activity[key];
+    }
+  }
+
+  const day = activity[dateKey] || (activity[dateKey] = {});
+  if (!day[domain]) {
+    if (Object.keys(day).length >= MAX_DOMAINS_PER_DAY) {
+      return;
+    }
+    day[domain] = [0, 0];
+  }
+  day[domain][0] += Math.max(0, Math.round(ms));
+  day[domain][1] += visits;
+
+  await setStorageValue(ACTIVITY_KEY, activity);
+}
+
+/**
+ * Check if the history API may be used
+ * @returns {Promise<boolean>}
+ */
+export function hasHistoryAccess() {
+  return new Promise((resolve) => {
+    if (!browserAPI.permissions) {
+      resolve(false);
+      return;
+    }
+    browserAPI.permissions.contains({ permissions: ['history'] }, (granted) => {
+      resolve(!browserAPI.runtime.lastError && !!granted);
+    });
+  });
+}
+
+/**
+ * Promisified history.search
+ * @param {Object} query
+ * @returns {Promise<Array>}
+ */
+function searchHistory(query) {
+  return new Promise((resolve) => {
+    browserAPI.history.search(query, (items) => {
+      resolve(browserAPI.runtime.lastError || !items ? [] : items);
+    });
+  });
+}
+
+/**
+ * Promisified history.getVisits
+ * @param {string} url
+ * @returns {Promise<Array>}
+ */
+function getHistoryVisits(url) {
+  return new Promise((resolve) => {
+    browserAPI.history.getVisits({ url }, (visits) => {
+      resolve(browserAPI.runtime.lastError || !visits ? [] : visits);
+    });
+  });
+}
+
+/**
+ * Count recent visits per domain from the browser history
+ * @param {number} since - Timestamp to count from
+ * @param {Object} settings - From getDateKeySettings()
+ * @returns {Promise<Object>} - { [domain]: { visits, days: Set } }
+ */
+async function getHistoryActivity(since, settings) {
+  if (!browserAPI.history || !await hasHistoryAccess()) {
+    return {};
+  }
+
+  const items = await searchHistory({ text: '', startTime: since, maxResults: MAX_HISTORY_ITEMS });
+  const byDomain = {};
+
+  for (const item of items) {
+    const domain = getSuggestionDomain(item.url);
+    if (!domain) continue;
+
+    const visits = (await getHistoryVisits(item.url)).filter(visit => visit.visitTime >= since);
+    if (visits.length === 0) continue;
+
+    const entry = byDomain[domain] || (byDomain[domain] = { visits: 0, days: new Set() });
+    entry.visits += visits.length;
+    for (const visit of visits) {
+      entry.days.add(toDateKey(visit.visitTime, settings));
+    }
+  }
+
+  return byDomain;
+}
+
+/**
+ * Find untracked sites the user spends a lot of time on or keeps coming
+ * back to
+ * @returns {Promise<Array>} - Most used first: [{ domain, minutesPerDay,
+ *   visitsPerDay, avgVisitMinutes, activeDays, reasons, sources }].
+ *   Rates are per day the browser was used; `avgVisitMinutes` is null
+ *   when only history (which has no dwell time) saw the site.
+ */
+export async function getSiteSuggestions() {
+  const preferences = await getSuggestionPreferences();
+  if (!preferences.enabled) {
+    return [];
+  }
+
+  const settings = await getDateKeySettings();
+  const todayKey = toDateKey(Date.now(), settings);
+  const oldest = shiftDateKey(todayKey, -SUGGESTION_WINDOW_DAYS + 1);
+  const since = Date.now() - SUGGESTION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  const activity = await getStorageValue(ACTIVITY_KEY) || {};
+  const activeDayKeys = Object.keys(activity).filter(key => key >= oldest);
+  const local = {};
+  for (const key of activeDayKeys) {
+    for (const [domain, [ms, visits]] of Object.entries(activity[key])) {
+      const entry = local[domain] || (local[domain] = { ms: 0, visits: 0, days: 0 });
+      entry.ms += ms;
+      entry.visits += visits;
+      entry.days++;
+    }
+  }
+
+  const history = await getHistoryActivity(since, settings);
+  const historyDays = new Set(Object.values(history).flatMap(entry => [...entry.days]));
+
+  const now = Date.now();
+  const hidden = domain => preferences.dismissed.includes(domain) ||
+    (preferences.snoozed[domain] && preferences.snoozed[domain] > now);
+
+  const suggestions = [];
+  for (const domain of new Set([...Object.keys(local), ...Object.keys(history)])) {
+    if (hidden(domain) || await isListedDomain(domain)) continue;
+
+    const tally = local[domain];
+    const seen = history[domain];
+    const activeDays = Math.max(tally ? tally.days : 0, seen ? seen.days.size : 0);
+    if (activeDays < MIN_ACTIVE_DAYS) continue;
+
+    const minutesPerDay = tally ? tally.ms / 60000 / activeDayKeys.length : 0;
+    const visitsPerDay = Math.max(
+      tally ? tally.visits / activeDayKeys.length : 0,
+      seen ? seen.visits / historyDays.size : 0
+    );
+    const avgVisitMinutes = tally && tally.visits > 0 ? tally.ms / 60000 / tally.visits : null;
+
+    const reasons = [];
+    if (minutesPerDay >= MIN_MINUTES_PER_DAY) {
+      reasons.push(SuggestionReason.DWELL);
+    }
+    if (visitsPerDay >= MIN_VISITS_PER_DAY && (avgVisitMinutes === null || avgVisitMinutes <= MAX_SHORT_VISIT_MINUTES)) {
+      reasons.push(SuggestionReason.REVISITS);
+    }
+    if (reasons.length === 0) continue;
+
+    const sources = [];
+    if (tally) sources.push(EvidenceSource.ACTIVITY);
+    if (seen) sources.push(EvidenceSource.HISTORY);
+
+    suggestions.push({
+      domain,
+      minutesPerDay: Math.round(minutesPerDay),
+      visitsPerDay: Math.round(visitsPerDay * 10) / 10,
+      avgVisitMinutes: avgVisitMinutes === null ? null : Math.round(avgVisitMinutes * 10) / 10,
+      activeDays,
+      reasons,
+      sources
+    });
+  }
+
+  suggestions.sort((a, b) => b.minutesPerDay - a.minutesPerDay || b.visitsPerDay - a.visitsPerDay);
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
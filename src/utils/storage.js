@@ -221,3 +221,76 @@ export async function saveUserSites(sites) {
   return setStorageValue(STORAGE_KEYS.USER_SITES, sites);
 }
 
+
+/**
+ * Get idle/locked ("away") time data
+ * @returns {Promise<Object>}
+ */
+export async function getAwayData() {
+  const data = await getStorageValue(STORAGE_KEYS.AWAY_DATA);
+  return data || {};
+}
+
+/**
+ * Save idle/locked ("away") time data
+ * @param {Object} data - Away time data keyed by date
+ * @returns {Promise<void>}
+ */
+export async function saveAwayData(data) {
+  return setStorageValue(STORAGE_KEYS.AWAY_DATA, data);
+}
+
+/**
+ * Get per-hour time data ({ [date]: { [hour]: { [domain]: ms } } })
+ * @returns {Promise<Object>}
+ */
+export async function getHourlyData() {
+  const data = await getStorageValue(STORAGE_KEYS.HOURLY_DATA);
+  return data || {};
+}
+
+/**
+ * Save per-hour time data
+ * @param {Object} data - Hourly time data keyed by date, then hour
+ * @returns {Promise<void>}
+ */
+export async function saveHourlyData(data) {
+  return setStorageValue(STORAGE_KEYS.HOURLY_DATA, data);
+}
+
+/**
+ * Get per-bucket time data ({ [date]: { [domain]: { [bucketId]: ms } } })
+ * @returns {Promise<Object>}
+ */
+export async function getBucketData() {
+  const data = await getStorageValue(STORAGE_KEYS.BUCKET_DATA);
+  return data || {};
+}
+
+/**
+ * Save per-bucket time data
+ * @param {Object} data - Bucket time data keyed by date, then domain
+ * @returns {Promise<void>}
+ */
+export async function saveBucketData(data) {
+  return setStorageValue(STORAGE_KEYS.BUCKET_DATA, data);
+}
+
+/**
+ * Get background media time ({ [date]: { [domain]: ms } }). This is the
+ * part of each timeData total that came from audible background tabs.
+ * @returns {Promise<Object>}
+ */
+export async function getMediaData() {
+  const data = await getStorageValue(STORAGE_KEYS.MEDIA_DATA);
+  return data || {};
+}
+
+/**
+ * Save background media time
+ * @param {Object} data - Media time keyed by date, then domain
+ * @returns {Promise<void>}
+ */
+export async function saveMediaData(data) {
+  return setStorageValue(STORAGE_KEYS.MEDIA_DATA, data);
+}
@@ -0,0 +1,725 @@
+// Optional cross-device sync of settings and time totals through storage.sync
+import {
+  getConfig,
+  getTimeData,
+  getStorageValue,
+  setStorageValue,
+  getStorageValues
+} from './storage.js';
+import { STORAGE_KEYS } from './config.js';
+import { getTodayKey, shiftDateKey } from './date-keys.js';
+
+const browserAPI = typeof chrome !== 'undefined' && chrome.storage ? chrome : browser;
+
+const SYNC_ALARM = 'syncPush';
+const SYNC_INTERVAL_MINUTES = 15;
+const SYNC_DELAY_MS = 2000;
+
+// storage.sync limits (same in Chrome and Firefox)
+const QUOTA_BYTES = 102400;
+const QUOTA_BYTES_PER_ITEM = 8192;
+const MAX_ITEMS = 512;
+
+// Values are stored as JSON strings split into chunks. Escaping can at
+// most double a chunk, which keeps every item under QUOTA_BYTES_PER_ITEM.
+const CHUNK_LENGTH = Math.floor(QUOTA_BYTES_PER_ITEM / 2) - 200;
+
+/**
+ * Days of this device's totals shared with other devices
+ */
+export const SYNC_DAYS = 14;
+
+/**
+ * Local storage keys whose values are shared between devices
+ */
+export const SYNCED_KEYS = [
+  STORAGE_KEYS.CONFIG,
+  STORAGE_KEYS.USER_SITES,
+  'userGoals',
+  'pageRules',
+  'schedulerConfig',
+  'siteCategories',
+  'siteOverrides'
+];
+
+// Config fields that stay different on every device
+const LOCAL_CONFIG_FIELDS = ['syncEnabled'];
+
+/*
+ * Sync storage format:
+ *   's:<key>'          { n, at, by, h }  setting: chunk count, when and by
+ *                                        which device it was written, hash
+ *   's:<key>:<i>'      string            chunk i of the setting's JSON
+ *   'd:<deviceId>'     { n, at, name }   a device's time totals
+ *   'd:<deviceId>:<i>' string            chunk i of { [dateKey]: { [domain]: ms } }
+ *
+ * Every device only writes its own 'd:' entry, so time totals merge by
+ * adding devices up and can never conflict. Settings are last-writer-wins
+ * per key.
+ *
+ * Local sync state:
+ *   { hashes: { [key]: hash }, dirty: { [key]: changedAt }, lastPush,
+ *     lastPull, lastError }
+ *   hashes - hash of each value as last pushed or pulled
+ *   dirty  - local changes not pushed yet
+ */
+
+// Sync runs are chained so a pull never interleaves with a push
+let syncQueue = Promise.resolve();
+let syncTimer = null;
+let cachedDeviceId = null;
+
+/**
+ * Queue a sync task behind any pending ones
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>}
+ */
+function queueSync(task) {
+  const result = syncQueue.then(task);
+  syncQueue = result.catch((error) => {
+    console.error('Error syncing:', error);
+  });
+  return result;
+}
+
+/**
+ * Call a storage.sync method with a callback and wrap it in a promise
+ * @param {string} method - 'get', 'set', 'remove' or 'getBytesInUse'
+ * @param {*} arg
+ * @returns {Promise<*>}
+ */
+function callSyncStorage(method, arg) {
+  return new Promise((resolve, reject) => {
+    browserAPI.storage.sync[method](arg, (result) => {
+      if (browserAPI.runtime.lastError) {
+        reject(new Error(browserAPI.runtime.lastError.message));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Get this device's id, creating it on first use
+ * @returns {Promise<string>}
+ */
+export async function getDeviceId() {
+  if (cachedDeviceId) {
+    return cachedDeviceId;
+  }
+
+  let deviceId = await getStorageValue(STORAGE_KEYS.DEVICE_ID);
+  if (!deviceId) {
+    deviceId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    await setStorageValue(STORAGE_KEYS.DEVICE_ID, deviceId);
+  }
+
+  cachedDeviceId = deviceId;
+  return deviceId;
+}
+
+/**
+ * Get a readable name for this device
+ * @returns {string}
+ */
+function getDeviceName() {
+  if (typeof navigator === 'undefined') {
+    return 'Unknown device';
+  }
+  const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform;
+  return platform || 'Unknown device';
+}
+
+/**
+ * Get the local sync state
+ * @returns {Promise<Object>}
+ */
+async function getSyncState() {
+  const state = await getStorageValue(STORAGE_KEYS.SYNC_STATE);
+  return {
+    hashes: {},
+    dirty: {},
+    lastPush: null,
+    lastPull: null,
+    lastError: null,
+    ...(state || {})
+  };
+}
+
+/**
+ * Save the local sync state
+ * @param {Object} state
+ * @returns {Promise<void>}
+ */
+async function saveSyncState(state) {
+  return setStorageValue(STORAGE_KEYS.SYNC_STATE, state);
+}
+
+/**
+ * Hash a value's JSON (djb2), to tell whether it changed
+ * @param {*} value
+ * @returns {string}
+ */
+function hashValue(value) {
+  const json = JSON.stringify(value);
+  let hash = 5381;
+  for (let i = 0; i < json.length; i++) {
+    hash = ((hash * 33) ^ json.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Strip device-only fields from a setting before it is shared
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function toSharedValue(key, value) {
+  if (key !== STORAGE_KEYS.CONFIG || !value) {
+    return value;
+  }
+
+  const shared = { ...value };
+  LOCAL_CONFIG_FIELDS.forEach(field => delete shared[field]);
+  return shared;
+}
+
+/**
+ * Turn a shared setting back into the local value, keeping this device's
+ * own fields
+ * @param {string} key
+ * @param {*} shared
+ * @param {*} local - Current local value
+ * @returns {*}
+ */
+function fromSharedValue(key, shared, local) {
+  if (key !== STORAGE_KEYS.CONFIG) {
+    return shared;
+  }
+
+  const value = { ...shared };
+  LOCAL_CONFIG_FIELDS.forEach(field => {
+    if (local && field in local) {
+      value[field] = local[field];
+    }
+  });
+  return value;
+}
+
+/**
+ * Size an item counts against the sync quota
+ * @param {string} key
+ * @param {*} value
+ * @returns {number}
+ */
+function getItemSize(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+/**
+ * Build the sync items that store a value in chunks
+ * @param {string} prefix - Meta key, e.g. 's:userSites'
+ * @param {Object} meta - Extra meta fields
+ * @param {*} value
+ * @returns {Object} - Items to pass to storage.sync.set
+ */
+function buildChunkedItems(prefix, meta, value) {
+  const json = JSON.stringify(value);
+  const items = {};
+  let count = 0;
+
+  for (let offset = 0; offset < json.length; offset += CHUNK_LENGTH) {
+    items[`${prefix}:${count}`] = json.substring(offset, offset + CHUNK_LENGTH);
+    count++;
+  }
+
+  items[prefix] = { ...meta, n: count };
+  return items;
+}
+
+/**
+ * Read a chunked value back from a snapshot of sync storage
+ * @param {Object} all - Everything in sync storage
+ * @param {string} prefix
+ * @returns {*} - The value, or null if missing or only partly written
+ */
+function readChunkedValue(all, prefix) {
+  const meta = all[prefix];
+  if (!meta || !Number.isInteger(meta.n)) {
+    return null;
+  }
+
+  let json = '';
+  for (let i = 0; i < meta.n; i++) {
+    const chunk = all[`${prefix}:${i}`];
+    if (typeof chunk !== 'string') {
+      return null;
+    }
+    json += chunk;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write items to sync storage after checking the quota, then remove
+ * chunks the new values no longer use
+ * @param {Object} all - Snapshot of sync storage, updated in place
+ * @param {Object} items - Items to write
+ * @returns {Promise<void>}
+ */
+async function writeSyncItems(all, items) {
+  const stale = [];
+  for (const key in items) {
+    const meta = items[key];
+    if (key.split(':').length !== 2 || !all[key]) continue;
+
+    for (let i = meta.n; i < (all[key].n || 0); i++) {
+      stale.push(`${key}:${i}`);
+    }
+  }
+
+  const next = { ...all, ...items };
+  stale.forEach(key => delete next[key]);
+
+  let bytes = 0;
+  for (const key in next) {
+    bytes += getItemSize(key, next[key]);
+  }
+  if (bytes > QUOTA_BYTES || Object.keys(next).length > MAX_ITEMS) {
+    throw new Error('Not enough sync storage left');
+  }
+
+  await callSyncStorage('set', items);
+  if (stale.length > 0) {
+    await callSyncStorage('remove', stale);
+  }
+
+  Object.keys(all).forEach(key => delete all[key]);
+  Object.assign(all, next);
+}
+
+/**
+ * Apply settings other devices changed since the last sync. A setting
+ * changed on both sides goes to whichever change is newer. On the first
+ * sync the shared settings win, except monitored sites, which are merged.
+ * @param {Object} all - Snapshot of sync storage
+ * @param {Object} state - Local sync state, updated in place
+ * @returns {Promise<void>}
+ */
+async function pullSettings(all, state) {
+  const locals = await getStorageValues(SYNCED_KEYS);
+
+  for (const key of SYNCED_KEYS) {
+    const meta = all[`s:${key}`];
+    if (!meta || meta.h === state.hashes[key]) continue;
+    if (state.dirty[key] && state.dirty[key] > meta.at) continue;
+
+    const shared = readChunkedValue(all, `s:${key}`);
+    if (shared === null) continue;
+
+    let value = fromSharedValue(key, shared, locals[key]);
+    if (key === STORAGE_KEYS.USER_SITES && !state.hashes[key] && Array.isArray(locals[key])) {
+      value = [...new Set([...shared, ...locals[key]])];
+    }
+
+    state.hashes[key] = meta.h;
+    delete state.dirty[key];
+    await setStorageValue(key, value);
+  }
+}
+
+/**
+ * Share settings that changed on this device
+ * @param {Object} all - Snapshot of sync storage
+ * @param {Object} state - Local sync state, updated in place
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} - Whether anything was written
+ */
+async function pushSettings(all, state, deviceId) {
+  const locals = await getStorageValues(SYNCED_KEYS);
+  const items = {};
+  const hashes = {};
+
+  for (const key of SYNCED_KEYS) {
+    if (locals[key] === undefined || locals[key] === null) continue;
+
+    const shared = toSharedValue(key, locals[key]);
+    const hash = hashValue(shared);
+    if (hash === state.hashes[key]) {
+      delete state.dirty[key];
+      continue;
+    }
+
+    Object.assign(items, buildChunkedItems(`s:${key}`, { at: Date.now(), by: deviceId, h: hash }, shared));
+    hashes[key] = hash;
+  }
+
+  if (Object.keys(items).length === 0) {
+    return false;
+  }
+
+  await writeSyncItems(all, items);
+  for (const key in hashes) {
+    state.hashes[key] = hashes[key];
+    delete state.dirty[key];
+  }
+  return true;
+}
+
+/**
+ * Store the totals other devices shared
+ * @param {Object} all - Snapshot of sync storage
+ * @param {string} deviceId
+ * @returns {Promise<void>}
+ */
+async function pullDeviceTime(all, deviceId) {
+  const synced = await getStorageValue(STORAGE_KEYS.SYNCED_TIME) || {};
+  let changed = false;
+
+  for (const key in all) {
+    const parts = key.split(':');
+    if (parts[0] !== 'd' || parts.length !== 2 || parts[1] === deviceId) continue;
+
+    const meta = all[key];
+    const known = synced[parts[1]];
+    if (known && known.at >= meta.at) continue;
+
+    const days = readChunkedValue(all, key);
+    if (days === null) continue;
+
+    // Newer snapshots replace the days they contain; older days are kept
+    synced[parts[1]] = {
+      name: meta.name,
+      at: meta.at,
+      days: { ...(known ? known.days : {}), ...days }
+    };
+    changed = true;
+  }
+
+  if (changed) {
+    await setStorageValue(STORAGE_KEYS.SYNCED_TIME, synced);
+  }
+}
+
+/**
+ * Share this device's totals for the last SYNC_DAYS days, dropping the
+ * oldest days if sync storage is too full for all of them
+ * @param {Object} all - Snapshot of sync storage
+ * @param {Object} state - Local sync state, updated in place
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} - Whether anything was written
+ */
+async function pushDeviceTime(all, state, deviceId) {
+  const timeData = await getTimeData();
+  const todayKey = await getTodayKey();
+  const days = {};
+
+  for (let offset = 0; offset < SYNC_DAYS; offset++) {
+    const dateKey = shiftDateKey(todayKey, -offset);
+    if (timeData[dateKey] && Object.keys(timeData[dateKey]).length > 0) {
+      days[dateKey] = timeData[dateKey];
+    }
+  }
+
+  const hash = hashValue(days);
+  if (hash === state.hashes.deviceTime && all[`d:${deviceId}`]) {
+    return false;
+  }
+
+  const dateKeys = Object.keys(days).sort();
+  while (true) {
+    try {
+      await writeSyncItems(all, buildChunkedItems(`d:${deviceId}`, { at: Date.now(), name: getDeviceName() }, days));
+      break;
+    } catch (error) {
+      if (dateKeys.length <= 1) throw error;
+      delete days[dateKeys.shift()];
+    }
+  }
+
+  state.hashes.deviceTime = hash;
+  return true;
+}
+
+/**
+ * Pull what other devices shared, then push local changes. Does nothing
+ * unless sync is enabled.
+ * @returns {Promise<Object>} - Sync status afterwards
+ */
+export function runSync() {
+  return queueSync(async () => {
+    const config = await getConfig();
+    if (!config.syncEnabled) {
+      return;
+    }
+
+    const state = await getSyncState();
+    try {
+      const deviceId = await getDeviceId();
+      const all = await callSyncStorage('get', null);
+
+      await pullSettings(all, state);
+      await pullDeviceTime(all, deviceId);
+      state.lastPull = Date.now();
+
+      const pushedSettings = await pushSettings(all, state, deviceId);
+      const pushedTime = await pushDeviceTime(all, state, deviceId);
+      if (pushedSettings || pushedTime) {
+        state.lastPush = Date.now();
+      }
+      state.lastError = null;
+    } catch (error) {
+      console.error('Error syncing:', error);
+      state.lastError = error.message;
+    }
+    await saveSyncState(state);
+  }).then(() => getSyncStatus());
+}
+
+/**
+ * Run a sync shortly, batching bursts of changes into one run
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    runSync().catch(error => console.error('Error syncing:', error));
+  }, SYNC_DELAY_MS);
+}
+
+/**
+ * Get sync status and quota usage
+ * @returns {Promise<Object>}
+ */
+export async function getSyncStatus() {
+  const config = await getConfig();
+  const state = await getSyncState();
+  const deviceId = await getDeviceId();
+
+  const status = {
+    enabled: !!config.syncEnabled,
+    deviceId,
+    lastPush: state.lastPush,
+    lastPull: state.lastPull,
+    lastError: state.lastError,
+    pending: Object.keys(state.dirty).length,
+    bytesInUse: 0,
+    quotaBytes: QUOTA_BYTES,
+    itemCount: 0,
+    maxItems: MAX_ITEMS,
+    devices: []
+  };
+
+  try {
+    const all = await callSyncStorage('get', null);
+    status.itemCount = Object.keys(all).length;
+
+    for (const key in all) {
+      status.bytesInUse += getItemSize(key, all[key]);
+
+      const parts = key.split(':');
+      if (parts[0] === 'd' && parts.length === 2) {
+        status.devices.push({
+          id: parts[1],
+          name: all[key].name,
+          updatedAt: all[key].at,
+          current: parts[1] === deviceId
+        });
+      }
+    }
+  } catch (error) {
+    status.lastError = status.lastError || error.message;
+  }
+
+  return status;
+}
+
+/**
+ * Get the time other devices tracked, added up per day
+ * @returns {Promise<Object>} - { [dateKey]: { [domain]: ms } }
+ */
+export async function getSyncedTime() {
+  const synced = await getStorageValue(STORAGE_KEYS.SYNCED_TIME) || {};
+  const result = {};
+
+  for (const deviceId in synced) {
+    const days = synced[deviceId].days || {};
+    for (const dateKey in days) {
+      if (!result[dateKey]) {
+        result[dateKey] = {};
+      }
+      for (const domain in days[dateKey]) {
+        result[dateKey][domain] = (result[dateKey][domain] || 0) + days[dateKey][domain];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get daily time from this device plus every synced device
+ * @returns {Promise<Object>} - { [dateKey]: { [domain]: ms } }
+ */
+export async function getAllDevicesTimeData() {
+  const timeData = await getTimeData();
+  const synced = await getSyncedTime();
+  const result = {};
+
+  for (const dateKey in timeData) {
+    result[dateKey] = { ...timeData[dateKey] };
+  }
+  for (const dateKey in synced) {
+    if (!result[dateKey]) {
+      result[dateKey] = {};
+    }
+    for (const domain in synced[dateKey]) {
+      result[dateKey][domain] = (result[dateKey][domain] || 0) + synced[dateKey][domain];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Remove synced days before a cutoff and hand them back, added up over
+ * devices, so retention can fold them into rollups
+ * @param {string} cutoffKey
+ * @returns {Promise<Object>} - { [dateKey]: { [domain]: ms } }
+ */
+export async function takeSyncedTimeBefore(cutoffKey) {
+  const synced = await getStorageValue(STORAGE_KEYS.SYNCED_TIME) || {};
+  const taken = {};
+  let changed = false;
+
+  for (const deviceId in synced) {
+    const days = synced[deviceId].days || {};
+    for (const dateKey in days) {
+      if (dateKey >= cutoffKey) continue;
+
+      if (!taken[dateKey]) {
+        taken[dateKey] = {};
+      }
+      for (const domain in days[dateKey]) {
+        taken[dateKey][domain] = (taken[dateKey][domain] || 0) + days[dateKey][domain];
+      }
+      delete days[dateKey];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await setStorageValue(STORAGE_KEYS.SYNCED_TIME, synced);
+  }
+  return taken;
+}
+
+/**
+ * React to local storage changes: turning sync on or off, and settings
+ * that need to be shared
+ * @param {Object} changes
+ * @returns {Promise<void>}
+ */
+async function onLocalChanged(changes) {
+  const configChange = changes[STORAGE_KEYS.CONFIG];
+  const wasEnabled = !!(configChange && configChange.oldValue && configChange.oldValue.syncEnabled);
+  const isEnabled = configChange ? !!(configChange.newValue && configChange.newValue.syncEnabled) : null;
+
+  if (configChange && wasEnabled && !isEnabled) {
+    // Start over when sync is turned back on, as if this were a new device
+    await queueSync(async () => {
+      const state = await getSyncState();
+      state.hashes = {};
+      state.dirty = {};
+      await saveSyncState(state);
+    });
+    return;
+  }
+
+  if (configChange && !wasEnabled && isEnabled) {
+    // Nothing is dirty yet, so the first run takes the shared settings
+    scheduleSync();
+    return;
+  }
+
+  const changedKeys = SYNCED_KEYS.filter(key => key in changes);
+  if (changedKeys.length === 0) {
+    return;
+  }
+
+  const config = await getConfig();
+  if (!config.syncEnabled) {
+    return;
+  }
+
+  await queueSync(async () => {
+    const state = await getSyncState();
+    let dirty = false;
+
+    for (const key of changedKeys) {
+      if (hashValue(toSharedValue(key, changes[key].newValue)) !== state.hashes[key]) {
+        state.dirty[key] = Date.now();
+        dirty = true;
+      }
+    }
+
+    if (dirty) {
+      await saveSyncState(state);
+      scheduleSync();
+    }
+  });
+}
+
+/**
+ * React to another device writing to sync storage
+ * @param {Object} changes
+ * @returns {Promise<void>}
+ */
+async function onSyncChanged(changes) {
+  const deviceId = await getDeviceId();
+
+  const fromOtherDevice = Object.keys(changes).some(key => {
+    const parts = key.split(':');
+    const meta = changes[key].newValue;
+    if (parts.length !== 2 || !meta) return false;
+    return parts[0] === 'd' ? parts[1] !== deviceId : meta.by !== deviceId;
+  });
+
+  if (fromOtherDevice) {
+    scheduleSync();
+  }
+}
+
+/**
+ * Start syncing: listen for changes on both sides and push the time
+ * totals periodically
+ */
+export function initSync() {
+  browserAPI.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local') {
+      onLocalChanged(changes).catch(error => console.error('Error syncing:', error));
+    } else if (areaName === 'sync') {
+      onSyncChanged(changes).catch(error => console.error('Error syncing:', error));
+    }
+  });
+
+  browserAPI.alarms.get(SYNC_ALARM, (existing) => {
+    if (!existing) {
+      browserAPI.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+    }
+  });
+
+  browserAPI.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SYNC_ALARM) {
+      runSync().catch(error => console.error('Error syncing:', error));
+    }
+  });
+
+  runSync().catch(error => console.error('Error syncing:', error));
+}
@@ -0,0 +1,260 @@
+// Manual time entries and corrections, with an audit log of every change.
+// Corrections change this device's time only: synced time belongs to the
+// device that tracked it and is replaced whenever that device pushes.
+import {
+  getConfig,
+  getTimeData,
+  saveTimeData,
+  getHourlyData,
+  saveHourlyData,
+  getBucketData,
+  saveBucketData,
+  getMediaData,
+  saveMediaData,
+  getStorageValue,
+  setStorageValue
+} from './storage.js';
+import { STORAGE_KEYS } from './config.js';
+import { getTodayKey, shiftDateKey } from './date-keys.js';
+import { getRetentionPolicy } from './retention.js';
+import { getDeviceId, getSyncedTime } from './sync.js';
+
+const MAX_LOG_ENTRIES = 500;
+const MAX_NOTE_LENGTH = 200;
+const MAX_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Kinds of correction recorded in the audit log
+ */
+export const CorrectionAction = {
+  ADD: 'add',       // Time entered for a domain that had none that day
+  EDIT: 'edit',     // Existing time changed
+  DELETE: 'delete'  // Time for the domain removed from the day
+};
+
+/*
+ * Audit log format (newest last):
+ * [{ id, dateKey, domain, action, previousValue, newValue, note, deviceId, at }]
+ *   previousValue/newValue - this device's ms before and after (0 when absent)
+ *   deviceId               - the device whose time was changed
+ *   at                     - when the correction was made (timestamp)
+ */
+
+/**
+ * Get the audit log of corrections, newest first
+ * @param {number} limit - Max entries to return (0 = all)
+ * @returns {Promise<Array>}
+ */
+export async function getCorrectionLog(limit = 0) {
+  const log = await getStorageValue(STORAGE_KEYS.TIME_CORRECTIONS) || [];
+  const newestFirst = [...log].reverse();
+  return limit > 0 ? newestFirst.slice(0, limit) : newestFirst;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry
+ * @returns {Promise<Object>} - The stored entry
+ */
+async function logCorrection(entry) {
+  const log = await getStorageValue(STORAGE_KEYS.TIME_CORRECTIONS) || [];
+  const stored = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+    ...entry,
+    deviceId: await getDeviceId(),
+    at: Date.now()
+  };
+
+  log.push(stored);
+  if (log.length > MAX_LOG_ENTRIES) {
+    log.splice(0, log.length - MAX_LOG_ENTRIES);
+  }
+
+  await setStorageValue(STORAGE_KEYS.TIME_CORRECTIONS, log);
+  return stored;
+}
+
+/**
+ * Check that a day can be corrected: a real date, not in the future, and
+ * still held day-by-day (rolled-up days no longer have per-day detail)
+ * @param {string} dateKey
+ * @returns {Promise<void>}
+ */
+async function assertEditableDay(dateKey) {
+  if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey) ||
+      shiftDateKey(dateKey, 0) !== dateKey) {
+    throw new Error(`Invalid date: ${dateKey}`);
+  }
+
+  const todayKey = await getTodayKey();
+  if (dateKey > todayKey) {
+    throw new Error('Cannot enter time for a future date');
+  }
+
+  const { dailyDays } = getRetentionPolicy(await getConfig());
+  if (dailyDays > 0 && dateKey < shiftDateKey(todayKey, -dailyDays)) {
+    throw new Error(`Only the last ${dailyDays} days can be corrected`);
+  }
+}
+
+/**
+ * Normalise a domain typed by the user
+ * @param {string} domain
+ * @returns {string}
+ */
+function normalizeDomain(domain) {
+  const normalized = String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+
+  if (!/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(normalized)) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+  return normalized;
+}
+
+/**
+ * Scale per-hour and per-bucket detail of a day/domain so it stays
+ * consistent with a corrected total. Entries added from nothing have no
+ * detail to scale; they only appear in daily totals.
+ * @param {string} dateKey
+ * @param {string} domain
+ * @param {number} previous - Old total in ms
+ * @param {number} next - New total in ms
+ * @returns {Promise<void>}
+ */
+async function rescaleDetail(dateKey, domain, previous, next) {
+  const ratio = previous > 0 ? next / previous : 0;
+
+  const hourlyData = await getHourlyData();
+  const hours = hourlyData[dateKey] && hourlyData[dateKey][domain];
+  if (hours) {
+    if (next > 0) {
+      for (const hour in hours) {
+        hours[hour] = Math.round(hours[hour] * ratio);
+      }
+    } else {
+      delete hourlyData[dateKey][domain];
+    }
+    await saveHourlyData(hourlyData);
+  }
+
+  const bucketData = await getBucketData();
+  const buckets = bucketData[dateKey] && bucketData[dateKey][domain];
+  if (buckets) {
+    if (next > 0) {
+      for (const bucket in buckets) {
+        buckets[bucket] = Math.round(buckets[bucket] * ratio);
+      }
+    } else {
+      delete bucketData[dateKey][domain];
+    }
+    await saveBucketData(bucketData);
+  }
+
+  // Background media is a share of the total, it can't exceed it
+  const mediaData = await getMediaData();
+  const media = mediaData[dateKey] && mediaData[dateKey][domain];
+  if (media) {
+    if (next > 0) {
+      mediaData[dateKey][domain] = Math.min(media, next);
+    } else {
+      delete mediaData[dateKey][domain];
+    }
+    await saveMediaData(mediaData);
+  }
+}
+
+/**
+ * Get the time this device recorded per domain for one day
+ * @param {string} dateKey
+ * @returns {Promise<Array>} - [{ domain, timeSpent, otherDevices }] longest
+ *   first; timeSpent is what corrections change, otherDevices is what
+ *   synced devices add on top of it for the same domain
+ */
+export async function getDayEntries(dateKey) {
+  const timeData = await getTimeData();
+  const day = timeData[dateKey] || {};
+  const synced = (await getSyncedTime())[dateKey] || {};
+
+  return Object.entries(day)
+    .filter(([, timeSpent]) => timeSpent > 0)
+    .map(([domain, timeSpent]) => ({ domain, timeSpent, otherDevices: synced[domain] || 0 }))
+    .sort((a, b) => b.timeSpent - a.timeSpent);
+}
+
+/**
+ * Add or change the time this device recorded for a domain on a day.
+ * Only this device's total is written; time synced from other devices for
+ * the same domain stays as it is and still counts on top.
+ * @param {string} dateKey
+ * @param {string} domain
+ * @param {number} timeSpent - New total for this device in ms
+ * @param {string} note - Optional reason, kept in the audit log
+ * @returns {Promise<Object>} - The audit log entry
+ */
+export async function setTimeEntry(dateKey, domain, timeSpent, note = '') {
+  await assertEditableDay(dateKey);
+  const site = normalizeDomain(domain);
+
+  const value = Math.round(Number(timeSpent));
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_DAY_MS) {
+    throw new Error('Time must be more than 0 and at most 24 hours');
+  }
+
+  const timeData = await getTimeData();
+  const previous = (timeData[dateKey] && timeData[dateKey][site]) || 0;
+  if (previous === value) {
+    throw new Error('Time is unchanged');
+  }
+
+  if (!timeData[dateKey]) {
+    timeData[dateKey] = {};
+  }
+  timeData[dateKey][site] = value;
+  await saveTimeData(timeData);
+  await rescaleDetail(dateKey, site, previous, value);
+
+  return logCorrection({
+    dateKey,
+    domain: site,
+    action: previous > 0 ? CorrectionAction.EDIT : CorrectionAction.ADD,
+    previousValue: previous,
+    newValue: value,
+    note: String(note || '').substring(0, MAX_NOTE_LENGTH)
+  });
+}
+
+/**
+ * Remove the time this device recorded for a domain on a day
+ * @param {string} dateKey
+ * @param {string} domain
+ * @param {string} note - Optional reason, kept in the audit log
+ * @returns {Promise<Object>} - The audit log entry
+ */
+export async function deleteTimeEntry(dateKey, domain, note = '') {
+  await assertEditableDay(dateKey);
+  const site = normalizeDomain(domain);
+
+  const timeData = await getTimeData();
+  const previous = (timeData[dateKey] && timeData[dateKey][site]) || 0;
+  if (previous === 0) {
+    throw new Error(`No time recorded for ${site} on ${dateKey}`);
+  }
+
+  delete timeData[dateKey][site];
+  await saveTimeData(timeData);
+  await rescaleDetail(dateKey, site, previous, 0);
+
+  return logCorrection({
+    dateKey,
+    domain: site,
+    action: CorrectionAction.DELETE,
+    previousValue: previous,
+    newValue: 0,
+    note: String(note || '').substring(0, MAX_NOTE_LENGTH)
+  });
+}
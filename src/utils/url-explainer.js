@@ -0,0 +1,262 @@
+// Explains why a URL is or isn't tracked, step by step
+import { explainSiteMatch, MatchStatus } from './site-matcher.js';
+import { explainPageRules, RuleType, RuleOutcome, RuleField, MatchType } from './page-rules.js';
+import { getTrackingBlockers } from './scheduler.js';
+import { describeRecurrence } from './recurrence.js';
+import { PatternKind } from './site-index.js';
+
+/**
+ * The step that settled whether a URL is tracked
+ */
+export const DecisionStage = {
+  NOT_WEB: 'not_web',     // Not an http(s) page
+  SITE: 'site',           // No enabled site entry matches the host
+  PAGE_RULE: 'page_rule', // A page rule (or the default behavior) excluded it
+  SCHEDULE: 'schedule',   // A block_tracking schedule is active
+  TRACKED: 'tracked'      // Every step let it through
+};
+
+/**
+ * How a line of a described step affected the decision
+ */
+export const StepEffect = {
+  PASS: 'pass', // Let the page through
+  FAIL: 'fail', // Kept the page from being tracked
+  SKIP: 'skip'  // Considered, but had no effect
+};
+
+const KIND_NAMES = {
+  [PatternKind.EXACT]: 'this host only',
+  [PatternKind.SUFFIX]: 'host and subdomains',
+  [PatternKind.REGEX]: 'regex'
+};
+
+const MATCH_TYPE_NAMES = {
+  [MatchType.EXACT]: 'is',
+  [MatchType.CONTAINS]: 'contains',
+  [MatchType.STARTS_WITH]: 'starts with',
+  [MatchType.GLOB]: 'matches pattern',
+  [MatchType.REGEX]: 'matches regex'
+};
+
+/**
+ * Describe why no site entry was used for a host
+ * @param {string} host
+ * @param {Array} candidates - From explainSiteMatch()
+ * @returns {string}
+ */
+function describeNoSite(host, candidates) {
+  const off = candidates.find(c => c.status === MatchStatus.SITE_OFF);
+  if (off) {
+    return `${off.pattern} matches ${host} but is switched off`;
+  }
+  const categoryOff = candidates.find(c => c.status === MatchStatus.CATEGORY_OFF);
+  if (categoryOff) {
+    return `${categoryOff.pattern} matches ${host} but its category is switched off`;
+  }
+  return `No monitored site matches ${host}`;
+}
+
+/**
+ * Describe the named segments a glob rule picked out of a URL
+ * @param {Object|null} captures - e.g. { sub: 'programming' }
+ * @returns {string} - e.g. ' (sub = programming)', or '' when there are none
+ */
+function describeCaptures(captures) {
+  const entries = Object.entries(captures || {});
+  if (entries.length === 0) {
+    return '';
+  }
+  return ` (${entries.map(([name, value]) => `${name} = ${value}`).join(', ')})`;
+}
+
+/**
+ * Work out whether a URL is tracked and record every step of the
+ * decision. Later steps are still evaluated after an earlier one has
+ * decided, so the trace shows what else would have applied.
+ * @param {string} url
+ * @param {string|null} title - Document title, for title rules; null when
+ *   not known
+ * @returns {Promise<Object>} - { url, title, host, isTracked, bucket,
+ *   decidedBy, summary, site, pageRules, schedule }; `bucket` is a bucket id and
+ *   `decidedBy` a DecisionStage value. Plain data, so it can be sent in
+ *   a message.
+ */
+export async function explainUrl(url, title = null) {
+  const trace = {
+    url,
+    title,
+    host: null,
+    isTracked: false,
+    bucket: null,
+    decidedBy: DecisionStage.NOT_WEB,
+    summary: 'Only web pages (http and https) are tracked',
+    site: null,
+    pageRules: null,
+    schedule: null
+  };
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return trace;
+  }
+
+  const { host, site, candidates } = await explainSiteMatch(url);
+  trace.host = host;
+  trace.site = {
+    matched: site ? { pattern: site.pattern, name: site.name, category: site.category } : null,
+    bucket: site && site.bucket ? { id: site.bucket.id, name: site.bucket.name } : null,
+    candidates
+  };
+
+  const pageRules = await explainPageRules(url, host, title);
+  trace.pageRules = {
+    enabled: pageRules.enabled,
+    defaultBehavior: pageRules.defaultBehavior,
+    shouldTrack: pageRules.shouldTrack,
+    reason: pageRules.reason,
+    matchedRuleId: pageRules.matchedRule ? pageRules.matchedRule.id : null,
+    rules: pageRules.rules.map(({ rule, outcome, captures }) => ({
+      id: rule.id,
+      type: rule.type,
+      field: rule.field || RuleField.URL,
+      param: rule.param || null,
+      matchType: rule.matchType,
+      pattern: rule.pattern,
+      domain: rule.domain || null,
+      description: rule.description || '',
+      priority: Number(rule.priority) || 0,
+      enabled: rule.enabled !== false,
+      expiresAt: rule.expiresAt || null,
+      outcome,
+      captures
+    }))
+  };
+
+  const blockers = await getTrackingBlockers();
+  const summarize = schedule => ({
+    id: schedule.id,
+    name: schedule.name,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    days: schedule.days,
+    repeats: schedule.recurrence ? describeRecurrence(schedule.recurrence) : null
+  });
+  trace.schedule = {
+    enabled: blockers.enabled,
+    schedules: blockers.schedules.map(summarize),
+    blocking: blockers.blocking.map(summarize)
+  };
+
+  if (!site) {
+    trace.decidedBy = DecisionStage.SITE;
+    trace.summary = describeNoSite(host, candidates);
+  } else if (!pageRules.shouldTrack) {
+    trace.decidedBy = DecisionStage.PAGE_RULE;
+    trace.summary = pageRules.reason === 'Default behavior'
+      ? 'No page rule matched and the default is to ignore pages'
+      : pageRules.reason;
+  } else if (blockers.blocking.length > 0) {
+    trace.decidedBy = DecisionStage.SCHEDULE;
+    trace.summary = `Tracking is paused by the "${blockers.blocking[0].name}" schedule`;
+  } else {
+    trace.isTracked = true;
+    trace.bucket = site.bucket ? site.bucket.id : null;
+    trace.decidedBy = DecisionStage.TRACKED;
+    trace.summary = `Counted under ${site.name}` + (site.bucket ? ` (${site.bucket.name})` : '');
+  }
+
+  return trace;
+}
+
+/**
+ * Turn a trace into readable steps for display
+ * @param {Object} trace - From explainUrl()
+ * @returns {Array} - [{ stage, title, lines: [{ text, effect }] }] with
+ *   DecisionStage and StepEffect values
+ */
+export function describeTrace(trace) {
+  if (!trace.site) {
+    return [{ stage: DecisionStage.NOT_WEB, title: 'Page type', lines: [{ text: trace.summary, effect: StepEffect.FAIL }] }];
+  }
+
+  const statusLines = {
+    [MatchStatus.USED]: ['counted under this entry', StepEffect.PASS],
+    [MatchStatus.SITE_OFF]: ['site is switched off', StepEffect.FAIL],
+    [MatchStatus.CATEGORY_OFF]: ['category is switched off', StepEffect.FAIL],
+    [MatchStatus.SHADOWED]: ['not used: an earlier entry matched first', StepEffect.SKIP]
+  };
+  const siteLines = trace.site.candidates.map(candidate => {
+    const [status, effect] = statusLines[candidate.status];
+    const source = candidate.source === 'user' ? 'your site' : 'bundled list';
+    return { text: `${candidate.pattern} (${source}, ${KIND_NAMES[candidate.kind]}): ${status}`, effect };
+  });
+  if (siteLines.length === 0) {
+    siteLines.push({ text: `No site entry matches ${trace.host}`, effect: StepEffect.FAIL });
+  }
+  if (trace.site.bucket) {
+    siteLines.push({ text: `Falls into the ${trace.site.bucket.name} bucket`, effect: StepEffect.PASS });
+  }
+
+  const { pageRules } = trace;
+  const fieldNames = {
+    [RuleField.URL]: 'URL',
+    [RuleField.TITLE]: 'title',
+    [RuleField.QUERY]: 'query parameter'
+  };
+  const ruleLines = pageRules.rules.map(rule => {
+    const field = rule.field === RuleField.QUERY ? `?${rule.param}= value` : fieldNames[rule.field] || 'URL';
+    const name = `${rule.type === RuleType.WHITELIST ? 'Don\'t track' : 'Only track'} pages whose ${field} ` +
+      `${MATCH_TYPE_NAMES[rule.matchType] || rule.matchType} "${rule.pattern}"${rule.domain ? ` on ${rule.domain}` : ''}` +
+      (rule.priority ? ` (priority ${rule.priority})` : '') +
+      (rule.expiresAt ? ` until ${new Date(rule.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '');
+    switch (rule.outcome) {
+      case RuleOutcome.MATCHED:
+        return {
+          text: `${name}: matches${describeCaptures(rule.captures)}`,
+          effect: rule.type === RuleType.WHITELIST ? StepEffect.FAIL : StepEffect.PASS
+        };
+      case RuleOutcome.NO_MATCH:
+        return { text: `${name}: doesn't match`, effect: StepEffect.SKIP };
+      case RuleOutcome.OUTRANKED:
+        return { text: `${name}: matches, but a higher-ranked rule wins`, effect: StepEffect.SKIP };
+      case RuleOutcome.EXPIRED:
+        return { text: `${name}: has expired`, effect: StepEffect.SKIP };
+      case RuleOutcome.NO_TITLE:
+        return { text: `${name}: the page title isn't known yet`, effect: StepEffect.SKIP };
+      default:
+        return {
+          text: `${name}: ${!pageRules.enabled ? 'page rules are off' : !rule.enabled ? 'rule is off' : `only for ${rule.domain}`}`,
+          effect: StepEffect.SKIP
+        };
+    }
+  });
+  if (!pageRules.matchedRuleId) {
+    ruleLines.push({
+      text: !pageRules.enabled ? 'Page rules are off'
+        : pageRules.reason === 'Default behavior' ? `No rule decided; the default is to ${pageRules.defaultBehavior} pages`
+          : pageRules.reason,
+      effect: pageRules.shouldTrack ? StepEffect.PASS : StepEffect.FAIL
+    });
+  }
+
+  const { schedule } = trace;
+  const scheduleLines = schedule.schedules.map(item => {
+    const active = schedule.blocking.some(blocking => blocking.id === item.id);
+    return {
+      text: `${item.name} (${item.startTime}–${item.endTime}${item.repeats ? `, ${item.repeats}` : ''}): ` +
+        (active ? 'pausing tracking now' : 'not active now'),
+      effect: active ? StepEffect.FAIL : StepEffect.SKIP
+    };
+  });
+  if (!schedule.enabled) {
+    scheduleLines.unshift({ text: 'The scheduler is off', effect: StepEffect.PASS });
+  } else if (scheduleLines.length === 0) {
+    scheduleLines.push({ text: 'No schedule pauses tracking', effect: StepEffect.PASS });
+  }
+
+  return [
+    { stage: DecisionStage.SITE, title: 'Site list', lines: siteLines },
+    { stage: DecisionStage.PAGE_RULE, title: 'Page rules', lines: ruleLines },
+    { stage: DecisionStage.SCHEDULE, title: 'Schedule', lines: scheduleLines }
+  ];
+}
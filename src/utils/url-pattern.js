@@ -0,0 +1,178 @@
+// URLPattern-style globs for page rules, e.g. '*.youtube.com/watch*' or
+// 'reddit.com/r/:sub/comments/*'. Easier to get right than a regex.
+
+/*
+ * Syntax:
+ *   [scheme://]host[/path][?query]   or   /path[?query] (any host)
+ *   *       any run of characters ('*.' at the start of the host also
+ *           matches the bare domain)
+ *   :name   one whole path segment, reported back under `name`
+ * Matching ignores case, a leading 'www.' and the #fragment. Without a
+ * scheme both http and https match; without a path or query any will do.
+ */
+
+const NAMED_SEGMENT = /^:([A-Za-z_][A-Za-z0-9_]*)/;
+
+// Compiled once per pattern; rules are checked on every navigation
+const compiled = new Map();
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn '*' into a wildcard and escape everything else
+ * @param {string} text
+ * @param {string} wildcard - Regex source '*' stands for
+ * @returns {string}
+ */
+function globToRegex(text, wildcard) {
+  return text.split('*').map(escapeRegex).join(wildcard);
+}
+
+/**
+ * Compile the path part of a pattern
+ * @param {string} path
+ * @param {Array<string>} names - Collects the segment names
+ * @returns {string} - Regex source
+ */
+function compilePath(path, names) {
+  let source = '';
+  let rest = path;
+
+  while (rest) {
+    const named = rest.match(NAMED_SEGMENT);
+    if (named) {
+      if (names.includes(named[1])) {
+        throw new Error(`Segment :${named[1]} is used twice`);
+      }
+      names.push(named[1]);
+      source += `(?<${named[1]}>[^/?]+)`;
+      rest = rest.slice(named[0].length);
+    } else if (rest[0] === '*') {
+      source += '.*';
+      rest = rest.slice(1);
+    } else {
+      source += escapeRegex(rest[0]);
+      rest = rest.slice(1);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a pattern into a regex over 'scheme://host/path?query'
+ * @param {string} pattern
+ * @returns {Object} - { regex, names }
+ * @throws {Error} - When the pattern can't be used
+ */
+function compileUrlPattern(pattern) {
+  // Only the scheme and host are lowercased; the regex ignores case, and
+  // :name segments keep the case they were written in
+  let rest = String(pattern || '').trim().replace(/#.*$/, '');
+  if (!rest) {
+    throw new Error('Pattern is required');
+  }
+
+  let scheme = 'https?';
+  const schemeMatch = rest.match(/^([a-z*][a-z0-9+.*-]*):\/\//i);
+  if (schemeMatch) {
+    scheme = globToRegex(schemeMatch[1].toLowerCase(), '[a-z0-9+.-]*');
+    rest = rest.slice(schemeMatch[0].length);
+  }
+
+  // Patterns starting with '/' are path-only
+  let host = '[^/?]+';
+  if (!rest.startsWith('/')) {
+    const end = rest.search(/[/?]/);
+    const hostPattern = (end === -1 ? rest : rest.slice(0, end)).toLowerCase();
+    rest = end === -1 ? '' : rest.slice(end);
+    if (!hostPattern || /[:@\s]/.test(hostPattern)) {
+      throw new Error(`Invalid host in pattern: ${hostPattern || '(empty)'}`);
+    }
+
+    const bare = hostPattern.replace(/^www\./, '');
+    host = bare.startsWith('*.')
+      ? `(?:[^/?]*\\.)?${globToRegex(bare.slice(2), '[^/?]*')}`
+      : `(?:www\\.)?${globToRegex(bare, '[^/?]*')}`;
+  }
+
+  const queryStart = rest.indexOf('?');
+  const path = queryStart === -1 ? rest : rest.slice(0, queryStart);
+  const query = queryStart === -1 ? null : rest.slice(queryStart + 1);
+
+  const names = [];
+  const pathSource = path ? compilePath(path, names) : '(?:/[^?]*)?';
+  const querySource = query === null ? '(?:\\?.*)?' : `\\?${globToRegex(query, '.*')}`;
+
+  return {
+    regex: new RegExp(`^${scheme}://${host}${pathSource}${querySource}$`, 'i'),
+    names
+  };
+}
+
+/**
+ * Get a compiled pattern from the cache
+ * @param {string} pattern
+ * @returns {Object} - { regex, names }
+ * @throws {Error} - When the pattern can't be used
+ */
+function getCompiled(pattern) {
+  if (!compiled.has(pattern)) {
+    compiled.set(pattern, compileUrlPattern(pattern));
+  }
+  return compiled.get(pattern);
+}
+
+/**
+ * Check a pattern typed by the user
+ * @param {string} pattern
+ * @returns {string|null} - What is wrong, or null
+ */
+export function getUrlPatternError(pattern) {
+  try {
+    getCompiled(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Match a URL against a pattern
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {Object|null} - The named segments ({} when there are none), or
+ *   null when the URL doesn't match or the pattern is invalid
+ */
+export function matchUrlPattern(pattern, url) {
+  let regex;
+  try {
+    ({ regex } = getCompiled(pattern));
+  } catch (error) {
+    return null;
+  }
+
+  const match = String(url).replace(/#.*$/, '').match(regex);
+  if (!match) {
+    return null;
+  }
+  return { ...match.groups };
+}
+
+/**
+ * Match text (a title, a query value) against a glob where '*' stands for
+ * anything, ignoring case
+ * @param {string} pattern
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function matchTextGlob(pattern, text) {
+  return new RegExp(`^${globToRegex(pattern, '[\\s\\S]*')}$`, 'i').test(text);
+}
@@ -0,0 +1,172 @@
+// Append-only log of individual visits to tracked sites
+import { getStorageValue, setStorageValue } from './storage.js';
+import { STORAGE_KEYS } from './config.js';
+
+const MAX_VISITS_PER_DAY = 500;
+const MAX_PATH_LENGTH = 200;
+
+/**
+ * Days of visit history to keep
+ */
+export const VISIT_LOG_RETENTION_DAYS = 30;
+
+/**
+ * Why a visit ended
+ */
+export const VisitEndReason = {
+  TAB_SWITCH: 'tab_switch',     // Another tab was activated
+  NAVIGATION: 'navigation',     // Same tab navigated to another site
+  WINDOW_BLUR: 'window_blur',   // Browser lost focus
+  IDLE: 'idle',                 // User went idle or locked the screen
+  CLOSE: 'close',               // Tab was closed
+  INTERVENTION: 'intervention', // User acted on an intervention popup
+  BROWSER_EXIT: 'browser_exit'  // Browser closed while the visit was open
+};
+
+// Stored as an index into this list to keep entries small
+const REASON_CODES = Object.values(VisitEndReason);
+
+/*
+ * Storage format, per date key:
+ * {
+ *   d: ['reddit.com', ...],        // domain table
+ *   p: ['/r/all', ...],            // path table
+ *   v: [[d, p, start, length, r]]  // visits: table indexes, start in unix
+ * }                                //   seconds, length in seconds, reason code
+ */
+
+/**
+ * Get the raw visit log
+ * @returns {Promise<Object>}
+ */
+async function getVisitLog() {
+  const log = await getStorageValue(STORAGE_KEYS.VISIT_LOG);
+  return log || {};
+}
+
+/**
+ * Get the index of a value in a lookup table, adding it if missing
+ * @param {Array} table
+ * @param {string} value
+ * @returns {number}
+ */
+function internValue(table, value) {
+  let index = table.indexOf(value);
+  if (index === -1) {
+    index = table.push(value) - 1;
+  }
+  return index;
+}
+
+/**
+ * Append a finished visit
+ * @param {string} dateKey - Day the visit started on
+ * @param {Object} visit - { domain, path, start, end, reason }
+ * @returns {Promise<void>}
+ */
+export async function appendVisit(dateKey, visit) {
+  const length = Math.round((visit.end - visit.start) / 1000);
+  if (length <= 0) {
+    return;
+  }
+
+  const log = await getVisitLog();
+  if (!log[dateKey]) {
+    log[dateKey] = { d: [], p: [], v: [] };
+  }
+
+  const day = log[dateKey];
+  if (day.v.length >= MAX_VISITS_PER_DAY) {
+    return;
+  }
+
+  const path = (visit.path || '/').substring(0, MAX_PATH_LENGTH);
+  const reasonCode = REASON_CODES.indexOf(visit.reason);
+
+  day.v.push([
+    internValue(day.d, visit.domain),
+    internValue(day.p, path),
+    Math.floor(visit.start / 1000),
+    length,
+    reasonCode === -1 ? REASON_CODES.indexOf(VisitEndReason.TAB_SWITCH) : reasonCode
+  ]);
+
+  await setStorageValue(STORAGE_KEYS.VISIT_LOG, log);
+}
+
+/**
+ * Get decoded visits for a range of days
+ * @param {string} startKey - First date key (inclusive)
+ * @param {string} endKey - Last date key (inclusive)
+ * @param {string|null} domain - Only visits to this domain
+ * @returns {Promise<Array>} - [{ date, domain, path, start, end, duration, reason }]
+ */
+export async function getVisits(startKey, endKey, domain = null) {
+  const log = await getVisitLog();
+  const visits = [];
+
+  for (const dateKey in log) {
+    if (dateKey < startKey || dateKey > endKey) continue;
+
+    const day = log[dateKey];
+    for (const [domainIndex, pathIndex, start, length, reasonCode] of day.v) {
+      const visitDomain = day.d[domainIndex];
+      if (domain && visitDomain !== domain) continue;
+
+      visits.push({
+        date: dateKey,
+        domain: visitDomain,
+        path: day.p[pathIndex],
+        start: start * 1000,
+        end: (start + length) * 1000,
+        duration: length * 1000,
+        reason: REASON_CODES[reasonCode]
+      });
+    }
+  }
+
+  visits.sort((a, b) => a.start - b.start);
+  return visits;
+}
+
+/**
+ * Delete visit history older than a date key
+ * @param {string} cutoffKey - Days before this key are removed
+ * @returns {Promise<void>}
+ */
+export async function pruneVisitLog(cutoffKey) {
+  const log = await getVisitLog();
+  let changed = false;
+
+  for (const dateKey in log) {
+    if (dateKey < cutoffKey) {
+      delete log[dateKey];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await setStorageValue(STORAGE_KEYS.VISIT_LOG, log);
+  }
+}
+
+/**
+ * Summarise a list of visits
+ * @param {Array} visits - From getVisits()
+ * @returns {Object}
+ */
+export function summarizeVisits(visits) {
+  if (visits.length === 0) {
+    return { count: 0, medianLength: 0, longest: null };
+  }
+
+  const lengths = visits.map(v => v.duration).sort((a, b) => a - b);
+  const middle = Math.floor(lengths.length / 2);
+  const medianLength = lengths.length % 2 === 0
+    ? (lengths[middle - 1] + lengths[middle]) / 2
+    : lengths[middle];
+
+  const longest = visits.reduce((max, v) => v.duration > max.duration ? v : max, visits[0]);
+
+  return { count: visits.length, medianLength, longest };
+}
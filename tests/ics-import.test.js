@@ -0,0 +1,166 @@
+// Reading .ics files into schedules: timezone conversion, moved and
+// cancelled occurrences, and importing the same calendar again
+import { describe, it, expect } from 'vitest';
+import {
+  parseCalendar,
+  importCalendarSchedules,
+  getCalendarMappings,
+  EventStatus,
+  DEFAULT_CALENDAR_MAPPINGS
+} from '../src/utils/ics-import.js';
+import { getSchedulerConfig, saveSchedulerConfig, ScheduleAction } from '../src/utils/scheduler.js';
+import { getOccurrenceDates } from '../src/utils/recurrence.js';
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const MAPPINGS = [
+  { keyword: 'Deep Work', action: ScheduleAction.ADJUST_THRESHOLD, thresholdMultiplier: 0.5 },
+  { keyword: 'Offsite', action: ScheduleAction.BLOCK_TRACKING, thresholdMultiplier: 1 }
+];
+
+/**
+ * Wrap VEVENTs in a calendar, with CRLF line endings as files have them
+ * @param {...Array<string>} events - Content lines of each event
+ * @returns {string}
+ */
+function calendar(...events) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'X-WR-CALNAME:Work'];
+  events.forEach(event => lines.push('BEGIN:VEVENT', ...event, 'END:VEVENT'));
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+}
+
+const deepWork = [
+  'UID:deep-1',
+  'SUMMARY:Deep Work',
+  'DTSTART;TZID=America/New_York:20261005T090000',
+  'DTEND;TZID=America/New_York:20261005T110000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'
+];
+
+describe('parseCalendar', () => {
+  it('converts TZID times into the schedule timezone', () => {
+    const { calendarName, entries } = parseCalendar(calendar(deepWork), MAPPINGS, [], 'Europe/Berlin', NOW);
+
+    expect(calendarName).toBe('Work');
+    expect(entries[0]).toMatchObject({ status: EventStatus.NEW, summary: 'Deep Work' });
+    expect(entries[0].schedule).toMatchObject({
+      startTime: '15:00',
+      endTime: '17:00',
+      duration: 120,
+      action: ScheduleAction.ADJUST_THRESHOLD,
+      thresholdMultiplier: 0.5,
+      calendarUid: 'deep-1',
+      recurrence: { dtstart: '2026-10-05', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE' }
+    });
+  });
+
+  it('converts UTC times and keeps the rule on the calendar\'s days', () => {
+    const { entries } = parseCalendar(calendar([
+      'UID:late-1',
+      'SUMMARY:Deep Work',
+      'DTSTART:20261023T230000Z',
+      'DTEND:20261024T010000Z',
+      'RRULE:FREQ=WEEKLY;BYDAY=FR',
+      'EXDATE:20261106T230000Z'
+    ]), MAPPINGS, [], 'Europe/Berlin', NOW);
+    const { schedule } = entries[0];
+
+    // Friday 23:00 UTC is Saturday 01:00 in Berlin, every week
+    expect(schedule).toMatchObject({ startTime: '01:00', endTime: '03:00' });
+    expect(getOccurrenceDates(schedule.recurrence, '2026-10-01', '2026-11-21'))
+      .toEqual(['2026-10-24', '2026-10-31', '2026-11-14', '2026-11-21']);
+  });
+
+  it('takes floating times and all-day events as they are', () => {
+    const { entries } = parseCalendar(calendar(
+      ['UID:f-1', 'SUMMARY:Deep Work', 'DTSTART:20261010T080000', 'DURATION:PT1H30M'],
+      ['UID:o-1', 'SUMMARY:Team Offsite', 'DTSTART;VALUE=DATE:20261012', 'DTEND;VALUE=DATE:20261014']
+    ), MAPPINGS, [], 'Asia/Tokyo', NOW);
+
+    expect(entries[0].schedule).toMatchObject({ startTime: '08:00', endTime: '09:30', recurrence: { dtstart: '2026-10-10' } });
+    expect(entries[1].schedule).toMatchObject({
+      startTime: '00:00',
+      duration: 2 * 24 * 60,
+      action: ScheduleAction.BLOCK_TRACKING,
+      recurrence: { dtstart: '2026-10-12' }
+    });
+  });
+
+  it('takes moved and cancelled occurrences out of their series', () => {
+    const { entries, counts } = parseCalendar(calendar(
+      deepWork,
+      [
+        'UID:deep-1',
+        'SUMMARY:Deep Work',
+        'RECURRENCE-ID;TZID=America/New_York:20261007T090000',
+        'DTSTART;TZID=America/New_York:20261008T140000',
+        'DTEND;TZID=America/New_York:20261008T150000'
+      ],
+      [
+        'UID:deep-1',
+        'SUMMARY:Deep Work',
+        'RECURRENCE-ID;TZID=America/New_York:20261012T090000',
+        'DTSTART;TZID=America/New_York:20261012T090000',
+        'DTEND;TZID=America/New_York:20261012T110000',
+        'STATUS:CANCELLED'
+      ]
+    ), MAPPINGS, [], 'America/New_York', NOW);
+
+    const series = entries[0].schedule.recurrence;
+    expect(series.exdates).toEqual(['2026-10-07', '2026-10-12']);
+    expect(getOccurrenceDates(series, '2026-10-05', '2026-10-14')).toEqual(['2026-10-05', '2026-10-14']);
+
+    // The moved one becomes a schedule of its own
+    expect(entries[1]).toMatchObject({ status: EventStatus.NEW, schedule: { calendarUid: 'deep-1#2026-10-07', startTime: '14:00' } });
+    expect(entries[2]).toMatchObject({ status: EventStatus.SKIPPED, reason: 'Cancelled' });
+    expect(counts).toMatchObject({ [EventStatus.NEW]: 2, [EventStatus.SKIPPED]: 1 });
+  });
+
+  it('explains the events it leaves out', () => {
+    const { entries } = parseCalendar(calendar(
+      ['UID:x-1', 'SUMMARY:Lunch', 'DTSTART:20261010T120000', 'DTEND:20261010T130000'],
+      ['UID:x-2', 'SUMMARY:Deep Work', 'DTSTART:20260110T120000', 'DTEND:20260110T130000'],
+      ['UID:x-3', 'SUMMARY:Deep Work', 'DTSTART:20261010T120000', 'RRULE:FREQ=HOURLY'],
+      ['UID:x-4', 'SUMMARY:Deep Work', 'DTSTART:tomorrow']
+    ), MAPPINGS, [], 'UTC', NOW);
+
+    expect(entries.map(entry => [entry.status, entry.reason])).toEqual([
+      [EventStatus.SKIPPED, 'No mapping matches the title'],
+      [EventStatus.SKIPPED, 'Already over'],
+      [EventStatus.INVALID, 'Schedules can repeat at most daily'],
+      [EventStatus.INVALID, 'Can\'t read the start time tomorrow']
+    ]);
+  });
+
+  it('rejects text that is not a calendar', () => {
+    expect(() => parseCalendar('hello', MAPPINGS)).toThrow('Not an iCalendar file');
+  });
+});
+
+describe('importCalendarSchedules', () => {
+  it('updates schedules from an earlier import in place', async () => {
+    const first = parseCalendar(calendar(deepWork), MAPPINGS, [], 'America/New_York', NOW);
+    expect(await importCalendarSchedules(first.entries, MAPPINGS)).toBe(1);
+
+    let config = await getSchedulerConfig();
+    const [imported] = config.schedules;
+    expect(imported).toMatchObject({ calendarUid: 'deep-1', startTime: '09:00', enabled: true });
+    expect(await getCalendarMappings()).toEqual(MAPPINGS);
+
+    // Switched off by hand, then moved to the afternoon in the calendar
+    config.schedules[0].enabled = false;
+    await saveSchedulerConfig(config);
+    const moved = deepWork.map(line => line.replace('T090000', 'T130000').replace('T110000', 'T150000'));
+    const second = parseCalendar(calendar(moved), MAPPINGS, config.schedules, 'America/New_York', NOW);
+    expect(second.entries[0].status).toBe(EventStatus.UPDATE);
+    await importCalendarSchedules(second.entries, MAPPINGS);
+
+    config = await getSchedulerConfig();
+    expect(config.schedules).toHaveLength(1);
+    expect(config.schedules[0]).toMatchObject({ id: imported.id, enabled: false, startTime: '13:00', endTime: '15:00' });
+  });
+
+  it('uses the default mappings before any import', async () => {
+    expect(await getCalendarMappings()).toEqual(DEFAULT_CALENDAR_MAPPINGS);
+  });
+});
@@ -0,0 +1,171 @@
+// RRULE expansion, checked against the examples in RFC 5545 3.8.5.3
+import { describe, it, expect } from 'vitest';
+import {
+  parseRRule,
+  getOccurrenceDates,
+  getNextOccurrenceDate,
+  isOccurrenceDate,
+  getRecurrenceError,
+  normalizeRecurrence,
+  describeRecurrence
+} from '../src/utils/recurrence.js';
+
+/**
+ * Shorthand for a recurrence with a rule
+ * @param {string} dtstart
+ * @param {string} rrule
+ * @param {Object} extra - rdates, exdates, shift
+ * @returns {Object}
+ */
+const rule = (dtstart, rrule, extra = {}) => ({ dtstart, rrule, rdates: [], exdates: [], ...extra });
+
+describe('getOccurrenceDates', () => {
+  it('repeats every other week on several days', () => {
+    // Every other week on Monday, Wednesday and Friday, starting on a Tuesday
+    const dates = getOccurrenceDates(
+      rule('1997-09-02', 'FREQ=WEEKLY;INTERVAL=2;UNTIL=19971224;WKST=SU;BYDAY=MO,WE,FR'),
+      '1997-09-01', '1997-10-31'
+    );
+    expect(dates).toEqual([
+      '1997-09-02', '1997-09-03', '1997-09-05', '1997-09-15', '1997-09-17', '1997-09-19',
+      '1997-09-29', '1997-10-01', '1997-10-03', '1997-10-13', '1997-10-15', '1997-10-17',
+      '1997-10-27', '1997-10-29', '1997-10-31'
+    ]);
+  });
+
+  it('groups the weeks by WKST', () => {
+    const range = ['1997-08-01', '1997-08-31'];
+    expect(getOccurrenceDates(rule('1997-08-05', 'FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=MO'), ...range))
+      .toEqual(['1997-08-05', '1997-08-10', '1997-08-19', '1997-08-24']);
+    expect(getOccurrenceDates(rule('1997-08-05', 'FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=SU'), ...range))
+      .toEqual(['1997-08-05', '1997-08-17', '1997-08-19', '1997-08-31']);
+  });
+
+  it('picks the nth weekday of each month', () => {
+    expect(getOccurrenceDates(rule('1997-09-05', 'FREQ=MONTHLY;COUNT=10;BYDAY=1FR'), '1997-01-01', '1999-01-01')).toEqual([
+      '1997-09-05', '1997-10-03', '1997-11-07', '1997-12-05', '1998-01-02',
+      '1998-02-06', '1998-03-06', '1998-04-03', '1998-05-01', '1998-06-05'
+    ]);
+    // Every month on the first and last Sunday
+    expect(getOccurrenceDates(rule('1997-09-07', 'FREQ=MONTHLY;COUNT=6;BYDAY=1SU,-1SU'), '1997-01-01', '1999-01-01')).toEqual([
+      '1997-09-07', '1997-09-28', '1997-10-05', '1997-10-26', '1997-11-02', '1997-11-30'
+    ]);
+  });
+
+  it('counts nth weekdays through the year and by month', () => {
+    // Thanksgiving: the fourth Thursday of November
+    expect(getOccurrenceDates(rule('2024-11-28', 'FREQ=YEARLY;BYMONTH=11;BYDAY=4TH'), '2024-01-01', '2027-12-31'))
+      .toEqual(['2024-11-28', '2025-11-27', '2026-11-26', '2027-11-25']);
+    // The 20th Monday of the year
+    expect(getOccurrenceDates(rule('1997-05-19', 'FREQ=YEARLY;BYDAY=20MO'), '1997-01-01', '1999-12-31'))
+      .toEqual(['1997-05-19', '1998-05-18', '1999-05-17']);
+  });
+
+  it('keeps the last weekday of the month with BYSETPOS=-1', () => {
+    expect(getOccurrenceDates(rule('1997-09-30', 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1'), '1997-09-01', '1998-03-31'))
+      .toEqual(['1997-09-30', '1997-10-31', '1997-11-28', '1997-12-31', '1998-01-30', '1998-02-27', '1998-03-31']);
+  });
+
+  it('skips months without the day and counts only real dates toward COUNT', () => {
+    expect(getOccurrenceDates(rule('2025-01-31', 'FREQ=MONTHLY;BYMONTHDAY=31;COUNT=5'), '2025-01-01', '2026-12-31'))
+      .toEqual(['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31', '2025-08-31']);
+    // The third-to-last day of the month
+    expect(getOccurrenceDates(rule('1997-09-28', 'FREQ=MONTHLY;BYMONTHDAY=-3'), '1997-09-01', '1998-02-28'))
+      .toEqual(['1997-09-28', '1997-10-29', '1997-11-28', '1997-12-29', '1998-01-29', '1998-02-26']);
+  });
+
+  it('stops after UNTIL, which is inclusive', () => {
+    const dates = getOccurrenceDates(rule('1997-09-02', 'FREQ=DAILY;UNTIL=19971223'), '1997-01-01', '1998-12-31');
+    expect(dates).toHaveLength(113);
+    expect(dates[dates.length - 1]).toBe('1997-12-23');
+    expect(getNextOccurrenceDate(rule('1997-09-02', 'FREQ=DAILY;UNTIL=19971223'), '1997-12-24')).toBeNull();
+  });
+
+  it('applies rdates and exdates, without making up for the removed dates', () => {
+    const recurrence = rule('2026-03-02', 'FREQ=WEEKLY;COUNT=3', { rdates: ['2026-03-04'], exdates: ['2026-03-09'] });
+    expect(getOccurrenceDates(recurrence, '2026-01-01', '2026-12-31')).toEqual(['2026-03-02', '2026-03-04', '2026-03-16']);
+  });
+
+  it('moves rule dates by the shift but not rdates and exdates', () => {
+    const recurrence = rule('2026-10-23', 'FREQ=WEEKLY;BYDAY=FR', { shift: 1, rdates: ['2026-10-28'], exdates: ['2026-11-07'] });
+    expect(getOccurrenceDates(recurrence, '2026-10-01', '2026-11-14'))
+      .toEqual(['2026-10-24', '2026-10-28', '2026-10-31', '2026-11-14']);
+    expect(isOccurrenceDate(recurrence, '2026-10-30')).toBe(false);
+    expect(getNextOccurrenceDate(recurrence, '2026-11-01')).toBe('2026-11-14');
+  });
+});
+
+describe('fast-forwarding rules without COUNT', () => {
+  // The same rule with a COUNT too large to matter walks every period from
+  // dtstart, so it shows what skipping ahead should produce (as long as
+  // the range is within MAX_PERIODS periods of dtstart)
+  const cases = [
+    ['daily', '2010-01-01', 'FREQ=DAILY;INTERVAL=3'],
+    ['weekly', '1997-09-02', 'FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=MO,WE,FR'],
+    ['monthly', '1997-09-30', 'FREQ=MONTHLY;INTERVAL=5;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1'],
+    ['yearly', '2000-02-29', 'FREQ=YEARLY;INTERVAL=2;BYMONTH=2;BYMONTHDAY=-1']
+  ];
+
+  it.each(cases)('lands on the same %s dates decades later', (_, dtstart, rrule) => {
+    const fast = getOccurrenceDates(rule(dtstart, rrule), '2031-01-01', '2041-12-31');
+    const slow = getOccurrenceDates(rule(dtstart, `${rrule};COUNT=10000`), '2031-01-01', '2041-12-31');
+    expect(fast.length).toBeGreaterThan(0);
+    expect(fast).toEqual(slow);
+  });
+
+  it('finds the next date quickly from far away', () => {
+    const recurrence = rule('2000-01-03', 'FREQ=WEEKLY;INTERVAL=3;BYDAY=MO');
+    // 2000-01-03 plus 1,461 weeks; 1,461 = 3 x 487
+    expect(getNextOccurrenceDate(recurrence, '2027-12-28')).toBe('2028-01-03');
+  });
+});
+
+describe('parseRRule', () => {
+  it('reads the parts of a rule', () => {
+    expect(parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;WKST=SU')).toMatchObject({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ day: 1, nth: 1 }, { day: 5, nth: -1 }],
+      wkst: 0
+    });
+  });
+
+  it.each([
+    ['FREQ=HOURLY', 'at most daily'],
+    ['FREQ=DAILY;BYHOUR=9', "BYHOUR isn't supported"],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20260101', 'COUNT'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'need FREQ=MONTHLY'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'BYMONTHDAY'],
+    ['FREQ=WEEKLY;FREQ=DAILY', 'appears twice']
+  ])('rejects %s', (text, message) => {
+    expect(() => parseRRule(text)).toThrow(message);
+  });
+});
+
+describe('getRecurrenceError and normalizeRecurrence', () => {
+  it('checks the dates and the rule', () => {
+    expect(getRecurrenceError(rule('2026-02-30', null))).toBe('A start date is required');
+    expect(getRecurrenceError(rule('2026-03-01', 'FREQ=DAILY;UNTIL=20260201'))).toBe('UNTIL is before the start date');
+    expect(getRecurrenceError(rule('2026-03-01', 'FREQ=DAILY', { shift: 2 }))).toBe('A recurrence can only move by a day');
+    expect(getRecurrenceError(rule('2026-03-01', 'FREQ=DAILY', { exdates: ['2026-03-02'] }))).toBeNull();
+  });
+
+  it('sorts and dedupes dates and drops an empty shift', () => {
+    expect(normalizeRecurrence({
+      dtstart: '20260301',
+      rrule: 'RRULE:FREQ=DAILY',
+      exdates: ['2026-03-05', '20260302', '2026-03-05'],
+      shift: 0
+    })).toEqual({ dtstart: '2026-03-01', rrule: 'FREQ=DAILY', rdates: [], exdates: ['2026-03-02', '2026-03-05'] });
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('reads like a sentence', () => {
+    expect(describeRecurrence(rule('2026-03-06', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR')))
+      .toBe('Every other week on Friday, from Mar 6, 2026');
+    expect(describeRecurrence(rule('2026-03-31', 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3')))
+      .toBe('Monthly on weekdays, only the last of those, from Mar 31, 2026, 3 times');
+    expect(describeRecurrence(rule('2026-03-06', null))).toBe('Once on Mar 6, 2026');
+  });
+});
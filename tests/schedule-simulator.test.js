@@ -0,0 +1,159 @@
+// Timelines of what the schedules add up to, checked against
+// getScheduleState() and across DST
+import { describe, it, expect } from 'vitest';
+import {
+  getSchedulerConfig,
+  saveSchedulerConfig,
+  getScheduleState,
+  createSchedule,
+  ScheduleAction
+} from '../src/utils/scheduler.js';
+import {
+  simulateSchedules,
+  getWeekSimulation,
+  describeSegment,
+  TimelineSource
+} from '../src/utils/schedule-simulator.js';
+
+const at = iso => Date.parse(iso);
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Save a New York scheduler config with everything switched on: quiet
+ * hours 22:00-08:00, work hours 09:00-17:00, weekend mode, a Friday
+ * afternoon focus block and a late Friday tracking pause
+ * @returns {Promise<Object>}
+ */
+async function useBusyConfig() {
+  const defaults = await getSchedulerConfig();
+  await saveSchedulerConfig({
+    ...defaults,
+    followSystemTimezone: false,
+    timezone: 'America/New_York',
+    quickSettings: {
+      ...defaults.quickSettings,
+      quietHoursEnabled: true,
+      workHoursEnabled: true,
+      weekendMode: true
+    },
+    schedules: [
+      createSchedule({
+        name: 'Focus block',
+        days: [5],
+        startTime: '16:00',
+        endTime: '18:30',
+        action: ScheduleAction.ADJUST_THRESHOLD,
+        thresholdMultiplier: 0.5
+      }),
+      createSchedule({
+        name: 'Late night',
+        days: [5],
+        startTime: '23:00',
+        endTime: '01:00',
+        action: ScheduleAction.BLOCK_TRACKING
+      })
+    ]
+  });
+  return getSchedulerConfig();
+}
+
+describe('simulateSchedules', () => {
+  it('answers what happens at 17:30 on a Friday', async () => {
+    const config = await useBusyConfig();
+    // Friday Mar 6, 00:00 to 24:00 EST
+    const timeline = simulateSchedules(config, at('2026-03-06T05:00:00Z'), at('2026-03-07T05:00:00Z'));
+    const segment = timeline.find(item => item.start <= at('2026-03-06T22:30:00Z') && item.end > at('2026-03-06T22:30:00Z'));
+
+    expect(segment).toMatchObject({
+      start: at('2026-03-06T22:00:00Z'),
+      end: at('2026-03-06T23:30:00Z'),
+      popupsSuppressed: false,
+      trackingBlocked: false,
+      multiplier: 0.5
+    });
+    expect(segment.sources.map(source => source.name)).toEqual(['Focus block']);
+  });
+
+  it('stacks overlapping multipliers and names every source', async () => {
+    const config = await useBusyConfig();
+    const timeline = simulateSchedules(config, at('2026-03-06T21:00:00Z'), at('2026-03-06T22:00:00Z'));
+
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0].multiplier).toBe(0.25);
+    expect(timeline[0].sources.map(source => source.type)).toEqual([TimelineSource.WORK_HOURS, TimelineSource.SCHEDULE]);
+  });
+
+  it('covers the range without gaps and agrees with getScheduleState', async () => {
+    const config = await useBusyConfig();
+    const from = at('2026-03-05T05:00:00Z');
+    const to = at('2026-03-10T04:00:00Z');
+    const timeline = simulateSchedules(config, from, to);
+
+    expect(timeline[0].start).toBe(from);
+    expect(timeline[timeline.length - 1].end).toBe(to);
+    timeline.slice(1).forEach((segment, index) => {
+      expect(segment.start).toBe(timeline[index].end);
+    });
+
+    // Every half hour lands in a segment that says what getScheduleState does
+    for (let moment = from; moment < to; moment += HOUR / 2) {
+      const segment = timeline.find(item => item.start <= moment && item.end > moment);
+      const state = getScheduleState(config, moment);
+      expect(segment.popupsSuppressed).toBe(state.popupsSuppressed);
+      expect(segment.trackingBlocked).toBe(state.trackingBlocked);
+      expect(segment.multiplier).toBe(state.multiplier);
+    }
+  });
+
+  it('carries a schedule that started before the range into it', async () => {
+    const config = await useBusyConfig();
+    // Saturday 00:30 EST, inside Friday's 23:00-01:00 pause
+    const timeline = simulateSchedules(config, at('2026-03-07T05:30:00Z'), at('2026-03-07T07:00:00Z'));
+
+    expect(timeline[0]).toMatchObject({ trackingBlocked: true, end: at('2026-03-07T06:00:00Z') });
+    expect(timeline[1].trackingBlocked).toBe(false);
+  });
+
+  it('reports nothing but the weekend while the scheduler is off', async () => {
+    const config = { ...(await useBusyConfig()), enabled: false };
+    const timeline = simulateSchedules(config, at('2026-03-06T05:00:00Z'), at('2026-03-09T04:00:00Z'));
+
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0]).toMatchObject({ popupsSuppressed: false, trackingBlocked: false, multiplier: 1, sources: [] });
+  });
+
+  it('rejects empty and overlong ranges', async () => {
+    const config = await useBusyConfig();
+    expect(() => simulateSchedules(config, at('2026-03-06T00:00:00Z'), at('2026-03-06T00:00:00Z'))).toThrow('end after');
+    expect(() => simulateSchedules(config, at('2026-01-01T00:00:00Z'), at('2027-03-01T00:00:00Z'))).toThrow('366 days');
+  });
+});
+
+describe('getWeekSimulation', () => {
+  it('gives seven days on the schedule clock, one of them 23 hours long', async () => {
+    await useBusyConfig();
+    const week = await getWeekSimulation('2026-03-02');
+
+    expect(week.map(day => day.dateKey)).toEqual([
+      '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07', '2026-03-08'
+    ]);
+    expect(week.map(day => (day.end - day.start) / HOUR)).toEqual([24, 24, 24, 24, 24, 24, 23]);
+    week.forEach((day, index) => {
+      expect(day.timeline[0].start).toBe(day.start);
+      if (index > 0) expect(day.start).toBe(week[index - 1].end);
+    });
+
+    // Sunday's quiet hours still end at 08:00 EDT
+    const sunday = week[6].timeline;
+    expect(sunday[0]).toMatchObject({ popupsSuppressed: true, end: at('2026-03-08T12:00:00Z') });
+  });
+});
+
+describe('describeSegment', () => {
+  it('lists the effects, strongest first', () => {
+    expect(describeSegment({ trackingBlocked: true, popupsSuppressed: true, multiplier: 1.5 }))
+      .toBe('Tracking paused · Popups off · thresholds ×1.5');
+    expect(describeSegment({ trackingBlocked: false, popupsSuppressed: false, multiplier: 0.25 })).toBe('Thresholds ×0.25');
+    expect(describeSegment({ trackingBlocked: false, popupsSuppressed: false, multiplier: 1 })).toBe('Normal');
+  });
+});
@@ -0,0 +1,192 @@
+// Schedule evaluation in a configured timezone, with fixed clocks across
+// the 2026 DST changes (US: Mar 8 and Nov 1; EU: Mar 29 and Oct 25)
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getSchedulerConfig,
+  saveSchedulerConfig,
+  getScheduleState,
+  getScheduleTimeZone,
+  getNextScheduleChange,
+  isQuietHours,
+  isWeekend,
+  createSchedule,
+  ScheduleAction
+} from '../src/utils/scheduler.js';
+import { zonedTimeToTimestamp, getWallClock } from '../src/utils/date-keys.js';
+
+const at = iso => Date.parse(iso);
+
+/**
+ * Save a scheduler config pinned to a timezone
+ * @param {string} timezone
+ * @param {Object} quickSettings
+ * @param {Array} schedules
+ * @returns {Promise<Object>} - The config as the scheduler reads it back
+ */
+async function useConfig(timezone, quickSettings = {}, schedules = []) {
+  const defaults = await getSchedulerConfig();
+  await saveSchedulerConfig({
+    ...defaults,
+    followSystemTimezone: false,
+    timezone,
+    schedules,
+    quickSettings: { ...defaults.quickSettings, ...quickSettings }
+  });
+  return getSchedulerConfig();
+}
+
+const quietNights = { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+describe('zonedTimeToTimestamp', () => {
+  it('maps a wall-clock time to its instant', () => {
+    expect(zonedTimeToTimestamp('2026-07-01', 9 * 60, 'Europe/Berlin')).toBe(at('2026-07-01T07:00:00Z'));
+    expect(zonedTimeToTimestamp('2026-01-01', 9 * 60, 'Europe/Berlin')).toBe(at('2026-01-01T08:00:00Z'));
+  });
+
+  it('moves a time in the spring gap to the moment the clocks jump', () => {
+    expect(zonedTimeToTimestamp('2026-03-29', 2 * 60 + 30, 'Europe/Berlin')).toBe(at('2026-03-29T01:00:00Z'));
+  });
+
+  it('takes the first pass of a time repeated in autumn', () => {
+    expect(zonedTimeToTimestamp('2026-10-25', 2 * 60 + 30, 'Europe/Berlin')).toBe(at('2026-10-25T00:30:00Z'));
+  });
+
+  it('rolls minutes past midnight into the next day', () => {
+    expect(zonedTimeToTimestamp('2026-03-07', 32 * 60, 'America/New_York')).toBe(at('2026-03-08T12:00:00Z'));
+  });
+});
+
+describe('timezone choice', () => {
+  it('follows the system timezone by default', async () => {
+    const config = await getSchedulerConfig();
+    expect(config.followSystemTimezone).toBe(true);
+    expect(getScheduleTimeZone({ ...config, timezone: 'Asia/Tokyo' }))
+      .toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+
+  it('uses the saved timezone when not following, unless it is unknown', () => {
+    expect(getScheduleTimeZone({ followSystemTimezone: false, timezone: 'Asia/Tokyo' })).toBe('Asia/Tokyo');
+    expect(getScheduleTimeZone({ followSystemTimezone: false, timezone: 'Mars/Olympus' }))
+      .toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+
+  it('reads the weekend off the configured clock', async () => {
+    // Friday 11:00 in New York is already Saturday 01:00 in Tokyo
+    const moment = at('2026-03-06T16:00:00Z');
+    expect(isWeekend(moment, 'America/New_York')).toBe(false);
+    expect(isWeekend(moment, 'Asia/Tokyo')).toBe(true);
+
+    const config = await useConfig('Asia/Tokyo', { weekendMode: true });
+    expect(getScheduleState(config, moment)).toMatchObject({ weekend: true, multiplier: 1.5 });
+  });
+});
+
+describe('quiet hours across DST', () => {
+  it('ends at 08:00 on the night the clocks go forward', async () => {
+    const config = await useConfig('America/New_York', quietNights);
+    expect(getScheduleState(config, at('2026-03-08T02:59:00Z')).quietHours).toBe(false);
+    expect(getScheduleState(config, at('2026-03-08T03:00:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-03-08T11:59:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-03-08T12:00:00Z')).quietHours).toBe(false);
+  });
+
+  it('ends at 08:00 on the night the clocks go back', async () => {
+    const config = await useConfig('America/New_York', quietNights);
+    expect(getScheduleState(config, at('2026-11-01T02:00:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-11-01T12:59:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-11-01T13:00:00Z')).quietHours).toBe(false);
+  });
+
+  it('reads the pinned clock rather than the system one', async () => {
+    await useConfig('Asia/Tokyo', quietNights);
+    // 23:00 in Tokyo
+    vi.useFakeTimers();
+    vi.setSystemTime(at('2026-03-08T14:00:00Z'));
+    expect(await isQuietHours()).toBe(true);
+    // 09:00 in Tokyo
+    vi.setSystemTime(at('2026-03-08T00:00:00Z'));
+    expect(await isQuietHours()).toBe(false);
+  });
+});
+
+describe('ranges on the DST change itself', () => {
+  it('runs a range in the repeated hour only on its first pass', async () => {
+    const config = await useConfig('America/New_York', {
+      quietHoursEnabled: true, quietHoursStart: '01:00', quietHoursEnd: '01:30'
+    });
+    // 01:15 EDT, then 01:15 EST an hour later
+    expect(getScheduleState(config, at('2026-11-01T05:15:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-11-01T06:15:00Z')).quietHours).toBe(false);
+  });
+
+  it('starts a range in the skipped hour when the clocks jump', async () => {
+    const config = await useConfig('America/New_York', {
+      quietHoursEnabled: true, quietHoursStart: '02:30', quietHoursEnd: '04:00'
+    });
+    expect(getScheduleState(config, at('2026-03-08T06:59:00Z')).quietHours).toBe(false);
+    expect(getScheduleState(config, at('2026-03-08T07:00:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-03-08T07:59:00Z')).quietHours).toBe(true);
+    expect(getScheduleState(config, at('2026-03-08T08:00:00Z')).quietHours).toBe(false);
+  });
+});
+
+describe('custom schedules', () => {
+  it('keeps a late Friday schedule running into Saturday', async () => {
+    const late = createSchedule({
+      name: 'Late Friday',
+      days: [5],
+      startTime: '22:00',
+      endTime: '02:00',
+      action: ScheduleAction.DISABLE_POPUPS
+    });
+    const config = await useConfig('Europe/Berlin', {}, [late]);
+    // Saturday 01:00 and Friday 01:00 in Berlin
+    expect(getScheduleState(config, at('2026-03-07T00:00:00Z')).popupsSuppressed).toBe(true);
+    expect(getScheduleState(config, at('2026-03-06T00:00:00Z')).popupsSuppressed).toBe(false);
+  });
+
+  it('keeps recurring schedules on the wall clock across DST', async () => {
+    const standup = createSchedule({
+      name: 'Focus block',
+      startTime: '09:00',
+      endTime: '10:00',
+      action: ScheduleAction.BLOCK_TRACKING,
+      recurrence: { dtstart: '2026-03-23', rrule: 'FREQ=WEEKLY;BYDAY=MO' }
+    });
+    const config = await useConfig('Europe/Berlin', {}, [standup]);
+    // 09:30 in winter (UTC+1), then in summer (UTC+2)
+    expect(getScheduleState(config, at('2026-03-23T08:30:00Z')).trackingBlocked).toBe(true);
+    expect(getScheduleState(config, at('2026-03-30T07:30:00Z')).trackingBlocked).toBe(true);
+    expect(getScheduleState(config, at('2026-03-30T08:30:00Z')).trackingBlocked).toBe(false);
+    // Not a Monday
+    expect(getScheduleState(config, at('2026-03-31T07:30:00Z')).trackingBlocked).toBe(false);
+  });
+
+  it('starts each day on the configured clock', async () => {
+    const config = await useConfig('Pacific/Auckland');
+    const { dateKey, weekday } = getWallClock(at('2026-03-06T12:00:00Z'), getScheduleTimeZone(config));
+    expect(dateKey).toBe('2026-03-07');
+    expect(weekday).toBe(6);
+  });
+});
+
+describe('getNextScheduleChange', () => {
+  it('finds the next start across the spring change', async () => {
+    await useConfig('America/New_York', quietNights);
+    vi.useFakeTimers();
+    // Saturday 15:00 EST
+    vi.setSystemTime(at('2026-03-07T20:00:00Z'));
+    const change = await getNextScheduleChange();
+    expect(change.action).toBe('quiet_hours_start');
+    expect(change.time.getTime()).toBe(at('2026-03-08T03:00:00Z'));
+  });
+
+  it('finds the end in daylight time after starting in standard time', async () => {
+    await useConfig('America/New_York', quietNights);
+    vi.useFakeTimers();
+    vi.setSystemTime(at('2026-03-08T05:00:00Z'));
+    const change = await getNextScheduleChange();
+    expect(change.action).toBe('quiet_hours_end');
+    expect(change.time.getTime()).toBe(at('2026-03-08T12:00:00Z'));
+  });
+});
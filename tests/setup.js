@@ -0,0 +1,50 @@
+// Shared setup for tests and benchmarks: an in-memory stand-in for the
+// extension APIs the source modules touch at import time
+import { afterEach, beforeEach, vi } from 'vitest';
+
+const storageArea = () => {
+  let items = {};
+  return {
+    get(keys, callback) {
+      const result = {};
+      const wanted = keys === null ? Object.keys(items) : Array.isArray(keys) ? keys : [keys];
+      wanted.forEach(key => {
+        if (key in items) result[key] = structuredClone(items[key]);
+      });
+      callback(result);
+    },
+    set(values, callback) {
+      items = { ...items, ...structuredClone(values) };
+      if (callback) callback();
+    },
+    remove(keys, callback) {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete items[key]);
+      if (callback) callback();
+    },
+    clear(callback) {
+      items = {};
+      if (callback) callback();
+    }
+  };
+};
+
+globalThis.chrome = {
+  runtime: {
+    lastError: null,
+    getURL: path => path
+  },
+  storage: {
+    local: storageArea(),
+    sync: storageArea()
+  }
+};
+
+beforeEach(() => {
+  globalThis.chrome.storage.local.clear();
+  globalThis.chrome.storage.sync.clear();
+});
+
+// Tests that pin the clock shouldn't leak it into the next one
+afterEach(() => {
+  vi.useRealTimers();
+});
@@ -0,0 +1,93 @@
+// Lookup cost of the compiled site index against a linear scan, 5,000 patterns
+import { bench, describe } from 'vitest';
+import { buildSiteIndex, findInSiteIndex } from '../src/utils/site-index.js';
+
+const PATTERN_COUNT = 5000;
+const LOOKUP_COUNT = 1000;
+
+/**
+ * Build a mix of patterns like a large imported blocklist: mostly plain
+ * domains, plus wildcards, deeper hosts and a few explicit regexes
+ * @returns {Array}
+ */
+function makeSites() {
+  const sites = [];
+  for (let i = 0; i < PATTERN_COUNT; i++) {
+    let domain;
+    if (i % 100 === 0) {
+      domain = `/^cdn${i}-\\d+\\.example\\.net$/`;
+    } else if (i % 10 === 0) {
+      domain = `*.zone${i}.net`;
+    } else if (i % 10 === 1) {
+      domain = `app${i}.corp${i}.io`;
+    } else {
+      domain = `site${i}.com`;
+    }
+    sites.push({ domain, enabled: true });
+  }
+  return sites;
+}
+
+/**
+ * Host names to look up: half match a pattern, half match nothing
+ * @returns {Array<string>}
+ */
+function makeHosts() {
+  const hosts = [];
+  for (let i = 0; i < LOOKUP_COUNT; i++) {
+    const n = (i * 7919) % PATTERN_COUNT;
+    hosts.push(i % 2 === 0 ? `www.site${n}.com` : `unknown${i}.example.org`);
+  }
+  return hosts;
+}
+
+/**
+ * The matcher as it was before the index: every pattern is checked in
+ * order and anything that isn't an exact or wildcard match is turned into
+ * a RegExp on each call
+ * @param {Array} sites
+ * @param {string} domain
+ * @returns {Object|null}
+ */
+function linearScan(sites, domain) {
+  for (const site of sites) {
+    const pattern = site.domain.toLowerCase().replace(/^www\./, '');
+    if (pattern === domain) return site;
+    if (pattern.startsWith('*.')) {
+      const base = pattern.substring(2);
+      if (domain === base || domain.endsWith('.' + base)) return site;
+      continue;
+    }
+    if (domain.endsWith('.' + pattern)) return site;
+    try {
+      if (new RegExp(pattern.replace(/^\/|\/$/g, '')).test(domain)) return site;
+    } catch (e) {
+      // Not a valid regex
+    }
+  }
+  return null;
+}
+
+const sites = makeSites();
+const hosts = makeHosts();
+const index = buildSiteIndex(sites);
+
+describe(`site lookup, ${PATTERN_COUNT} patterns x ${LOOKUP_COUNT} host names`, () => {
+  bench('compiled index', () => {
+    for (const host of hosts) {
+      findInSiteIndex(index, host);
+    }
+  });
+
+  bench('linear scan', () => {
+    for (const host of hosts) {
+      linearScan(sites, host);
+    }
+  }, { iterations: 3 });
+});
+
+describe(`index build, ${PATTERN_COUNT} patterns`, () => {
+  bench('buildSiteIndex', () => {
+    buildSiteIndex(sites);
+  });
+});
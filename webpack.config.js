@@ -6,6 +6,7 @@ module.exports = {
     'background/service-worker': './src/background/service-worker.js',
     'content/content-script': './src/content/content-script.js',
     'content/popup-overlay': './src/content/popup-overlay.js',
+    'content/page-title': './src/content/page-title.js',
     'popup/popup': './src/popup/popup.js',
     'options/options': './src/options/options.js'
   },